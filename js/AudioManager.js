@@ -1,34 +1,66 @@
+import { Settings } from './core/Settings.js';
+import { AudioEffects } from './core/AudioEffects.js';
+import { AudioConstants, SonificationConstants } from './core/Constants.js';
+
 /**
  * Class for managing audio effects
  */
-class AudioManager {
+export class AudioManager {
     /**
      * Constructor
+     * @param {Settings} [settings] - Runtime settings (defaults if omitted)
      */
-    constructor() {
+    constructor(settings = new Settings()) {
+        this.settings = settings;
+        
         // Audio context
         this.context = null;
         
         // Active audio nodes
         this.activeNodes = new Set();
         
+        // White noise shared by the noise effects (created on first use)
+        this.noiseBuffer = null;
+        
         // Audio effect definitions
         this.effects = {
             touch: {
                 type: 'oscillator',
-                options: {
-                    type: 'sine',
-                    frequency: AudioConstants.TONE_FREQUENCY,
-                    volume: AudioConstants.TONE_VOLUME,
-                    duration: AudioConstants.TONE_DURATION
-                }
+                options: { type: 'sine' }
+            },
+            // Notes of the sonification (pitch, pan and volume are given per note)
+            triangleCreated: {
+                type: 'oscillator',
+                options: { type: 'triangle', envelope: { attack: 5, decay: 60, sustain: 0.4, release: SonificationConstants.NOTE_RELEASE } }
+            },
+            triangleDestroyed: {
+                type: 'oscillator',
+                options: { type: 'sine', envelope: { attack: 30, decay: 40, sustain: 0.6, release: SonificationConstants.NOTE_RELEASE } }
             }
         };
         
+        // Follow the tone settings
+        this.updateToneOptions();
+        this.unsubscribeSettings = settings.subscribe(key => {
+            if (key.startsWith('audio.')) {
+                this.updateToneOptions();
+            }
+        });
+        
         // Initialize audio context
         this.initContext();
     }
     
+    /**
+     * Copy the tone settings to the touch effect
+     */
+    updateToneOptions() {
+        const options = this.effects.touch.options;
+        options.frequency = this.settings.get('audio.frequency');
+        options.volume = this.settings.get('audio.volume');
+        options.duration = this.settings.get('audio.duration');
+    }
+    
     /**
      * Initialize audio context
      */
@@ -45,9 +77,10 @@ class AudioManager {
     /**
      * Play a specified sound effect
      * @param {string} effectName - Name of the effect to play
+     * @param {Object} [overrides={}] - Options replacing those of the effect for this call
      * @returns {boolean} Whether playback started successfully
      */
-    play(effectName) {
+    play(effectName, overrides = {}) {
         // Do nothing if context is not available
         if (!this.context) {
             return false;
@@ -60,10 +93,31 @@ class AudioManager {
             return false;
         }
         
+        const options = AudioEffects.mergeOptions(effect.options, overrides);
+        try {
+            AudioEffects.validateOptions(effect.type, options);
+        } catch (e) {
+            console.warn(`Invalid options for effect "${effectName}":`, e);
+            return false;
+        }
+        
         // Play based on effect type
         switch (effect.type) {
             case 'oscillator':
-                this.playOscillator(effect.options);
+                this.playTones([options.frequency || 440], options);
+                return true;
+            case 'chord':
+                // Major triad unless intervals are given
+                this.playTones(AudioEffects.getChordFrequencies(options.frequency || 440, options.intervals || [0, 4, 7]), options);
+                return true;
+            case 'sweep':
+                this.playTones([options.frequency || 440], options, options.endFrequency);
+                return true;
+            case 'noise':
+                this.playNoise(options);
+                return true;
+            case 'sample':
+                this.playSample(options);
                 return true;
             default:
                 console.warn(`Unknown effect type: ${effect.type}`);
@@ -72,65 +126,207 @@ class AudioManager {
     }
     
     /**
-     * Play oscillator effect
-     * @param {Object} options - Oscillator options
-     * @param {string} options.type - Oscillator type (sine, square, sawtooth, triangle)
-     * @param {number} options.frequency - Frequency in Hz
-     * @param {number} options.volume - Volume (0.0 to 1.0)
-     * @param {number} options.duration - Duration in milliseconds
+     * Create a gain node shaped by the ADSR envelope of an effect
+     * (connected to the output through a stereo panner if panned)
+     * @param {Object} options - Effect options (volume, pan, duration, envelope)
+     * @param {number} [voices=1] - Number of sources sharing the envelope (the volume is split between them)
+     * @returns {Object} {gainNode, nodes, startTime, releaseTime, stopTime} with times on the context clock in seconds
      */
-    playOscillator(options) {
-        // Create oscillator and gain node
-        const oscillator = this.context.createOscillator();
+    createEnvelope(options, voices = 1) {
         const gainNode = this.context.createGain();
+        const startTime = this.context.currentTime;
         
-        // Set oscillator properties
-        oscillator.type = options.type || 'sine';
-        oscillator.frequency.value = options.frequency || 440;
-        
-        // Set gain
-        gainNode.gain.value = options.volume || 0.5;
+        // A volume of 0 mutes the effect
+        const volume = options.volume !== undefined ? options.volume : 0.5;
+        const duration = options.duration !== undefined ? options.duration : 500;
+        const points = AudioEffects.getEnvelope(options.envelope, volume / voices, duration);
         
-        // Connect nodes
-        oscillator.connect(gainNode);
-        gainNode.connect(this.context.destination);
-        
-        // Track active nodes
-        this.activeNodes.add(oscillator);
-        this.activeNodes.add(gainNode);
+        // Ramps instead of jumps avoid clicks at the start and end
+        gainNode.gain.setValueAtTime(0, startTime);
+        for (const { time, value } of points.slice(1)) {
+            gainNode.gain.linearRampToValueAtTime(value, startTime + time / 1000);
+        }
+        const nodes = [gainNode];
+        if (options.pan && this.context.createStereoPanner) {
+            const panner = this.context.createStereoPanner();
+            panner.pan.value = options.pan;
+            gainNode.connect(panner);
+            panner.connect(this.context.destination);
+            nodes.push(panner);
+        } else {
+            gainNode.connect(this.context.destination);
+        }
         
-        // Start playback
-        oscillator.start();
+        return {
+            gainNode: gainNode,
+            nodes: nodes,
+            startTime: startTime,
+            releaseTime: startTime + duration / 1000,
+            stopTime: startTime + points[points.length - 1].time / 1000
+        };
+    }
+    
+    /**
+     * Start sources and release their nodes when they end
+     * @param {Array<AudioScheduledSourceNode>} sources - Sources connected to the envelope
+     * @param {Object} envelope - Envelope from createEnvelope()
+     * @param {Array<AudioNode>} [nodes=[]] - Further nodes between the sources and the envelope
+     */
+    startSources(sources, envelope, nodes = []) {
+        const allNodes = [...sources, ...nodes, ...envelope.nodes];
+        for (const node of allNodes) {
+            this.activeNodes.add(node);
+        }
         
-        // Stop after specified duration
-        const duration = options.duration || 500;
-        setTimeout(() => {
-            try {
-                oscillator.stop();
-            } catch (e) {
-                // Ignore errors if already stopped
+        // All sources stop together
+        sources[0].onended = () => {
+            for (const node of allNodes) {
+                // Remove from tracking list
+                this.activeNodes.delete(node);
+                
+                // Disconnect nodes
+                try {
+                    node.disconnect();
+                } catch (e) {
+                    // Ignore errors if disconnection fails
+                }
             }
+        };
+        
+        for (const source of sources) {
+            source.start(envelope.startTime);
+            source.stop(envelope.stopTime);
+        }
+    }
+    
+    /**
+     * Play oscillators sharing one envelope (single tones, chords and sweeps)
+     * @param {Array<number>} frequencies - Frequencies in Hz, one oscillator each
+     * @param {Object} options - Effect options
+     * @param {string} options.type - Oscillator type (sine, square, sawtooth, triangle)
+     * @param {number} options.volume - Volume (0.0 to 1.0)
+     * @param {number} options.duration - Duration in milliseconds until the release
+     * @param {Object} options.envelope - ADSR envelope
+     * @param {string} options.curve - Sweep curve (linear, exponential)
+     * @param {number} [endFrequency] - Frequency of the first voice at the release (others follow in proportion)
+     */
+    playTones(frequencies, options, endFrequency) {
+        const envelope = this.createEnvelope(options, frequencies.length);
+        const sources = frequencies.map(frequency => {
+            const oscillator = this.context.createOscillator();
+            oscillator.type = options.type || 'sine';
+            oscillator.frequency.setValueAtTime(frequency, envelope.startTime);
             
-            // Remove from tracking list
-            this.activeNodes.delete(oscillator);
-            this.activeNodes.delete(gainNode);
+            if (endFrequency !== undefined) {
+                const target = frequency * endFrequency / frequencies[0];
+                if (options.curve === 'linear') {
+                    oscillator.frequency.linearRampToValueAtTime(target, envelope.releaseTime);
+                } else {
+                    oscillator.frequency.exponentialRampToValueAtTime(target, envelope.releaseTime);
+                }
+            }
             
-            // Disconnect nodes
-            try {
-                oscillator.disconnect();
-                gainNode.disconnect();
-            } catch (e) {
-                // Ignore errors if disconnection fails
+            oscillator.connect(envelope.gainNode);
+            return oscillator;
+        });
+        this.startSources(sources, envelope);
+    }
+    
+    /**
+     * Play a burst of filtered white noise
+     * @param {Object} options - Effect options
+     * @param {string} options.filter - Filter type (lowpass, highpass, bandpass, ...)
+     * @param {number} options.frequency - Filter frequency in Hz
+     * @param {number} options.q - Filter quality factor
+     */
+    playNoise(options) {
+        const envelope = this.createEnvelope(options);
+        
+        const source = this.context.createBufferSource();
+        source.buffer = this.getNoiseBuffer();
+        source.loop = true;
+        
+        const filter = this.context.createBiquadFilter();
+        filter.type = options.filter || 'bandpass';
+        filter.frequency.value = options.frequency || AudioConstants.NOISE_FILTER_FREQUENCY;
+        filter.Q.value = options.q !== undefined ? options.q : AudioConstants.NOISE_FILTER_Q;
+        
+        source.connect(filter);
+        filter.connect(envelope.gainNode);
+        this.startSources([source], envelope, [filter]);
+    }
+    
+    /**
+     * Get one second of white noise (created once per context)
+     * @returns {AudioBuffer} Noise buffer
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
             }
-        }, duration);
+        }
+        return this.noiseBuffer;
+    }
+    
+    /**
+     * Play a decoded sample. Without an envelope it plays unshaped to its end.
+     * @param {Object} options - Effect options
+     * @param {AudioBuffer} options.buffer - Decoded sample
+     * @param {number} options.playbackRate - Speed (and pitch) factor
+     */
+    playSample(options) {
+        const playbackRate = options.playbackRate || 1;
+        const envelope = this.createEnvelope({
+            ...options,
+            duration: options.duration !== undefined ? options.duration : options.buffer.duration * 1000 / playbackRate,
+            envelope: { attack: 0, decay: 0, sustain: 1, release: 0, ...options.envelope }
+        });
+        
+        const source = this.context.createBufferSource();
+        source.buffer = options.buffer;
+        source.playbackRate.value = playbackRate;
+        source.connect(envelope.gainNode);
+        this.startSources([source], envelope);
+    }
+    
+    /**
+     * Load and decode a sample and add it as an effect
+     * @param {string} name - Effect name
+     * @param {string} url - URL of the audio file
+     * @param {Object} [options={}] - Further options of the sample effect
+     * @returns {Promise<boolean>} Whether the sample was added
+     */
+    loadSample(name, url, options = {}) {
+        if (!this.context) {
+            return Promise.resolve(false);
+        }
+        
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.arrayBuffer();
+        }).then(data => this.context.decodeAudioData(data)).then(buffer => {
+            this.addEffect(name, { type: 'sample', options: { ...options, buffer: buffer } });
+            return true;
+        }).catch(e => {
+            console.warn(`Could not load sample "${name}":`, e);
+            return false;
+        });
     }
     
     /**
      * Add or update an effect
      * @param {string} name - Effect name
-     * @param {Object} definition - Effect definition
+     * @param {Object} definition - Effect definition ({type, options}, see AudioEffects)
+     * @throws {Error} If the definition is invalid
      */
     addEffect(name, definition) {
+        AudioEffects.validate(definition);
         this.effects[name] = definition;
     }
     
@@ -138,6 +334,8 @@ class AudioManager {
      * Dispose all resources
      */
     dispose() {
+        this.unsubscribeSettings();
+        
         // Stop all active nodes
         for (const node of this.activeNodes) {
             try {
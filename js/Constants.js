@@ -1,42 +0,0 @@
-// Display related constants
-const DisplayConstants = {
-    POINT_RADIUS: 5,
-    LINE_THICKNESS: 2
-};
-
-// Audio feedback related constants
-const AudioConstants = {
-    TONE_VOLUME: 0.2,
-    TONE_FREQUENCY: 659.26,
-    TONE_DURATION: 50
-};
-
-// Point behavior related constants
-const PointConstants = {
-    MAX_POINTS: 30
-};
-
-// Physics simulation related constants
-const PhysicsConstants = {
-    FRICTION: 0.9,
-    BOUNCE_FACTOR: 0.5
-};
-
-// Brownian motion related constants
-const BrownianConstants = {
-    STRENGTH: 0.2,
-    MAX_DISTANCE: 5.0,
-    RETURN_FORCE: 0.1
-};
-
-// Repulsion force related constants
-const RepulsionConstants = {
-    RADIUS: 100.0,
-    STRENGTH: 5.0
-};
-
-// Rendering related constants
-const RenderConstants = {
-    BACKGROUND_COLOR: 0x000000,
-    POINT_COLOR: 0xFFFFFF
-};
@@ -0,0 +1,21 @@
+/**
+ * Utility functions for saving files from the browser
+ */
+export const DownloadUtils = {
+    /**
+     * Let the browser download a blob as a file
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    saveBlob: function(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        
+        // Release the URL after the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
@@ -0,0 +1,88 @@
+import { HullConstants } from './core/Constants.js';
+import { LineBuffer } from './LineBuffer.js';
+
+/**
+ * Class for drawing the convex hull and the alpha shape of the points with
+ * Three.js. Both are switched on in the settings ("hull.showConvex",
+ * "hull.showAlpha") and recomputed from the triangulation whenever it
+ * changes or points move; "hull.alpha" sets the largest circumradius of the
+ * triangles kept in the alpha shape.
+ */
+export class HullRenderer {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(triangulation, scene) {
+        this.triangulation = triangulation;
+        this.settings = triangulation.settings;
+        this.convexHull = []; // Last drawn convex hull (points counter-clockwise)
+        this.alphaShape = { triangles: [], polygons: [] }; // Last drawn alpha shape
+        
+        // Constants
+        this.CONVEX_Z_OFFSET = -0.04; // Z-coordinate offset of the convex hull
+        this.ALPHA_Z_OFFSET = -0.03; // Z-coordinate offset of the alpha shape outline
+        
+        this.convexLines = new LineBuffer(scene, { color: HullConstants.CONVEX_COLOR, z: this.CONVEX_Z_OFFSET });
+        this.alphaLines = new LineBuffer(scene, { color: HullConstants.ALPHA_COLOR, z: this.ALPHA_Z_OFFSET });
+        
+        // Redraw when a hull is switched or alpha changes
+        this.unsubscribeSettings = this.settings.subscribe(key => {
+            if (key.startsWith('hull.')) {
+                this.rebuild();
+            }
+        });
+        this.rebuild();
+    }
+    
+    /**
+     * Redraw after the triangulation was recalculated
+     */
+    rebuild() {
+        const showConvex = this.settings.get('hull.showConvex');
+        const showAlpha = this.settings.get('hull.showAlpha');
+        this.convexHull = showConvex ? this.triangulation.getConvexHull() : [];
+        this.alphaShape = showAlpha ? this.triangulation.getAlphaShape(this.settings.get('hull.alpha')) : { triangles: [], polygons: [] };
+        
+        this.drawPolygons(this.convexLines, this.convexHull.length >= 2 ? [this.convexHull] : []);
+        this.drawPolygons(this.alphaLines, this.alphaShape.polygons);
+        this.convexLines.setVisible(showConvex);
+        this.alphaLines.setVisible(showAlpha);
+    }
+    
+    /**
+     * Redraw to follow point movements (triangles enter and leave the
+     * alpha shape as their circumradii change)
+     */
+    update() {
+        if (this.settings.get('hull.showConvex') || this.settings.get('hull.showAlpha')) {
+            this.rebuild();
+        }
+    }
+    
+    /**
+     * Draw closed polygons as line segments
+     * @param {LineBuffer} lines - Buffer to draw into
+     * @param {Array<Array<Object>>} polygons - Polygons (vertices {x, y} in order)
+     */
+    drawPolygons(lines, polygons) {
+        lines.setCount(polygons.reduce((count, polygon) => count + polygon.length, 0));
+        let i = 0;
+        for (const polygon of polygons) {
+            polygon.forEach((a, j) => {
+                lines.setSegment(i++, a, polygon[(j + 1) % polygon.length]);
+            });
+        }
+        lines.commit();
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        this.convexLines.dispose();
+        this.alphaLines.dispose();
+    }
+}
@@ -0,0 +1,98 @@
+import { ExportConstants } from './core/Constants.js';
+import { SvgExporter } from './core/SvgExporter.js';
+import { DownloadUtils } from './DownloadUtils.js';
+
+/**
+ * Class for exporting the current triangulation as SVG or PNG images
+ */
+export class ImageExporter {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {TriangulationRenderer} triangulationRenderer - Triangulation renderer
+     * @param {ViewController} viewController - View controller (the export shows its pan and zoom)
+     */
+    constructor(triangulation, triangulationRenderer, viewController) {
+        this.triangulation = triangulation;
+        this.triangulationRenderer = triangulationRenderer;
+        this.viewController = viewController;
+    }
+    
+    /**
+     * Create an SVG document of the scene area visible on screen
+     * @param {Object} [options] - Output options passed to SvgExporter
+     * @returns {string} SVG document
+     */
+    createSvg(options = {}) {
+        return SvgExporter.serialize(
+            this.triangulation,
+            window.innerWidth,
+            window.innerHeight,
+            Object.assign({ showTriangles: this.triangulationRenderer.visible, view: this.viewController }, options)
+        );
+    }
+    
+    /**
+     * Download the scene as an SVG file
+     */
+    exportSvg() {
+        const blob = new Blob([this.createSvg()], { type: 'image/svg+xml' });
+        DownloadUtils.saveBlob(blob, ExportConstants.SVG_FILE_NAME);
+    }
+    
+    /**
+     * Download the scene as a PNG file
+     * (the SVG is rasterized, so the resolution does not depend on the window size)
+     * @param {number} [width=ExportConstants.PNG_WIDTH] - Image width in pixels (height keeps the aspect ratio)
+     * @returns {Promise<void>} Resolves when the download has started
+     */
+    exportPng(width = ExportConstants.PNG_WIDTH) {
+        const outputWidth = Math.max(1, Math.min(Math.round(width), ExportConstants.PNG_MAX_WIDTH));
+        const outputHeight = Math.max(1, Math.round(outputWidth * window.innerHeight / window.innerWidth));
+        const svg = this.createSvg({ outputWidth: outputWidth, outputHeight: outputHeight });
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = outputWidth;
+                canvas.height = outputHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0, outputWidth, outputHeight);
+                URL.revokeObjectURL(url);
+                
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        reject(new Error('Could not create PNG image'));
+                        return;
+                    }
+                    DownloadUtils.saveBlob(blob, ExportConstants.PNG_FILE_NAME);
+                    resolve();
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render SVG image'));
+            };
+            image.src = url;
+        });
+    }
+    
+    /**
+     * Ask for the image width and download the scene as a PNG file
+     */
+    promptPngExport() {
+        const answer = window.prompt('PNG width in pixels', String(ExportConstants.PNG_WIDTH));
+        if (answer === null) return;
+        
+        const width = parseInt(answer, 10);
+        if (!(width > 0)) {
+            console.warn(`Invalid PNG width: ${answer}`);
+            return;
+        }
+        
+        this.exportPng(width).catch(e => {
+            console.warn('PNG export failed:', e);
+        });
+    }
+}
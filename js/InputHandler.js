@@ -1,24 +1,65 @@
+import { EditConstants, KeyConstants } from './core/Constants.js';
+import { TouchContacts } from './core/TouchContacts.js';
+
 /**
  * Class responsible for handling input
  */
-class InputHandler {
+export class InputHandler {
     /**
      * Constructor
-     * @param {PointManager} pointManager - Point manager
-     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
-     * @param {HTMLElement} container - Container element to receive events
-     * @param {AudioManager} audioManager - Audio manager
+     * @param {Object} dependencies - Modules the handler works with
+     * @param {PointManager} dependencies.pointManager - Point manager
+     * @param {DelaunayTriangulation} dependencies.triangulation - Delaunay triangulation
+     * @param {HTMLElement} dependencies.container - Container element to receive events
+     * @param {OperationHistory} dependencies.operationHistory - Undo/redo history of point edits
+     * @param {AudioManager} [dependencies.audioManager] - Audio manager
+     * @param {TriangulationRenderer} dependencies.triangulationRenderer - Triangulation renderer
+     * @param {VoronoiRenderer} dependencies.voronoiRenderer - Voronoi diagram renderer
+     * @param {SceneStorage} dependencies.sceneStorage - Scene storage
+     * @param {ImageExporter} dependencies.imageExporter - Image exporter
+     * @param {MeshDownloader} dependencies.meshDownloader - Mesh downloader
+     * @param {PointRenderer} [dependencies.pointRenderer] - Point renderer (highlights hovered and selected points)
+     * @param {SelectionRenderer} [dependencies.selectionRenderer] - Selection renderer (draws the box-select rectangle)
+     * @param {ViewController} [dependencies.viewController] - View controller (pan and zoom)
      */
-    constructor(pointManager, triangulation, container, audioManager) {
+    constructor({ pointManager, triangulation, container, operationHistory, audioManager = null, triangulationRenderer, voronoiRenderer, sceneStorage, imageExporter, meshDownloader, pointRenderer = null, selectionRenderer = null, viewController = null }) {
         this.pointManager = pointManager;
         this.triangulation = triangulation;
         this.container = container;
+        this.operationHistory = operationHistory;
         this.audioManager = audioManager;
+        this.triangulationRenderer = triangulationRenderer;
+        this.voronoiRenderer = voronoiRenderer;
+        this.sceneStorage = sceneStorage;
+        this.imageExporter = imageExporter;
+        this.meshDownloader = meshDownloader;
+        this.pointRenderer = pointRenderer;
+        this.selectionRenderer = selectionRenderer;
+        this.viewController = viewController;
         this.isTouch = false;
         
+        // Keyboard commands (name -> {description, run}) and key bindings (key -> name)
+        this.commands = new Map();
+        this.keyBindings = Object.assign({}, KeyConstants.BINDINGS);
+        this.registerDefaultCommands();
+        this.loadKeyBindings();
+        
+        // Touch state
+        this.touchContacts = new TouchContacts(pointManager.settings, contact => this.addContactPoint(contact));
+        
+        // Point editing state
+        this.hoveredPoint = null; // Point under the cursor
+        this.selectedPoints = new Set(); // Points chosen with box-select
+        
         // Store bound event handlers for later removal
         this.boundHandleMouseDown = this.handleMouseDown.bind(this);
+        this.boundHandleMouseMove = this.handleMouseMove.bind(this);
+        this.boundHandleContextMenu = this.handleContextMenu.bind(this);
+        this.boundHandleMouseLeave = this.handleMouseLeave.bind(this);
         this.boundHandleTouchStart = this.handleTouchStart.bind(this);
+        this.boundHandleTouchMove = this.handleTouchMove.bind(this);
+        this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
+        this.boundHandleKeyDown = this.handleKeyDown.bind(this);
         
         // Set up event listeners
         this.setupEventListeners();
@@ -30,9 +71,18 @@ class InputHandler {
     setupEventListeners() {
         // Mouse events
         this.container.addEventListener('mousedown', this.boundHandleMouseDown);
+        this.container.addEventListener('mousemove', this.boundHandleMouseMove);
+        this.container.addEventListener('contextmenu', this.boundHandleContextMenu);
+        this.container.addEventListener('mouseleave', this.boundHandleMouseLeave);
         
         // Touch events
         this.container.addEventListener('touchstart', this.boundHandleTouchStart);
+        this.container.addEventListener('touchmove', this.boundHandleTouchMove);
+        this.container.addEventListener('touchend', this.boundHandleTouchEnd);
+        this.container.addEventListener('touchcancel', this.boundHandleTouchEnd);
+        
+        // Keyboard events
+        window.addEventListener('keydown', this.boundHandleKeyDown);
         
         // Window resize event
         window.addEventListener('resize', this.boundHandleResize);
@@ -44,9 +94,18 @@ class InputHandler {
     removeEventListeners() {
         // Mouse events
         this.container.removeEventListener('mousedown', this.boundHandleMouseDown);
+        this.container.removeEventListener('mousemove', this.boundHandleMouseMove);
+        this.container.removeEventListener('contextmenu', this.boundHandleContextMenu);
+        this.container.removeEventListener('mouseleave', this.boundHandleMouseLeave);
         
         // Touch events
         this.container.removeEventListener('touchstart', this.boundHandleTouchStart);
+        this.container.removeEventListener('touchmove', this.boundHandleTouchMove);
+        this.container.removeEventListener('touchend', this.boundHandleTouchEnd);
+        this.container.removeEventListener('touchcancel', this.boundHandleTouchEnd);
+        
+        // Keyboard events
+        window.removeEventListener('keydown', this.boundHandleKeyDown);
         
         // Window resize event
         window.removeEventListener('resize', this.boundHandleResize);
@@ -57,27 +116,39 @@ class InputHandler {
      * @param {MouseEvent} event - Mouse event
      */
     handleMouseDown(event) {
+        // Only the primary button adds and moves points (right-click deletes)
+        if (event.button !== 0) return;
+        
+        // Shift-drag draws a constraint segment instead of adding a point
+        if (event.shiftKey) {
+            this.handleSegmentDrag(event);
+            return;
+        }
+        
+        // Ctrl-drag selects the points inside a rectangle
+        const position = this.getEventPosition(event);
+        if (event.ctrlKey || event.metaKey) {
+            this.handleBoxSelect(position);
+            return;
+        }
+        
+        // Pressing on a point drags it (with the selection if it is selected)
+        const point = this.pickPoint(position);
+        if (point) {
+            this.handlePointDrag(point, position);
+            return;
+        }
+        
+        // Clicking elsewhere clears the selection
+        this.setSelection(new Set());
+        
         // Get current touch state
         const wasTouch = this.isTouch;
         this.isTouch = true;
         
         // Process only at the moment touch begins
         if (!wasTouch) {
-            // Get mouse coordinates
-            const rect = this.container.getBoundingClientRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
-            
-            // Play feedback sound
-            if (this.audioManager) {
-                this.audioManager.play('touch');
-            }
-            
-            // Add new point at touch location
-            const newPoint = this.pointManager.addPoint(x, y);
-            
-            // Apply repulsion to other points
-            this.pointManager.applyRepulsion(newPoint);
+            this.addPointAt(position);
         }
         
         // Listener to handle mouse up event only once
@@ -90,44 +161,539 @@ class InputHandler {
     }
     
     /**
-     * Handle touch start event
+     * Handle a shift-drag that draws a constraint segment
+     * @param {MouseEvent} event - Mouse down event starting the drag
+     */
+    handleSegmentDrag(event) {
+        const rect = this.container.getBoundingClientRect();
+        const startX = event.clientX - rect.left;
+        const startY = event.clientY - rect.top;
+        
+        // Listener to handle mouse up event only once
+        const handleMouseUp = (upEvent) => {
+            document.removeEventListener('mouseup', handleMouseUp);
+            
+            const endX = upEvent.clientX - rect.left;
+            const endY = upEvent.clientY - rect.top;
+            
+            // Add the segment and rebuild the triangulation around it
+            const start = this.toWorld(startX, startY);
+            const end = this.toWorld(endX, endY);
+            if (this.operationHistory.record('add', () => this.pointManager.addSegment(start.x, start.y, end.x, end.y))) {
+                if (this.audioManager) {
+                    this.audioManager.play('touch');
+                }
+                this.triangulation.calculate();
+            }
+        };
+        
+        document.addEventListener('mouseup', handleMouseUp);
+    }
+    
+    /**
+     * Handle a drag that moves a point, or all selected points if it is selected
+     * @param {Point} point - Point under the cursor
+     * @param {Object} start - Scene position where the drag started ({x, y})
+     */
+    handlePointDrag(point, start) {
+        const points = this.selectedPoints.has(point) ? this.getSelectedPoints() : [point];
+        this.pointManager.holdPoints(points);
+        const move = this.operationHistory.beginMove(points);
+        
+        let last = start;
+        const handleMouseMove = (moveEvent) => {
+            const position = this.getEventPosition(moveEvent);
+            this.pointManager.movePoints(points, position.x - last.x, position.y - last.y);
+            last = position;
+        };
+        
+        // Listener to handle mouse up event only once
+        const handleMouseUp = () => {
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+            this.pointManager.releasePoints(points);
+            this.operationHistory.endMove(move);
+        };
+        
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    }
+    
+    /**
+     * Handle a ctrl-drag that selects the points inside a rectangle
+     * @param {Object} start - Scene position where the drag started ({x, y})
+     */
+    handleBoxSelect(start) {
+        let end = start;
+        const handleMouseMove = (moveEvent) => {
+            end = this.getEventPosition(moveEvent);
+            if (this.selectionRenderer) {
+                this.selectionRenderer.showBox(start, end);
+            }
+        };
+        
+        // Listener to handle mouse up event only once
+        const handleMouseUp = () => {
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+            if (this.selectionRenderer) {
+                this.selectionRenderer.hideBox();
+            }
+            this.setSelection(new Set(this.pointManager.findPointsInRect(start.x, start.y, end.x, end.y)));
+        };
+        
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    }
+    
+    /**
+     * Handle mouse move event over the container (hover highlight and cursor position for the forces)
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+        const position = this.getEventPosition(event);
+        this.pointManager.forces.setCursor(position);
+        
+        const point = this.pickPoint(position);
+        if (point !== this.hoveredPoint) {
+            this.hoveredPoint = point;
+            this.updateHighlight();
+        }
+    }
+    
+    /**
+     * Handle mouse leave event (cursor-driven forces stop acting)
+     */
+    handleMouseLeave() {
+        this.pointManager.forces.setCursor(null);
+    }
+    
+    /**
+     * Handle context menu event (right-click deletes the point under the cursor)
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleContextMenu(event) {
+        event.preventDefault();
+        
+        const point = this.pickPoint(this.getEventPosition(event));
+        if (point) {
+            this.deletePoints(this.selectedPoints.has(point) ? this.getSelectedPoints() : [point]);
+        }
+    }
+    
+    /**
+     * Handle touch start event.
+     * Every finger is tracked by its identifier: a finger on a point drags it
+     * (holding it still deletes it), a finger elsewhere adds a point and drags
+     * it, and two fingers landing close together pan and zoom the view.
      * @param {TouchEvent} event - Touch event
      */
     handleTouchStart(event) {
         // Prevent default scroll behavior
         event.preventDefault();
         
-        // Get current touch state
-        const wasTouch = this.isTouch;
-        this.isTouch = true;
+        for (const touch of event.changedTouches) {
+            this.startContact(touch);
+        }
+    }
+    
+    /**
+     * Start tracking a new finger
+     * @param {Touch} touch - New touch
+     */
+    startContact(touch) {
+        const position = this.getEventPosition(touch);
+        const point = this.pickPoint(position);
+        const free = point && !this.pointManager.heldPoints.has(point);
+        const contact = this.touchContacts.start(touch.identifier, touch.clientX, touch.clientY, !free, {
+            last: position, // Last scene position
+            point: null, // Point moved by this finger
+            move: null, // Recorded move of the point
+            moved: false, // Whether the finger moved beyond the long press tolerance
+            longPressTimer: null
+        });
         
-        // Process only at the moment touch begins
-        if (!wasTouch) {
-            // Get first touch point coordinates
-            const touch = event.touches[0];
-            const rect = this.container.getBoundingClientRect();
-            const x = touch.clientX - rect.left;
-            const y = touch.clientY - rect.top;
+        // Touching a free point drags it, holding it still deletes it
+        if (free) {
+            contact.point = point;
+            contact.move = this.operationHistory.beginMove([point]);
+            this.pointManager.holdPoints([point]);
+            contact.longPressTimer = setTimeout(() => {
+                contact.longPressTimer = null;
+                this.pointManager.releasePoints([point]);
+                contact.point = null;
+                this.deletePoints([point]);
+            }, EditConstants.LONG_PRESS_DURATION);
+        }
+    }
+    
+    /**
+     * Add a point under a finger (the finger then drags it)
+     * @param {Object} contact - Finger state
+     */
+    addContactPoint(contact) {
+        const newPoint = this.addPointAt(contact.last);
+        if (!newPoint) return;
+        
+        contact.point = newPoint;
+        contact.move = this.operationHistory.beginMove([newPoint]);
+        contact.moved = true; // A new point is not deleted by holding
+        this.pointManager.holdPoints([newPoint]);
+    }
+    
+    /**
+     * Add a point (recorded in the history)
+     * @param {Object} position - Scene position ({x, y})
+     * @returns {Point|null} The added point, or null when fixed points fill points.maxPoints
+     */
+    addPointAt(position) {
+        // Add new point and apply repulsion to other points
+        const newPoint = this.operationHistory.record('add', () => {
+            const point = this.pointManager.addPoint(position.x, position.y);
+            if (point) {
+                this.pointManager.applyRepulsion(point);
+            }
+            return point;
+        });
+        if (!newPoint) return null;
+        
+        // Play feedback sound
+        if (this.audioManager) {
+            this.audioManager.play('touch');
+        }
+        return newPoint;
+    }
+    
+    /**
+     * Handle touch move event
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchMove(event) {
+        event.preventDefault();
+        
+        for (const touch of event.changedTouches) {
+            const contact = this.touchContacts.move(touch.identifier, touch.clientX, touch.clientY);
+            if (!contact) continue;
+            
+            const position = this.getEventPosition(touch);
             
-            // Play feedback sound
-            if (this.audioManager) {
-                this.audioManager.play('touch');
+            // Small movements still count as pressing
+            if (!contact.moved) {
+                if (Math.hypot(contact.clientX - contact.startX, contact.clientY - contact.startY) < EditConstants.LONG_PRESS_TOLERANCE) continue;
+                contact.moved = true;
+                clearTimeout(contact.longPressTimer);
+                contact.longPressTimer = null;
             }
             
-            // Add new point at touch location
-            const newPoint = this.pointManager.addPoint(x, y);
+            if (contact.point) {
+                this.pointManager.movePoints([contact.point], position.x - contact.last.x, position.y - contact.last.y);
+            }
+            contact.last = position;
+        }
+        
+        if (this.touchContacts.gesture) {
+            this.updateGesture();
+        }
+    }
+    
+    /**
+     * Handle touch end and cancel events
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchEnd(event) {
+        for (const touch of event.changedTouches) {
+            // A quick tap adds its point right away
+            const contact = this.touchContacts.end(touch.identifier, event.type === 'touchend');
+            if (!contact) continue;
+            clearTimeout(contact.longPressTimer);
             
-            // Apply repulsion to other points
-            this.pointManager.applyRepulsion(newPoint);
+            if (contact.point) {
+                this.pointManager.releasePoints([contact.point]);
+                this.operationHistory.endMove(contact.move);
+            }
         }
+    }
+    
+    /**
+     * Pan the view with the center of the fingers and zoom with their distance
+     */
+    updateGesture() {
+        const gesture = this.touchContacts.gesture;
+        const [a, b] = gesture.contacts;
+        const current = this.touchContacts.measureGesture(a, b);
+        if (this.viewController) {
+            const rect = this.container.getBoundingClientRect();
+            this.viewController.pan(current.centerX - gesture.centerX, current.centerY - gesture.centerY);
+            this.viewController.zoomAt(current.distance / gesture.distance, current.centerX - rect.left, current.centerY - rect.top);
+            this.voronoiRenderer.update();
+        }
+        Object.assign(gesture, current);
+    }
+    
+    /**
+     * Delete points and update the selection
+     * @param {Array<Point>} points - Points to delete
+     */
+    deletePoints(points) {
+        if (points.length === 0) return;
         
-        // Listener to handle touch end event only once
-        const handleTouchEnd = () => {
-            this.isTouch = false;
-            document.removeEventListener('touchend', handleTouchEnd);
-        };
+        this.operationHistory.record('remove', () => this.pointManager.removePoints(points));
+        for (const point of points) {
+            this.selectedPoints.delete(point);
+        }
+        if (points.includes(this.hoveredPoint)) {
+            this.hoveredPoint = null;
+        }
+        this.updateHighlight();
         
-        document.addEventListener('touchend', handleTouchEnd);
+        // Play feedback sound
+        if (this.audioManager) {
+            this.audioManager.play('touch');
+        }
+    }
+    
+    /**
+     * Replace the selected points
+     * @param {Set<Point>} points - Points to select
+     */
+    setSelection(points) {
+        this.selectedPoints = points;
+        this.updateHighlight();
+    }
+    
+    /**
+     * Get the selected points that still exist
+     * @returns {Array<Point>} Selected points
+     */
+    getSelectedPoints() {
+        return this.pointManager.getPoints().filter(point => this.selectedPoints.has(point));
+    }
+    
+    /**
+     * Show the hovered and selected points
+     */
+    updateHighlight() {
+        if (this.pointRenderer) {
+            this.pointRenderer.setHighlight(this.hoveredPoint, this.selectedPoints);
+        }
+    }
+    
+    /**
+     * Find the point under a position
+     * @param {Object} position - Scene position ({x, y})
+     * @returns {Point|null} Closest point within the pick distance, or null
+     */
+    pickPoint(position) {
+        return this.pointManager.findNearestPoint(position.x, position.y, EditConstants.PICK_DISTANCE);
+    }
+    
+    /**
+     * Get the scene position of a mouse event or touch
+     * @param {MouseEvent|Touch} event - Mouse event or touch
+     * @returns {Object} Scene coordinates as {x, y}
+     */
+    getEventPosition(event) {
+        const rect = this.container.getBoundingClientRect();
+        return this.toWorld(event.clientX - rect.left, event.clientY - rect.top);
+    }
+    
+    /**
+     * Create the built-in keyboard commands
+     */
+    registerDefaultCommands() {
+        this.registerCommand('toggleDelaunay', 'Toggle Delaunay edges', () => {
+            this.triangulationRenderer.setVisible(!this.triangulationRenderer.visible);
+        });
+        this.registerCommand('toggleVoronoi', 'Toggle Voronoi diagram', () => {
+            this.voronoiRenderer.setVisible(!this.voronoiRenderer.visible);
+        });
+        this.registerCommand('toggleFlipAnimation', 'Toggle the edge flip animation', () => {
+            this.triangulationRenderer.setAnimateFlips(!this.triangulationRenderer.animateFlips);
+        });
+        this.registerCommand('toggleVoronoiFill', 'Toggle Voronoi cell fill', () => {
+            this.voronoiRenderer.setFillEnabled(!this.voronoiRenderer.fillEnabled);
+        });
+        this.registerCommand('downloadScene', 'Download the scene as a file', () => this.sceneStorage.download());
+        this.registerCommand('uploadScene', 'Open a scene file', () => this.sceneStorage.upload());
+        this.registerCommand('copyLink', 'Copy a link to the scene', () => this.sceneStorage.copyLink());
+        this.registerCommand('exportSvg', 'Export the triangulation as SVG', () => this.imageExporter.exportSvg());
+        this.registerCommand('exportPng', 'Export the triangulation as PNG', () => this.imageExporter.promptPngExport());
+        this.registerCommand('exportMesh', 'Export the triangulation as a mesh', () => this.meshDownloader.promptExport());
+        this.registerCommand('resetView', 'Reset the panned and zoomed view', () => {
+            this.viewController.reset();
+            this.voronoiRenderer.update();
+        });
+        this.registerCommand('clearAll', 'Remove all points and segments', () => {
+            this.operationHistory.record('clear', () => this.pointManager.clear());
+            this.setSelection(new Set());
+            this.triangulation.calculate();
+        });
+        this.registerCommand('undo', 'Undo the last edit', () => this.operationHistory.undo());
+        this.registerCommand('redo', 'Redo the last undone edit', () => this.operationHistory.redo());
+        this.registerCommand('deleteSelection', 'Delete the selected points', () => this.deletePoints(this.getSelectedPoints()));
+        this.registerCommand('clearSelection', 'Clear the selection', () => this.setSelection(new Set()));
+    }
+    
+    /**
+     * Add or replace a keyboard command
+     * @param {string} name - Command name used in key bindings
+     * @param {string} description - Description of the command
+     * @param {Function} run - Function running the command
+     */
+    registerCommand(name, description, run) {
+        this.commands.set(name, { description: description, run: run });
+    }
+    
+    /**
+     * Bind a key to a command and save the remapped keys
+     * @param {string} key - Key as returned by getKeyName() (e.g. "Ctrl+z")
+     * @param {string|null} command - Command name, or null to unbind the key
+     */
+    bindKey(key, command) {
+        this.setKeyBinding(key, command);
+        this.saveKeyBindings();
+    }
+    
+    /**
+     * Bind a key to a command without saving
+     * @param {string} key - Key name
+     * @param {string|null} command - Command name, or null to unbind the key
+     */
+    setKeyBinding(key, command) {
+        if (command === null) {
+            delete this.keyBindings[key];
+        } else {
+            this.keyBindings[key] = command;
+        }
+    }
+    
+    /**
+     * Go back to the default key bindings and forget the saved ones
+     */
+    resetKeyBindings() {
+        this.keyBindings = Object.assign({}, KeyConstants.BINDINGS);
+        this.saveKeyBindings();
+    }
+    
+    /**
+     * Apply the remapped keys saved in localStorage
+     */
+    loadKeyBindings() {
+        try {
+            const bindings = JSON.parse(localStorage.getItem(KeyConstants.STORAGE_KEY) || '{}');
+            for (const [key, command] of Object.entries(bindings)) {
+                if (typeof command === 'string' || command === null) {
+                    this.setKeyBinding(key, command);
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load key bindings:', e);
+        }
+    }
+    
+    /**
+     * Save the keys that differ from the defaults in localStorage
+     * (as read by loadKeyBindings(): {key: command or null})
+     */
+    saveKeyBindings() {
+        const remapped = {};
+        for (const [key, command] of Object.entries(this.keyBindings)) {
+            if (KeyConstants.BINDINGS[key] !== command) {
+                remapped[key] = command;
+            }
+        }
+        for (const key of Object.keys(KeyConstants.BINDINGS)) {
+            if (!(key in this.keyBindings)) {
+                remapped[key] = null;
+            }
+        }
+        
+        try {
+            if (Object.keys(remapped).length > 0) {
+                localStorage.setItem(KeyConstants.STORAGE_KEY, JSON.stringify(remapped));
+            } else {
+                localStorage.removeItem(KeyConstants.STORAGE_KEY);
+            }
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    }
+    
+    /**
+     * Get the bound keys with their commands
+     * @returns {Array<Object>} Bindings as {key, command, description}
+     */
+    getKeyBindings() {
+        return Object.entries(this.keyBindings).map(([key, command]) => ({
+            key: key,
+            command: command,
+            description: this.commands.has(command) ? this.commands.get(command).description : ''
+        }));
+    }
+    
+    /**
+     * Get the commands with the keys bound to them
+     * @returns {Array<Object>} Commands as {command, description, keys}
+     */
+    getCommands() {
+        return Array.from(this.commands, ([command, { description }]) => ({
+            command: command,
+            description: description,
+            keys: Object.keys(this.keyBindings).filter(key => this.keyBindings[key] === command)
+        }));
+    }
+    
+    /**
+     * Get the name of a pressed key with its modifiers
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {string} Key name such as "d", "Ctrl+Shift+z" or "Space"
+     */
+    getKeyName(event) {
+        let key = event.key === ' ' ? 'Space' : event.key;
+        if (key.length === 1) {
+            key = key.toLowerCase();
+        }
+        
+        const modifiers = [];
+        if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey) modifiers.push('Shift');
+        return modifiers.concat(key).join('+');
+    }
+    
+    /**
+     * Handle key down event (runs the command bound to the key)
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        // Keys typed into form fields (e.g. the settings panel) are not commands
+        const tagName = event.target ? event.target.tagName : '';
+        if (tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA') return;
+        
+        const command = this.commands.get(this.keyBindings[this.getKeyName(event)]);
+        if (!command) return;
+        
+        // Keep the browser from acting on the key too (e.g. scrolling on space)
+        event.preventDefault();
+        command.run();
+    }
+    
+    /**
+     * Convert screen coordinates to scene coordinates (origin at the screen center, y up)
+     * @param {number} x - X coordinate on screen
+     * @param {number} y - Y coordinate on screen
+     * @returns {Object} Scene coordinates as {x, y}
+     */
+    toWorld(x, y) {
+        // Follow the panned and zoomed view
+        if (this.viewController) {
+            return this.viewController.toWorld(x, y);
+        }
+        
+        return {
+            x: x - window.innerWidth / 2,
+            y: window.innerHeight / 2 - y
+        };
     }
     
     /**
@@ -135,7 +701,7 @@ class InputHandler {
      * @returns {boolean} true if currently touching
      */
     isTouching() {
-        return this.isTouch;
+        return this.isTouch || this.touchContacts.size > 0;
     }
     
     /**
@@ -144,5 +710,11 @@ class InputHandler {
     dispose() {
         // Remove event listeners
         this.removeEventListeners();
+        
+        // Stop pending touch timers
+        for (const contact of this.touchContacts.contacts.values()) {
+            clearTimeout(contact.longPressTimer);
+        }
+        this.touchContacts.clear();
     }
 }
@@ -0,0 +1,143 @@
+import { DisplayConstants } from './core/Constants.js';
+
+/**
+ * Class holding many line segments in a single dynamic Three.js buffer
+ * (one draw call, buffers are reused between frames and grow when needed)
+ */
+export class LineBuffer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {Object} [options] - Buffer options
+     * @param {number} [options.color] - Color of all segments (per-vertex colors if omitted)
+     * @param {number} [options.z=0] - Z-coordinate of all segments
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.z = options.z || 0;
+        this.vertexColors = options.color === undefined;
+        this.capacity = 0; // Number of segments the buffers can hold
+        this.count = 0; // Number of segments drawn
+        this.visible = true;
+        
+        // Constants
+        this.INITIAL_CAPACITY = 256;
+        
+        this.material = new THREE.LineBasicMaterial(this.vertexColors ?
+            { vertexColors: true, linewidth: DisplayConstants.LINE_THICKNESS } :
+            { color: options.color, linewidth: DisplayConstants.LINE_THICKNESS });
+        this.geometry = null;
+        this.line = null;
+        this.reserve(this.INITIAL_CAPACITY);
+    }
+    
+    /**
+     * Make room for a number of segments
+     * (the buffers are replaced by larger ones, the contents are not kept)
+     * @param {number} count - Number of segments
+     */
+    reserve(count) {
+        if (count <= this.capacity) return;
+        
+        let capacity = Math.max(this.capacity, this.INITIAL_CAPACITY);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+        
+        // A geometry cannot change its buffer sizes once uploaded, so replace it
+        if (this.line) {
+            this.scene.remove(this.line);
+            this.geometry.dispose();
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', this.createAttribute(capacity * 2));
+        if (this.vertexColors) {
+            this.geometry.setAttribute('color', this.createAttribute(capacity * 2));
+        }
+        this.geometry.setDrawRange(0, this.count * 2);
+        
+        this.line = new THREE.LineSegments(this.geometry, this.material);
+        this.line.frustumCulled = false; // Bounds change every frame
+        this.line.visible = this.visible;
+        this.scene.add(this.line);
+        this.capacity = capacity;
+    }
+    
+    /**
+     * Create a dynamic attribute with 3 components per vertex
+     * @param {number} vertexCount - Number of vertices
+     * @returns {THREE.BufferAttribute} Attribute
+     */
+    createAttribute(vertexCount) {
+        const attribute = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        return attribute;
+    }
+    
+    /**
+     * Set the number of segments to draw
+     * @param {number} count - Number of segments
+     */
+    setCount(count) {
+        this.reserve(count);
+        this.count = count;
+        this.geometry.setDrawRange(0, count * 2);
+    }
+    
+    /**
+     * Set the end points of a segment
+     * @param {number} i - Index of the segment
+     * @param {Object} a - Start point ({x, y})
+     * @param {Object} b - End point ({x, y})
+     */
+    setSegment(i, a, b) {
+        const positions = this.geometry.attributes.position.array;
+        const offset = i * 6;
+        positions[offset] = a.x;
+        positions[offset + 1] = a.y;
+        positions[offset + 2] = this.z;
+        positions[offset + 3] = b.x;
+        positions[offset + 4] = b.y;
+        positions[offset + 5] = this.z;
+    }
+    
+    /**
+     * Set the color of a segment
+     * @param {number} i - Index of the segment
+     * @param {THREE.Color} color - Color
+     */
+    setSegmentColor(i, color) {
+        const colors = this.geometry.attributes.color.array;
+        color.toArray(colors, i * 6);
+        color.toArray(colors, i * 6 + 3);
+    }
+    
+    /**
+     * Upload changed segments to the GPU
+     * @param {boolean} [colorsChanged=false] - Whether colors were changed too
+     */
+    commit(colorsChanged = false) {
+        this.geometry.attributes.position.needsUpdate = true;
+        if (colorsChanged && this.vertexColors) {
+            this.geometry.attributes.color.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Show or hide the segments
+     * @param {boolean} visible - Whether the segments are shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.line.visible = visible;
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.scene.remove(this.line);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,53 @@
+import { ExportConstants } from './core/Constants.js';
+import { MeshExporter } from './core/MeshExporter.js';
+import { DownloadUtils } from './DownloadUtils.js';
+
+/**
+ * Class for downloading the current triangulation as mesh files
+ */
+export class MeshDownloader {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     */
+    constructor(triangulation) {
+        this.triangulation = triangulation;
+        
+        // Writers of each format as [file extension, function] pairs
+        this.formats = {
+            obj: [['obj', mesh => MeshExporter.toObj(mesh)]],
+            ply: [['ply', mesh => MeshExporter.toPly(mesh)]],
+            node: [['node', mesh => MeshExporter.toNode(mesh)], ['ele', mesh => MeshExporter.toEle(mesh)]]
+        };
+    }
+    
+    /**
+     * Download the triangulation in a mesh format
+     * @param {string} format - Format name ("obj", "ply" or "node" for the .node/.ele pair)
+     * @returns {boolean} Whether the format is supported
+     */
+    export(format) {
+        const writers = this.formats[format];
+        if (!writers) {
+            console.warn(`Unknown mesh format: ${format}`);
+            return false;
+        }
+        
+        const mesh = MeshExporter.buildMesh(this.triangulation.triangles, this.triangulation.pointManager.transform);
+        for (const [extension, write] of writers) {
+            const blob = new Blob([write(mesh)], { type: 'text/plain' });
+            DownloadUtils.saveBlob(blob, `${ExportConstants.MESH_FILE_NAME}.${extension}`);
+        }
+        return true;
+    }
+    
+    /**
+     * Ask for the format and download the triangulation
+     */
+    promptExport() {
+        const answer = window.prompt('Mesh format (obj, ply, node)', 'obj');
+        if (answer === null) return;
+        
+        this.export(answer.trim().toLowerCase());
+    }
+}
@@ -0,0 +1,130 @@
+import { ImportConstants } from './core/Constants.js';
+import { PointFormats } from './core/PointFormats.js';
+
+/**
+ * Class for importing point files (CSV, GeoJSON or JSON, see PointFormats)
+ * opened with a file picker or dropped onto the page. Imported points replace
+ * the current ones and are fitted into the view; the transform is kept so
+ * exports are written in the file's units.
+ */
+export class PointImporter {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     * @param {OperationHistory} [operationHistory] - History recording imports (for undo)
+     */
+    constructor(pointManager, operationHistory = null) {
+        this.pointManager = pointManager;
+        this.operationHistory = operationHistory;
+        
+        // Store bound event handlers for later removal
+        this.boundOnDragOver = this.onDragOver.bind(this);
+        this.boundOnDrop = this.onDrop.bind(this);
+        window.addEventListener('dragover', this.boundOnDragOver);
+        window.addEventListener('drop', this.boundOnDrop);
+    }
+    
+    /**
+     * Let the user choose a point file and import it
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = ImportConstants.ACCEPT;
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+        });
+        input.click();
+    }
+    
+    /**
+     * Read and import a file
+     * @param {File} file - Point file
+     * @returns {Promise<number>} Number of imported points
+     */
+    importFile(file) {
+        return file.text().then(text => this.importText(text, file.name)).catch(e => {
+            console.warn('Could not import points:', e);
+            return 0;
+        });
+    }
+    
+    /**
+     * Import points from a file's text and report the problems found
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (its extension selects the format)
+     * @returns {number} Number of imported points
+     */
+    importText(text, fileName) {
+        const { records, errors } = PointFormats.parse(text, fileName);
+        if (records.length === 0) {
+            errors.push('No points found');
+            this.report(fileName, errors);
+            return 0;
+        }
+        
+        // Fit the points into the area the simulation keeps them in
+        const transform = PointFormats.fitTransform(records, window.innerWidth, window.innerHeight);
+        const importPoints = () => this.pointManager.importPoints(records, transform);
+        const imported = this.operationHistory ? this.operationHistory.record('import', importPoints) : importPoints();
+        
+        if (imported.length < records.length) {
+            errors.push(`Only the first ${imported.length} of ${records.length} points were imported (raise "Max points" to import more)`);
+        }
+        this.report(fileName, errors);
+        return imported.length;
+    }
+    
+    /**
+     * Show the problems of an import (all are logged, the first few are shown)
+     * @param {string} fileName - File name
+     * @param {Array<string>} errors - Problem messages
+     */
+    report(fileName, errors) {
+        if (errors.length === 0) return;
+        
+        for (const message of errors) {
+            console.warn(`${fileName}: ${message}`);
+        }
+        
+        const shown = errors.slice(0, ImportConstants.MAX_REPORTED_ERRORS);
+        if (errors.length > shown.length) {
+            shown.push(`... and ${errors.length - shown.length} more (see the console)`);
+        }
+        window.alert(`${fileName}: ${errors.length} problem(s)\n\n${shown.join('\n')}`);
+    }
+    
+    /**
+     * Accept files dragged over the page
+     * @param {DragEvent} event - Drag event
+     */
+    onDragOver(event) {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+    
+    /**
+     * Import a file dropped onto the page
+     * @param {DragEvent} event - Drop event
+     */
+    onDrop(event) {
+        const file = event.dataTransfer && event.dataTransfer.files[0];
+        if (!file) return;
+        
+        event.preventDefault();
+        this.importFile(file);
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        window.removeEventListener('dragover', this.boundOnDragOver);
+        window.removeEventListener('drop', this.boundOnDrop);
+    }
+}
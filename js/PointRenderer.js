@@ -0,0 +1,138 @@
+import { DisplayConstants, ConstraintConstants, RefinementConstants, EditConstants } from './core/Constants.js';
+
+/**
+ * Class for drawing points with Three.js
+ * (all points are instances of one mesh, fixed and Steiner points are colored per instance)
+ */
+export class PointRenderer {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(pointManager, scene) {
+        this.pointManager = pointManager;
+        this.scene = scene;
+        this.mesh = null;
+        this.capacity = 0; // Number of instances the mesh can hold
+        this.hoveredPoint = null; // Point under the cursor
+        this.selectedPoints = new Set(); // Points selected for editing
+        
+        // Geometry and material for points (the instance color sets the final color)
+        this.geometry = new THREE.CircleGeometry(DisplayConstants.POINT_RADIUS, 16);
+        this.material = new THREE.MeshBasicMaterial({ color: 0xFFFFFF });
+        
+        // Reused objects
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color(pointManager.settings.get('render.pointColor'));
+        this.fixedColor = new THREE.Color(ConstraintConstants.POINT_COLOR);
+        this.steinerColor = new THREE.Color(RefinementConstants.POINT_COLOR);
+        this.hoverColor = new THREE.Color(EditConstants.HOVER_COLOR);
+        this.selectedColor = new THREE.Color(EditConstants.SELECTED_COLOR);
+        
+        this.reserve(pointManager.settings.get('points.maxPoints'));
+        
+        // Recolor the points when their color setting changes
+        this.unsubscribeSettings = pointManager.settings.subscribe((key, value) => {
+            if (key === 'render.pointColor') {
+                this.color.setHex(value);
+                this.updateColors();
+            }
+        });
+    }
+    
+    /**
+     * Make room for a number of points
+     * @param {number} count - Number of points
+     */
+    reserve(count) {
+        if (count <= this.capacity) return;
+        
+        let capacity = Math.max(this.capacity, 1);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+        
+        // The instance buffers have a fixed size, so replace the mesh
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.frustumCulled = false; // Bounds of the instances are not tracked
+        this.mesh.count = 0;
+        this.scene.add(this.mesh);
+        this.capacity = capacity;
+    }
+    
+    /**
+     * Resize and recolor the instances to match the current points
+     */
+    rebuild() {
+        const points = this.pointManager.getPoints();
+        this.reserve(points.length);
+        this.mesh.count = points.length;
+        
+        this.updateColors();
+        this.update();
+    }
+    
+    /**
+     * Color the instances (hovered and selected points are highlighted)
+     */
+    updateColors() {
+        const points = this.pointManager.getPoints();
+        const count = Math.min(points.length, this.mesh.count);
+        for (let i = 0; i < count; i++) {
+            const point = points[i];
+            let color = point.steiner ? this.steinerColor : point.fixed ? this.fixedColor : this.color;
+            if (point === this.hoveredPoint) {
+                color = this.hoverColor;
+            } else if (this.selectedPoints.has(point)) {
+                color = this.selectedColor;
+            }
+            this.mesh.setColorAt(i, color);
+        }
+        if (this.mesh.instanceColor) {
+            this.mesh.instanceColor.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Set the highlighted points
+     * @param {Point|null} hoveredPoint - Point under the cursor
+     * @param {Set<Point>} selectedPoints - Points selected for editing
+     */
+    setHighlight(hoveredPoint, selectedPoints) {
+        this.hoveredPoint = hoveredPoint;
+        this.selectedPoints = selectedPoints;
+        this.updateColors();
+    }
+    
+    /**
+     * Move the instances to the current point positions
+     */
+    update() {
+        const points = this.pointManager.getPoints();
+        const count = Math.min(points.length, this.mesh.count);
+        for (let i = 0; i < count; i++) {
+            this.matrix.makeTranslation(points[i].x, points[i].y, 0);
+            this.mesh.setMatrixAt(i, this.matrix);
+        }
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        
+        // Dispose geometry and material
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,147 @@
+import { QualityConstants } from './core/Constants.js';
+import { MeshQuality } from './core/MeshQuality.js';
+import { ColorUtils } from './core/ColorUtils.js';
+
+/**
+ * Class for the on-screen panel showing the mesh quality: triangle counts
+ * and, per metric, the minimum, mean and maximum with a histogram.
+ * Registered as an overlay; while points move it refreshes at most every
+ * QualityConstants.HUD_INTERVAL milliseconds.
+ */
+export class QualityHud {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {Settings} settings - Runtime settings
+     * @param {HTMLElement} parent - Element the panel is added to
+     */
+    constructor(triangulation, settings, parent) {
+        this.triangulation = triangulation;
+        this.settings = settings;
+        this.rows = new Map(); // Metric name -> {element, stats, bars}
+        this.lastRefreshTime = -Infinity;
+        
+        this.element = document.createElement('div');
+        this.element.id = 'quality-hud';
+        this.summary = document.createElement('div');
+        this.element.appendChild(this.summary);
+        
+        for (const [metric, declaration] of Object.entries(MeshQuality.METRICS)) {
+            this.rows.set(metric, this.createRow(declaration));
+        }
+        parent.appendChild(this.element);
+        
+        this.setVisible(settings.get('analysis.showHud'));
+        this.unsubscribeSettings = settings.subscribe((key, value) => {
+            if (key === 'analysis.showHud') {
+                this.setVisible(value);
+            } else if (key === 'render.colorBy') {
+                this.refresh();
+            }
+        });
+    }
+    
+    /**
+     * Create the elements showing one metric
+     * @param {Object} declaration - Metric declaration (see MeshQuality.METRICS)
+     * @returns {Object} {element, stats, bars}
+     */
+    createRow(declaration) {
+        const element = document.createElement('div');
+        const title = document.createElement('div');
+        title.className = 'quality-title';
+        title.textContent = declaration.label;
+        const stats = document.createElement('div');
+        const histogram = document.createElement('div');
+        histogram.className = 'quality-histogram';
+        
+        const bars = [];
+        for (let i = 0; i < QualityConstants.HISTOGRAM_BINS; i++) {
+            const bar = document.createElement('span');
+            histogram.appendChild(bar);
+            bars.push(bar);
+        }
+        
+        element.appendChild(title);
+        element.appendChild(stats);
+        element.appendChild(histogram);
+        this.element.appendChild(element);
+        return { element, stats, bars };
+    }
+    
+    /**
+     * Refresh after the triangulation was recalculated
+     */
+    rebuild() {
+        this.refresh();
+    }
+    
+    /**
+     * Refresh while points move (throttled)
+     */
+    update() {
+        if (performance.now() - this.lastRefreshTime >= QualityConstants.HUD_INTERVAL) {
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Analyze the triangles and show the results
+     */
+    refresh() {
+        if (!this.visible) return;
+        this.lastRefreshTime = performance.now();
+        
+        const analysis = MeshQuality.analyze(this.triangulation.triangles);
+        this.summary.textContent = `${analysis.count} triangles, ${analysis.skinny} with an angle below ${QualityConstants.SKINNY_ANGLE}°`;
+        
+        const colorBy = this.settings.get('render.colorBy');
+        for (const [metric, row] of this.rows) {
+            const { min, max, mean, range, histogram } = analysis.metrics[metric];
+            row.element.className = metric === colorBy ? 'quality-metric selected' : 'quality-metric';
+            row.stats.textContent = analysis.count > 0
+                ? `min ${this.formatNumber(min)} / mean ${this.formatNumber(mean)} / max ${this.formatNumber(max)}`
+                : '-';
+            
+            // Bars scaled to the fullest bin, colored by the quality at the bin center
+            const fullest = Math.max(1, ...histogram);
+            histogram.forEach((count, i) => {
+                const center = range[0] + (range[1] - range[0]) * (i + 0.5) / histogram.length;
+                const bar = row.bars[i];
+                bar.style.height = `${100 * count / fullest}%`;
+                bar.style.backgroundColor = ColorUtils.toCssColor(ColorUtils.generateQualityColor(MeshQuality.normalize(metric, center, range)));
+                bar.title = String(count);
+            });
+        }
+    }
+    
+    /**
+     * Format a value for display
+     * @param {number} value - Value
+     * @returns {string} Value with three significant digits (large values rounded)
+     */
+    formatNumber(value) {
+        if (!Number.isFinite(value)) return value > 0 ? '∞' : '-';
+        return Math.abs(value) >= 1000 ? String(Math.round(value)) : String(Number(value.toPrecision(3)));
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} visible - Whether the panel is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.hidden = !visible;
+        this.refresh();
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
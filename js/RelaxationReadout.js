@@ -0,0 +1,72 @@
+/**
+ * Class for the on-screen line showing how far Lloyd relaxation is from a
+ * centroidal Voronoi tessellation (the mean and largest distance between the
+ * points and their cell centroids). Shown while the "lloyd" force is on;
+ * registered as an overlay so it follows every simulation step.
+ */
+export class RelaxationReadout {
+    /**
+     * Constructor
+     * @param {ForceRegistry} forces - Force registry running the relaxation
+     * @param {Settings} settings - Runtime settings
+     * @param {HTMLElement} parent - Element the readout is added to
+     */
+    constructor(forces, settings, parent) {
+        this.forces = forces;
+        this.settings = settings;
+        
+        this.element = document.createElement('div');
+        this.element.id = 'relaxation-readout';
+        parent.appendChild(this.element);
+        
+        this.refresh();
+        this.unsubscribeSettings = settings.subscribe(key => {
+            if (key === 'forces.lloyd') {
+                this.refresh();
+            }
+        });
+    }
+    
+    /**
+     * Refresh after the triangulation was recalculated
+     */
+    rebuild() {
+        this.refresh();
+    }
+    
+    /**
+     * Refresh while points move
+     */
+    update() {
+        this.refresh();
+    }
+    
+    /**
+     * Show the convergence of the relaxation
+     */
+    refresh() {
+        const enabled = this.forces.isEnabled('lloyd');
+        this.element.hidden = !enabled;
+        if (!enabled) return;
+        
+        const relaxation = this.forces.getState('lloyd');
+        if (!relaxation || relaxation.distance === null) {
+            this.element.textContent = 'Lloyd relaxation: waiting for the first step';
+            return;
+        }
+        
+        const status = relaxation.isConverged() ? 'converged' : 'relaxing';
+        this.element.textContent = `Lloyd relaxation (${status}): step ${relaxation.iterations}, ` +
+            `distance to centroids mean ${relaxation.distance.toFixed(2)} px / max ${relaxation.maxDistance.toFixed(2)} px`;
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
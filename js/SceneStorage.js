@@ -0,0 +1,191 @@
+import { StorageConstants } from './core/Constants.js';
+import { SceneFormat } from './core/SceneFormat.js';
+import { DownloadUtils } from './DownloadUtils.js';
+
+/**
+ * Class for saving and loading scenes
+ * (file download/upload, localStorage autosave and URL hash)
+ */
+export class SceneStorage {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {TriangulationRenderer} triangulationRenderer - Triangulation renderer
+     * @param {VoronoiRenderer} voronoiRenderer - Voronoi diagram renderer
+     * @param {OperationHistory} [operationHistory] - History recording loaded files (for undo)
+     */
+    constructor(pointManager, triangulation, triangulationRenderer, voronoiRenderer, operationHistory = null) {
+        this.pointManager = pointManager;
+        this.triangulation = triangulation;
+        this.triangulationRenderer = triangulationRenderer;
+        this.voronoiRenderer = voronoiRenderer;
+        this.operationHistory = operationHistory;
+        
+        // Autosave timer ID (for cancellation)
+        this.autosaveTimerId = null;
+        
+        // Store bound event handlers for later removal
+        this.boundSaveToStorage = this.saveToStorage.bind(this);
+    }
+    
+    /**
+     * Restore the initial scene (URL hash first, then the autosaved scene)
+     * and start autosaving
+     * @returns {boolean} Whether a scene was restored
+     */
+    init() {
+        const restored = this.loadFromHash() || this.loadFromStorage();
+        
+        this.autosaveTimerId = setInterval(this.boundSaveToStorage, StorageConstants.AUTOSAVE_INTERVAL);
+        window.addEventListener('beforeunload', this.boundSaveToStorage);
+        
+        return restored;
+    }
+    
+    /**
+     * Create a scene from the current state
+     * @returns {Object} Scene
+     */
+    createScene() {
+        return SceneFormat.serialize(this.pointManager, {
+            showDelaunay: this.triangulationRenderer.visible,
+            showVoronoi: this.voronoiRenderer.visible,
+            fillVoronoi: this.voronoiRenderer.fillEnabled
+        });
+    }
+    
+    /**
+     * Replace the current state with a scene
+     * @param {Object} scene - Validated scene
+     */
+    applyScene(scene) {
+        for (const message of SceneFormat.restore(scene, this.pointManager)) {
+            console.warn('Skipped scene setting:', message);
+        }
+        
+        // Apply display options present in the scene
+        const display = scene.display;
+        if (typeof display.showDelaunay === 'boolean') {
+            this.triangulationRenderer.setVisible(display.showDelaunay);
+        }
+        if (typeof display.showVoronoi === 'boolean') {
+            this.voronoiRenderer.visible = display.showVoronoi;
+        }
+        if (typeof display.fillVoronoi === 'boolean') {
+            this.voronoiRenderer.fillEnabled = display.fillVoronoi;
+        }
+        
+        this.triangulation.calculate();
+    }
+    
+    /**
+     * Download the current scene as a JSON file
+     */
+    download() {
+        const blob = new Blob([SceneFormat.stringify(this.createScene())], { type: 'application/json' });
+        DownloadUtils.saveBlob(blob, StorageConstants.FILE_NAME);
+    }
+    
+    /**
+     * Let the user choose a scene file and load it
+     */
+    upload() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                const scene = SceneFormat.parse(text);
+                if (this.operationHistory) {
+                    this.operationHistory.record('load', () => this.applyScene(scene));
+                } else {
+                    this.applyScene(scene);
+                }
+            }).catch(e => {
+                console.warn('Could not load scene file:', e);
+            });
+        });
+        input.click();
+    }
+    
+    /**
+     * Save the current scene to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(StorageConstants.STORAGE_KEY, JSON.stringify(this.createScene()));
+        } catch (e) {
+            console.warn('Could not save scene:', e);
+        }
+    }
+    
+    /**
+     * Load the scene saved in localStorage
+     * @returns {boolean} Whether a scene was loaded
+     */
+    loadFromStorage() {
+        try {
+            const text = localStorage.getItem(StorageConstants.STORAGE_KEY);
+            if (!text) return false;
+            
+            this.applyScene(SceneFormat.parse(text));
+            return true;
+        } catch (e) {
+            console.warn('Could not load saved scene:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Copy a link with the current scene in its hash
+     * (the address bar is left alone, so reloading keeps the autosaved scene)
+     * @returns {string} Link reproducing the scene
+     */
+    copyLink() {
+        const url = new URL(location.href);
+        url.hash = StorageConstants.HASH_PREFIX + SceneFormat.encode(this.createScene());
+        
+        const link = url.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).catch(e => {
+                console.warn('Could not copy link:', e);
+            });
+        }
+        return link;
+    }
+    
+    /**
+     * Load the scene encoded in the URL hash, then remove the hash so that a
+     * reload restores the autosaved edits instead of the linked scene
+     * @returns {boolean} Whether a scene was loaded
+     */
+    loadFromHash() {
+        const hash = location.hash.slice(1);
+        if (!hash.startsWith(StorageConstants.HASH_PREFIX)) return false;
+        
+        try {
+            this.applyScene(SceneFormat.decode(hash.slice(StorageConstants.HASH_PREFIX.length)));
+            return true;
+        } catch (e) {
+            console.warn('Could not load scene from URL:', e);
+            return false;
+        } finally {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        if (this.autosaveTimerId !== null) {
+            clearInterval(this.autosaveTimerId);
+            this.autosaveTimerId = null;
+        }
+        window.removeEventListener('beforeunload', this.boundSaveToStorage);
+    }
+}
@@ -0,0 +1,51 @@
+import { EditConstants } from './core/Constants.js';
+import { LineBuffer } from './LineBuffer.js';
+
+/**
+ * Class for drawing the box-select rectangle with Three.js
+ */
+export class SelectionRenderer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        // Constants
+        this.Z_OFFSET = 0.1; // Z-coordinate offset (drawn above everything else)
+        
+        this.boxLines = new LineBuffer(scene, { color: EditConstants.BOX_COLOR, z: this.Z_OFFSET });
+    }
+    
+    /**
+     * Show the rectangle between two corners
+     * @param {Object} start - First corner in scene coordinates ({x, y})
+     * @param {Object} end - Opposite corner in scene coordinates ({x, y})
+     */
+    showBox(start, end) {
+        const corners = [
+            { x: start.x, y: start.y },
+            { x: end.x, y: start.y },
+            { x: end.x, y: end.y },
+            { x: start.x, y: end.y }
+        ];
+        this.boxLines.setCount(4);
+        for (let i = 0; i < 4; i++) {
+            this.boxLines.setSegment(i, corners[i], corners[(i + 1) % 4]);
+        }
+        this.boxLines.commit();
+    }
+    
+    /**
+     * Hide the rectangle
+     */
+    hideBox() {
+        this.boxLines.setCount(0);
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.boxLines.dispose();
+    }
+}
@@ -0,0 +1,285 @@
+import { ColorUtils } from './core/ColorUtils.js';
+
+/**
+ * Class for the collapsible panel editing the runtime settings.
+ * The inputs are generated from the setting declarations and follow
+ * changes made elsewhere (e.g. by loading a scene). A "Keys" section
+ * remaps the keyboard commands: clicking a command's key button waits for
+ * the next key press.
+ */
+export class SettingsPanel {
+    /**
+     * Constructor
+     * @param {Settings} settings - Runtime settings
+     * @param {HTMLElement} parent - Element the panel is added to
+     * @param {InputHandler} [inputHandler] - Input handler whose keys are remapped
+     */
+    constructor(settings, parent, inputHandler = null) {
+        this.settings = settings;
+        this.inputHandler = inputHandler;
+        this.inputs = new Map(); // Setting key -> inputs showing its value
+        this.editedInput = null; // Input whose value is being applied
+        this.keyButtons = new Map(); // Command name -> button showing its keys
+        this.captureKeyHandler = null; // Keydown listener waiting for a new key
+        
+        this.element = document.createElement('details');
+        this.element.id = 'settings-panel';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Settings';
+        this.element.appendChild(summary);
+        
+        // One fieldset per group of settings
+        const groups = new Map();
+        for (const definition of settings.definitions.values()) {
+            if (!groups.has(definition.group)) {
+                const fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                legend.textContent = definition.group;
+                fieldset.appendChild(legend);
+                this.element.appendChild(fieldset);
+                groups.set(definition.group, fieldset);
+            }
+            groups.get(definition.group).appendChild(this.createRow(definition));
+        }
+        if (inputHandler) {
+            this.element.appendChild(this.createKeySection());
+        }
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => settings.reset());
+        this.element.appendChild(resetButton);
+        
+        parent.appendChild(this.element);
+        
+        // Show changes (the edited input keeps the text as typed)
+        this.unsubscribeSettings = settings.subscribe(key => this.showValue(key, this.editedInput));
+    }
+    
+    /**
+     * Create the label and inputs of a setting
+     * @param {Object} definition - Setting declaration
+     * @returns {HTMLElement} Row element
+     */
+    createRow(definition) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        const name = document.createElement('span');
+        name.textContent = definition.label;
+        row.appendChild(name);
+        
+        // Numbers get a slider and a field for exact values, choices a drop-down list
+        const types = {
+            number: ['range', 'number'],
+            boolean: ['checkbox'],
+            color: ['color'],
+            choice: ['select']
+        }[definition.type];
+        const inputs = types.map(type => {
+            const input = this.createInput(type, definition);
+            if (definition.type === 'number') {
+                input.min = definition.min;
+                input.max = definition.max;
+                input.step = definition.step;
+            }
+            input.addEventListener(type === 'checkbox' || type === 'select' ? 'change' : 'input', () => {
+                this.applyInput(definition.key, input);
+            });
+            row.appendChild(input);
+            return input;
+        });
+        
+        this.inputs.set(definition.key, inputs);
+        this.showValue(definition.key);
+        return row;
+    }
+    
+    /**
+     * Create an input element
+     * @param {string} type - Input type, or 'select' for a list of choices
+     * @param {Object} definition - Setting declaration
+     * @returns {HTMLInputElement|HTMLSelectElement} Input
+     */
+    createInput(type, definition) {
+        if (type !== 'select') {
+            const input = document.createElement('input');
+            input.type = type;
+            return input;
+        }
+        
+        const select = document.createElement('select');
+        for (const choice of definition.options) {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice;
+            select.appendChild(option);
+        }
+        return select;
+    }
+    
+    /**
+     * Apply the value of an input, marking the input if it is invalid
+     * @param {string} key - Setting key
+     * @param {HTMLInputElement} input - Changed input
+     */
+    applyInput(key, input) {
+        this.editedInput = input;
+        try {
+            const text = input.type === 'checkbox' ? String(input.checked) : input.value;
+            this.settings.set(key, this.settings.parse(key, text));
+            input.setCustomValidity('');
+        } catch (e) {
+            input.setCustomValidity(e.message);
+        } finally {
+            this.editedInput = null;
+        }
+    }
+    
+    /**
+     * Show the current value of a setting in its inputs
+     * @param {string} key - Setting key
+     * @param {HTMLInputElement} [except] - Input being edited (left as typed)
+     */
+    showValue(key, except = null) {
+        const value = this.settings.get(key);
+        for (const input of this.inputs.get(key) || []) {
+            if (input === except) continue;
+            
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.type === 'color') {
+                input.value = ColorUtils.toCssColor(value);
+            } else {
+                input.value = String(value);
+            }
+            input.setCustomValidity('');
+        }
+    }
+    
+    /**
+     * Create the section remapping the keys of the keyboard commands
+     * @returns {HTMLElement} Fieldset with one row per command
+     */
+    createKeySection() {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = 'Keys';
+        fieldset.appendChild(legend);
+        
+        for (const { command, description } of this.inputHandler.getCommands()) {
+            const row = document.createElement('div');
+            row.className = 'settings-row key-row';
+            const name = document.createElement('span');
+            name.textContent = description;
+            row.appendChild(name);
+            
+            const keyButton = document.createElement('button');
+            keyButton.type = 'button';
+            keyButton.title = 'Click, then press the new key (Escape cancels)';
+            keyButton.addEventListener('click', () => this.captureKey(command, keyButton));
+            row.appendChild(keyButton);
+            
+            const unbindButton = document.createElement('button');
+            unbindButton.type = 'button';
+            unbindButton.textContent = 'Clear';
+            unbindButton.title = 'Unbind the keys of this command';
+            unbindButton.addEventListener('click', () => {
+                this.stopKeyCapture();
+                this.unbindCommand(command);
+                this.showKeys();
+            });
+            row.appendChild(unbindButton);
+            
+            this.keyButtons.set(command, keyButton);
+            fieldset.appendChild(row);
+        }
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset keys';
+        resetButton.addEventListener('click', () => {
+            this.stopKeyCapture();
+            this.inputHandler.resetKeyBindings();
+            this.showKeys();
+        });
+        fieldset.appendChild(resetButton);
+        
+        this.showKeys();
+        return fieldset;
+    }
+    
+    /**
+     * Wait for the next key press and bind it to a command in place of its keys
+     * @param {string} command - Command name
+     * @param {HTMLButtonElement} button - Button showing the command's keys
+     */
+    captureKey(command, button) {
+        this.stopKeyCapture();
+        this.showKeys();
+        button.textContent = 'Press a key...';
+        // Space or Enter on the focused button would click it again
+        button.blur();
+        
+        this.captureKeyHandler = event => {
+            // Modifiers alone belong to the key pressed with them
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+            
+            // The key is not run as a command
+            event.preventDefault();
+            event.stopPropagation();
+            this.stopKeyCapture();
+            if (event.key !== 'Escape') {
+                this.unbindCommand(command);
+                this.inputHandler.bindKey(this.inputHandler.getKeyName(event), command);
+            }
+            this.showKeys();
+        };
+        window.addEventListener('keydown', this.captureKeyHandler, true);
+    }
+    
+    /**
+     * Stop waiting for a key press
+     */
+    stopKeyCapture() {
+        if (this.captureKeyHandler) {
+            window.removeEventListener('keydown', this.captureKeyHandler, true);
+            this.captureKeyHandler = null;
+        }
+    }
+    
+    /**
+     * Unbind the keys of a command
+     * @param {string} command - Command name
+     */
+    unbindCommand(command) {
+        for (const { key, command: bound } of this.inputHandler.getKeyBindings()) {
+            if (bound === command) {
+                this.inputHandler.bindKey(key, null);
+            }
+        }
+    }
+    
+    /**
+     * Show the keys bound to each command
+     */
+    showKeys() {
+        for (const { command, keys } of this.inputHandler.getCommands()) {
+            const button = this.keyButtons.get(command);
+            if (button) {
+                button.textContent = keys.length > 0 ? keys.join(', ') : 'none';
+            }
+        }
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.stopKeyCapture();
+        this.unsubscribeSettings();
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * Class holding many filled triangles in a single dynamic Three.js buffer
+ * with per-vertex colors (one draw call, buffers are reused between frames
+ * and grow when needed, like LineBuffer)
+ */
+export class TriangleBuffer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {Object} [options] - Buffer options
+     * @param {number} [options.opacity=1] - Opacity of all triangles
+     * @param {number} [options.z=0] - Z-coordinate of all triangles
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.z = options.z || 0;
+        this.capacity = 0; // Number of triangles the buffers can hold
+        this.count = 0; // Number of triangles drawn
+        this.visible = true;
+        
+        // Constants
+        this.INITIAL_CAPACITY = 256;
+        
+        const opacity = options.opacity === undefined ? 1 : options.opacity;
+        this.material = new THREE.MeshBasicMaterial({ vertexColors: true, transparent: opacity < 1, opacity: opacity });
+        this.geometry = null;
+        this.mesh = null;
+        this.reserve(this.INITIAL_CAPACITY);
+    }
+    
+    /**
+     * Make room for a number of triangles
+     * (the buffers are replaced by larger ones, the contents are not kept)
+     * @param {number} count - Number of triangles
+     */
+    reserve(count) {
+        if (count <= this.capacity) return;
+        
+        let capacity = Math.max(this.capacity, this.INITIAL_CAPACITY);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+        
+        // A geometry cannot change its buffer sizes once uploaded, so replace it
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.geometry.dispose();
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', this.createAttribute(capacity * 3));
+        this.geometry.setAttribute('color', this.createAttribute(capacity * 3));
+        this.geometry.setDrawRange(0, this.count * 3);
+        
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.frustumCulled = false; // Bounds change every frame
+        this.mesh.visible = this.visible;
+        this.scene.add(this.mesh);
+        this.capacity = capacity;
+    }
+    
+    /**
+     * Create a dynamic attribute with 3 components per vertex
+     * @param {number} vertexCount - Number of vertices
+     * @returns {THREE.BufferAttribute} Attribute
+     */
+    createAttribute(vertexCount) {
+        const attribute = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        return attribute;
+    }
+    
+    /**
+     * Set the number of triangles to draw
+     * @param {number} count - Number of triangles
+     */
+    setCount(count) {
+        this.reserve(count);
+        this.count = count;
+        this.geometry.setDrawRange(0, count * 3);
+    }
+    
+    /**
+     * Set the corners of a triangle
+     * @param {number} i - Index of the triangle
+     * @param {Object} a - First corner ({x, y})
+     * @param {Object} b - Second corner ({x, y})
+     * @param {Object} c - Third corner ({x, y})
+     */
+    setTriangle(i, a, b, c) {
+        const positions = this.geometry.attributes.position.array;
+        const offset = i * 9;
+        positions[offset] = a.x;
+        positions[offset + 1] = a.y;
+        positions[offset + 2] = this.z;
+        positions[offset + 3] = b.x;
+        positions[offset + 4] = b.y;
+        positions[offset + 5] = this.z;
+        positions[offset + 6] = c.x;
+        positions[offset + 7] = c.y;
+        positions[offset + 8] = this.z;
+    }
+    
+    /**
+     * Set the color of a triangle
+     * @param {number} i - Index of the triangle
+     * @param {THREE.Color} color - Color
+     */
+    setTriangleColor(i, color) {
+        const colors = this.geometry.attributes.color.array;
+        for (let j = 0; j < 3; j++) {
+            color.toArray(colors, i * 9 + 3 * j);
+        }
+    }
+    
+    /**
+     * Upload changed triangles to the GPU
+     */
+    commit() {
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.color.needsUpdate = true;
+    }
+    
+    /**
+     * Show or hide the triangles
+     * @param {boolean} visible - Whether the triangles are shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.mesh.visible = visible;
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
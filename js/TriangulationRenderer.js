@@ -0,0 +1,221 @@
+import { OverlayConstants, ConstraintConstants } from './core/Constants.js';
+import { ColorUtils } from './core/ColorUtils.js';
+import { LineBuffer } from './LineBuffer.js';
+
+/**
+ * Class for drawing the Delaunay triangulation with Three.js
+ * (all edges share one dynamic buffer colored per vertex)
+ */
+export class TriangulationRenderer {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(triangulation, scene) {
+        this.triangulation = triangulation;
+        this.scene = scene;
+        this.flipAnimations = []; // Edges being flipped
+        this.visible = OverlayConstants.SHOW_DELAUNAY;
+        this.animateFlips = OverlayConstants.ANIMATE_FLIPS;
+        
+        // Constants
+        this.Z_OFFSET = -0.1; // Z-coordinate offset (to control drawing order)
+        this.CONSTRAINT_Z_OFFSET = -0.05; // Z-coordinate offset of constraint segments
+        this.FLIP_Z_OFFSET = -0.08; // Z-coordinate offset of flip animations
+        
+        // Triangle edges (3 segments per triangle), constraint segments and flip animations
+        this.edgeLines = new LineBuffer(scene, { z: this.Z_OFFSET });
+        this.constraintLines = new LineBuffer(scene, { color: ConstraintConstants.SEGMENT_COLOR, z: this.CONSTRAINT_Z_OFFSET });
+        this.flipLines = new LineBuffer(scene, { z: this.FLIP_Z_OFFSET });
+        this.edgeLines.setVisible(this.visible);
+        this.flipLines.setVisible(this.visible);
+        
+        // Reused colors
+        this.color = new THREE.Color();
+        this.flipColor = new THREE.Color(OverlayConstants.FLIP_COLOR);
+        this.backgroundColor = new THREE.Color(); // Flipped edges fade into the background
+        
+        // Recolor when the coloring changes
+        this.unsubscribeSettings = triangulation.settings.subscribe(key => {
+            if (key === 'render.colorBy') {
+                this.updateColors();
+                this.edgeLines.commit(true);
+            }
+        });
+    }
+    
+    /**
+     * Redraw all triangles after the triangulation was recalculated
+     */
+    rebuild() {
+        // After edge flips only the replaced triangles need new colors
+        // (unless the buffer grew and lost its contents)
+        const capacity = this.edgeLines.capacity;
+        this.edgeLines.setCount(this.triangulation.triangles.length * 3);
+        const changed = this.triangulation.changedTriangles;
+        if (changed && capacity === this.edgeLines.capacity && this.triangulation.settings.get('render.colorBy') === 'pastel') {
+            this.updateColors(changed);
+        } else {
+            this.updateColors();
+        }
+        this.updateTrianglePositions(true);
+        this.updateConstraintSegments();
+        
+        // Animate the edges flipped by the last position update
+        if (this.animateFlips) {
+            for (const flip of this.triangulation.flips) {
+                this.addFlipAnimation(flip);
+            }
+        }
+    }
+    
+    /**
+     * Update drawn triangles to follow point movements
+     */
+    update() {
+        // Quality changes as the triangles deform
+        const colorsChanged = this.triangulation.settings.get('render.colorBy') !== 'pastel';
+        if (colorsChanged) {
+            this.updateColors();
+        }
+        this.updateTrianglePositions(colorsChanged);
+        
+        // Fixed endpoints can be dragged without changing the topology
+        this.updateConstraintSegments();
+    }
+    
+    /**
+     * Draw constraint segments on top of the triangles
+     */
+    updateConstraintSegments() {
+        const segments = this.triangulation.pointManager.getSegments();
+        this.constraintLines.setCount(segments.length);
+        segments.forEach((segment, i) => {
+            this.constraintLines.setSegment(i, segment.a, segment.b);
+        });
+        this.constraintLines.commit();
+    }
+    
+    /**
+     * Color each triangle's edges with the pastel color generated from its seed
+     * value, or by the quality metric chosen in the settings
+     * @param {Array<number>} [indices] - Indices of the triangles to color (all if omitted)
+     */
+    updateColors(indices = null) {
+        const triangles = this.triangulation.triangles;
+        const colorBy = this.triangulation.settings.get('render.colorBy');
+        if (indices) {
+            const colors = ColorUtils.getTriangleColors(indices.map(i => triangles[i]), colorBy);
+            indices.forEach((i, n) => this.setTriangleColor(i, colors[n]));
+        } else {
+            ColorUtils.getTriangleColors(triangles, colorBy).forEach((color, i) => this.setTriangleColor(i, color));
+        }
+    }
+    
+    /**
+     * Set the color of a triangle's edges
+     * @param {number} i - Index of the triangle
+     * @param {number} color - Color in hexadecimal format
+     */
+    setTriangleColor(i, color) {
+        this.color.setHex(color);
+        for (let j = 0; j < 3; j++) {
+            this.edgeLines.setSegmentColor(3 * i + j, this.color);
+        }
+    }
+    
+    /**
+     * Start animating a flipped edge
+     * @param {Object} flip - Flipped edge ({from: [Point, Point], to: [Point, Point]})
+     */
+    addFlipAnimation(flip) {
+        // The start time is taken on the first animation frame
+        this.flipAnimations.push({ flip: flip, startTime: null });
+    }
+    
+    /**
+     * Advance the flip animations: the old edge shrinks to its midpoint
+     * while the new edge grows from its midpoint, both fading out
+     * @param {number} time - Current time in milliseconds
+     */
+    updateFlipAnimations(time) {
+        if (this.flipAnimations.length === 0 && this.flipLines.count === 0) return;
+        
+        this.flipAnimations = this.flipAnimations.filter(animation => {
+            if (animation.startTime === null) {
+                animation.startTime = time;
+            }
+            return time - animation.startTime < OverlayConstants.FLIP_ANIMATION_DURATION;
+        });
+        
+        this.flipLines.setCount(this.flipAnimations.length * 2);
+        this.backgroundColor.setHex(this.triangulation.settings.get('render.backgroundColor'));
+        const start = { x: 0, y: 0 };
+        const end = { x: 0, y: 0 };
+        this.flipAnimations.forEach((animation, i) => {
+            const progress = (time - animation.startTime) / OverlayConstants.FLIP_ANIMATION_DURATION;
+            this.color.copy(this.flipColor).lerp(this.backgroundColor, progress);
+            
+            // Scale each edge about its midpoint
+            const edges = [[animation.flip.from, 1 - progress], [animation.flip.to, progress]];
+            edges.forEach(([[a, b], scale], j) => {
+                const midX = (a.x + b.x) / 2;
+                const midY = (a.y + b.y) / 2;
+                start.x = midX + (a.x - midX) * scale;
+                start.y = midY + (a.y - midY) * scale;
+                end.x = midX + (b.x - midX) * scale;
+                end.y = midY + (b.y - midY) * scale;
+                this.flipLines.setSegment(2 * i + j, start, end);
+                this.flipLines.setSegmentColor(2 * i + j, this.color);
+            });
+        });
+        this.flipLines.commit(true);
+    }
+    
+    /**
+     * Enable or disable the flip animation
+     * @param {boolean} enabled - Whether flipped edges are animated
+     */
+    setAnimateFlips(enabled) {
+        this.animateFlips = enabled;
+        if (!enabled) {
+            this.flipAnimations = [];
+            this.flipLines.setCount(0);
+        }
+    }
+    
+    /**
+     * Update triangle vertex positions (to follow point movements)
+     * @param {boolean} [colorsChanged=false] - Whether the edge colors were changed too
+     */
+    updateTrianglePositions(colorsChanged = false) {
+        this.triangulation.triangles.forEach(({ p1, p2, p3 }, i) => {
+            this.edgeLines.setSegment(3 * i, p1, p2);
+            this.edgeLines.setSegment(3 * i + 1, p2, p3);
+            this.edgeLines.setSegment(3 * i + 2, p3, p1);
+        });
+        this.edgeLines.commit(colorsChanged);
+    }
+    
+    /**
+     * Show or hide the triangle edges
+     * @param {boolean} visible - Whether the edges are shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.edgeLines.setVisible(visible);
+        this.flipLines.setVisible(visible);
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        this.edgeLines.dispose();
+        this.constraintLines.dispose();
+        this.flipLines.dispose();
+        this.flipAnimations = [];
+    }
+}
@@ -0,0 +1,78 @@
+import { ViewConstants } from './core/Constants.js';
+
+/**
+ * Class controlling the visible part of the scene (pan and zoom of the camera)
+ */
+export class ViewController {
+    /**
+     * Constructor
+     * @param {THREE.OrthographicCamera} camera - Camera showing the scene
+     */
+    constructor(camera) {
+        this.camera = camera;
+        this.centerX = 0; // Scene position shown at the screen center
+        this.centerY = 0;
+        this.zoom = 1;
+    }
+    
+    /**
+     * Convert screen coordinates to scene coordinates
+     * @param {number} x - X coordinate on screen
+     * @param {number} y - Y coordinate on screen
+     * @returns {Object} Scene coordinates as {x, y}
+     */
+    toWorld(x, y) {
+        return {
+            x: this.centerX + (x - window.innerWidth / 2) / this.zoom,
+            y: this.centerY + (window.innerHeight / 2 - y) / this.zoom
+        };
+    }
+    
+    /**
+     * Move the view with the fingers
+     * @param {number} dx - Screen movement in x direction (pixels)
+     * @param {number} dy - Screen movement in y direction (pixels, down)
+     */
+    pan(dx, dy) {
+        this.centerX -= dx / this.zoom;
+        this.centerY += dy / this.zoom;
+        this.apply();
+    }
+    
+    /**
+     * Zoom while keeping a screen position over the same scene position
+     * @param {number} factor - Zoom factor (greater than 1 zooms in)
+     * @param {number} x - X coordinate on screen
+     * @param {number} y - Y coordinate on screen
+     */
+    zoomAt(factor, x, y) {
+        const anchor = this.toWorld(x, y);
+        this.zoom = Math.min(ViewConstants.MAX_ZOOM, Math.max(ViewConstants.MIN_ZOOM, this.zoom * factor));
+        
+        // Move the center so the anchor stays under the screen position
+        const moved = this.toWorld(x, y);
+        this.centerX += anchor.x - moved.x;
+        this.centerY += anchor.y - moved.y;
+        this.apply();
+    }
+    
+    /**
+     * Show the whole scene again
+     */
+    reset() {
+        this.centerX = 0;
+        this.centerY = 0;
+        this.zoom = 1;
+        this.apply();
+    }
+    
+    /**
+     * Move the camera to the current view
+     */
+    apply() {
+        this.camera.position.x = this.centerX;
+        this.camera.position.y = this.centerY;
+        this.camera.zoom = this.zoom;
+        this.camera.updateProjectionMatrix();
+    }
+}
@@ -0,0 +1,125 @@
+import { OverlayConstants } from './core/Constants.js';
+import { ColorUtils } from './core/ColorUtils.js';
+import { LineBuffer } from './LineBuffer.js';
+import { TriangleBuffer } from './TriangleBuffer.js';
+
+/**
+ * Class for drawing the Voronoi diagram with Three.js
+ * (all cell outlines share one line buffer, all fills one triangle buffer)
+ */
+export class VoronoiRenderer {
+    /**
+     * Constructor
+     * @param {VoronoiDiagram} diagram - Voronoi diagram
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {ViewController} [viewController] - View controller (cells reach the edges of the panned and zoomed view)
+     */
+    constructor(diagram, scene, viewController = null) {
+        this.diagram = diagram;
+        this.scene = scene;
+        this.viewController = viewController;
+        this.cells = [];
+        
+        // Display options
+        this.visible = OverlayConstants.SHOW_VORONOI;
+        this.fillEnabled = OverlayConstants.FILL_VORONOI;
+        
+        // Constants
+        this.EDGE_Z_OFFSET = -0.15; // Z-coordinate offset of cell edges
+        this.FILL_Z_OFFSET = -0.2; // Z-coordinate offset of cell fills
+        
+        this.edgeLines = new LineBuffer(scene, { color: OverlayConstants.VORONOI_COLOR, z: this.EDGE_Z_OFFSET });
+        this.fills = new TriangleBuffer(scene, { opacity: OverlayConstants.VORONOI_FILL_OPACITY, z: this.FILL_Z_OFFSET });
+        
+        // Reused color
+        this.color = new THREE.Color();
+    }
+    
+    /**
+     * Recompute and draw all cells
+     */
+    rebuild() {
+        this.edgeLines.setVisible(this.visible);
+        this.fills.setVisible(this.visible && this.fillEnabled);
+        if (!this.visible) {
+            this.cells = [];
+            return;
+        }
+        this.cells = this.diagram.computeCells(window.innerWidth, window.innerHeight, { view: this.viewController });
+        
+        // Cell outlines
+        let edgeCount = 0;
+        for (const cell of this.cells) {
+            edgeCount += cell.polygon.length;
+        }
+        this.edgeLines.setCount(edgeCount);
+        let i = 0;
+        for (const { polygon } of this.cells) {
+            for (let j = 0; j < polygon.length; j++) {
+                this.edgeLines.setSegment(i++, polygon[j], polygon[(j + 1) % polygon.length]);
+            }
+        }
+        this.edgeLines.commit();
+        
+        if (this.fillEnabled) {
+            this.drawFills();
+        }
+    }
+    
+    /**
+     * Update cells to follow point movements or a change of the view
+     */
+    update() {
+        if (this.visible) {
+            this.rebuild();
+        }
+    }
+    
+    /**
+     * Fill each cell as a triangle fan (cells are convex) in the pastel color of its point
+     */
+    drawFills() {
+        let triangleCount = 0;
+        for (const cell of this.cells) {
+            triangleCount += cell.polygon.length - 2;
+        }
+        this.fills.setCount(triangleCount);
+        let i = 0;
+        for (const { point, polygon } of this.cells) {
+            this.color.setHex(ColorUtils.generatePastelColor(point.id));
+            for (let j = 1; j < polygon.length - 1; j++) {
+                this.fills.setTriangle(i, polygon[0], polygon[j], polygon[j + 1]);
+                this.fills.setTriangleColor(i, this.color);
+                i++;
+            }
+        }
+        this.fills.commit();
+    }
+    
+    /**
+     * Show or hide the diagram
+     * @param {boolean} visible - Whether the diagram is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.rebuild();
+    }
+    
+    /**
+     * Enable or disable per-cell fill colors
+     * @param {boolean} enabled - Whether cells are filled
+     */
+    setFillEnabled(enabled) {
+        this.fillEnabled = enabled;
+        this.rebuild();
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.edgeLines.dispose();
+        this.fills.dispose();
+        this.cells = [];
+    }
+}
@@ -0,0 +1,186 @@
+import { AudioConstants } from './Constants.js';
+
+/**
+ * Check an optional numeric option
+ * @param {Object} options - Effect options
+ * @param {string} key - Option name
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {boolean} [exclusiveMin=false] - Whether min itself is not allowed
+ * @throws {Error} If the option is set but not a number in the range
+ */
+function checkNumber(options, key, min, max, exclusiveMin = false) {
+    const value = options[key];
+    if (value === undefined) return;
+    
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${key} must be a number`);
+    }
+    if (value < min || (exclusiveMin && value === min) || value > max) {
+        if (max < Infinity) {
+            throw new RangeError(`${key} must be between ${min} and ${max}`);
+        }
+        throw new RangeError(`${key} must be ${exclusiveMin ? 'above' : 'at least'} ${min}`);
+    }
+}
+
+/**
+ * Check an optional option against a list of names
+ * @param {Object} options - Effect options
+ * @param {string} key - Option name
+ * @param {Array<string>} names - Allowed values
+ * @throws {Error} If the option is set to another value
+ */
+function checkName(options, key, names) {
+    if (options[key] !== undefined && !names.includes(options[key])) {
+        throw new Error(`${key} must be one of ${names.join(', ')}`);
+    }
+}
+
+/**
+ * Definitions of audio effects, independent of the Web Audio API.
+ * An effect definition is {type, options}; all times are in milliseconds.
+ * Options shared by all types: volume (0.0 to 1.0), pan (-1.0 left to 1.0
+ * right), duration (time until the release starts) and envelope
+ * ({attack, decay, sustain, release}).
+ * - oscillator: type (waveform), frequency
+ * - chord: type, frequency (root), intervals (semitones above the root)
+ * - sweep: type, frequency (start), endFrequency, curve (linear, exponential)
+ * - noise: filter (BiquadFilterNode type), frequency (of the filter), q
+ * - sample: buffer (decoded AudioBuffer), playbackRate
+ */
+export const AudioEffects = {
+    TYPES: ['oscillator', 'chord', 'sweep', 'noise', 'sample'],
+    WAVEFORMS: ['sine', 'square', 'sawtooth', 'triangle'],
+    FILTERS: ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'],
+    CURVES: ['linear', 'exponential'],
+    
+    /**
+     * Check an effect definition
+     * @param {Object} definition - Effect definition ({type, options})
+     * @throws {Error} If the definition is invalid
+     */
+    validate: function(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Effect definition must be an object');
+        }
+        if (!this.TYPES.includes(definition.type)) {
+            throw new Error(`Unknown effect type: ${definition.type}`);
+        }
+        this.validateOptions(definition.type, definition.options || {});
+    },
+    
+    /**
+     * Check the options of an effect
+     * @param {string} type - Effect type
+     * @param {Object} options - Effect options
+     * @throws {Error} If an option is invalid or a required option is missing
+     */
+    validateOptions: function(type, options) {
+        checkNumber(options, 'volume', 0, 1);
+        checkNumber(options, 'pan', -1, 1);
+        checkNumber(options, 'duration', 0, Infinity);
+        
+        if (options.envelope !== undefined) {
+            const envelope = options.envelope;
+            if (!envelope || typeof envelope !== 'object') {
+                throw new Error('envelope must be an object');
+            }
+            checkNumber(envelope, 'attack', 0, Infinity);
+            checkNumber(envelope, 'decay', 0, Infinity);
+            checkNumber(envelope, 'sustain', 0, 1);
+            checkNumber(envelope, 'release', 0, Infinity);
+        }
+        
+        switch (type) {
+            case 'oscillator':
+            case 'chord':
+            case 'sweep':
+                checkName(options, 'type', this.WAVEFORMS);
+                checkNumber(options, 'frequency', 0, Infinity, true);
+                break;
+            case 'noise':
+                checkName(options, 'filter', this.FILTERS);
+                checkNumber(options, 'frequency', 0, Infinity, true);
+                checkNumber(options, 'q', 0, Infinity);
+                break;
+            case 'sample':
+                if (!options.buffer || typeof options.buffer.duration !== 'number') {
+                    throw new Error('buffer must be a decoded audio buffer');
+                }
+                checkNumber(options, 'playbackRate', 0, Infinity, true);
+                break;
+        }
+        
+        if (type === 'chord' && options.intervals !== undefined) {
+            if (!Array.isArray(options.intervals) || options.intervals.length === 0 ||
+                !options.intervals.every(Number.isFinite)) {
+                throw new Error('intervals must be a non-empty list of numbers');
+            }
+        }
+        if (type === 'sweep') {
+            if (options.endFrequency === undefined) {
+                throw new Error('endFrequency is required');
+            }
+            checkNumber(options, 'endFrequency', 0, Infinity, true);
+            checkName(options, 'curve', this.CURVES);
+        }
+    },
+    
+    /**
+     * Combine the options of an effect with per-call overrides
+     * @param {Object} [options={}] - Effect options
+     * @param {Object} [overrides={}] - Options replacing those of the effect
+     * @returns {Object} New options (the envelope is merged key by key)
+     */
+    mergeOptions: function(options = {}, overrides = {}) {
+        const merged = { ...options, ...overrides };
+        if (options.envelope || overrides.envelope) {
+            merged.envelope = { ...options.envelope, ...overrides.envelope };
+        }
+        return merged;
+    },
+    
+    /**
+     * Calculate the frequencies of the voices of a chord
+     * @param {number} frequency - Root frequency in Hz
+     * @param {Array<number>} intervals - Semitones above the root
+     * @returns {Array<number>} Frequencies in Hz
+     */
+    getChordFrequencies: function(frequency, intervals) {
+        return intervals.map(semitones => frequency * Math.pow(2, semitones / 12));
+    },
+    
+    /**
+     * Calculate the breakpoints of an ADSR envelope. Releasing the note
+     * during the attack or decay starts the release from the level reached.
+     * @param {Object} [envelope] - {attack, decay, sustain, release}; missing values use the defaults
+     * @param {number} peak - Level at the end of the attack
+     * @param {number} duration - Time until the release starts
+     * @returns {Array<Object>} Breakpoints ({time, value}) to ramp through linearly, starting at 0
+     */
+    getEnvelope: function(envelope, peak, duration) {
+        const {
+            attack = AudioConstants.ENVELOPE_ATTACK,
+            decay = AudioConstants.ENVELOPE_DECAY,
+            sustain = AudioConstants.ENVELOPE_SUSTAIN,
+            release = AudioConstants.ENVELOPE_RELEASE
+        } = envelope || {};
+        const sustainLevel = peak * sustain;
+        const points = [{ time: 0, value: 0 }];
+        
+        if (duration <= attack) {
+            points.push({ time: duration, value: attack > 0 ? peak * duration / attack : peak });
+        } else {
+            points.push({ time: attack, value: peak });
+            if (duration <= attack + decay) {
+                points.push({ time: duration, value: peak + (sustainLevel - peak) * (duration - attack) / decay });
+            } else {
+                points.push({ time: attack + decay, value: sustainLevel });
+                points.push({ time: duration, value: sustainLevel });
+            }
+        }
+        points.push({ time: duration + release, value: 0 });
+        return points;
+    }
+};
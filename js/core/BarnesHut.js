@@ -0,0 +1,184 @@
+/**
+ * Quadtree approximating the gravity of many points (Barnes-Hut).
+ * Distant groups of points act as one mass at their center of mass, so the
+ * gravity on all points costs O(n log n) instead of O(n^2).
+ * All points have unit mass.
+ */
+export class BarnesHutTree {
+    /**
+     * Constructor
+     * @param {Array<Point>} points - Points attracting each other
+     */
+    constructor(points) {
+        this.root = null;
+        this.stack = []; // Reused traversal stack
+        
+        // Constants
+        this.LEAF_SIZE = 8; // Points a leaf holds before it is split
+        this.MAX_DEPTH = 32; // Deeper points share a leaf (e.g. points at the same position)
+        
+        this.build(points);
+    }
+    
+    /**
+     * Build the tree
+     * @param {Array<Point>} points - Points
+     */
+    build(points) {
+        if (points.length === 0) return;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const point of points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+        
+        // Square root cell slightly larger than the bounds
+        const halfSize = Math.max(maxX - minX, maxY - minY) / 2 + 1;
+        this.root = this.createNode((minX + maxX) / 2, (minY + maxY) / 2, halfSize);
+        for (const point of points) {
+            this.insert(this.root, point, 0);
+        }
+        this.computeMass(this.root);
+    }
+    
+    /**
+     * Create an empty cell
+     * @param {number} x - X coordinate of the center
+     * @param {number} y - Y coordinate of the center
+     * @param {number} halfSize - Half of the side length
+     * @returns {Object} Cell
+     */
+    createNode(x, y, halfSize) {
+        return { x: x, y: y, halfSize: halfSize, mass: 0, massX: 0, massY: 0, points: [], children: null };
+    }
+    
+    /**
+     * Insert a point below a cell, splitting occupied leaves
+     * @param {Object} node - Cell
+     * @param {Point} point - Point
+     * @param {number} depth - Depth of the cell
+     */
+    insert(node, point, depth) {
+        if (node.children === null) {
+            if (node.points.length < this.LEAF_SIZE || depth >= this.MAX_DEPTH) {
+                node.points.push(point);
+                return;
+            }
+            
+            // Split the leaf and move its points down
+            const half = node.halfSize / 2;
+            node.children = [
+                this.createNode(node.x - half, node.y - half, half),
+                this.createNode(node.x + half, node.y - half, half),
+                this.createNode(node.x - half, node.y + half, half),
+                this.createNode(node.x + half, node.y + half, half)
+            ];
+            for (const existing of node.points) {
+                this.insert(this.getChild(node, existing), existing, depth + 1);
+            }
+            node.points = [];
+        }
+        this.insert(this.getChild(node, point), point, depth + 1);
+    }
+    
+    /**
+     * Get the child cell containing a point
+     * @param {Object} node - Split cell
+     * @param {Point} point - Point
+     * @returns {Object} Child cell
+     */
+    getChild(node, point) {
+        return node.children[(point.x >= node.x ? 1 : 0) + (point.y >= node.y ? 2 : 0)];
+    }
+    
+    /**
+     * Sum the masses and centers of mass from the leaves up
+     * @param {Object} node - Cell
+     */
+    computeMass(node) {
+        if (node.children === null) {
+            for (const point of node.points) {
+                node.massX += point.x;
+                node.massY += point.y;
+            }
+            node.mass = node.points.length;
+        } else {
+            for (const child of node.children) {
+                this.computeMass(child);
+                node.massX += child.massX * child.mass;
+                node.massY += child.massY * child.mass;
+                node.mass += child.mass;
+            }
+        }
+        if (node.mass > 0) {
+            node.massX /= node.mass;
+            node.massY /= node.mass;
+        }
+    }
+    
+    /**
+     * Calculate the gravitational acceleration of a point (without the gravitational constant)
+     * @param {Point} target - Attracted point (excluded from the sources)
+     * @param {number} theta - Opening angle: cells smaller than theta times their distance are not opened
+     * @param {number} softening - Softening length
+     * @param {Object} out - Receives the acceleration as {x, y}
+     * @returns {Object} out
+     */
+    accumulate(target, theta, softening, out) {
+        out.x = 0;
+        out.y = 0;
+        if (!this.root) return out;
+        
+        const softeningSq = softening * softening;
+        const thetaSq = theta * theta;
+        let ax = 0;
+        let ay = 0;
+        
+        const stack = this.stack;
+        stack.length = 0;
+        stack.push(this.root);
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.mass === 0) continue;
+            
+            // Leaves attract point by point
+            if (node.children === null) {
+                for (const point of node.points) {
+                    if (point === target) continue;
+                    
+                    const dx = point.x - target.x;
+                    const dy = point.y - target.y;
+                    const distSq = dx * dx + dy * dy + softeningSq;
+                    if (distSq === 0) continue;
+                    
+                    const factor = 1 / (distSq * Math.sqrt(distSq));
+                    ax += dx * factor;
+                    ay += dy * factor;
+                }
+                continue;
+            }
+            
+            // Small or distant cells attract as one mass, others are opened
+            const dx = node.massX - target.x;
+            const dy = node.massY - target.y;
+            const size = node.halfSize * 2;
+            const distSq = dx * dx + dy * dy;
+            if (size * size < thetaSq * distSq) {
+                const softDistSq = distSq + softeningSq;
+                const factor = node.mass / (softDistSq * Math.sqrt(softDistSq));
+                ax += dx * factor;
+                ay += dy * factor;
+            } else {
+                const children = node.children;
+                stack.push(children[0], children[1], children[2], children[3]);
+            }
+        }
+        
+        out.x = ax;
+        out.y = ay;
+        return out;
+    }
+}
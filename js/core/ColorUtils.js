@@ -0,0 +1,65 @@
+import { MeshQuality } from './MeshQuality.js';
+
+/**
+ * Utility functions for color generation and manipulation
+ */
+export const ColorUtils = {
+    /**
+     * Generate a pastel color from a seed value
+     * @param {number} seed - Seed value
+     * @returns {number} Color in hexadecimal format
+     */
+    generatePastelColor: function(seed) {
+        // Generate pseudo-random numbers using seed
+        const r = ((seed * 1664525 + 1013904223) % 128) + 128; // range 128-255
+        const g = ((seed * 22695477 + 1) % 128) + 128; // range 128-255
+        const b = ((seed * 214013 + 2531011) % 128) + 128; // range 128-255
+        
+        // Convert RGB values to hexadecimal format
+        return (r << 16) | (g << 8) | b;
+    },
+    
+    /**
+     * Generate a color for a quality value, from red (worst) over yellow to green (best)
+     * @param {number} quality - Quality from 0 to 1
+     * @returns {number} Color in hexadecimal format
+     */
+    generateQualityColor: function(quality) {
+        // Hue from 0 to 120 degrees at fixed saturation and lightness (HSL to RGB)
+        const hue = Math.max(0, Math.min(1, quality)) * 120;
+        const saturation = 0.8;
+        const lightness = 0.55;
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const channel = n => {
+            const k = (n + hue / 30) % 12;
+            const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255);
+        };
+        return (channel(0) << 16) | (channel(8) << 8) | channel(4);
+    },
+    
+    /**
+     * Get the colors of triangles: generated pastel colors, or colors by a quality metric
+     * @param {Array<Triangle>} triangles - Triangles
+     * @param {string} colorBy - 'pastel' or a metric name (see MeshQuality.METRICS)
+     * @returns {Array<number>} Colors in hexadecimal format
+     */
+    getTriangleColors: function(triangles, colorBy) {
+        if (colorBy === 'pastel') {
+            return triangles.map(triangle => this.generatePastelColor(triangle.getColorSeed()));
+        }
+        
+        const values = triangles.map(triangle => MeshQuality.measure(triangle)[colorBy]);
+        const range = MeshQuality.getRange(colorBy, values);
+        return values.map(value => this.generateQualityColor(MeshQuality.normalize(colorBy, value, range)));
+    },
+    
+    /**
+     * Convert a color to CSS hexadecimal notation
+     * @param {number} color - Color in hexadecimal format
+     * @returns {string} Color as "#rrggbb"
+     */
+    toCssColor: function(color) {
+        return '#' + color.toString(16).padStart(6, '0');
+    }
+};
@@ -0,0 +1,231 @@
+// Display related constants
+export const DisplayConstants = {
+    POINT_RADIUS: 5,
+    LINE_THICKNESS: 2
+};
+
+// Audio feedback related constants
+export const AudioConstants = {
+    TONE_VOLUME: 0.2,
+    TONE_FREQUENCY: 659.26,
+    TONE_DURATION: 50,
+    // Default ADSR envelope (times in milliseconds, sustain as a fraction of the peak)
+    ENVELOPE_ATTACK: 5,
+    ENVELOPE_DECAY: 20,
+    ENVELOPE_SUSTAIN: 0.7,
+    ENVELOPE_RELEASE: 40,
+    NOISE_FILTER_FREQUENCY: 1000,
+    NOISE_FILTER_Q: 1
+};
+
+// Sonification related constants
+export const SonificationConstants = {
+    VOLUME: 0.1,
+    ROOT_FREQUENCY: 220, // A3
+    OCTAVES: 3,
+    SCALE: 'pentatonic',
+    MAX_VOICES: 8, // Notes sounding at the same time
+    NOTE_DURATION: 100, // Milliseconds until the release
+    NOTE_RELEASE: 150, // Milliseconds
+    SMALLEST_AREA_RATIO: 1e-5, // Triangle area relative to the view giving the highest note
+    LARGEST_AREA_RATIO: 0.1 // Triangle area relative to the view giving the lowest note
+};
+
+// Point behavior related constants
+export const PointConstants = {
+    MAX_POINTS: 1000
+};
+
+// Physics simulation related constants
+export const PhysicsConstants = {
+    FRICTION: 0.9,
+    BOUNCE_FACTOR: 0.5
+};
+
+// Simulation timing related constants
+export const SimulationConstants = {
+    TIME_STEP: 1000 / 60, // Milliseconds of one physics step (the forces are tuned for 60 steps per second)
+    MAX_STEPS_PER_FRAME: 5, // Time beyond this many steps is dropped (e.g. after the tab was hidden)
+    SEED: 1 // Default seed of the random number generator
+};
+
+// Brownian motion related constants
+export const BrownianConstants = {
+    STRENGTH: 0.2,
+    MAX_DISTANCE: 5.0,
+    RETURN_FORCE: 0.1
+};
+
+// Repulsion force related constants
+export const RepulsionConstants = {
+    RADIUS: 100.0,
+    STRENGTH: 5.0
+};
+
+// Force field related constants (accelerations are per simulation step)
+export const ForceConstants = {
+    GRAVITY_STRENGTH: 0.5, // Gravitational constant (all points have unit mass)
+    GRAVITY_SOFTENING: 10.0, // Softening length keeping close encounters finite
+    BARNES_HUT_THETA: 0.5, // Opening angle (larger is faster but less accurate)
+    DIRECT_GRAVITY_LIMIT: 256, // Up to this many points gravity is summed exactly
+    ATTRACTOR_STRENGTH: 1.0, // Negative values repel
+    ATTRACTOR_RADIUS: 200.0,
+    WIND_STRENGTH: 0.05,
+    WIND_DIRECTION: 0, // Degrees counter-clockwise from the +x axis
+    VORTEX_STRENGTH: 0.3, // Positive values turn counter-clockwise
+    VORTEX_RADIUS: 300.0,
+    DRAG_COEFFICIENT: 0.02,
+    SPRING_STIFFNESS: 0.05,
+    SPRING_DAMPING: 0.05,
+    SPRING_TEAR_STRAIN: 1.0, // Springs tear when stretched by this fraction of their rest length
+    LLOYD_RATE: 0.05, // Fraction of the way to the cell centroid moved per step
+    LLOYD_CONVERGED_DISTANCE: 0.1 // Pixels; relaxation counts as converged below this mean distance to the centroids
+};
+
+// Rendering related constants
+export const RenderConstants = {
+    BACKGROUND_COLOR: 0x000000,
+    POINT_COLOR: 0xFFFFFF
+};
+
+// Overlay related constants
+export const OverlayConstants = {
+    SHOW_DELAUNAY: true,
+    SHOW_VORONOI: false,
+    FILL_VORONOI: false,
+    VORONOI_COLOR: 0x66CCFF,
+    VORONOI_FILL_OPACITY: 0.35,
+    ANIMATE_FLIPS: false,
+    FLIP_ANIMATION_DURATION: 400, // Milliseconds
+    FLIP_COLOR: 0xFFFFFF
+};
+
+// Hull overlay related constants
+export const HullConstants = {
+    SHOW_CONVEX: false,
+    SHOW_ALPHA: false,
+    ALPHA: 80, // Largest circumradius (pixels) of the triangles in the alpha shape
+    CONVEX_COLOR: 0xFFCC33,
+    ALPHA_COLOR: 0x33FF99
+};
+
+// Mesh quality analysis related constants
+export const QualityConstants = {
+    HISTOGRAM_BINS: 12,
+    SKINNY_ANGLE: 20, // Degrees; triangles with a smaller angle count as skinny
+    HUD_INTERVAL: 250 // Milliseconds between updates while points move
+};
+
+// Mesh refinement related constants
+export const RefinementConstants = {
+    MIN_ANGLE: 20, // Degrees
+    MAX_MIN_ANGLE: 20.7, // Largest minimum angle target (degrees) for which Ruppert's algorithm is guaranteed to finish
+    MAX_AREA: 0, // 0 for no area limit
+    STEPS_PER_FRAME: 2, // Points inserted per animation frame
+    MIN_EDGE_LENGTH: 1, // Edges shorter than this are not split further (stops refinement near small input angles)
+    POINT_COLOR: 0xCC99FF
+};
+
+// Constraint segment related constants
+export const ConstraintConstants = {
+    SNAP_DISTANCE: 10,
+    MIN_LENGTH: 10,
+    POINT_COLOR: 0xFFCC00,
+    SEGMENT_COLOR: 0xFFCC00
+};
+
+// Point editing related constants
+export const EditConstants = {
+    PICK_DISTANCE: 12,
+    LONG_PRESS_DURATION: 500, // Milliseconds
+    LONG_PRESS_TOLERANCE: 8, // Movement in pixels that cancels a long press
+    HOVER_COLOR: 0xFF6699,
+    SELECTED_COLOR: 0x66FF99,
+    BOX_COLOR: 0xFFFFFF
+};
+
+// View control (pan and zoom) related constants
+export const ViewConstants = {
+    MIN_ZOOM: 0.25,
+    MAX_ZOOM: 8,
+    GESTURE_DELAY: 120, // Milliseconds a new touch waits for a second finger (0: no pan/zoom gestures, every touch adds a point at once)
+    GESTURE_DISTANCE: 150 // Maximum distance in pixels between the fingers of a gesture (taps farther apart add points)
+};
+
+// Undo/redo related constants
+export const HistoryConstants = {
+    MAX_ENTRIES: 100
+};
+
+// Keyboard command related constants
+export const KeyConstants = {
+    // Key -> command name (keys are written like "Ctrl+Shift+z", see InputHandler.getKeyName)
+    BINDINGS: {
+        'd': 'toggleDelaunay',
+        'v': 'toggleVoronoi',
+        'a': 'toggleFlipAnimation',
+        'f': 'toggleVoronoiFill',
+        's': 'downloadScene',
+        'o': 'uploadScene',
+        'Shift+o': 'importPoints',
+        'l': 'copyLink',
+        'e': 'exportSvg',
+        'p': 'exportPng',
+        'm': 'exportMesh',
+        'r': 'resetView',
+        'c': 'clearAll',
+        'Space': 'togglePause',
+        'n': 'stepFrame',
+        'q': 'toggleQualityHud',
+        'Shift+q': 'cycleQualityColors',
+        'g': 'generatePoints',
+        'i': 'refineMesh',
+        'Shift+i': 'removeSteinerPoints',
+        'h': 'toggleConvexHull',
+        'Shift+h': 'toggleAlphaShape',
+        'x': 'toggleLloyd',
+        'Ctrl+z': 'undo',
+        'Ctrl+Shift+z': 'redo',
+        'Ctrl+y': 'redo',
+        'Delete': 'deleteSelection',
+        'Backspace': 'deleteSelection',
+        'Escape': 'clearSelection'
+    },
+    STORAGE_KEY: 'threejs_delaunay.keys' // Remapped keys saved as JSON ({key: command or null})
+};
+
+// Scene save/load related constants
+export const StorageConstants = {
+    STORAGE_KEY: 'threejs_delaunay.scene',
+    AUTOSAVE_INTERVAL: 5000,
+    HASH_PREFIX: 'scene=',
+    FILE_NAME: 'delaunay-scene.json'
+};
+
+// Point generator related constants
+export const GeneratorConstants = {
+    TYPE: 'poissonDisk',
+    COUNT: 200,
+    SEED: 1,
+    MARGIN: 0.05, // Fraction of the view left free on each side of generated points
+    POISSON_DENSITY: 0.6, // Area per point relative to the squared disk radius (tuned to give about the count)
+    POISSON_ATTEMPTS: 30, // Candidates tried around a sample before it is retired
+    CLUSTERS: 5,
+    CLUSTER_SPREAD: 0.06 // Standard deviation of a cluster relative to the smaller side
+};
+
+// Point import related constants
+export const ImportConstants = {
+    MARGIN: 0.05, // Fraction of the view left free on each side of imported points
+    MAX_REPORTED_ERRORS: 10, // Problems listed in the import report (all are logged)
+    ACCEPT: '.csv,.tsv,.txt,.json,.geojson,text/csv,application/json,application/geo+json'
+};
+
+// Export related constants
+export const ExportConstants = {
+    SVG_FILE_NAME: 'delaunay.svg',
+    PNG_FILE_NAME: 'delaunay.png',
+    PNG_WIDTH: 3840,
+    PNG_MAX_WIDTH: 16384,
+    MESH_FILE_NAME: 'delaunay'
+};
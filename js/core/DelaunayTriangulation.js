@@ -0,0 +1,336 @@
+import { Triangle } from './Triangle.js';
+import { Triangulator } from './Triangulator.js';
+import { Settings } from './Settings.js';
+import { HullShapes } from './HullShapes.js';
+
+/**
+ * Class for managing Delaunay triangulation
+ */
+export class DelaunayTriangulation {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     * @param {Settings} [settings] - Runtime settings (those of the point manager if omitted)
+     */
+    constructor(pointManager, settings = pointManager.settings || new Settings()) {
+        this.pointManager = pointManager;
+        this.settings = settings;
+        this.triangles = [];
+        this.triangulator = null; // Triangulator used for the last calculation
+        this.triangulatedPoints = []; // Points in the order given to the triangulator
+        this.flips = []; // Edges flipped by the last position update
+        this.changedTriangles = null; // Indices of the triangles replaced by those flips (null if all were created anew)
+        this.moving = false; // Whether overlays are rebuilt because points moved
+        this.inserting = false; // Whether overlays are rebuilt for points inserted into the existing triangulation
+        this.overlays = []; // Overlays derived from the triangulation (e.g. renderers)
+    }
+    
+    /**
+     * Register an overlay that is rebuilt with the triangulation
+     * @param {Object} overlay - Overlay with rebuild() and update() methods
+     */
+    addOverlay(overlay) {
+        this.overlays.push(overlay);
+    }
+    
+    /**
+     * Find all Delaunay triangles from the current set of points
+     * @returns {Array<Triangle>} Array of Delaunay triangles
+     */
+    findDelaunayTriangles() {
+        const points = this.pointManager.getPoints();
+        this.triangulator = null;
+        this.triangulatedPoints = points.slice();
+        
+        // Cannot form triangles with fewer than 3 points
+        if (points.length < 3) {
+            return [];
+        }
+        
+        // Build triangulation incrementally
+        this.triangulator = new Triangulator(this.collectCoords(points)).triangulate();
+        
+        // Insert constraint segments (closed loops cut away the outside and holes)
+        const indices = new Map(points.map((point, i) => [point, i]));
+        const boundaries = this.findBoundarySegments();
+        for (const segment of this.pointManager.getSegments()) {
+            this.triangulator.insertSegment(
+                indices.get(segment.a),
+                indices.get(segment.b),
+                boundaries.has(segment)
+            );
+        }
+        
+        return this.createTriangles();
+    }
+    
+    /**
+     * Collect point coordinates
+     * @param {Array<Point>} points - Points
+     * @returns {Float64Array} Interleaved x, y coordinates
+     */
+    collectCoords(points) {
+        const coords = new Float64Array(points.length * 2);
+        for (let i = 0; i < points.length; i++) {
+            coords[2 * i] = points[i].x;
+            coords[2 * i + 1] = points[i].y;
+        }
+        return coords;
+    }
+    
+    /**
+     * Create triangles from the vertex indices of the triangulator
+     * @returns {Array<Triangle>} Array of Delaunay triangles
+     */
+    createTriangles() {
+        const points = this.triangulatedPoints;
+        return this.triangulator.getTriangles().map(([i, j, k]) => new Triangle(points[i], points[j], points[k]));
+    }
+    
+    /**
+     * Replace the triangles changed by edge flips. The other triangles are kept
+     * in their places, so overlays only redraw what the flips touched.
+     * @returns {Array<number>} Indices of the triangles replaced, added or moved
+     */
+    replaceFlippedTriangles() {
+        const points = this.triangulatedPoints;
+        const triangles = this.triangles;
+        const indices = new Map(triangles.map((triangle, i) => [Triangle.getKey(triangle.p1, triangle.p2, triangle.p3), i]));
+        const kept = new Uint8Array(triangles.length);
+        const added = [];
+        for (const [i, j, k] of this.triangulator.getTriangles()) {
+            const index = indices.get(Triangle.getKey(points[i], points[j], points[k]));
+            if (index === undefined) {
+                added.push(new Triangle(points[i], points[j], points[k]));
+            } else {
+                kept[index] = 1;
+            }
+        }
+        
+        // New triangles take the places of removed ones first
+        const changed = [];
+        let slot = 0;
+        for (const triangle of added) {
+            while (slot < kept.length && kept[slot]) slot++;
+            if (slot < kept.length) {
+                triangles[slot] = triangle;
+                kept[slot] = 1;
+                changed.push(slot);
+            } else {
+                changed.push(triangles.length);
+                triangles.push(triangle);
+            }
+        }
+        
+        // Close the remaining gaps with the last triangles
+        let end = kept.length;
+        for (; slot < end; slot++) {
+            if (kept[slot]) continue;
+            while (end > slot + 1 && !kept[end - 1]) end--;
+            end--;
+            if (end > slot) {
+                triangles[slot] = triangles[end];
+                changed.push(slot);
+            }
+        }
+        if (end < kept.length) {
+            triangles.length = end;
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Find the constraint segments forming closed polygons
+     * (connected groups of segments where every point joins exactly two of them)
+     * @returns {Set<Object>} Segments that are part of a closed polygon
+     */
+    findBoundarySegments() {
+        const segments = this.pointManager.getSegments();
+        
+        // Count segments at each point and join connected points (union-find)
+        const degrees = new Map();
+        const parents = new Map();
+        const find = point => {
+            while (parents.get(point) !== point) {
+                point = parents.get(point);
+            }
+            return point;
+        };
+        for (const segment of segments) {
+            for (const point of [segment.a, segment.b]) {
+                degrees.set(point, (degrees.get(point) || 0) + 1);
+                if (!parents.has(point)) {
+                    parents.set(point, point);
+                }
+            }
+            parents.set(find(segment.a), find(segment.b));
+        }
+        
+        // A group is open if any of its points is not joined to exactly two segments
+        const openGroups = new Set();
+        for (const [point, degree] of degrees) {
+            if (degree !== 2) {
+                openGroups.add(find(point));
+            }
+        }
+        
+        return new Set(segments.filter(segment => !openGroups.has(find(segment.a))));
+    }
+    
+    /**
+     * Calculate the Delaunay triangulation and rebuild overlays
+     * @returns {Array<Triangle>} Array of Delaunay triangles
+     */
+    calculate() {
+        this.triangles = this.findDelaunayTriangles();
+        this.flips = [];
+        this.changedTriangles = null;
+        
+        // Rebuild overlays derived from the triangles
+        for (const overlay of this.overlays) {
+            overlay.rebuild();
+        }
+        
+        return this.triangles;
+    }
+    
+    /**
+     * Insert a point just added to the point manager into the current
+     * triangulation without calculating it again (e.g. a Steiner point).
+     * The triangles and overlays follow with publishInsertions().
+     * @param {Point} point - Point (the last one of the point manager)
+     * @param {Array<number>} [edge] - Vertices [a, b] of the triangulator edge the point splits
+     * @returns {number} Vertex of the point in the triangulator
+     */
+    insertPoint(point, edge = null) {
+        this.triangulatedPoints.push(point);
+        return this.triangulator.addPoint(point.x, point.y, edge);
+    }
+    
+    /**
+     * Update the triangles and rebuild the overlays after insertPoint() calls
+     * @returns {Array<Triangle>} Array of Delaunay triangles
+     */
+    publishInsertions() {
+        this.inserting = true;
+        try {
+            this.triangles = this.createTriangles();
+            this.flips = [];
+            this.changedTriangles = null;
+            for (const overlay of this.overlays) {
+                overlay.rebuild();
+            }
+        } finally {
+            this.inserting = false;
+        }
+        return this.triangles;
+    }
+    
+    /**
+     * Keep the triangulation Delaunay after points moved.
+     * Edges are flipped locally where a neighbor entered a circumcircle;
+     * overlays are rebuilt only when the topology changed.
+     * Without kinetic updates the triangulation is calculated from scratch.
+     */
+    updatePositions() {
+        this.moving = true;
+        try {
+            const flips = this.settings.get('triangulation.kinetic') ? this.updateTopology() : null;
+            if (flips === null) {
+                // Local flips were not enough (or are disabled)
+                this.calculate();
+                return;
+            }
+            
+            // Flips next to the super triangle have no visible edges
+            const points = this.triangulatedPoints;
+            this.flips = flips
+                .filter(vertices => vertices.every(v => v >= 0))
+                .map(([a, b, p, d]) => ({ from: [points[a], points[b]], to: [points[p], points[d]] }));
+            if (flips.length > 0) {
+                this.changedTriangles = this.replaceFlippedTriangles();
+                for (const overlay of this.overlays) {
+                    overlay.rebuild();
+                }
+            } else {
+                this.updateOverlays();
+            }
+        } finally {
+            this.moving = false;
+        }
+    }
+    
+    /**
+     * Let the overlays follow point movements that keep the topology
+     * (e.g. positions interpolated between simulation steps)
+     */
+    updateOverlays() {
+        for (const overlay of this.overlays) {
+            overlay.update();
+        }
+    }
+    
+    /**
+     * Get the convex hull of the triangulated points
+     * @returns {Array<Point>} Hull points counter-clockwise
+     */
+    getConvexHull() {
+        return HullShapes.convexHull(this.triangulatedPoints);
+    }
+    
+    /**
+     * Get the alpha shape of the triangulation (see HullShapes.alphaShape)
+     * @param {number} alpha - Largest circumradius of the triangles kept
+     * @returns {Object} {triangles, polygons}: kept triangles and their boundary
+     *     loops of points (outer boundaries counter-clockwise, holes clockwise)
+     */
+    getAlphaShape(alpha) {
+        return HullShapes.alphaShape(this.triangles, alpha);
+    }
+    
+    /**
+     * Get the concave hull of the triangulation: the largest outer boundary of its alpha shape
+     * @param {number} alpha - Largest circumradius of the triangles kept
+     * @returns {Array<Point>} Hull points counter-clockwise (empty if no triangle is kept)
+     */
+    getConcaveHull(alpha) {
+        return HullShapes.concaveHull(this.triangles, alpha);
+    }
+    
+    /**
+     * Move the triangulator's vertices to the current point positions
+     * @returns {Array<Array<number>>|null} Flipped edges, or null if the
+     *     triangulation has to be calculated again
+     */
+    updateTopology() {
+        const points = this.pointManager.getPoints();
+        if (points.length < 3 && this.triangulatedPoints.length === points.length) {
+            return [];
+        }
+        
+        // Points were added or removed since the last calculation
+        if (points.length !== this.triangulatedPoints.length ||
+            points.some((point, i) => point !== this.triangulatedPoints[i])) {
+            return null;
+        }
+        
+        // Merged duplicates have no vertex of their own to move apart
+        if (this.triangulator.vertexAliases.some((vertex, i) => vertex !== i)) {
+            return null;
+        }
+        
+        return this.triangulator.updateCoords(this.collectCoords(points));
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.triangles = [];
+        this.overlays = [];
+        this.triangulator = null;
+        this.triangulatedPoints = [];
+        this.flips = [];
+    }
+}
@@ -0,0 +1,225 @@
+import { BrownianConstants, RepulsionConstants, ForceConstants } from './Constants.js';
+import { Physics } from './Physics.js';
+import { BarnesHutTree } from './BarnesHut.js';
+import { SpringNetwork } from './SpringNetwork.js';
+import { LloydRelaxation } from './LloydRelaxation.js';
+
+/**
+ * Built-in force modules of the simulation, applied in this order.
+ * Each module declares its settings (including the "forces.<name>" switch)
+ * and implements apply(points, settings, context) for every step and/or
+ * pointAdded(newPoint, points, settings) for newly added points.
+ * The context holds all points ({points}), the random number generator
+ * ({random}), the cursor position ({cursor}, null outside the canvas), the
+ * current triangles ({triangles}), the area the points are kept in
+ * ({bounds}: {width, height} centered at the origin, null if unknown) and
+ * the module's state ({state}, created by createState() when the module is
+ * switched on).
+ */
+export const ForceModules = {
+    // Random kicks
+    brownian: {
+        label: 'Brownian motion',
+        settings: [
+            { key: 'forces.brownian', group: 'Forces', label: 'Brownian motion', type: 'boolean', default: true },
+            { key: 'brownian.strength', group: 'Brownian motion', label: 'Strength', type: 'number', min: 0, max: 5, step: 0.05, default: BrownianConstants.STRENGTH }
+        ],
+        apply: function(points, settings, context) {
+            const strength = settings.get('brownian.strength');
+            for (const point of points) {
+                Physics.applyBrownianForce(point, strength, context.random);
+            }
+        }
+    },
+    
+    // Spring keeping points near their original positions
+    anchor: {
+        label: 'Anchor spring',
+        settings: [
+            { key: 'forces.anchor', group: 'Forces', label: 'Anchor spring', type: 'boolean', default: true },
+            { key: 'brownian.maxDistance', group: 'Anchor spring', label: 'Max distance', type: 'number', min: 0, max: 100, step: 0.5, default: BrownianConstants.MAX_DISTANCE },
+            { key: 'brownian.returnForce', group: 'Anchor spring', label: 'Return force', type: 'number', min: 0, max: 1, step: 0.01, default: BrownianConstants.RETURN_FORCE }
+        ],
+        apply: function(points, settings) {
+            const maxDistance = settings.get('brownian.maxDistance');
+            const returnForce = settings.get('brownian.returnForce');
+            for (const point of points) {
+                Physics.constrainToOriginalPosition(point, maxDistance, returnForce);
+            }
+        }
+    },
+    
+    // One-shot push away from a newly added point
+    repulsion: {
+        label: 'Repulsion',
+        settings: [
+            { key: 'forces.repulsion', group: 'Forces', label: 'Repulsion from new points', type: 'boolean', default: true },
+            { key: 'repulsion.radius', group: 'Repulsion', label: 'Radius', type: 'number', min: 0, max: 500, step: 1, default: RepulsionConstants.RADIUS },
+            { key: 'repulsion.strength', group: 'Repulsion', label: 'Strength', type: 'number', min: 0, max: 50, step: 0.5, default: RepulsionConstants.STRENGTH }
+        ],
+        pointAdded: function(newPoint, points, settings) {
+            const strength = settings.get('repulsion.strength');
+            const radius = settings.get('repulsion.radius');
+            for (const point of points) {
+                Physics.applyRepulsionForce(point, newPoint, strength, radius);
+            }
+        }
+    },
+    
+    // Pairwise attraction of all points (Barnes-Hut approximation for many points)
+    gravity: {
+        label: 'N-body gravity',
+        settings: [
+            { key: 'forces.gravity', group: 'Forces', label: 'N-body gravity', type: 'boolean', default: false },
+            { key: 'gravity.strength', group: 'N-body gravity', label: 'Strength', type: 'number', min: 0, max: 20, step: 0.1, default: ForceConstants.GRAVITY_STRENGTH },
+            { key: 'gravity.softening', group: 'N-body gravity', label: 'Softening', type: 'number', min: 0.1, max: 100, step: 0.1, default: ForceConstants.GRAVITY_SOFTENING },
+            // Above 1/sqrt(2) a cell could stand in for the point itself
+            { key: 'gravity.theta', group: 'N-body gravity', label: 'Accuracy (theta)', type: 'number', min: 0, max: 0.7, step: 0.05, default: ForceConstants.BARNES_HUT_THETA }
+        ],
+        apply: function(points, settings, context) {
+            const strength = settings.get('gravity.strength');
+            const softening = settings.get('gravity.softening');
+            const sources = context.points;
+            const acceleration = { x: 0, y: 0 };
+            
+            if (sources.length <= ForceConstants.DIRECT_GRAVITY_LIMIT) {
+                const softeningSq = softening * softening;
+                for (const point of points) {
+                    for (const source of sources) {
+                        if (source === point) continue;
+                        
+                        const dx = source.x - point.x;
+                        const dy = source.y - point.y;
+                        const distSq = dx * dx + dy * dy + softeningSq;
+                        const factor = strength / (distSq * Math.sqrt(distSq));
+                        point.vx += dx * factor;
+                        point.vy += dy * factor;
+                    }
+                }
+                return;
+            }
+            
+            const tree = new BarnesHutTree(sources);
+            const theta = settings.get('gravity.theta');
+            for (const point of points) {
+                tree.accumulate(point, theta, softening, acceleration);
+                point.vx += acceleration.x * strength;
+                point.vy += acceleration.y * strength;
+            }
+        }
+    },
+    
+    // Pull toward (or push away from) the cursor
+    attractor: {
+        label: 'Cursor attractor',
+        settings: [
+            { key: 'forces.attractor', group: 'Forces', label: 'Cursor attractor', type: 'boolean', default: false },
+            { key: 'attractor.strength', group: 'Cursor attractor', label: 'Strength (negative repels)', type: 'number', min: -5, max: 5, step: 0.1, default: ForceConstants.ATTRACTOR_STRENGTH },
+            { key: 'attractor.radius', group: 'Cursor attractor', label: 'Radius', type: 'number', min: 1, max: 1000, step: 1, default: ForceConstants.ATTRACTOR_RADIUS }
+        ],
+        apply: function(points, settings, context) {
+            if (!context.cursor) return;
+            
+            const strength = settings.get('attractor.strength');
+            const radius = settings.get('attractor.radius');
+            for (const point of points) {
+                Physics.applyAttraction(point, context.cursor.x, context.cursor.y, strength, radius);
+            }
+        }
+    },
+    
+    // Uniform push in one direction
+    wind: {
+        label: 'Wind',
+        settings: [
+            { key: 'forces.wind', group: 'Forces', label: 'Wind', type: 'boolean', default: false },
+            { key: 'wind.strength', group: 'Wind', label: 'Strength', type: 'number', min: 0, max: 1, step: 0.01, default: ForceConstants.WIND_STRENGTH },
+            { key: 'wind.direction', group: 'Wind', label: 'Direction (degrees)', type: 'number', min: 0, max: 360, step: 1, default: ForceConstants.WIND_DIRECTION }
+        ],
+        apply: function(points, settings) {
+            const strength = settings.get('wind.strength');
+            const angle = settings.get('wind.direction') * Math.PI / 180;
+            const ax = Math.cos(angle) * strength;
+            const ay = Math.sin(angle) * strength;
+            for (const point of points) {
+                point.vx += ax;
+                point.vy += ay;
+            }
+        }
+    },
+    
+    // Swirl around the center of the screen
+    vortex: {
+        label: 'Vortex',
+        settings: [
+            { key: 'forces.vortex', group: 'Forces', label: 'Vortex', type: 'boolean', default: false },
+            { key: 'vortex.strength', group: 'Vortex', label: 'Strength (negative turns clockwise)', type: 'number', min: -5, max: 5, step: 0.05, default: ForceConstants.VORTEX_STRENGTH },
+            { key: 'vortex.radius', group: 'Vortex', label: 'Radius', type: 'number', min: 1, max: 2000, step: 1, default: ForceConstants.VORTEX_RADIUS }
+        ],
+        apply: function(points, settings) {
+            const strength = settings.get('vortex.strength');
+            const radius = settings.get('vortex.radius');
+            for (const point of points) {
+                Physics.applyVortex(point, 0, 0, strength, radius);
+            }
+        }
+    },
+    
+    // Damped springs along the Delaunay edges (soft body)
+    springs: {
+        label: 'Soft body',
+        settings: [
+            { key: 'forces.springs', group: 'Forces', label: 'Soft body (edge springs)', type: 'boolean', default: false },
+            // Stiffer springs would make the integration unstable
+            { key: 'springs.stiffness', group: 'Soft body', label: 'Stiffness', type: 'number', min: 0, max: 0.5, step: 0.005, default: ForceConstants.SPRING_STIFFNESS },
+            { key: 'springs.damping', group: 'Soft body', label: 'Damping', type: 'number', min: 0, max: 0.5, step: 0.005, default: ForceConstants.SPRING_DAMPING },
+            { key: 'springs.tearing', group: 'Soft body', label: 'Tear when overstretched', type: 'boolean', default: false },
+            { key: 'springs.tearStrain', group: 'Soft body', label: 'Tear at stretch (x rest length)', type: 'number', min: 0.1, max: 10, step: 0.1, default: ForceConstants.SPRING_TEAR_STRAIN }
+        ],
+        createState: function() {
+            return new SpringNetwork();
+        },
+        apply: function(points, settings, context) {
+            const network = context.state;
+            network.sync(context.triangles);
+            network.apply(
+                new Set(points),
+                settings.get('springs.stiffness'),
+                settings.get('springs.damping'),
+                settings.get('springs.tearing') ? settings.get('springs.tearStrain') : Infinity
+            );
+        }
+    },
+    
+    // Air resistance
+    drag: {
+        label: 'Drag',
+        settings: [
+            { key: 'forces.drag', group: 'Forces', label: 'Drag', type: 'boolean', default: false },
+            { key: 'drag.coefficient', group: 'Drag', label: 'Coefficient', type: 'number', min: 0, max: 1, step: 0.005, default: ForceConstants.DRAG_COEFFICIENT }
+        ],
+        apply: function(points, settings) {
+            const coefficient = settings.get('drag.coefficient');
+            for (const point of points) {
+                Physics.applyDrag(point, coefficient);
+            }
+        }
+    },
+    
+    // Lloyd relaxation: points move toward the centroids of their Voronoi cells
+    lloyd: {
+        label: 'Lloyd relaxation',
+        settings: [
+            { key: 'forces.lloyd', group: 'Forces', label: 'Lloyd relaxation (centroidal Voronoi)', type: 'boolean', default: false },
+            { key: 'lloyd.rate', group: 'Lloyd relaxation', label: 'Relaxation rate', type: 'number', min: 0, max: 1, step: 0.01, default: ForceConstants.LLOYD_RATE }
+        ],
+        createState: function() {
+            return new LloydRelaxation();
+        },
+        apply: function(points, settings, context) {
+            // Cells are clipped to the visible area, so nothing can be done without it
+            if (!context.bounds) return;
+            context.state.apply(points, context.points, context.bounds.width, context.bounds.height, settings.get('lloyd.rate'));
+        }
+    }
+};
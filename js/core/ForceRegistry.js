@@ -0,0 +1,117 @@
+import { ForceModules } from './ForceModules.js';
+
+/**
+ * Registry of the force modules acting on the points.
+ * Modules are switched on and configured through the settings
+ * ("forces.<name>" and their own keys), so each scene keeps its own forces.
+ */
+export class ForceRegistry {
+    /**
+     * Constructor
+     * @param {Settings} settings - Runtime settings
+     * @param {Object} [modules=ForceModules] - Modules to register, by name
+     */
+    constructor(settings, modules = ForceModules) {
+        this.settings = settings;
+        this.modules = new Map(); // Name -> module, in application order
+        this.states = new Map(); // Name -> state of a switched-on module (see createState)
+        this.cursor = null; // Cursor position in scene coordinates (null if outside)
+        
+        for (const [name, module] of Object.entries(modules)) {
+            this.register(name, module);
+        }
+    }
+    
+    /**
+     * Add a force module. Settings it declares are added to the settings
+     * if missing; without a "forces.<name>" switch it is switched on.
+     * @param {string} name - Module name
+     * @param {Object} module - Module with apply() and/or pointAdded(), and
+     *     optionally createState() for state kept while it is switched on
+     */
+    register(name, module) {
+        for (const definition of module.settings || []) {
+            if (!this.settings.has(definition.key)) {
+                this.settings.define(definition);
+            }
+        }
+        if (!this.settings.has(`forces.${name}`)) {
+            this.settings.define({ key: `forces.${name}`, group: 'Forces', label: module.label || name, type: 'boolean', default: true });
+        }
+        this.modules.set(name, module);
+    }
+    
+    /**
+     * Remove a force module
+     * @param {string} name - Module name
+     */
+    unregister(name) {
+        this.modules.delete(name);
+        this.states.delete(name);
+    }
+    
+    /**
+     * Check whether a module is switched on
+     * @param {string} name - Module name
+     * @returns {boolean} Whether the module acts on the points
+     */
+    isEnabled(name) {
+        return this.modules.has(name) && this.settings.get(`forces.${name}`);
+    }
+    
+    /**
+     * Get the state of a switched-on module
+     * @param {string} name - Module name
+     * @returns {*} State created by the module's createState(), or null if there is none
+     */
+    getState(name) {
+        return this.states.get(name) || null;
+    }
+    
+    /**
+     * Set the cursor position used by cursor-driven forces
+     * @param {Object|null} position - Position ({x, y}) or null if the cursor left
+     */
+    setCursor(position) {
+        this.cursor = position ? { x: position.x, y: position.y } : null;
+    }
+    
+    /**
+     * Apply the switched-on modules for one simulation step.
+     * Switching a module off discards its state.
+     * @param {Array<Point>} points - All points (e.g. sources of gravity)
+     * @param {Array<Point>} targets - Points moved by the forces
+     * @param {Function} random - Random number generator returning [0, 1)
+     * @param {Array<Triangle>} [triangles=[]] - Current triangles (e.g. for edge springs)
+     * @param {Object|null} [bounds=null] - Size of the area the points are kept in ({width, height}, centered at the origin)
+     */
+    apply(points, targets, random, triangles = [], bounds = null) {
+        const context = { points: points, random: random, cursor: this.cursor, triangles: triangles, bounds: bounds, state: null };
+        for (const [name, module] of this.modules) {
+            if (!this.isEnabled(name)) {
+                this.states.delete(name);
+                continue;
+            }
+            if (!module.apply) continue;
+            
+            if (module.createState && !this.states.has(name)) {
+                this.states.set(name, module.createState());
+            }
+            context.state = this.states.get(name) || null;
+            module.apply(targets, this.settings, context);
+        }
+    }
+    
+    /**
+     * Let the switched-on modules react to a newly added point
+     * @param {Point} newPoint - Added point
+     * @param {Array<Point>} targets - Points moved by the forces
+     */
+    pointAdded(newPoint, targets) {
+        for (const [name, module] of this.modules) {
+            if (module.pointAdded && this.isEnabled(name)) {
+                module.pointAdded(newPoint, targets, this.settings);
+            }
+        }
+    }
+}
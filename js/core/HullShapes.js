@@ -0,0 +1,167 @@
+import { Predicates } from './Predicates.js';
+
+/**
+ * Outlines of point sets:
+ * - the convex hull (Andrew's monotone chain)
+ * - the alpha shape: the Delaunay triangles whose circumradius is at most
+ *   alpha, outlined by the edges that belong to only one of them. Small alpha
+ *   values carve concavities and holes into the convex hull (and can split
+ *   the shape into pieces); alpha at least the largest circumradius gives the
+ *   whole triangulation.
+ * - the concave hull: the largest outer boundary of the alpha shape
+ * Polygons are arrays of points in order: outer boundaries counter-clockwise,
+ * holes clockwise.
+ */
+export const HullShapes = {
+    /**
+     * Compute the convex hull of points
+     * @param {Array<Object>} points - Points ({x, y})
+     * @returns {Array<Object>} Hull vertices counter-clockwise (collinear points left out)
+     */
+    convexHull: function(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+        
+        // Lower and upper chains, each dropping points that do not turn left
+        const buildChain = ordered => {
+            const chain = [];
+            for (const p of ordered) {
+                while (chain.length >= 2 && Predicates.orient2d(
+                    chain[chain.length - 2].x, chain[chain.length - 2].y,
+                    chain[chain.length - 1].x, chain[chain.length - 1].y,
+                    p.x, p.y
+                ) <= 0) {
+                    chain.pop();
+                }
+                chain.push(p);
+            }
+            chain.pop(); // The last point starts the other chain
+            return chain;
+        };
+        return buildChain(sorted).concat(buildChain(sorted.slice().reverse()));
+    },
+    
+    /**
+     * Compute the alpha shape of a triangulation
+     * @param {Array<Triangle>} triangles - Delaunay triangles
+     * @param {number} alpha - Largest circumradius of the triangles kept
+     * @returns {Object} {triangles, polygons}: kept triangles and their boundary loops
+     */
+    alphaShape: function(triangles, alpha) {
+        const kept = triangles.filter(triangle => triangle.getCircumradius() <= alpha);
+        return { triangles: kept, polygons: this.traceBoundary(kept) };
+    },
+    
+    /**
+     * Compute the concave hull: the outer boundary of the alpha shape
+     * enclosing the largest area (holes and smaller pieces are left out)
+     * @param {Array<Triangle>} triangles - Delaunay triangles
+     * @param {number} alpha - Largest circumradius of the triangles kept
+     * @returns {Array<Object>} Hull vertices counter-clockwise (empty if no triangle is kept)
+     */
+    concaveHull: function(triangles, alpha) {
+        let hull = [];
+        let hullArea = 0;
+        for (const polygon of this.alphaShape(triangles, alpha).polygons) {
+            const area = this.getArea(polygon);
+            if (area > hullArea) {
+                hull = polygon;
+                hullArea = area;
+            }
+        }
+        return hull;
+    },
+    
+    /**
+     * Chain the boundary edges of triangles (those without a neighbor) into closed loops
+     * @param {Array<Triangle>} triangles - Triangles with their corners counter-clockwise (as
+     *     triangulated; the order is kept while moved points turn triangles over)
+     * @returns {Array<Array<Object>>} Loops with the triangles on their left
+     *     (outer boundaries counter-clockwise, holes clockwise)
+     */
+    traceBoundary: function(triangles) {
+        // Directed edges of the triangles; interior edges appear in both directions
+        const edges = new Map(); // Start point -> Set of end points
+        const addEdge = (a, b) => {
+            if (!edges.has(a)) {
+                edges.set(a, new Set());
+            }
+            edges.get(a).add(b);
+        };
+        for (const { p1, p2, p3 } of triangles) {
+            addEdge(p1, p2);
+            addEdge(p2, p3);
+            addEdge(p3, p1);
+        }
+        const outgoing = new Map(); // Start point -> end points of its unused boundary edges
+        for (const [a, ends] of edges) {
+            for (const b of ends) {
+                if (edges.has(b) && edges.get(b).has(a)) continue;
+                if (!outgoing.has(a)) {
+                    outgoing.set(a, []);
+                }
+                outgoing.get(a).push(b);
+            }
+        }
+        
+        const loops = [];
+        for (const start of outgoing.keys()) {
+            while (outgoing.get(start).length > 0) {
+                const loop = [start];
+                let previous = start;
+                let current = outgoing.get(start).pop();
+                while (current !== start && outgoing.has(current) && outgoing.get(current).length > 0) {
+                    loop.push(current);
+                    const next = this.pickNext(previous, current, outgoing.get(current));
+                    previous = current;
+                    current = next;
+                }
+                
+                // Overlapping triangles can leave chains that do not close
+                if (current === start) {
+                    loops.push(loop);
+                }
+            }
+        }
+        return loops;
+    },
+    
+    /**
+     * Take the boundary edge leaving a point that continues the same piece:
+     * where pieces touch at a point it leaves several edges, and the one
+     * turning most sharply clockwise from the way back keeps the loop simple
+     * @param {Object} previous - Point the loop came from
+     * @param {Object} current - Point the loop is at
+     * @param {Array<Object>} ends - End points of the unused edges leaving the current point (one is removed)
+     * @returns {Object} End point of the taken edge
+     */
+    pickNext: function(previous, current, ends) {
+        const back = Math.atan2(previous.y - current.y, previous.x - current.x);
+        let best = 0;
+        let bestTurn = Infinity;
+        ends.forEach((end, i) => {
+            const angle = Math.atan2(end.y - current.y, end.x - current.x);
+            const turn = ((back - angle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+            if (turn < bestTurn) {
+                best = i;
+                bestTurn = turn;
+            }
+        });
+        return ends.splice(best, 1)[0];
+    },
+    
+    /**
+     * Compute the signed area of a polygon (shoelace formula)
+     * @param {Array<Object>} polygon - Polygon vertices ({x, y}) in order
+     * @returns {number} Area, positive for counter-clockwise polygons
+     */
+    getArea: function(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+};
@@ -0,0 +1,90 @@
+import { ForceConstants } from './Constants.js';
+import { VoronoiDiagram } from './VoronoiDiagram.js';
+
+/**
+ * Lloyd relaxation towards a centroidal Voronoi tessellation.
+ * Each step moves every point (and its anchor) a fraction of the way to the
+ * centroid of its Voronoi cell, clipped to the visible area. Repeated steps
+ * spread the points evenly; the mean distance between the points and their
+ * centroids measures how far the tessellation is from centroidal.
+ */
+export class LloydRelaxation {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.voronoi = new VoronoiDiagram(null);
+        this.distance = null; // Mean distance to the centroids before the last step (null before the first)
+        this.maxDistance = null; // Largest distance to a centroid before the last step
+        this.iterations = 0; // Number of steps taken
+    }
+    
+    /**
+     * Compute the area and centroid of a polygon (shoelace formula)
+     * @param {Array<Object>} polygon - Polygon vertices ({x, y}) in order
+     * @returns {Object|null} {x, y, area}, or null for a degenerate polygon
+     */
+    getCentroid(polygon) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross;
+            x += (a.x + b.x) * cross;
+            y += (a.y + b.y) * cross;
+        }
+        if (Math.abs(area) < 1e-9) return null;
+        
+        return { x: x / (3 * area), y: y / (3 * area), area: Math.abs(area) / 2 };
+    }
+    
+    /**
+     * Move points toward the centroids of their cells (one relaxation step)
+     * @param {Array<Point>} targets - Points to move (the others keep their place but shape the cells)
+     * @param {Array<Point>} points - All points
+     * @param {number} width - Width of the visible area (centered at the origin)
+     * @param {number} height - Height of the visible area
+     * @param {number} rate - Fraction of the way to the centroid moved (0 to 1)
+     */
+    apply(targets, points, width, height, rate) {
+        const movable = new Set(targets);
+        let total = 0;
+        let max = 0;
+        let count = 0;
+        
+        for (const { point, polygon } of this.voronoi.computeCells(width, height, { points: points })) {
+            if (!movable.has(point)) continue;
+            const centroid = this.getCentroid(polygon);
+            if (!centroid) continue;
+            
+            const dx = centroid.x - point.x;
+            const dy = centroid.y - point.y;
+            const distance = Math.hypot(dx, dy);
+            total += distance;
+            max = Math.max(max, distance);
+            count++;
+            
+            // The anchor follows so the anchor spring does not pull the point back
+            point.x += dx * rate;
+            point.y += dy * rate;
+            point.origX += dx * rate;
+            point.origY += dy * rate;
+        }
+        
+        this.distance = count > 0 ? total / count : 0;
+        this.maxDistance = max;
+        this.iterations++;
+    }
+    
+    /**
+     * Check whether the points are (nearly) at the centroids of their cells
+     * @param {number} [threshold=ForceConstants.LLOYD_CONVERGED_DISTANCE] - Largest mean distance counted as converged
+     * @returns {boolean} Whether the last step started from a centroidal tessellation
+     */
+    isConverged(threshold = ForceConstants.LLOYD_CONVERGED_DISTANCE) {
+        return this.distance !== null && this.distance < threshold;
+    }
+}
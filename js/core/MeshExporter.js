@@ -0,0 +1,132 @@
+import { Predicates } from './Predicates.js';
+import { PointFormats } from './PointFormats.js';
+
+/**
+ * Exporters writing the triangulation as an indexed mesh
+ * (Wavefront OBJ, ASCII PLY and the .node/.ele files of Shewchuk's Triangle).
+ * Coordinates are written at full precision and all faces are counter-clockwise.
+ * Imported points are written in the units of their file, with their z values.
+ */
+export const MeshExporter = {
+    /**
+     * Build an indexed mesh from triangles
+     * @param {Array<Triangle>} triangles - Triangles
+     * @param {Object} [transform] - Import transform converting the positions back to the file's units
+     * @returns {Object} Mesh as {vertices: Array<{x, y, z?}>, faces: Array<Array<number>>}
+     *     (points at the same position share one vertex)
+     */
+    buildMesh: function(triangles, transform = null) {
+        const vertices = [];
+        const faces = [];
+        const indices = new Map(); // Position key -> vertex index
+        
+        const getIndex = point => {
+            const key = `${point.x},${point.y}`;
+            if (!indices.has(key)) {
+                indices.set(key, vertices.length);
+                const vertex = PointFormats.toData(point, transform);
+                if (point.z !== undefined) vertex.z = point.z;
+                vertices.push(vertex);
+            }
+            return indices.get(key);
+        };
+        
+        for (const triangle of triangles) {
+            const face = [getIndex(triangle.p1), getIndex(triangle.p2), getIndex(triangle.p3)];
+            
+            // Skip faces collapsed by merged vertices
+            if (new Set(face).size < 3) continue;
+            
+            // Make the winding counter-clockwise
+            const [a, b, c] = face.map(i => vertices[i]);
+            const orientation = Predicates.orient2d(a.x, a.y, b.x, b.y, c.x, c.y);
+            if (orientation === 0) continue;
+            if (orientation < 0) {
+                face.reverse();
+            }
+            faces.push(face);
+        }
+        
+        return { vertices: vertices, faces: faces };
+    },
+    
+    /**
+     * Write a mesh as Wavefront OBJ
+     * @param {Object} mesh - Indexed mesh
+     * @returns {string} OBJ text (1-based indices, z = 0 unless imported)
+     */
+    toObj: function(mesh) {
+        const lines = [`# Delaunay triangulation: ${mesh.vertices.length} vertices, ${mesh.faces.length} faces`];
+        for (const vertex of mesh.vertices) {
+            lines.push(`v ${vertex.x} ${vertex.y} ${this.getZ(vertex)}`);
+        }
+        for (const face of mesh.faces) {
+            lines.push(`f ${face[0] + 1} ${face[1] + 1} ${face[2] + 1}`);
+        }
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Write a mesh as ASCII PLY
+     * @param {Object} mesh - Indexed mesh
+     * @returns {string} PLY text (0-based indices, z = 0 unless imported)
+     */
+    toPly: function(mesh) {
+        const lines = [
+            'ply',
+            'format ascii 1.0',
+            'comment Delaunay triangulation',
+            `element vertex ${mesh.vertices.length}`,
+            'property double x',
+            'property double y',
+            'property double z',
+            `element face ${mesh.faces.length}`,
+            'property list uchar int vertex_indices',
+            'end_header'
+        ];
+        for (const vertex of mesh.vertices) {
+            lines.push(`${vertex.x} ${vertex.y} ${this.getZ(vertex)}`);
+        }
+        for (const face of mesh.faces) {
+            lines.push(`3 ${face[0]} ${face[1]} ${face[2]}`);
+        }
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Get the z value written for a vertex
+     * @param {Object} vertex - Vertex
+     * @returns {number} Imported z value, or 0
+     */
+    getZ: function(vertex) {
+        return vertex.z !== undefined ? vertex.z : 0;
+    },
+    
+    /**
+     * Write the vertices of a mesh as a Triangle .node file
+     * @param {Object} mesh - Indexed mesh
+     * @returns {string} .node text (1-based, no attributes or boundary markers)
+     */
+    toNode: function(mesh) {
+        const lines = [`${mesh.vertices.length} 2 0 0`];
+        mesh.vertices.forEach((vertex, i) => {
+            lines.push(`${i + 1} ${vertex.x} ${vertex.y}`);
+        });
+        lines.push('# Generated by threejs_delaunay');
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Write the faces of a mesh as a Triangle .ele file
+     * @param {Object} mesh - Indexed mesh
+     * @returns {string} .ele text (1-based, counter-clockwise, no attributes)
+     */
+    toEle: function(mesh) {
+        const lines = [`${mesh.faces.length} 3 0`];
+        mesh.faces.forEach((face, i) => {
+            lines.push(`${i + 1} ${face[0] + 1} ${face[1] + 1} ${face[2] + 1}`);
+        });
+        lines.push('# Generated by threejs_delaunay');
+        return lines.join('\n') + '\n';
+    }
+};
@@ -0,0 +1,135 @@
+import { QualityConstants } from './Constants.js';
+import { Triangle } from './Triangle.js';
+
+/**
+ * Quality metrics of triangles.
+ * - minAngle: smallest angle in degrees (60 for an equilateral triangle)
+ * - area: area
+ * - radiusEdgeRatio: circumradius divided by the shortest edge
+ *   (1/sqrt(3) at best; refinement algorithms bound it)
+ * - aspectRatio: circumradius divided by twice the inradius (1 at best)
+ * Degenerate triangles have a minimum angle of 0 and infinite ratios.
+ */
+export const MeshQuality = {
+    // Metric declarations: histogram range (from the data if omitted) and which end is better
+    METRICS: {
+        minAngle: { label: 'Min angle (deg)', min: 0, max: 60, higherIsBetter: true },
+        area: { label: 'Area', higherIsBetter: true },
+        radiusEdgeRatio: { label: 'Circumradius / shortest edge', min: 1 / Math.sqrt(3), max: 2, higherIsBetter: false },
+        aspectRatio: { label: 'Aspect ratio', min: 1, max: 5, higherIsBetter: false }
+    },
+    
+    /**
+     * Measure a triangle
+     * @param {Triangle} triangle - Triangle
+     * @returns {Object} Metrics ({minAngle, area, radiusEdgeRatio, aspectRatio})
+     */
+    measure: function(triangle) {
+        const { p1, p2, p3 } = triangle;
+        const a = Math.hypot(p3.x - p2.x, p3.y - p2.y);
+        const b = Math.hypot(p1.x - p3.x, p1.y - p3.y);
+        const c = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const area = Math.abs((p2.x - p1.x) * (p3.y - p1.y) - (p3.x - p1.x) * (p2.y - p1.y)) / 2;
+        const shortest = Math.min(a, b, c);
+        if (area === 0 || shortest === 0) {
+            return { minAngle: 0, area: area, radiusEdgeRatio: Infinity, aspectRatio: Infinity };
+        }
+        
+        const circumradius = Triangle.getCircumradiusFromEdges(a, b, c, area);
+        const inradius = 2 * area / (a + b + c);
+        
+        // The smallest angle faces the shortest edge (law of sines)
+        const minAngle = Math.asin(Math.min(1, shortest / (2 * circumradius))) * 180 / Math.PI;
+        
+        return {
+            minAngle: minAngle,
+            area: area,
+            radiusEdgeRatio: circumradius / shortest,
+            aspectRatio: circumradius / (2 * inradius)
+        };
+    },
+    
+    /**
+     * Get the range of a metric used for histograms and colors
+     * @param {string} metric - Metric name
+     * @param {Array<number>} values - Values of the metric
+     * @returns {Array<number>} [min, max]
+     */
+    getRange: function(metric, values) {
+        const declaration = this.METRICS[metric];
+        if (declaration.min !== undefined) {
+            return [declaration.min, declaration.max];
+        }
+        
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (!Number.isFinite(value)) continue;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        return min <= max ? [min, max] : [0, 1];
+    },
+    
+    /**
+     * Map a value to its quality within a range
+     * @param {string} metric - Metric name
+     * @param {number} value - Value
+     * @param {Array<number>} range - [min, max] from getRange()
+     * @returns {number} Quality from 0 (worst) to 1 (best), clamped
+     */
+    normalize: function(metric, value, range) {
+        const [min, max] = range;
+        let t = max > min ? (value - min) / (max - min) : 1;
+        t = Math.max(0, Math.min(1, t));
+        return this.METRICS[metric].higherIsBetter ? t : 1 - t;
+    },
+    
+    /**
+     * Summarize the quality of triangles
+     * @param {Array<Triangle>} triangles - Triangles
+     * @param {number} [bins=QualityConstants.HISTOGRAM_BINS] - Number of histogram bins
+     * @returns {Object} {count, skinny, metrics}: the number of triangles, of those with a
+     *     minimum angle below QualityConstants.SKINNY_ANGLE, and per metric
+     *     {min, max, mean, range, histogram} (values outside the range count in the end bins)
+     */
+    analyze: function(triangles, bins = QualityConstants.HISTOGRAM_BINS) {
+        const measures = triangles.map(triangle => this.measure(triangle));
+        const metrics = {};
+        
+        for (const metric of Object.keys(this.METRICS)) {
+            const values = [];
+            let min = Infinity;
+            let max = -Infinity;
+            for (const measure of measures) {
+                const value = measure[metric];
+                values.push(value);
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+            const finite = values.filter(Number.isFinite);
+            const range = this.getRange(metric, values);
+            
+            const histogram = new Array(bins).fill(0);
+            const width = (range[1] - range[0]) / bins;
+            for (const value of values) {
+                const bin = width > 0 ? Math.floor((value - range[0]) / width) : 0;
+                histogram[Math.max(0, Math.min(bins - 1, bin))]++;
+            }
+            
+            metrics[metric] = {
+                min: min,
+                max: max,
+                mean: finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : NaN,
+                range: range,
+                histogram: histogram
+            };
+        }
+        
+        return {
+            count: triangles.length,
+            skinny: measures.filter(measure => measure.minAngle < QualityConstants.SKINNY_ANGLE).length,
+            metrics: metrics
+        };
+    }
+};
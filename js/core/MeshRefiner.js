@@ -0,0 +1,456 @@
+import { RefinementConstants } from './Constants.js';
+import { MeshQuality } from './MeshQuality.js';
+import { Triangle } from './Triangle.js';
+
+/**
+ * Class improving the triangulation by inserting Steiner points
+ * (Ruppert's algorithm with Chew's circumcenter insertion).
+ * Each step inserts one point:
+ * - a subsegment (a piece of a constraint segment, or an edge on the border
+ *   of the mesh) with a vertex inside its diametral circle is split at its midpoint
+ * - otherwise the circumcenter of the worst triangle whose smallest angle is
+ *   below refinement.minAngle, or whose area is above refinement.maxArea, is
+ *   inserted, unless it would encroach a subsegment, which is split instead
+ * Points are inserted into the triangulator one by one; the bad triangles and
+ * possibly encroached subsegments are queued when the triangles around a new
+ * point appear, and the triangulation is published once per advance().
+ * Refinement ends when every triangle meets the targets, when the point limit
+ * would evict points, or when only edges shorter than
+ * RefinementConstants.MIN_EDGE_LENGTH are left to split.
+ */
+export class MeshRefiner {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager the Steiner points are added to
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     */
+    constructor(pointManager, triangulation) {
+        this.pointManager = pointManager;
+        this.triangulation = triangulation;
+        this.settings = pointManager.settings;
+        this.running = false; // Whether advance() inserts points
+        this.skipped = new Set(); // Keys of bad triangles whose circumcenter cannot be inserted
+        
+        // State of the triangulation being refined (set up again when it changes elsewhere)
+        this.triangulator = null; // Triangulator the points are inserted into
+        this.triangles = null; // Triangles published after the last insertions
+        this.inside = []; // Whether each triangulator triangle belongs to the mesh
+        this.subsegments = new Map(); // Edge key -> subsegment {a, b, segment} (vertex indices)
+        this.encroached = []; // Subsegments to check for encroaching vertices
+        this.badTriangles = []; // Binary heap of {triangle, vertices, priority}, worst first
+    }
+    
+    /**
+     * Start refining (the points are inserted by advance())
+     */
+    start() {
+        this.running = true;
+        this.skipped.clear();
+        this.triangulator = null;
+    }
+    
+    /**
+     * Stop refining
+     */
+    stop() {
+        this.running = false;
+    }
+    
+    /**
+     * Insert up to a number of points while running, then update the triangulation once
+     * @param {number} steps - Maximum number of points to insert
+     * @returns {number} Number of inserted points (refinement stops when it is done)
+     */
+    advance(steps) {
+        if (this.running && (this.triangulator !== this.triangulation.triangulator ||
+            this.triangles !== this.triangulation.triangles)) {
+            this.prepare();
+        }
+        
+        let inserted = 0;
+        while (this.running && inserted < steps) {
+            if (this.step()) {
+                inserted++;
+            } else {
+                this.stop();
+            }
+        }
+        
+        if (inserted > 0) {
+            this.triangles = this.triangulation.publishInsertions();
+        }
+        return inserted;
+    }
+    
+    /**
+     * Refine until the mesh meets the targets or no more points can be inserted
+     * @returns {number} Number of inserted points
+     */
+    run() {
+        this.start();
+        return this.advance(Infinity);
+    }
+    
+    /**
+     * Queue the bad triangles and the subsegments of the current triangulation
+     */
+    prepare() {
+        const triangulator = this.triangulation.triangulator;
+        this.triangulator = triangulator;
+        this.triangles = this.triangulation.triangles;
+        this.subsegments.clear();
+        this.encroached = [];
+        this.badTriangles = [];
+        if (!triangulator) return;
+        
+        const triangleCount = triangulator.triangleVertices.length / 3;
+        this.inside = triangulator.hasBoundary ? triangulator.classifyTriangles() : new Array(triangleCount).fill(true);
+        
+        // Constraint segments first, so that their edges keep their segment
+        const vertices = new Map(this.triangulation.triangulatedPoints.map((point, i) => [point, triangulator.vertexAliases[i]]));
+        for (const segment of this.pointManager.getSegments()) {
+            this.addSubsegment(vertices.get(segment.a), vertices.get(segment.b), segment);
+        }
+        
+        for (let t = 0; t < triangleCount; t++) {
+            if (!this.isMeshTriangle(t)) continue;
+            
+            this.enqueue(t);
+            for (let k = 0; k < 3; k++) {
+                const a = triangulator.triangleVertices[3 * t + (k + 1) % 3];
+                const b = triangulator.triangleVertices[3 * t + (k + 2) % 3];
+                if (!this.subsegments.has(this.getEdgeKey(a, b))) {
+                    this.addSubsegment(a, b, null);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Insert one Steiner point into the triangulator
+     * @returns {boolean} Whether a point was inserted
+     */
+    step() {
+        if (!this.triangulator || this.pointManager.getPoints().length >= this.settings.get('points.maxPoints')) {
+            return false;
+        }
+        
+        // Encroached subsegments are split first
+        while (this.encroached.length > 0) {
+            const subsegment = this.encroached.pop();
+            if (this.subsegments.get(this.getEdgeKey(subsegment.a, subsegment.b)) === subsegment &&
+                this.canSplit(subsegment) && this.isEncroached(subsegment)) {
+                return this.split(subsegment);
+            }
+        }
+        
+        while (this.badTriangles.length > 0) {
+            const entry = this.dequeue();
+            if (!this.isQueued(entry)) continue;
+            
+            const center = this.getTriangle(entry.vertices).getCircumcenter();
+            if (!center) continue;
+            
+            // A circumcenter encroaching a subsegment is not inserted; the subsegment is split instead
+            const subsegment = this.findEncroachedSubsegment(center);
+            if (subsegment) {
+                if (this.canSplit(subsegment)) {
+                    // The triangle may survive the split
+                    this.enqueue(entry.triangle);
+                    return this.split(subsegment);
+                }
+            } else if (this.canInsert(center, entry.triangle)) {
+                return this.insert(center.x, center.y);
+            }
+            this.skipped.add(this.getKey(entry.vertices));
+        }
+        return false;
+    }
+    
+    /**
+     * Add a Steiner point and insert it into the triangulator
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} [subsegment] - Subsegment the point splits
+     * @returns {boolean} Whether refinement can go on (false when the point limit is reached)
+     */
+    insert(x, y, subsegment = null) {
+        const point = this.pointManager.addSteinerPoint(x, y, subsegment && subsegment.segment);
+        if (!point) return false;
+        
+        const vertex = this.triangulation.insertPoint(point, subsegment && [subsegment.a, subsegment.b]);
+        if (vertex !== this.triangulator.vertexCount - 1) {
+            // A duplicate was merged into an existing vertex and changes nothing,
+            // so it is taken back before the refinement edit records it
+            this.pointManager.removeSteinerPoint(point);
+            return true;
+        }
+        this.updateAround(vertex);
+        
+        if (subsegment) {
+            // The halves of a constraint segment are the segments added around the point
+            this.subsegments.delete(this.getEdgeKey(subsegment.a, subsegment.b));
+            const segments = subsegment.segment ? this.pointManager.getSegments() : [];
+            for (const end of [subsegment.a, subsegment.b]) {
+                const other = this.triangulation.triangulatedPoints[end];
+                const segment = segments.find(({ a, b }) => (a === point && b === other) || (a === other && b === point));
+                this.addSubsegment(end, vertex, segment || null);
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Split a subsegment at its midpoint
+     * @param {Object} subsegment - Subsegment ({a, b, segment})
+     * @returns {boolean} Whether refinement can go on
+     */
+    split(subsegment) {
+        const a = this.triangulation.triangulatedPoints[subsegment.a];
+        const b = this.triangulation.triangulatedPoints[subsegment.b];
+        return this.insert((a.x + b.x) / 2, (a.y + b.y) / 2, subsegment);
+    }
+    
+    /**
+     * Update the queues after a vertex was inserted: all triangles around it
+     * are new, and it may encroach the subsegments opposite it
+     * @param {number} vertex - Inserted vertex
+     */
+    updateAround(vertex) {
+        const triangulator = this.triangulator;
+        const triangles = new Set();
+        triangulator.collectTrianglesAround(vertex, triangles);
+        
+        // A new triangle is in the mesh like the unchanged triangle across its
+        // outer edge, unless that edge is a boundary
+        for (const t of triangles) {
+            const k = triangulator.getVertexIndex(t, vertex);
+            const u = triangulator.triangleNeighbors[3 * t + k];
+            const boundary = triangulator.triangleConstraints[3 * t + k] === triangulator.BOUNDARY;
+            this.inside[t] = u >= 0 && this.inside[u] !== boundary;
+        }
+        
+        for (const t of triangles) {
+            if (!this.isMeshTriangle(t)) continue;
+            
+            this.enqueue(t);
+            const k = triangulator.getVertexIndex(t, vertex);
+            const a = triangulator.triangleVertices[3 * t + (k + 1) % 3];
+            const b = triangulator.triangleVertices[3 * t + (k + 2) % 3];
+            const subsegment = this.subsegments.get(this.getEdgeKey(a, b));
+            if (subsegment) {
+                this.encroached.push(subsegment);
+            }
+        }
+    }
+    
+    /**
+     * Register an edge as a subsegment if it is a constraint segment or lies
+     * on the border of the mesh (a mesh triangle on one side only)
+     * @param {number} a - First vertex
+     * @param {number} b - Second vertex
+     * @param {Object|null} segment - Constraint segment of the edge
+     */
+    addSubsegment(a, b, segment) {
+        const edge = a !== b ? this.triangulator.findEdge(a, b) : null;
+        if (!edge) return;
+        
+        const u = this.triangulator.triangleNeighbors[3 * edge.triangle + edge.index];
+        const border = this.isMeshTriangle(edge.triangle) !== (u >= 0 && this.isMeshTriangle(u));
+        if (!segment && !border) return;
+        
+        const subsegment = { a: a, b: b, segment: segment };
+        this.subsegments.set(this.getEdgeKey(a, b), subsegment);
+        this.encroached.push(subsegment);
+    }
+    
+    /**
+     * Check whether a triangulator triangle belongs to the mesh
+     * @param {number} t - Index of the triangle
+     * @returns {boolean} true if its corners are real points and it is inside the boundaries
+     */
+    isMeshTriangle(t) {
+        const vertices = this.triangulator.triangleVertices;
+        return this.inside[t] && vertices[3 * t] >= 0 && vertices[3 * t + 1] >= 0 && vertices[3 * t + 2] >= 0;
+    }
+    
+    /**
+     * Queue a triangle if it misses the targets: those below the minimum
+     * angle by smallest angle, then those above the maximum area by area
+     * @param {number} t - Index of the triangle
+     */
+    enqueue(t) {
+        if (!this.isMeshTriangle(t)) return;
+        
+        const vertices = this.triangulator.triangleVertices.slice(3 * t, 3 * t + 3);
+        const triangle = this.getTriangle(vertices);
+        const minAngle = this.settings.get('refinement.minAngle');
+        const maxArea = this.settings.get('refinement.maxArea');
+        const { minAngle: angle, area } = MeshQuality.measure(triangle);
+        const tooSkinny = angle < minAngle;
+        if (!tooSkinny && !(maxArea > 0 && area > maxArea)) return;
+        
+        // Triangles with edges too short to split further are left as they are
+        if (this.getShortestEdge(triangle) < RefinementConstants.MIN_EDGE_LENGTH) return;
+        if (this.skipped.has(this.getKey(vertices))) return;
+        
+        // Skinny triangles get negative priorities, large ones positive (smaller for larger areas)
+        const entry = { triangle: t, vertices: vertices, priority: tooSkinny ? angle - minAngle : 1 / area };
+        const heap = this.badTriangles;
+        let i = heap.push(entry) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].priority <= entry.priority) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = entry;
+    }
+    
+    /**
+     * Take the worst triangle from the queue
+     * @returns {Object} Queue entry ({triangle, vertices, priority})
+     */
+    dequeue() {
+        const heap = this.badTriangles;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= heap.length) break;
+                if (child + 1 < heap.length && heap[child + 1].priority < heap[child].priority) child++;
+                if (heap[child].priority >= last.priority) break;
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+    
+    /**
+     * Check whether a queued triangle still exists (insertions reuse triangle indices)
+     * @param {Object} entry - Queue entry ({triangle, vertices})
+     * @returns {boolean} true if the triangle has the same corners and belongs to the mesh
+     */
+    isQueued({ triangle, vertices }) {
+        const current = this.triangulator.triangleVertices;
+        return current[3 * triangle] === vertices[0] && current[3 * triangle + 1] === vertices[1] &&
+            current[3 * triangle + 2] === vertices[2] && this.isMeshTriangle(triangle);
+    }
+    
+    /**
+     * Check whether a corner of a mesh triangle next to a subsegment encroaches it
+     * @param {Object} subsegment - Subsegment ({a, b})
+     * @returns {boolean} true if the subsegment is encroached
+     */
+    isEncroached(subsegment) {
+        const points = this.triangulation.triangulatedPoints;
+        const vertices = this.triangulator.triangleVertices;
+        for (const [a, b] of [[subsegment.a, subsegment.b], [subsegment.b, subsegment.a]]) {
+            const edge = this.triangulator.findEdge(a, b);
+            if (edge && this.isMeshTriangle(edge.triangle) &&
+                this.encroaches(subsegment, points[vertices[3 * edge.triangle + edge.index]])) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Find a subsegment encroached by a position
+     * @param {Object} p - Position ({x, y})
+     * @returns {Object|undefined} Subsegment, undefined if none
+     */
+    findEncroachedSubsegment(p) {
+        for (const subsegment of this.subsegments.values()) {
+            if (this.encroaches(subsegment, p)) return subsegment;
+        }
+        return undefined;
+    }
+    
+    /**
+     * Check whether a position lies strictly inside the diametral circle of a subsegment
+     * @param {Object} subsegment - Subsegment ({a, b})
+     * @param {Object} p - Position ({x, y})
+     * @returns {boolean} true if the position encroaches the subsegment
+     */
+    encroaches(subsegment, p) {
+        const a = this.triangulation.triangulatedPoints[subsegment.a];
+        const b = this.triangulation.triangulatedPoints[subsegment.b];
+        if (p === a || p === b) return false;
+        return (a.x - p.x) * (b.x - p.x) + (a.y - p.y) * (b.y - p.y) < 0;
+    }
+    
+    /**
+     * Check whether a subsegment is long enough to be split
+     * @param {Object} subsegment - Subsegment ({a, b})
+     * @returns {boolean} true if both halves would be at least RefinementConstants.MIN_EDGE_LENGTH long
+     */
+    canSplit(subsegment) {
+        const a = this.triangulation.triangulatedPoints[subsegment.a];
+        const b = this.triangulation.triangulatedPoints[subsegment.b];
+        return Math.hypot(b.x - a.x, b.y - a.y) >= 2 * RefinementConstants.MIN_EDGE_LENGTH;
+    }
+    
+    /**
+     * Check whether a circumcenter can be inserted: it must lie inside the
+     * mesh and not too close to an existing point
+     * @param {Object} center - Position ({x, y})
+     * @param {number} start - Triangle where the search starts (the one the circumcenter belongs to)
+     * @returns {boolean} true if the position can be inserted
+     */
+    canInsert(center, start) {
+        const container = this.triangulator.locatePosition(center.x, center.y, start);
+        if (!this.isMeshTriangle(container)) return false;
+        
+        const points = this.triangulation.triangulatedPoints;
+        return this.triangulator.triangleVertices.slice(3 * container, 3 * container + 3).every(v =>
+            Math.hypot(points[v].x - center.x, points[v].y - center.y) >= RefinementConstants.MIN_EDGE_LENGTH);
+    }
+    
+    /**
+     * Get the triangle of the points at three vertices
+     * @param {Array<number>} vertices - Vertex indices
+     * @returns {Triangle} Triangle
+     */
+    getTriangle([a, b, c]) {
+        const points = this.triangulation.triangulatedPoints;
+        return new Triangle(points[a], points[b], points[c]);
+    }
+    
+    /**
+     * Get the length of the shortest edge of a triangle
+     * @param {Triangle} triangle - Triangle
+     * @returns {number} Length
+     */
+    getShortestEdge({ p1, p2, p3 }) {
+        return Math.min(
+            Math.hypot(p2.x - p1.x, p2.y - p1.y),
+            Math.hypot(p3.x - p2.x, p3.y - p2.y),
+            Math.hypot(p1.x - p3.x, p1.y - p3.y)
+        );
+    }
+    
+    /**
+     * Get a key identifying an edge regardless of its direction
+     * @param {number} a - First vertex
+     * @param {number} b - Second vertex
+     * @returns {string} Key
+     */
+    getEdgeKey(a, b) {
+        return a < b ? `${a}:${b}` : `${b}:${a}`;
+    }
+    
+    /**
+     * Get a key identifying a triangle by its points (kept when the triangulation is calculated again)
+     * @param {Array<number>} vertices - Vertex indices
+     * @returns {string} Key
+     */
+    getKey(vertices) {
+        const points = this.triangulation.triangulatedPoints;
+        return vertices.map(v => points[v].id).sort((a, b) => a - b).join(':');
+    }
+}
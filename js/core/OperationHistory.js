@@ -0,0 +1,201 @@
+import { HistoryConstants } from './Constants.js';
+
+/**
+ * Undo/redo history of the edits made through a point manager.
+ * Edits that add or remove points or segments (including the eviction of
+ * the oldest point, clearing and loading a scene) are recorded as the point
+ * and segment arrays before and after; moves are recorded as positions.
+ */
+export class OperationHistory {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     */
+    constructor(pointManager) {
+        this.pointManager = pointManager;
+        this.undoStack = []; // Entries that can be undone (newest last)
+        this.redoStack = []; // Undone entries that can be redone (newest last)
+        this.openEdit = null; // Edit spanning several steps that is still running
+    }
+    
+    /**
+     * Run an edit that adds or removes points or segments and record it
+     * @param {string} type - Kind of edit (e.g. 'add', 'remove', 'clear', 'load')
+     * @param {Function} action - Function making the edit
+     * @returns {*} Return value of the action
+     */
+    record(type, action) {
+        const edit = this.beginEdit(type);
+        const result = action();
+        this.endEdit(edit);
+        return result;
+    }
+    
+    /**
+     * Start recording an edit that spans several steps (e.g. an animated mesh refinement).
+     * An edit given an interrupt function stays open until endEdit(); any other edit, move
+     * or undo/redo first calls the function to stop it and records it, so entries never overlap.
+     * @param {string} type - Kind of edit
+     * @param {Function} [onInterrupt] - Function stopping the edit when something else is recorded
+     * @returns {Object} Edit to pass to endEdit()
+     */
+    beginEdit(type, onInterrupt = null) {
+        this.finishOpenEdit();
+        const edit = { type: type, before: this.pointManager.getState(), onInterrupt: onInterrupt };
+        if (onInterrupt) {
+            this.openEdit = edit;
+        }
+        return edit;
+    }
+    
+    /**
+     * Finish recording an edit started with beginEdit()
+     * @param {Object} edit - Edit returned by beginEdit()
+     */
+    endEdit(edit) {
+        // An interrupted edit has already been recorded
+        if (edit.ended) return;
+        edit.ended = true;
+        if (edit === this.openEdit) {
+            this.openEdit = null;
+        }
+        
+        const before = edit.before;
+        const after = this.pointManager.getState();
+        
+        // Edits that did nothing are not recorded
+        if (before.points.length !== after.points.length || before.segments.length !== after.segments.length ||
+            before.points.some((point, i) => point !== after.points[i]) ||
+            before.segments.some((segment, i) => segment !== after.segments[i])) {
+            this.push({ type: edit.type, before: before, after: after });
+        }
+    }
+    
+    /**
+     * Start recording a move of points (e.g. when a drag starts)
+     * @param {Array<Point>} points - Points about to move
+     * @returns {Object} Move to pass to endMove()
+     */
+    beginMove(points) {
+        this.finishOpenEdit();
+        return { points: points, from: points.map(point => this.getPosition(point)) };
+    }
+    
+    /**
+     * Finish recording a move of points
+     * @param {Object} move - Move returned by beginMove()
+     */
+    endMove(move) {
+        const to = move.points.map(point => this.getPosition(point));
+        const moved = to.some((position, i) => position.origX !== move.from[i].origX || position.origY !== move.from[i].origY);
+        if (moved) {
+            this.push({ type: 'move', points: move.points, from: move.from, to: to });
+        }
+    }
+    
+    /**
+     * Stop and record the open edit, if any, before another history operation
+     */
+    finishOpenEdit() {
+        const edit = this.openEdit;
+        if (!edit) return;
+        
+        this.openEdit = null;
+        edit.onInterrupt();
+        this.endEdit(edit);
+    }
+    
+    /**
+     * Get the position and anchor of a point
+     * @param {Point} point - Point
+     * @returns {Object} {x, y, origX, origY}
+     */
+    getPosition(point) {
+        return { x: point.x, y: point.y, origX: point.origX, origY: point.origY };
+    }
+    
+    /**
+     * Add an entry and forget the undone entries
+     * @param {Object} entry - History entry
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > HistoryConstants.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    /**
+     * Undo the last edit
+     * @returns {boolean} Whether there was an edit to undo
+     */
+    undo() {
+        this.finishOpenEdit();
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+        
+        this.apply(entry, false);
+        this.redoStack.push(entry);
+        return true;
+    }
+    
+    /**
+     * Redo the last undone edit
+     * @returns {boolean} Whether there was an edit to redo
+     */
+    redo() {
+        this.finishOpenEdit();
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+        
+        this.apply(entry, true);
+        this.undoStack.push(entry);
+        return true;
+    }
+    
+    /**
+     * Restore the state before or after an entry and recalculate the triangulation
+     * @param {Object} entry - History entry
+     * @param {boolean} forward - true for the state after the entry, false for before
+     */
+    apply(entry, forward) {
+        if (entry.type === 'move') {
+            const positions = forward ? entry.to : entry.from;
+            entry.points.forEach((point, i) => {
+                Object.assign(point, positions[i], { prevX: positions[i].x, prevY: positions[i].y, vx: 0, vy: 0 });
+            });
+        } else {
+            this.pointManager.setState(forward ? entry.after : entry.before);
+        }
+        
+        if (this.pointManager.triangulation) {
+            this.pointManager.triangulation.calculate();
+        }
+    }
+    
+    /**
+     * Check whether an edit can be undone
+     * @returns {boolean} true if there is an edit to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * Check whether an edit can be redone
+     * @returns {boolean} true if there is an edit to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Forget all entries
+     */
+    clear() {
+        this.finishOpenEdit();
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
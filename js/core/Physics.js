@@ -0,0 +1,150 @@
+/**
+ * Force functions of the point physics simulation.
+ * Each function updates the velocity (or position) of a single point in place.
+ */
+export const Physics = {
+    /**
+     * Apply repulsion force between two points
+     * @param {Point} point - Point to apply force to
+     * @param {Point} other - Other point causing repulsion
+     * @param {number} strength - Force strength
+     * @param {number} radius - Radius of influence
+     */
+    applyRepulsionForce: function(point, other, strength, radius) {
+        const dx = point.x - other.x;
+        const dy = point.y - other.y;
+        const distSq = dx * dx + dy * dy;
+        
+        if (distSq < radius * radius && distSq > 0) {
+            const dist = Math.sqrt(distSq);
+            const force = strength * (1.0 - dist / radius);
+            
+            point.vx += dx / dist * force;
+            point.vy += dy / dist * force;
+        }
+    },
+    
+    /**
+     * Apply a random kick to a point (Brownian motion)
+     * @param {Point} point - Point to apply force to
+     * @param {number} strength - Maximum change of velocity
+     * @param {Function} [random=Math.random] - Random number generator returning [0, 1)
+     */
+    applyBrownianForce: function(point, strength, random = Math.random) {
+        point.vx += (random() - 0.5) * strength;
+        point.vy += (random() - 0.5) * strength;
+    },
+    
+    /**
+     * Apply constraint to keep point near its original position
+     * @param {Point} point - Point to constrain
+     * @param {number} maxDistance - Maximum allowed distance
+     * @param {number} returnForce - Return force strength
+     */
+    constrainToOriginalPosition: function(point, maxDistance, returnForce) {
+        const dx = point.x - point.origX;
+        const dy = point.y - point.origY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        
+        if (dist > maxDistance) {
+            const force = (dist - maxDistance) * returnForce;
+            point.vx -= dx / dist * force;
+            point.vy -= dy / dist * force;
+        }
+    },
+    
+    /**
+     * Pull a point toward a position (or push it away with negative strength).
+     * The force fades out linearly toward the edge of the radius.
+     * @param {Point} point - Point to apply force to
+     * @param {number} x - X coordinate of the attractor
+     * @param {number} y - Y coordinate of the attractor
+     * @param {number} strength - Force strength at the attractor
+     * @param {number} radius - Radius of influence
+     */
+    applyAttraction: function(point, x, y, strength, radius) {
+        const dx = x - point.x;
+        const dy = y - point.y;
+        const distSq = dx * dx + dy * dy;
+        
+        if (distSq < radius * radius && distSq > 0) {
+            const dist = Math.sqrt(distSq);
+            const force = strength * (1.0 - dist / radius);
+            
+            point.vx += dx / dist * force;
+            point.vy += dy / dist * force;
+        }
+    },
+    
+    /**
+     * Swirl a point around a center (counter-clockwise with positive strength).
+     * The force fades out linearly toward the edge of the radius.
+     * @param {Point} point - Point to apply force to
+     * @param {number} x - X coordinate of the center
+     * @param {number} y - Y coordinate of the center
+     * @param {number} strength - Force strength at the center
+     * @param {number} radius - Radius of influence
+     */
+    applyVortex: function(point, x, y, strength, radius) {
+        const dx = point.x - x;
+        const dy = point.y - y;
+        const distSq = dx * dx + dy * dy;
+        
+        if (distSq < radius * radius && distSq > 0) {
+            const dist = Math.sqrt(distSq);
+            const force = strength * (1.0 - dist / radius);
+            
+            // Perpendicular to the direction from the center
+            point.vx -= dy / dist * force;
+            point.vy += dx / dist * force;
+        }
+    },
+    
+    /**
+     * Apply quadratic drag (air resistance), which slows fast points more than friction does
+     * @param {Point} point - Point to apply drag to
+     * @param {number} coefficient - Fraction of the velocity removed per step and unit of speed
+     */
+    applyDrag: function(point, coefficient) {
+        const speed = Math.sqrt(point.vx * point.vx + point.vy * point.vy);
+        const factor = Math.min(coefficient * speed, 1.0);
+        point.vx -= point.vx * factor;
+        point.vy -= point.vy * factor;
+    },
+    
+    /**
+     * Apply friction to a point's velocity
+     * @param {Point} point - Point to apply friction to
+     * @param {number} friction - Friction coefficient
+     */
+    applyFriction: function(point, friction) {
+        point.vx *= friction;
+        point.vy *= friction;
+    },
+    
+    /**
+     * Constrain point to screen boundaries
+     * @param {Point} point - Point to constrain
+     * @param {number} halfWidth - Half of the screen width
+     * @param {number} halfHeight - Half of the screen height
+     * @param {number} bounceFactor - Bounce factor
+     */
+    constrainToScreen: function(point, halfWidth, halfHeight, bounceFactor) {
+        if (point.x < -halfWidth) {
+            point.x = -halfWidth;
+            point.vx = -point.vx * bounceFactor;
+        }
+        if (point.x > halfWidth) {
+            point.x = halfWidth;
+            point.vx = -point.vx * bounceFactor;
+        }
+        if (point.y < -halfHeight) {
+            point.y = -halfHeight;
+            point.vy = -point.vy * bounceFactor;
+        }
+        if (point.y > halfHeight) {
+            point.y = halfHeight;
+            point.vy = -point.vy * bounceFactor;
+        }
+    }
+};
@@ -0,0 +1,330 @@
+import { ImportConstants } from './Constants.js';
+
+/**
+ * Readers of point sets from text files:
+ * - CSV (also tab, semicolon or space separated): x,y[,z,weight] per line, with an
+ *   optional header naming the columns (x/lon/lng/longitude, y/lat/latitude, z, weight)
+ * - GeoJSON: Point and MultiPoint geometries, alone or in features, feature
+ *   collections and geometry collections (a "weight" property is kept)
+ * - JSON: an array of [x, y, z, weight] arrays or {x, y, z, weight} objects
+ * Records are {x, y} in the file's units, with z and weight when given.
+ * Problems are reported per line (CSV), item (JSON) or feature (GeoJSON);
+ * records with problems are skipped.
+ *
+ * Imported coordinates are fitted into the view with a transform
+ * ({scale, offsetX, offsetY}: scene = data * scale + offset).
+ */
+export const PointFormats = {
+    // Column names understood in CSV headers
+    COLUMN_NAMES: {
+        x: ['x', 'lon', 'lng', 'long', 'longitude', 'easting'],
+        y: ['y', 'lat', 'latitude', 'northing'],
+        z: ['z', 'elevation', 'altitude', 'height'],
+        weight: ['weight', 'w']
+    },
+    
+    /**
+     * Read points from a file's text
+     * @param {string} text - File contents
+     * @param {string} [fileName] - File name (its extension selects the format)
+     * @returns {Object} {records, errors}: point records and error messages
+     */
+    parse: function(text, fileName = '') {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        if (extension === 'json' || extension === 'geojson') {
+            return this.parseJson(text);
+        }
+        if (['csv', 'tsv', 'txt'].includes(extension)) {
+            return this.parseCsv(text);
+        }
+        return /^\s*[[{]/.test(text) ? this.parseJson(text) : this.parseCsv(text);
+    },
+    
+    /**
+     * Read points from CSV text
+     * @param {string} text - CSV text (blank lines and lines starting with # are skipped)
+     * @returns {Object} {records, errors}
+     */
+    parseCsv: function(text) {
+        const records = [];
+        const errors = [];
+        let delimiter = null;
+        let columns = null; // Field index per value name
+        let unreadable = false; // Whether the header lacks the x or y column
+        
+        text.split(/\r?\n/).forEach((line, i) => {
+            const number = i + 1;
+            if (unreadable || line.trim() === '' || line.trim().startsWith('#')) return;
+            
+            // The first line decides the delimiter and whether there is a header
+            if (delimiter === null) {
+                delimiter = ['\t', ';', ','].find(candidate => line.includes(candidate)) || /\s+/;
+            }
+            const fields = line.trim().split(delimiter).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+            if (columns === null) {
+                columns = this.readHeader(fields);
+                if (columns) {
+                    if (columns.x === undefined || columns.y === undefined) {
+                        errors.push(`Line ${number}: the header needs x and y columns (got "${fields.join(', ')}")`);
+                        unreadable = true;
+                    }
+                    return;
+                }
+                columns = { x: 0, y: 1, z: 2, weight: 3 };
+            }
+            
+            const values = {};
+            for (const [name, index] of Object.entries(columns)) {
+                values[name] = index < fields.length ? fields[index] : '';
+            }
+            try {
+                records.push(this.createRecord(values));
+            } catch (e) {
+                errors.push(`Line ${number}: ${e.message}`);
+            }
+        });
+        
+        return { records: records, errors: errors };
+    },
+    
+    /**
+     * Read the column names of a CSV header
+     * @param {Array<string>} fields - Fields of the first line
+     * @returns {Object|null} Field index per value name, or null if the line holds numbers
+     */
+    readHeader: function(fields) {
+        if (fields.length > 0 && this.toNumber(fields[0]) !== null) return null;
+        
+        const columns = {};
+        fields.forEach((field, i) => {
+            for (const [name, aliases] of Object.entries(this.COLUMN_NAMES)) {
+                if (aliases.includes(field.toLowerCase()) && columns[name] === undefined) {
+                    columns[name] = i;
+                }
+            }
+        });
+        return columns;
+    },
+    
+    /**
+     * Read points from JSON text (GeoJSON or an array of points)
+     * @param {string} text - JSON text
+     * @returns {Object} {records, errors}
+     */
+    parseJson: function(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Point at the line of the syntax error when the message gives its position
+            const match = /position (\d+)/.exec(e.message);
+            const line = match ? text.slice(0, Number(match[1])).split('\n').length : 1;
+            return { records: [], errors: [`Line ${line}: invalid JSON (${e.message})`] };
+        }
+        
+        if (Array.isArray(data)) {
+            return this.parseArray(data);
+        }
+        if (data && typeof data.type === 'string') {
+            return this.parseGeoJson(data);
+        }
+        return { records: [], errors: ['Expected a GeoJSON object or an array of points'] };
+    },
+    
+    /**
+     * Read points from an array of [x, y, z, weight] arrays or {x, y, z, weight} objects
+     * @param {Array} items - Items
+     * @returns {Object} {records, errors}
+     */
+    parseArray: function(items) {
+        const records = [];
+        const errors = [];
+        items.forEach((item, i) => {
+            try {
+                if (Array.isArray(item)) {
+                    const [x, y, z, weight] = item;
+                    records.push(this.createRecord({ x, y, z, weight }));
+                } else if (item && typeof item === 'object') {
+                    records.push(this.createRecord(item));
+                } else {
+                    throw new Error('expected [x, y] or {x, y}');
+                }
+            } catch (e) {
+                errors.push(`Item ${i + 1}: ${e.message}`);
+            }
+        });
+        return { records: records, errors: errors };
+    },
+    
+    /**
+     * Read the points of a GeoJSON object
+     * @param {Object} geojson - GeoJSON object
+     * @returns {Object} {records, errors}
+     */
+    parseGeoJson: function(geojson) {
+        const records = [];
+        const errors = [];
+        
+        const readGeometry = (geometry, weight, label) => {
+            if (!geometry || typeof geometry !== 'object') {
+                errors.push(`${label}: no geometry`);
+                return;
+            }
+            try {
+                switch (geometry.type) {
+                    case 'Point':
+                        records.push(this.createPosition(geometry.coordinates, weight));
+                        break;
+                    case 'MultiPoint':
+                        if (!Array.isArray(geometry.coordinates)) throw new Error('coordinates must be an array');
+                        for (const position of geometry.coordinates) {
+                            records.push(this.createPosition(position, weight));
+                        }
+                        break;
+                    case 'GeometryCollection':
+                        (geometry.geometries || []).forEach((part, i) => readGeometry(part, weight, `${label}, geometry ${i + 1}`));
+                        break;
+                    default:
+                        throw new Error(`unsupported geometry type "${geometry.type}" (only Point and MultiPoint)`);
+                }
+            } catch (e) {
+                errors.push(`${label}: ${e.message}`);
+            }
+        };
+        const readFeature = (feature, label) => {
+            const properties = feature.properties || {};
+            readGeometry(feature.geometry, properties.weight, label);
+        };
+        
+        if (geojson.type === 'FeatureCollection') {
+            if (!Array.isArray(geojson.features)) {
+                errors.push('FeatureCollection: features must be an array');
+            } else {
+                geojson.features.forEach((feature, i) => readFeature(feature || {}, `Feature ${i + 1}`));
+            }
+        } else if (geojson.type === 'Feature') {
+            readFeature(geojson, 'Feature');
+        } else {
+            readGeometry(geojson, undefined, 'Geometry');
+        }
+        
+        return { records: records, errors: errors };
+    },
+    
+    /**
+     * Create a record from a GeoJSON position
+     * @param {Array<number>} position - [x, y] or [x, y, z]
+     * @param {*} weight - Weight property
+     * @returns {Object} Record
+     * @throws {Error} If the position is malformed
+     */
+    createPosition: function(position, weight) {
+        if (!Array.isArray(position)) {
+            throw new Error('a position must be an array [x, y]');
+        }
+        return this.createRecord({ x: position[0], y: position[1], z: position[2], weight: weight });
+    },
+    
+    /**
+     * Create a record from raw values (numbers or numeric text)
+     * @param {Object} values - {x, y, z, weight} (z and weight optional)
+     * @returns {Object} Record ({x, y} with z and weight when given)
+     * @throws {Error} If x or y is missing or a value is not a number
+     */
+    createRecord: function(values) {
+        const record = {};
+        for (const name of ['x', 'y', 'z', 'weight']) {
+            const raw = values[name];
+            const missing = raw === undefined || raw === null || raw === '';
+            if (missing) {
+                if (name === 'x' || name === 'y') {
+                    throw new Error(`missing ${name} value`);
+                }
+                continue;
+            }
+            
+            const value = this.toNumber(raw);
+            if (value === null) {
+                throw new Error(`${name} value ${JSON.stringify(raw)} is not a number`);
+            }
+            record[name] = value;
+        }
+        return record;
+    },
+    
+    /**
+     * Convert a number or numeric text to a finite number
+     * @param {*} raw - Value
+     * @returns {number|null} Number, or null if the value is not a finite number
+     */
+    toNumber: function(raw) {
+        if (typeof raw === 'number') {
+            return Number.isFinite(raw) ? raw : null;
+        }
+        if (typeof raw !== 'string' || raw.trim() === '') return null;
+        
+        const value = Number(raw);
+        return Number.isFinite(value) ? value : null;
+    },
+    
+    /**
+     * Create the transform fitting records into a rectangle centered at the origin
+     * (the aspect ratio is kept, y stays up)
+     * @param {Array<Object>} records - Records ({x, y})
+     * @param {number} width - Width of the rectangle
+     * @param {number} height - Height of the rectangle
+     * @param {number} [margin=ImportConstants.MARGIN] - Fraction of the size left free on each side
+     * @returns {Object} Transform ({scale, offsetX, offsetY})
+     */
+    fitTransform: function(records, width, height, margin = ImportConstants.MARGIN) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const { x, y } of records) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        if (records.length === 0) {
+            minX = maxX = minY = maxY = 0;
+        }
+        
+        // A single point or a line keeps its size along the missing extent
+        const spanX = maxX - minX;
+        const spanY = maxY - minY;
+        const scales = [];
+        if (spanX > 0) scales.push(width * (1 - 2 * margin) / spanX);
+        if (spanY > 0) scales.push(height * (1 - 2 * margin) / spanY);
+        const scale = scales.length > 0 ? Math.min(...scales) : 1;
+        
+        return {
+            scale: scale,
+            offsetX: -(minX + maxX) / 2 * scale,
+            offsetY: -(minY + maxY) / 2 * scale
+        };
+    },
+    
+    /**
+     * Convert a position from the file's units to scene coordinates
+     * @param {Object} position - Position ({x, y})
+     * @param {Object|null} transform - Transform (null for none)
+     * @returns {Object} Scene position ({x, y})
+     */
+    toScene: function(position, transform) {
+        if (!transform) return { x: position.x, y: position.y };
+        return { x: position.x * transform.scale + transform.offsetX, y: position.y * transform.scale + transform.offsetY };
+    },
+    
+    /**
+     * Convert a position from scene coordinates back to the file's units
+     * @param {Object} position - Scene position ({x, y})
+     * @param {Object|null} transform - Transform (null for none)
+     * @returns {Object} Position ({x, y})
+     */
+    toData: function(position, transform) {
+        if (!transform) return { x: position.x, y: position.y };
+        return { x: (position.x - transform.offsetX) / transform.scale, y: (position.y - transform.offsetY) / transform.scale };
+    }
+};
@@ -0,0 +1,282 @@
+import { GeneratorConstants } from './Constants.js';
+
+/**
+ * Pick items in random order (partial Fisher-Yates shuffle of a copy)
+ * @param {Array} items - Items
+ * @param {number} count - Number of items to pick
+ * @param {Function} random - Random number generator
+ * @returns {Array} Up to count items
+ */
+function pickRandom(items, count, random) {
+    const picked = items.slice();
+    const n = Math.min(count, picked.length);
+    for (let i = 0; i < n; i++) {
+        const j = i + Math.floor(random() * (picked.length - i));
+        [picked[i], picked[j]] = [picked[j], picked[i]];
+    }
+    return picked.slice(0, n);
+}
+
+/**
+ * Mirror the digits of an index about the radix point (van der Corput sequence)
+ * @param {number} index - Index
+ * @param {number} base - Base
+ * @returns {number} Number in [0, 1)
+ */
+function radicalInverse(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    for (let i = index; i > 0; i = Math.floor(i / base)) {
+        result += (i % base) * fraction;
+        fraction /= base;
+    }
+    return result;
+}
+
+/**
+ * Draw two independent standard normal numbers (Box-Muller transform)
+ * @param {Function} random - Random number generator
+ * @returns {Array<number>} [x, y]
+ */
+function gaussianPair(random) {
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    const angle = 2 * Math.PI * random();
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+}
+
+/**
+ * Procedural point sets. Each generator implements
+ * generate(count, random, width, height) returning up to count positions
+ * ({x, y}) inside the width x height rectangle centered at the origin.
+ * random is a seeded generator returning numbers in [0, 1), so the same
+ * seed always gives the same set.
+ */
+export const PointGenerators = {
+    // Independent uniformly distributed points
+    uniform: {
+        label: 'Uniform random',
+        generate: function(count, random, width, height) {
+            const positions = [];
+            for (let i = 0; i < count; i++) {
+                positions.push({ x: (random() - 0.5) * width, y: (random() - 0.5) * height });
+            }
+            return positions;
+        }
+    },
+    
+    // Bridson's Poisson-disk sampling: random points no closer than a radius
+    // chosen for the count (extra points are dropped at random)
+    poissonDisk: {
+        label: 'Poisson-disk (Bridson)',
+        generate: function(count, random, width, height) {
+            if (count === 0) return [];
+            const radius = Math.sqrt(width * height * GeneratorConstants.POISSON_DENSITY / count);
+            
+            // Background grid holding at most one sample per cell
+            const cellSize = radius / Math.SQRT2;
+            const columns = Math.ceil(width / cellSize);
+            const rows = Math.ceil(height / cellSize);
+            const grid = new Int32Array(columns * rows).fill(-1);
+            const samples = [];
+            const active = [];
+            
+            const addSample = (x, y) => {
+                grid[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)] = samples.length;
+                active.push(samples.length);
+                samples.push({ x: x, y: y });
+            };
+            const isFree = (x, y) => {
+                const column = Math.floor(x / cellSize);
+                const row = Math.floor(y / cellSize);
+                for (let j = Math.max(0, row - 2); j <= Math.min(rows - 1, row + 2); j++) {
+                    for (let i = Math.max(0, column - 2); i <= Math.min(columns - 1, column + 2); i++) {
+                        const index = grid[j * columns + i];
+                        if (index >= 0 && Math.hypot(samples[index].x - x, samples[index].y - y) < radius) {
+                            return false;
+                        }
+                    }
+                }
+                return true;
+            };
+            
+            addSample(random() * width, random() * height);
+            while (active.length > 0) {
+                // Try candidates in the ring around a random active sample
+                const slot = Math.floor(random() * active.length);
+                const center = samples[active[slot]];
+                let found = false;
+                for (let attempt = 0; attempt < GeneratorConstants.POISSON_ATTEMPTS && !found; attempt++) {
+                    const angle = random() * 2 * Math.PI;
+                    const distance = radius * (1 + random());
+                    const x = center.x + Math.cos(angle) * distance;
+                    const y = center.y + Math.sin(angle) * distance;
+                    if (x >= 0 && x < width && y >= 0 && y < height && isFree(x, y)) {
+                        addSample(x, y);
+                        found = true;
+                    }
+                }
+                
+                // Samples without room around them are retired
+                if (!found) {
+                    active[slot] = active[active.length - 1];
+                    active.pop();
+                }
+            }
+            
+            return pickRandom(samples, count, random).map(({ x, y }) => ({ x: x - width / 2, y: y - height / 2 }));
+        }
+    },
+    
+    // One random point in each of count grid cells
+    jitteredGrid: {
+        label: 'Jittered grid',
+        generate: function(count, random, width, height) {
+            if (count === 0) return [];
+            const columns = Math.max(1, Math.round(Math.sqrt(count * width / height)));
+            const rows = Math.ceil(count / columns);
+            const cellWidth = width / columns;
+            const cellHeight = height / rows;
+            
+            // Cells left empty by an incomplete last row are spread at random
+            const cells = [];
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    cells.push({ column: column, row: row });
+                }
+            }
+            return pickRandom(cells, count, random).map(({ column, row }) => ({
+                x: (column + random()) * cellWidth - width / 2,
+                y: (row + random()) * cellHeight - height / 2
+            }));
+        }
+    },
+    
+    // Triangular lattice (hexagonal cells) with a random offset, the points nearest to the center
+    hexagonal: {
+        label: 'Hexagonal lattice',
+        generate: function(count, random, width, height) {
+            if (count === 0) return [];
+            const offsetX = random();
+            const offsetY = random();
+            
+            // Start from the spacing that fills the rectangle and shrink it until enough points fit
+            let spacing = Math.sqrt(2 * width * height / (Math.sqrt(3) * count));
+            let positions = [];
+            while (positions.length < count) {
+                const rowHeight = spacing * Math.sqrt(3) / 2;
+                positions = [];
+                for (let row = Math.floor(-height / 2 / rowHeight) - 1; row * rowHeight <= height / 2 + rowHeight; row++) {
+                    const y = (row + offsetY) * rowHeight;
+                    const shift = (Math.abs(row) % 2) / 2 + offsetX;
+                    for (let column = Math.floor(-width / 2 / spacing) - 1; column * spacing <= width / 2 + spacing; column++) {
+                        const x = (column + shift) * spacing;
+                        if (Math.abs(x) <= width / 2 && Math.abs(y) <= height / 2) {
+                            positions.push({ x: x, y: y });
+                        }
+                    }
+                }
+                spacing *= 0.98;
+            }
+            
+            positions.sort((a, b) => (a.x * a.x + a.y * a.y) - (b.x * b.x + b.y * b.y));
+            return positions.slice(0, count);
+        }
+    },
+    
+    // Halton sequence in bases 2 and 3, shifted by a random offset (modulo 1)
+    halton: {
+        label: 'Halton sequence',
+        generate: function(count, random, width, height) {
+            const shiftX = random();
+            const shiftY = random();
+            const positions = [];
+            for (let i = 1; i <= count; i++) {
+                positions.push({
+                    x: ((radicalInverse(i, 2) + shiftX) % 1 - 0.5) * width,
+                    y: ((radicalInverse(i, 3) + shiftY) % 1 - 0.5) * height
+                });
+            }
+            return positions;
+        }
+    },
+    
+    // Two-dimensional Sobol sequence with a random digital shift
+    sobol: {
+        label: 'Sobol sequence',
+        generate: function(count, random, width, height) {
+            // Direction numbers: the first dimension reverses the bits, the second
+            // follows the primitive polynomial x + 1 (v[k] = v[k - 1] ^ (v[k - 1] >> 1))
+            const first = [];
+            const second = [];
+            for (let k = 0; k < 32; k++) {
+                first.push((1 << (31 - k)) >>> 0);
+                second.push(k === 0 ? 0x80000000 : (second[k - 1] ^ (second[k - 1] >>> 1)) >>> 0);
+            }
+            const shiftX = Math.floor(random() * 4294967296) >>> 0;
+            const shiftY = Math.floor(random() * 4294967296) >>> 0;
+            
+            const positions = [];
+            for (let i = 0; i < count; i++) {
+                let x = shiftX;
+                let y = shiftY;
+                for (let k = 0, bits = i; bits > 0; k++, bits >>>= 1) {
+                    if (bits & 1) {
+                        x = (x ^ first[k]) >>> 0;
+                        y = (y ^ second[k]) >>> 0;
+                    }
+                }
+                positions.push({ x: (x / 4294967296 - 0.5) * width, y: (y / 4294967296 - 0.5) * height });
+            }
+            return positions;
+        }
+    },
+    
+    // Vogel's sunflower spiral: each point turns by the golden angle, spaced for equal area
+    spiral: {
+        label: 'Golden-angle spiral',
+        generate: function(count, random, width, height) {
+            const radius = Math.min(width, height) / 2;
+            const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+            const rotation = random() * 2 * Math.PI;
+            const positions = [];
+            for (let i = 0; i < count; i++) {
+                const r = radius * Math.sqrt((i + 0.5) / count);
+                const angle = i * goldenAngle + rotation;
+                positions.push({ x: r * Math.cos(angle), y: r * Math.sin(angle) });
+            }
+            return positions;
+        }
+    },
+    
+    // Gaussian clusters around random centers
+    clusters: {
+        label: 'Gaussian clusters',
+        generate: function(count, random, width, height) {
+            const sigma = GeneratorConstants.CLUSTER_SPREAD * Math.min(width, height);
+            const centers = [];
+            for (let i = 0; i < Math.min(count, GeneratorConstants.CLUSTERS); i++) {
+                centers.push({ x: (random() - 0.5) * (width - 4 * sigma), y: (random() - 0.5) * (height - 4 * sigma) });
+            }
+            
+            const positions = [];
+            for (let i = 0; i < count; i++) {
+                const center = centers[Math.floor(random() * centers.length)];
+                
+                // Samples outside the rectangle are drawn again (and clamped if that keeps failing)
+                let x;
+                let y;
+                for (let attempt = 0; attempt < 10; attempt++) {
+                    const [gx, gy] = gaussianPair(random);
+                    x = center.x + gx * sigma;
+                    y = center.y + gy * sigma;
+                    if (Math.abs(x) <= width / 2 && Math.abs(y) <= height / 2) break;
+                }
+                positions.push({
+                    x: Math.max(-width / 2, Math.min(width / 2, x)),
+                    y: Math.max(-height / 2, Math.min(height / 2, y))
+                });
+            }
+            return positions;
+        }
+    }
+};
@@ -0,0 +1,667 @@
+import { ConstraintConstants, GeneratorConstants } from './Constants.js';
+import { Settings } from './Settings.js';
+import { Random } from './Random.js';
+import { ForceRegistry } from './ForceRegistry.js';
+import { Physics } from './Physics.js';
+import { Predicates } from './Predicates.js';
+import { PointFormats } from './PointFormats.js';
+import { PointGenerators } from './PointGenerators.js';
+
+/**
+ * A point of the simulation (plain data, independent of rendering)
+ * @typedef {Object} Point
+ * @property {number} id - Unique identifier
+ * @property {number} x - X coordinate
+ * @property {number} y - Y coordinate
+ * @property {number} vx - Velocity in x direction
+ * @property {number} vy - Velocity in y direction
+ * @property {number} origX - Original x position
+ * @property {number} origY - Original y position
+ * @property {number} prevX - X coordinate before the last simulation step (for render interpolation)
+ * @property {number} prevY - Y coordinate before the last simulation step
+ * @property {boolean} fixed - Whether the point is excluded from the physics simulation
+ * @property {boolean} steiner - Whether the point was inserted by mesh refinement (see MeshRefiner)
+ * @property {number} [z] - Z value of an imported point (e.g. its elevation)
+ * @property {number} [weight] - Weight of an imported point
+ */
+
+/**
+ * Class responsible for managing points and their behavior
+ */
+export class PointManager {
+    /**
+     * Constructor
+     * @param {Settings} [settings] - Runtime settings (defaults if omitted)
+     */
+    constructor(settings = new Settings()) {
+        this.settings = settings;
+        this.points = []; // Array of points
+        this.segments = []; // Constraint segments as {a, b} pairs of fixed points
+        this.lastAddedPoint = null;
+        this.triangulation = null; // Reference to triangulation (set later)
+        this.nextId = 0; // Identifier given to the next point
+        this.heldPoints = new Set(); // Points held by the user (not moved by the simulation)
+        this.transform = null; // Transform from imported units to scene coordinates (null for pixels, see PointFormats)
+        
+        // Seeded random numbers make the simulation reproducible
+        this.random = new Random(settings.get('simulation.seed'));
+        this.nextRandom = () => this.random.next();
+        // Force modules moving the points
+        this.forces = new ForceRegistry(settings);
+        
+        this.unsubscribeSettings = settings.subscribe(key => {
+            if (key === 'simulation.seed') {
+                this.reseed();
+            }
+        });
+    }
+    
+    /**
+     * Restart the random number sequence from the seed setting
+     */
+    reseed() {
+        this.random.setSeed(this.settings.get('simulation.seed'));
+    }
+    
+    /**
+     * Set reference to triangulation
+     * @param {DelaunayTriangulation} triangulation - Triangulation
+     */
+    setTriangulation(triangulation) {
+        this.triangulation = triangulation;
+    }
+    
+    /**
+     * Add a new point at the specified coordinates
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Point|null} The added point, or null when fixed points fill points.maxPoints
+     */
+    addPoint(x, y) {
+        // If maximum number of points is reached, remove the oldest free point
+        const maxPoints = this.settings.get('points.maxPoints');
+        this.trimPoints(maxPoints - 1);
+        
+        // Fixed points are never removed, so when they fill the limit nothing is added
+        if (this.points.length >= maxPoints) {
+            return null;
+        }
+        
+        const point = {
+            id: this.nextId++,
+            x: x,
+            y: y,
+            vx: 0,      // velocity in x direction
+            vy: 0,      // velocity in y direction
+            origX: x,   // original x position
+            origY: y,   // original y position
+            prevX: x,   // x position before the last simulation step
+            prevY: y,   // y position before the last simulation step
+            fixed: false,
+            steiner: false
+        };
+        
+        // Add point to array
+        this.points.push(point);
+        
+        // Record the last added point
+        this.lastAddedPoint = point;
+        
+        return point;
+    }
+    
+    /**
+     * Replace all points with imported ones
+     * @param {Array<Object>} records - Point records in the file's units ({x, y, z, weight}, see PointFormats)
+     * @param {Object|null} transform - Transform from the file's units to scene coordinates (null if they are scene coordinates)
+     * @returns {Array<Point>} The added points (at most points.maxPoints, later records are dropped)
+     */
+    importPoints(records, transform) {
+        this.clear();
+        this.transform = transform;
+        
+        const added = records.slice(0, this.settings.get('points.maxPoints')).map(record => {
+            const position = PointFormats.toScene(record, transform);
+            const point = this.addPoint(position.x, position.y);
+            if (record.z !== undefined) point.z = record.z;
+            if (record.weight !== undefined) point.weight = record.weight;
+            return point;
+        });
+        
+        if (this.triangulation) {
+            this.triangulation.calculate();
+        }
+        return added;
+    }
+    
+    /**
+     * Replace all points with a generated set filling a rectangle centered at the origin
+     * @param {string} name - Generator name (see PointGenerators)
+     * @param {number} count - Number of points (limited to points.maxPoints)
+     * @param {number} seed - Seed of the generator's random numbers
+     * @param {number} width - Width of the rectangle
+     * @param {number} height - Height of the rectangle
+     * @returns {Array<Point>} The added points
+     * @throws {RangeError} If there is no generator with the name
+     */
+    generatePoints(name, count, seed, width, height) {
+        const generator = PointGenerators[name];
+        if (!generator) {
+            throw new RangeError(`Unknown point generator: ${name}`);
+        }
+        
+        const random = new Random(seed);
+        const inset = 1 - 2 * GeneratorConstants.MARGIN;
+        const positions = generator.generate(
+            Math.min(count, this.settings.get('points.maxPoints')),
+            () => random.next(),
+            width * inset,
+            height * inset
+        );
+        return this.importPoints(positions, null);
+    }
+    
+    /**
+     * Convert a position to the units of the imported points
+     * @param {Object} position - Scene position ({x, y})
+     * @returns {Object} Position in the imported units ({x, y}), unchanged if nothing was imported
+     */
+    toDataCoordinates(position) {
+        return PointFormats.toData(position, this.transform);
+    }
+    
+    /**
+     * Remove the oldest free points until at most a number of points remain
+     * (fixed points belong to constraint segments and are kept)
+     * @param {number} maxPoints - Number of points to keep
+     * @returns {boolean} Whether any point was removed
+     */
+    trimPoints(maxPoints) {
+        let removed = false;
+        while (this.points.length > maxPoints) {
+            const oldestPoint = this.points.find(point => !point.fixed);
+            if (!oldestPoint) break;
+            
+            this.removePoint(oldestPoint);
+            removed = true;
+        }
+        return removed;
+    }
+    
+    /**
+     * Add a constraint segment between two positions.
+     * Endpoints close to existing fixed points snap to them, so segments
+     * can be chained into polygons.
+     * @param {number} x1 - X coordinate of the start
+     * @param {number} y1 - Y coordinate of the start
+     * @param {number} x2 - X coordinate of the end
+     * @param {number} y2 - Y coordinate of the end
+     * @returns {Object|null} The added segment, or null if it is degenerate,
+     *     already exists, crosses another segment or needs more fixed points than points.maxPoints allows
+     */
+    addSegment(x1, y1, x2, y2) {
+        const start = this.findFixedPoint(x1, y1);
+        const end = this.findFixedPoint(x2, y2);
+        
+        // Reject segments that are too short
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        if (dx * dx + dy * dy < ConstraintConstants.MIN_LENGTH * ConstraintConstants.MIN_LENGTH) {
+            return null;
+        }
+        
+        for (const segment of this.segments) {
+            // Reject duplicates
+            if ((start.point === segment.a && end.point === segment.b) ||
+                (start.point === segment.b && end.point === segment.a)) {
+                return null;
+            }
+            
+            // Reject segments crossing an existing one
+            if (this.segmentsIntersect(start, end, segment.a, segment.b)) {
+                return null;
+            }
+        }
+        
+        // Reject segments whose new endpoints would not fit beside the fixed points
+        const added = (start.point ? 0 : 1) + (end.point ? 0 : 1);
+        if (this.points.filter(point => point.fixed).length + added > this.settings.get('points.maxPoints')) {
+            return null;
+        }
+        
+        const segment = {
+            a: start.point || this.addFixedPoint(start.x, start.y),
+            b: end.point || this.addFixedPoint(end.x, end.y)
+        };
+        this.segments.push(segment);
+        
+        return segment;
+    }
+    
+    /**
+     * Add a constraint segment between two existing points without any checks
+     * (used when restoring saved segments)
+     * @param {Point} a - First point
+     * @param {Point} b - Second point
+     * @returns {Object} The added segment
+     */
+    connectPoints(a, b) {
+        const segment = { a: a, b: b };
+        this.segments.push(segment);
+        return segment;
+    }
+    
+    /**
+     * Find the fixed point to snap a position to
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} Snapped position as {x, y, point} (point is null if nothing is close)
+     */
+    findFixedPoint(x, y) {
+        let closest = null;
+        let closestDistSq = ConstraintConstants.SNAP_DISTANCE * ConstraintConstants.SNAP_DISTANCE;
+        for (const point of this.points) {
+            if (!point.fixed) continue;
+            
+            const dx = point.x - x;
+            const dy = point.y - y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq <= closestDistSq) {
+                closest = point;
+                closestDistSq = distSq;
+            }
+        }
+        
+        if (closest) {
+            return { x: closest.x, y: closest.y, point: closest };
+        }
+        return { x: x, y: y, point: null };
+    }
+    
+    /**
+     * Add a point that is not moved by the physics simulation
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Point|null} The added point, or null when fixed points fill points.maxPoints
+     */
+    addFixedPoint(x, y) {
+        const point = this.addPoint(x, y);
+        if (point) {
+            point.fixed = true;
+        }
+        return point;
+    }
+    
+    /**
+     * Add a Steiner point (a point inserted by mesh refinement). Steiner points
+     * are not moved by the simulation; one inserted on a constraint segment
+     * splits it in two and becomes fixed like the segment's endpoints.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} [segment] - Constraint segment the point splits
+     * @returns {Point|null} The added point, or null when fixed points fill points.maxPoints
+     */
+    addSteinerPoint(x, y, segment = null) {
+        const point = this.addPoint(x, y);
+        if (!point) return null;
+        point.steiner = true;
+        
+        if (segment) {
+            point.fixed = true;
+            const index = this.segments.indexOf(segment);
+            this.segments.splice(index, 1, { a: segment.a, b: point }, { a: point, b: segment.b });
+        }
+        return point;
+    }
+    
+    /**
+     * Get the Steiner points
+     * @returns {Array<Point>} Points inserted by mesh refinement
+     */
+    getSteinerPoints() {
+        return this.points.filter(point => point.steiner);
+    }
+    
+    /**
+     * Remove all Steiner points, joining the constraint segments they split
+     * back together, and recalculate the triangulation
+     * @returns {number} Number of removed points
+     */
+    removeSteinerPoints() {
+        const steinerPoints = this.getSteinerPoints();
+        for (const point of steinerPoints) {
+            this.removeSteinerPoint(point);
+        }
+        
+        if (steinerPoints.length > 0 && this.triangulation) {
+            this.triangulation.calculate();
+        }
+        return steinerPoints.length;
+    }
+    
+    /**
+     * Remove a Steiner point, joining the constraint segment it split back together
+     * (the triangulation is not recalculated)
+     * @param {Point} point - Steiner point to remove
+     */
+    removeSteinerPoint(point) {
+        const touching = this.segments.filter(segment => segment.a === point || segment.b === point);
+        if (touching.length === 2) {
+            const [first, second] = touching.map(segment => segment.a === point ? segment.b : segment.a);
+            const index = this.segments.indexOf(touching[0]);
+            this.segments.splice(index, 1, { a: first, b: second });
+        }
+        this.removePoint(point);
+    }
+    
+    /**
+     * Check whether two segments cross, sharing at most an endpoint
+     * @param {Object} p1 - Start of the first segment
+     * @param {Object} p2 - End of the first segment
+     * @param {Object} q1 - Start of the second segment
+     * @param {Object} q2 - End of the second segment
+     * @returns {boolean} true if the segments intersect other than at a shared endpoint
+     */
+    segmentsIntersect(p1, p2, q1, q2) {
+        const orient = (a, b, c) => Math.sign(Predicates.orient2d(a.x, a.y, b.x, b.y, c.x, c.y));
+        const d1 = orient(p1, p2, q1);
+        const d2 = orient(p1, p2, q2);
+        const d3 = orient(q1, q2, p1);
+        const d4 = orient(q1, q2, p2);
+        
+        // Collinear segments overlap if either contains an inner point of the other
+        if (d1 === 0 && d2 === 0) {
+            const along = (a, b, c) => (c.x - a.x) * (b.x - a.x) + (c.y - a.y) * (b.y - a.y);
+            const length = along(p1, p2, p2);
+            const t1 = along(p1, p2, q1);
+            const t2 = along(p1, p2, q2);
+            return Math.max(t1, t2) > 0 && Math.min(t1, t2) < length;
+        }
+        
+        // Touching at a shared endpoint is allowed
+        const shared = [q1, q2].some(q => (q.x === p1.x && q.y === p1.y) || (q.x === p2.x && q.y === p2.y));
+        if (shared) return false;
+        
+        return d1 * d2 <= 0 && d3 * d4 <= 0;
+    }
+    
+    /**
+     * Remove a point (and the constraint segments using it)
+     * @param {Point} point - Point to remove
+     */
+    removePoint(point) {
+        const index = this.points.indexOf(point);
+        if (index >= 0) {
+            this.points.splice(index, 1);
+        }
+        this.segments = this.segments.filter(segment => segment.a !== point && segment.b !== point);
+        this.heldPoints.delete(point);
+        
+        if (this.lastAddedPoint === point) {
+            this.lastAddedPoint = null;
+        }
+    }
+    
+    /**
+     * Remove several points and recalculate the triangulation
+     * @param {Array<Point>} points - Points to remove
+     */
+    removePoints(points) {
+        for (const point of points) {
+            this.removePoint(point);
+        }
+        
+        if (this.triangulation) {
+            this.triangulation.calculate();
+        }
+    }
+    
+    /**
+     * Move points by an offset. Their original positions move with them,
+     * so they settle at the new place.
+     * @param {Array<Point>} points - Points to move
+     * @param {number} dx - Offset in x direction
+     * @param {number} dy - Offset in y direction
+     */
+    movePoints(points, dx, dy) {
+        for (const point of points) {
+            point.x += dx;
+            point.y += dy;
+            point.prevX = point.x;
+            point.prevY = point.y;
+            point.origX += dx;
+            point.origY += dy;
+            point.vx = 0;
+            point.vy = 0;
+        }
+        
+        if (this.triangulation) {
+            this.triangulation.updatePositions();
+        }
+    }
+    
+    /**
+     * Keep points out of the simulation while the user holds them
+     * @param {Array<Point>} points - Points to hold
+     */
+    holdPoints(points) {
+        for (const point of points) {
+            this.heldPoints.add(point);
+        }
+    }
+    
+    /**
+     * Give held points back to the simulation
+     * @param {Array<Point>} points - Points to release
+     */
+    releasePoints(points) {
+        for (const point of points) {
+            this.heldPoints.delete(point);
+        }
+    }
+    
+    /**
+     * Check whether a point is excluded from the physics simulation
+     * @param {Point} point - Point
+     * @returns {boolean} true if the point is fixed, a Steiner point or held
+     */
+    isPinned(point) {
+        return point.fixed || point.steiner || this.heldPoints.has(point);
+    }
+    
+    /**
+     * Find the point closest to a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} maxDistance - Maximum distance
+     * @returns {Point|null} Closest point within the distance, or null
+     */
+    findNearestPoint(x, y, maxDistance) {
+        let closest = null;
+        let closestDistSq = maxDistance * maxDistance;
+        for (const point of this.points) {
+            const dx = point.x - x;
+            const dy = point.y - y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq <= closestDistSq) {
+                closest = point;
+                closestDistSq = distSq;
+            }
+        }
+        return closest;
+    }
+    
+    /**
+     * Find the points inside a rectangle
+     * @param {number} x1 - X coordinate of a corner
+     * @param {number} y1 - Y coordinate of a corner
+     * @param {number} x2 - X coordinate of the opposite corner
+     * @param {number} y2 - Y coordinate of the opposite corner
+     * @returns {Array<Point>} Points inside the rectangle
+     */
+    findPointsInRect(x1, y1, x2, y2) {
+        const minX = Math.min(x1, x2);
+        const maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2);
+        const maxY = Math.max(y1, y2);
+        return this.points.filter(point => point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY);
+    }
+    
+    /**
+     * Let the force modules react to a newly added point (e.g. push other points away)
+     * @param {Point} newPoint - Newly added point
+     */
+    applyRepulsion(newPoint) {
+        // Record the last added point
+        this.lastAddedPoint = newPoint;
+        
+        // Don't apply to itself or to fixed points
+        this.forces.pointAdded(newPoint, this.points.filter(point => point !== newPoint && !this.isPinned(point)));
+        
+        // Recalculate triangulation when points are added/removed
+        if (this.triangulation) {
+            this.triangulation.calculate();
+        }
+    }
+    
+    /**
+     * Apply the switched-on force modules (Brownian motion, anchor spring, gravity, edge springs, ...)
+     * to all points except fixed and held ones
+     * @param {number} [screenWidth] - Screen width (for forces that depend on the visible area)
+     * @param {number} [screenHeight] - Screen height
+     */
+    applyForces(screenWidth, screenHeight) {
+        const triangles = this.triangulation ? this.triangulation.triangles : [];
+        const bounds = screenWidth > 0 && screenHeight > 0 ? { width: screenWidth, height: screenHeight } : null;
+        this.forces.apply(this.points, this.points.filter(point => !this.isPinned(point)), this.nextRandom, triangles, bounds);
+    }
+    
+    /**
+     * Update all points' positions based on their velocities (one simulation step)
+     * @param {number} screenWidth - Screen width
+     * @param {number} screenHeight - Screen height
+     * @returns {boolean} Whether any point moved
+     */
+    updatePoints(screenWidth, screenHeight) {
+        // Keep the positions before the step for render interpolation
+        for (const point of this.points) {
+            point.prevX = point.x;
+            point.prevY = point.y;
+        }
+        
+        // Apply forces (changing velocities, or positions for Lloyd relaxation)
+        this.applyForces(screenWidth, screenHeight);
+        
+        const bounceFactor = this.settings.get('physics.bounceFactor');
+        const friction = this.settings.get('physics.friction');
+        
+        // Track if any positions changed
+        let positionsChanged = false;
+        
+        for (const point of this.points) {
+            // Fixed and held points are not moved
+            if (this.isPinned(point)) continue;
+            
+            // Update position
+            point.x += point.vx;
+            point.y += point.vy;
+            
+            // Constrain to screen boundaries (origin at the screen center)
+            Physics.constrainToScreen(
+                point,
+                screenWidth / 2, 
+                screenHeight / 2, 
+                bounceFactor
+            );
+            
+            // Apply friction
+            Physics.applyFriction(point, friction);
+            
+            // Check if position changed (forces may have moved the point too)
+            if (point.prevX !== point.x || point.prevY !== point.y) {
+                positionsChanged = true;
+            }
+        }
+        
+        // Update triangle positions if points moved
+        if (positionsChanged && this.triangulation) {
+            this.triangulation.updatePositions();
+        }
+        
+        return positionsChanged;
+    }
+    
+    /**
+     * Get the array of points
+     * @returns {Array<Point>} Array of points
+     */
+    getPoints() {
+        return this.points;
+    }
+    
+    /**
+     * Get the constraint segments
+     * @returns {Array<Object>} Array of segments as {a, b}
+     */
+    getSegments() {
+        return this.segments;
+    }
+    
+    /**
+     * Get the last added point
+     * @returns {Point} Last added point
+     */
+    getLastAddedPoint() {
+        return this.lastAddedPoint;
+    }
+    
+    /**
+     * Get the current points, segments and import transform
+     * (the arrays are copied, the point objects are shared)
+     * @returns {Object} State as {points, segments, transform}
+     */
+    getState() {
+        return { points: this.points.slice(), segments: this.segments.slice(), transform: this.transform };
+    }
+    
+    /**
+     * Replace the points, segments and import transform with a state from getState()
+     * @param {Object} state - State as {points, segments, transform}
+     */
+    setState(state) {
+        this.points = state.points.slice();
+        this.segments = state.segments.slice();
+        this.transform = state.transform;
+        
+        const points = new Set(this.points);
+        for (const point of this.heldPoints) {
+            if (!points.has(point)) {
+                this.heldPoints.delete(point);
+            }
+        }
+        if (!points.has(this.lastAddedPoint)) {
+            this.lastAddedPoint = null;
+        }
+    }
+    
+    /**
+     * Remove all points and segments (and forget the import transform)
+     */
+    clear() {
+        this.points = [];
+        this.segments = [];
+        this.transform = null;
+        this.lastAddedPoint = null;
+        this.heldPoints.clear();
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.unsubscribeSettings();
+        
+        // Remove all points
+        this.clear();
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * Robust geometric predicates.
+ * Each predicate is first evaluated in floating point together with an
+ * error bound, and only when the sign is uncertain it is recalculated
+ * exactly using floating-point expansion arithmetic (after Shewchuk).
+ * Expansions are arrays of non-overlapping numbers in increasing magnitude.
+ */
+export const Predicates = {
+    // Machine epsilon used by the error bounds (2^-53)
+    EPSILON: Math.pow(2, -53),
+    
+    // Splitter used to divide a double into two 26-bit halves (2^27 + 1)
+    SPLITTER: Math.pow(2, 27) + 1,
+    
+    /**
+     * Calculate a + b exactly
+     * @param {number} a - First value
+     * @param {number} b - Second value
+     * @returns {Array<number>} Expansion [error, sum]
+     */
+    twoSum: function(a, b) {
+        const x = a + b;
+        const bVirtual = x - a;
+        const aVirtual = x - bVirtual;
+        const y = (a - aVirtual) + (b - bVirtual);
+        return [y, x];
+    },
+    
+    /**
+     * Calculate a - b exactly
+     * @param {number} a - First value
+     * @param {number} b - Value to subtract
+     * @returns {Array<number>} Expansion [error, difference]
+     */
+    twoDiff: function(a, b) {
+        return this.twoSum(a, -b);
+    },
+    
+    /**
+     * Calculate a * b exactly
+     * @param {number} a - First value
+     * @param {number} b - Second value
+     * @returns {Array<number>} Expansion [error, product]
+     */
+    twoProduct: function(a, b) {
+        const x = a * b;
+        
+        // Split both factors into high and low halves
+        let c = this.SPLITTER * a;
+        const aHigh = c - (c - a);
+        const aLow = a - aHigh;
+        c = this.SPLITTER * b;
+        const bHigh = c - (c - b);
+        const bLow = b - bHigh;
+        
+        const error = x - aHigh * bHigh - aLow * bHigh - aHigh * bLow;
+        return [aLow * bLow - error, x];
+    },
+    
+    /**
+     * Add a number to an expansion
+     * @param {Array<number>} e - Expansion
+     * @param {number} b - Value to add
+     * @returns {Array<number>} Sum expansion
+     */
+    grow: function(e, b) {
+        const h = [];
+        let q = b;
+        for (const component of e) {
+            const [error, sum] = this.twoSum(q, component);
+            if (error !== 0) h.push(error);
+            q = sum;
+        }
+        if (q !== 0 || h.length === 0) h.push(q);
+        return h;
+    },
+    
+    /**
+     * Add two expansions
+     * @param {Array<number>} e - First expansion
+     * @param {Array<number>} f - Second expansion
+     * @returns {Array<number>} Sum expansion
+     */
+    sum: function(e, f) {
+        let h = e;
+        for (const component of f) {
+            h = this.grow(h, component);
+        }
+        return h;
+    },
+    
+    /**
+     * Subtract two expansions
+     * @param {Array<number>} e - First expansion
+     * @param {Array<number>} f - Expansion to subtract
+     * @returns {Array<number>} Difference expansion
+     */
+    diff: function(e, f) {
+        return this.sum(e, f.map(component => -component));
+    },
+    
+    /**
+     * Multiply an expansion by a number
+     * @param {Array<number>} e - Expansion
+     * @param {number} b - Factor
+     * @returns {Array<number>} Product expansion
+     */
+    scale: function(e, b) {
+        const h = [];
+        let q = 0;
+        for (const component of e) {
+            const [productLow, productHigh] = this.twoProduct(component, b);
+            const [error1, sum] = this.twoSum(q, productLow);
+            if (error1 !== 0) h.push(error1);
+            const [error2, high] = this.twoSum(productHigh, sum);
+            if (error2 !== 0) h.push(error2);
+            q = high;
+        }
+        if (q !== 0 || h.length === 0) h.push(q);
+        return h;
+    },
+    
+    /**
+     * Multiply two expansions
+     * @param {Array<number>} e - First expansion
+     * @param {Array<number>} f - Second expansion
+     * @returns {Array<number>} Product expansion
+     */
+    product: function(e, f) {
+        let h = [0];
+        for (const component of f) {
+            h = this.sum(h, this.scale(e, component));
+        }
+        return h;
+    },
+    
+    /**
+     * Get the sign of an expansion
+     * @param {Array<number>} e - Expansion
+     * @returns {number} -1, 0 or 1
+     */
+    sign: function(e) {
+        for (let i = e.length - 1; i >= 0; i--) {
+            if (e[i] !== 0) return Math.sign(e[i]);
+        }
+        return 0;
+    },
+    
+    /**
+     * Orientation test for points a, b, c
+     * @returns {number} Positive if counter-clockwise, negative if clockwise, 0 if collinear
+     */
+    orient2d: function(ax, ay, bx, by, cx, cy) {
+        const detLeft = (ax - cx) * (by - cy);
+        const detRight = (ay - cy) * (bx - cx);
+        const det = detLeft - detRight;
+        
+        // Both terms of the same sign can cancel; otherwise the sign is exact
+        let detSum;
+        if (detLeft > 0) {
+            if (detRight <= 0) return det;
+            detSum = detLeft + detRight;
+        } else if (detLeft < 0) {
+            if (detRight >= 0) return det;
+            detSum = -detLeft - detRight;
+        } else {
+            return det;
+        }
+        
+        const errorBound = (3 + 16 * this.EPSILON) * this.EPSILON * detSum;
+        if (det >= errorBound || -det >= errorBound) {
+            return det;
+        }
+        
+        return this.orient2dExact(ax, ay, bx, by, cx, cy);
+    },
+    
+    /**
+     * Exact orientation test
+     * @returns {number} Sign of the orientation determinant
+     */
+    orient2dExact: function(ax, ay, bx, by, cx, cy) {
+        const acx = this.twoDiff(ax, cx);
+        const acy = this.twoDiff(ay, cy);
+        const bcx = this.twoDiff(bx, cx);
+        const bcy = this.twoDiff(by, cy);
+        
+        return this.sign(this.diff(this.product(acx, bcy), this.product(acy, bcx)));
+    },
+    
+    /**
+     * Incircle test for point d against the circumcircle of a, b, c
+     * @returns {number} Positive if d is inside the circumcircle of
+     *     counter-clockwise a, b, c, negative if outside, 0 if cocircular
+     */
+    incircle: function(ax, ay, bx, by, cx, cy, dx, dy) {
+        const adx = ax - dx;
+        const ady = ay - dy;
+        const bdx = bx - dx;
+        const bdy = by - dy;
+        const cdx = cx - dx;
+        const cdy = cy - dy;
+        
+        const bdxcdy = bdx * cdy;
+        const cdxbdy = cdx * bdy;
+        const cdxady = cdx * ady;
+        const adxcdy = adx * cdy;
+        const adxbdy = adx * bdy;
+        const bdxady = bdx * ady;
+        
+        const aLift = adx * adx + ady * ady;
+        const bLift = bdx * bdx + bdy * bdy;
+        const cLift = cdx * cdx + cdy * cdy;
+        
+        const det = aLift * (bdxcdy - cdxbdy) +
+                    bLift * (cdxady - adxcdy) +
+                    cLift * (adxbdy - bdxady);
+        
+        const permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * aLift +
+                          (Math.abs(cdxady) + Math.abs(adxcdy)) * bLift +
+                          (Math.abs(adxbdy) + Math.abs(bdxady)) * cLift;
+        const errorBound = (10 + 96 * this.EPSILON) * this.EPSILON * permanent;
+        if (det > errorBound || -det > errorBound) {
+            return det;
+        }
+        
+        return this.incircleExact(ax, ay, bx, by, cx, cy, dx, dy);
+    },
+    
+    /**
+     * Exact incircle test
+     * @returns {number} Sign of the incircle determinant
+     */
+    incircleExact: function(ax, ay, bx, by, cx, cy, dx, dy) {
+        const adx = this.twoDiff(ax, dx);
+        const ady = this.twoDiff(ay, dy);
+        const bdx = this.twoDiff(bx, dx);
+        const bdy = this.twoDiff(by, dy);
+        const cdx = this.twoDiff(cx, dx);
+        const cdy = this.twoDiff(cy, dy);
+        
+        const aLift = this.sum(this.product(adx, adx), this.product(ady, ady));
+        const bLift = this.sum(this.product(bdx, bdx), this.product(bdy, bdy));
+        const cLift = this.sum(this.product(cdx, cdx), this.product(cdy, cdy));
+        
+        const bc = this.diff(this.product(bdx, cdy), this.product(cdx, bdy));
+        const ca = this.diff(this.product(cdx, ady), this.product(adx, cdy));
+        const ab = this.diff(this.product(adx, bdy), this.product(bdx, ady));
+        
+        return this.sign(this.sum(
+            this.sum(this.product(aLift, bc), this.product(bLift, ca)),
+            this.product(cLift, ab)
+        ));
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence on every machine.
+ */
+export class Random {
+    /**
+     * Constructor
+     * @param {number} seed - Seed (used as an unsigned 32-bit integer)
+     */
+    constructor(seed) {
+        this.state = 0;
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Seed (used as an unsigned 32-bit integer)
+     */
+    setSeed(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    /**
+     * Get the next number of the sequence
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,338 @@
+import { SettingDefinitions } from './Settings.js';
+
+/**
+ * Versioned scene format for saving and restoring a layout.
+ * A scene is plain JSON:
+ *   {
+ *     format: 'threejs_delaunay-scene',
+ *     version: 2,
+ *     points: [{x, y, origX, origY, vx, vy, fixed, steiner, z?, weight?}],
+ *     segments: [[a, b]],          // indices into points
+ *     transform: {scale, offsetX, offsetY} or null,   // units of imported points
+ *     settings: {'physics.friction': 0.9, ...},   // runtime settings by key
+ *     display: {showDelaunay, showVoronoi, fillVoronoi}
+ *   }
+ * Version 1 scenes stored tuning constants instead of settings; they are
+ * converted when validated.
+ */
+export const SceneFormat = {
+    // Identifier and current version of the format
+    FORMAT: 'threejs_delaunay-scene',
+    VERSION: 2,
+    
+    // Settings keys of the constants saved by version 1
+    LEGACY_CONSTANTS: {
+        PointConstants: { MAX_POINTS: 'points.maxPoints' },
+        PhysicsConstants: { FRICTION: 'physics.friction', BOUNCE_FACTOR: 'physics.bounceFactor' },
+        BrownianConstants: { STRENGTH: 'brownian.strength', MAX_DISTANCE: 'brownian.maxDistance', RETURN_FORCE: 'brownian.returnForce' },
+        RepulsionConstants: { RADIUS: 'repulsion.radius', STRENGTH: 'repulsion.strength' }
+    },
+    
+    // Display options saved with the scene
+    DISPLAY_OPTIONS: ['showDelaunay', 'showVoronoi', 'fillVoronoi'],
+    
+    // Optional values of imported points
+    POINT_ATTRIBUTES: ['z', 'weight'],
+    
+    /**
+     * Create a scene from the current points and settings
+     * @param {PointManager} pointManager - Point manager (its settings are saved too)
+     * @param {Object} display - Display options ({showDelaunay, showVoronoi, fillVoronoi})
+     * @returns {Object} Scene
+     */
+    serialize: function(pointManager, display) {
+        const points = pointManager.getPoints();
+        const indices = new Map(points.map((point, i) => [point, i]));
+        
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            points: points.map(point => this.withAttributes({
+                x: point.x,
+                y: point.y,
+                origX: point.origX,
+                origY: point.origY,
+                vx: point.vx,
+                vy: point.vy,
+                fixed: point.fixed,
+                steiner: point.steiner
+            }, point)),
+            segments: pointManager.getSegments().map(segment => [indices.get(segment.a), indices.get(segment.b)]),
+            transform: pointManager.transform ? Object.assign({}, pointManager.transform) : null,
+            settings: pointManager.settings.toObject(),
+            display: Object.assign({}, display)
+        };
+    },
+    
+    /**
+     * Copy the optional attributes of an imported point
+     * @param {Object} target - Object receiving the attributes
+     * @param {Object} source - Point or point data
+     * @returns {Object} The target
+     */
+    withAttributes: function(target, source) {
+        for (const name of this.POINT_ATTRIBUTES) {
+            if (typeof source[name] === 'number' && Number.isFinite(source[name])) {
+                target[name] = source[name];
+            }
+        }
+        return target;
+    },
+    
+    /**
+     * Check a scene and fill in missing optional parts
+     * @param {Object} scene - Scene (e.g. parsed from JSON)
+     * @returns {Object} Validated scene
+     * @throws {Error} If the scene is not in this format or is malformed
+     */
+    validate: function(scene) {
+        if (!scene || scene.format !== this.FORMAT) {
+            throw new Error('Not a scene file');
+        }
+        if (!Number.isInteger(scene.version) || scene.version > this.VERSION) {
+            throw new Error(`Unsupported scene version: ${scene.version}`);
+        }
+        if (!Array.isArray(scene.points)) {
+            throw new Error('Scene has no points');
+        }
+        
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        for (const point of scene.points) {
+            if (!isNumber(point.x) || !isNumber(point.y)) {
+                throw new Error('Scene has a point without coordinates');
+            }
+        }
+        
+        const segments = scene.segments || [];
+        for (const segment of segments) {
+            if (!Array.isArray(segment) || segment.length !== 2 ||
+                !segment.every(i => Number.isInteger(i) && i >= 0 && i < scene.points.length)) {
+                throw new Error('Scene has an invalid segment');
+            }
+        }
+        
+        const transform = scene.transform || null;
+        if (transform !== null && !(isNumber(transform.scale) && transform.scale > 0 &&
+            isNumber(transform.offsetX) && isNumber(transform.offsetY))) {
+            throw new Error('Scene has an invalid transform');
+        }
+        
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            points: scene.points.map(point => this.withAttributes({
+                x: point.x,
+                y: point.y,
+                origX: isNumber(point.origX) ? point.origX : point.x,
+                origY: isNumber(point.origY) ? point.origY : point.y,
+                vx: isNumber(point.vx) ? point.vx : 0,
+                vy: isNumber(point.vy) ? point.vy : 0,
+                fixed: point.fixed === true,
+                steiner: point.steiner === true
+            }, point)),
+            segments: segments,
+            transform: transform,
+            settings: scene.version < 2 ? this.convertConstants(scene.constants || {}) : Object.assign({}, scene.settings),
+            display: scene.display || {}
+        };
+    },
+    
+    /**
+     * Convert the constants of a version 1 scene to settings
+     * @param {Object} constants - Constant groups by name
+     * @returns {Object} Settings by key
+     */
+    convertConstants: function(constants) {
+        const settings = {};
+        for (const [name, keys] of Object.entries(this.LEGACY_CONSTANTS)) {
+            const values = constants[name] || {};
+            for (const [constant, key] of Object.entries(keys)) {
+                if (values[constant] !== undefined) {
+                    settings[key] = values[constant];
+                }
+            }
+        }
+        return settings;
+    },
+    
+    /**
+     * Replace the current points and settings with those of a scene
+     * @param {Object} scene - Validated scene
+     * @param {PointManager} pointManager - Point manager
+     * @returns {Array<string>} Messages of the settings skipped as unknown or invalid
+     */
+    restore: function(scene, pointManager) {
+        const errors = pointManager.settings.applyValues(scene.settings);
+        
+        // Replaying a scene gives the same motion every time
+        pointManager.reseed();
+        
+        pointManager.clear();
+        pointManager.transform = scene.transform ? Object.assign({}, scene.transform) : null;
+        
+        // Points beyond points.maxPoints are dropped with their segments
+        const points = scene.points.slice(0, pointManager.settings.get('points.maxPoints')).map(data => this.withAttributes(Object.assign(pointManager.addPoint(data.x, data.y), {
+            origX: data.origX,
+            origY: data.origY,
+            vx: data.vx,
+            vy: data.vy,
+            fixed: data.fixed,
+            steiner: data.steiner
+        }), data));
+        for (const [a, b] of scene.segments) {
+            if (points[a] && points[b]) {
+                pointManager.connectPoints(points[a], points[b]);
+            }
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * Convert a scene to JSON text
+     * @param {Object} scene - Scene
+     * @returns {string} JSON text
+     */
+    stringify: function(scene) {
+        return JSON.stringify(scene, null, 2);
+    },
+    
+    /**
+     * Parse and validate JSON text
+     * @param {string} text - JSON text
+     * @returns {Object} Validated scene
+     * @throws {Error} If the text is not a valid scene
+     */
+    parse: function(text) {
+        return this.validate(JSON.parse(text));
+    },
+    
+    /**
+     * Encode a scene compactly for a URL hash.
+     * Points are stored as flat number arrays (full precision); anchors
+     * are stored only where they differ from the position, velocities only
+     * where they are not zero and settings only where they differ from
+     * their defaults. The result is base64url encoded.
+     * @param {Object} scene - Scene
+     * @returns {string} Encoded scene
+     */
+    encode: function(scene) {
+        const positions = [];
+        const anchors = []; // Flat [index, origX, origY] triples
+        const velocities = []; // Flat [index, vx, vy] triples
+        const fixed = [];
+        const steiner = [];
+        const attributes = {}; // Attribute name -> flat [index, value] pairs
+        scene.points.forEach((point, i) => {
+            positions.push(point.x, point.y);
+            if (point.origX !== point.x || point.origY !== point.y) anchors.push(i, point.origX, point.origY);
+            if (point.vx !== 0 || point.vy !== 0) velocities.push(i, point.vx, point.vy);
+            if (point.fixed) fixed.push(i);
+            if (point.steiner) steiner.push(i);
+            for (const name of this.POINT_ATTRIBUTES) {
+                if (point[name] !== undefined) {
+                    (attributes[name] = attributes[name] || []).push(i, point[name]);
+                }
+            }
+        });
+        
+        const defaults = this.getDefaultSettings();
+        const settings = {};
+        for (const [key, value] of Object.entries(scene.settings)) {
+            if (defaults[key] !== value) {
+                settings[key] = value;
+            }
+        }
+        
+        const compact = {
+            v: scene.version,
+            q: positions,
+            o: anchors,
+            w: velocities,
+            f: fixed,
+            r: steiner,
+            s: scene.segments.flat(),
+            a: attributes,
+            t: scene.transform ? [scene.transform.scale, scene.transform.offsetX, scene.transform.offsetY] : null,
+            c: settings,
+            d: this.DISPLAY_OPTIONS.map(option => scene.display[option] ? 1 : 0)
+        };
+        
+        // UTF-8 bytes to base64url
+        const bytes = new TextEncoder().encode(JSON.stringify(compact));
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+    
+    /**
+     * Get the default values of the declared settings
+     * @returns {Object} Values by setting key
+     */
+    getDefaultSettings: function() {
+        return Object.fromEntries(SettingDefinitions.map(definition => [definition.key, definition.default]));
+    },
+    
+    /**
+     * Decode a scene encoded with encode()
+     * @param {string} encoded - Encoded scene
+     * @returns {Object} Validated scene
+     * @throws {Error} If the text is not a valid encoded scene
+     */
+    decode: function(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        const compact = JSON.parse(new TextDecoder().decode(bytes));
+        
+        const points = [];
+        const q = compact.q || [];
+        for (let i = 0; i + 1 < q.length; i += 2) {
+            points.push({ x: q[i], y: q[i + 1], origX: q[i], origY: q[i + 1], vx: 0, vy: 0 });
+        }
+        for (const [triples, xName, yName] of [[compact.o || [], 'origX', 'origY'], [compact.w || [], 'vx', 'vy']]) {
+            for (let i = 0; i + 2 < triples.length; i += 3) {
+                const point = points[triples[i]];
+                if (point) {
+                    point[xName] = triples[i + 1];
+                    point[yName] = triples[i + 2];
+                }
+            }
+        }
+        for (const i of compact.f || []) {
+            if (points[i]) points[i].fixed = true;
+        }
+        for (const i of compact.r || []) {
+            if (points[i]) points[i].steiner = true;
+        }
+        for (const [name, pairs] of Object.entries(compact.a || {})) {
+            for (let i = 0; i + 1 < pairs.length; i += 2) {
+                if (points[pairs[i]]) points[pairs[i]][name] = pairs[i + 1];
+            }
+        }
+        const t = compact.t;
+        
+        const segments = [];
+        const s = compact.s || [];
+        for (let i = 0; i + 1 < s.length; i += 2) {
+            segments.push([s[i], s[i + 1]]);
+        }
+        
+        const display = {};
+        this.DISPLAY_OPTIONS.forEach((option, i) => {
+            display[option] = (compact.d || [])[i] === 1;
+        });
+        
+        return this.validate({
+            format: this.FORMAT,
+            version: compact.v,
+            points: points,
+            segments: segments,
+            transform: Array.isArray(t) ? { scale: t[0], offsetX: t[1], offsetY: t[2] } : null,
+            // Settings left out have their defaults
+            settings: Object.assign(this.getDefaultSettings(), compact.c),
+            display: display
+        });
+    }
+};
@@ -0,0 +1,268 @@
+import { PointConstants, SimulationConstants, PhysicsConstants, RenderConstants, ViewConstants, AudioConstants, SonificationConstants, RefinementConstants, GeneratorConstants, HullConstants } from './Constants.js';
+import { ForceModules } from './ForceModules.js';
+import { MusicalScales } from './Sonifier.js';
+import { MeshQuality } from './MeshQuality.js';
+import { PointGenerators } from './PointGenerators.js';
+
+/**
+ * Declared settings with their types, ranges and defaults (taken from Constants.js;
+ * the force settings are declared by the force modules).
+ * Types are 'number' (optionally integer), 'boolean', 'color' (0xRRGGBB) and
+ * 'choice' (one of the strings in options).
+ */
+export const SettingDefinitions = [
+    { key: 'points.maxPoints', group: 'Points', label: 'Max points', type: 'number', integer: true, min: 3, max: 10000, step: 1, default: PointConstants.MAX_POINTS },
+    { key: 'generator.type', group: 'Generator', label: 'Distribution', type: 'choice', options: Object.keys(PointGenerators), default: GeneratorConstants.TYPE },
+    { key: 'generator.count', group: 'Generator', label: 'Count', type: 'number', integer: true, min: 1, max: 10000, step: 1, default: GeneratorConstants.COUNT },
+    { key: 'generator.seed', group: 'Generator', label: 'Seed', type: 'number', integer: true, min: 0, max: 4294967295, step: 1, default: GeneratorConstants.SEED },
+    { key: 'simulation.seed', group: 'Simulation', label: 'Random seed', type: 'number', integer: true, min: 0, max: 4294967295, step: 1, default: SimulationConstants.SEED },
+    { key: 'physics.friction', group: 'Physics', label: 'Friction', type: 'number', min: 0, max: 1, step: 0.01, default: PhysicsConstants.FRICTION },
+    { key: 'physics.bounceFactor', group: 'Physics', label: 'Bounce factor', type: 'number', min: 0, max: 1, step: 0.01, default: PhysicsConstants.BOUNCE_FACTOR },
+    ...Object.values(ForceModules).flatMap(module => module.settings),
+    { key: 'triangulation.kinetic', group: 'Triangulation', label: 'Kinetic edge flips', type: 'boolean', default: true },
+    { key: 'render.backgroundColor', group: 'Rendering', label: 'Background', type: 'color', default: RenderConstants.BACKGROUND_COLOR },
+    { key: 'render.pointColor', group: 'Rendering', label: 'Points', type: 'color', default: RenderConstants.POINT_COLOR },
+    { key: 'render.colorBy', group: 'Rendering', label: 'Color triangles by', type: 'choice', options: ['pastel', ...Object.keys(MeshQuality.METRICS)], default: 'pastel' },
+    { key: 'hull.showConvex', group: 'Hull', label: 'Convex hull', type: 'boolean', default: HullConstants.SHOW_CONVEX },
+    { key: 'hull.showAlpha', group: 'Hull', label: 'Alpha shape', type: 'boolean', default: HullConstants.SHOW_ALPHA },
+    { key: 'hull.alpha', group: 'Hull', label: 'Alpha (max circumradius)', type: 'number', min: 1, max: 2000, step: 1, default: HullConstants.ALPHA },
+    { key: 'touch.gestureDelay', group: 'Touch', label: 'Gesture wait (ms, 0 = off)', type: 'number', integer: true, min: 0, max: 500, step: 10, default: ViewConstants.GESTURE_DELAY },
+    { key: 'touch.gestureDistance', group: 'Touch', label: 'Gesture finger spread (px, 0 = off)', type: 'number', integer: true, min: 0, max: 1000, step: 10, default: ViewConstants.GESTURE_DISTANCE },
+    { key: 'analysis.showHud', group: 'Analysis', label: 'Show mesh quality', type: 'boolean', default: false },
+    { key: 'refinement.minAngle', group: 'Refinement', label: 'Min angle (deg)', type: 'number', min: 0, max: RefinementConstants.MAX_MIN_ANGLE, step: 0.1, default: RefinementConstants.MIN_ANGLE },
+    { key: 'refinement.maxArea', group: 'Refinement', label: 'Max area (0 = any)', type: 'number', min: 0, max: 1000000, step: 1, default: RefinementConstants.MAX_AREA },
+    { key: 'refinement.stepsPerFrame', group: 'Refinement', label: 'Points per frame', type: 'number', integer: true, min: 1, max: 100, step: 1, default: RefinementConstants.STEPS_PER_FRAME },
+    { key: 'audio.volume', group: 'Audio', label: 'Volume', type: 'number', min: 0, max: 1, step: 0.01, default: AudioConstants.TONE_VOLUME },
+    { key: 'audio.frequency', group: 'Audio', label: 'Frequency (Hz)', type: 'number', min: 20, max: 20000, step: 1, default: AudioConstants.TONE_FREQUENCY },
+    { key: 'audio.duration', group: 'Audio', label: 'Duration (ms)', type: 'number', min: 1, max: 2000, step: 1, default: AudioConstants.TONE_DURATION },
+    { key: 'sonification.enabled', group: 'Sonification', label: 'Play triangle changes', type: 'boolean', default: true },
+    { key: 'sonification.movement', group: 'Sonification', label: 'Also while points move', type: 'boolean', default: false },
+    { key: 'sonification.pitch', group: 'Sonification', label: 'Pitch from', type: 'choice', options: ['area', 'position'], default: 'area' },
+    { key: 'sonification.scale', group: 'Sonification', label: 'Scale', type: 'choice', options: Object.keys(MusicalScales), default: SonificationConstants.SCALE },
+    { key: 'sonification.rootFrequency', group: 'Sonification', label: 'Root (Hz)', type: 'number', min: 20, max: 2000, step: 0.01, default: SonificationConstants.ROOT_FREQUENCY },
+    { key: 'sonification.octaves', group: 'Sonification', label: 'Octaves', type: 'number', integer: true, min: 1, max: 6, step: 1, default: SonificationConstants.OCTAVES },
+    { key: 'sonification.maxVoices', group: 'Sonification', label: 'Max voices', type: 'number', integer: true, min: 1, max: 32, step: 1, default: SonificationConstants.MAX_VOICES },
+    { key: 'sonification.volume', group: 'Sonification', label: 'Volume', type: 'number', min: 0, max: 1, step: 0.01, default: SonificationConstants.VOLUME }
+];
+
+/**
+ * Reactive store of the runtime settings.
+ * Values are validated against their declarations and listeners are
+ * notified of every change, so modules can apply settings live.
+ */
+export class Settings {
+    /**
+     * Constructor
+     * @param {Array<Object>} [definitions=SettingDefinitions] - Declared settings
+     */
+    constructor(definitions = SettingDefinitions) {
+        this.definitions = new Map(definitions.map(definition => [definition.key, definition]));
+        this.values = new Map(definitions.map(definition => [definition.key, definition.default]));
+        this.listeners = new Set();
+    }
+
+    /**
+     * Get the declaration of a setting
+     * @param {string} key - Setting key
+     * @returns {Object} Declaration
+     * @throws {Error} If the setting is not declared
+     */
+    getDefinition(key) {
+        const definition = this.definitions.get(key);
+        if (!definition) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Check whether a setting is declared
+     * @param {string} key - Setting key
+     * @returns {boolean} true if the setting exists
+     */
+    has(key) {
+        return this.definitions.has(key);
+    }
+    
+    /**
+     * Declare an additional setting (e.g. of a force module registered later)
+     * @param {Object} definition - Setting declaration
+     * @throws {Error} If the key is taken or the default value is invalid
+     */
+    define(definition) {
+        if (this.definitions.has(definition.key)) {
+            throw new Error(`Setting already exists: ${definition.key}`);
+        }
+        this.definitions.set(definition.key, definition);
+        try {
+            this.validate(definition.key, definition.default);
+        } catch (e) {
+            this.definitions.delete(definition.key);
+            throw e;
+        }
+        this.values.set(definition.key, definition.default);
+    }
+    
+    /**
+     * Get the current value of a setting
+     * @param {string} key - Setting key
+     * @returns {number|boolean|string} Value
+     * @throws {Error} If the setting is not declared
+     */
+    get(key) {
+        this.getDefinition(key);
+        return this.values.get(key);
+    }
+
+    /**
+     * Change a setting and notify the listeners
+     * @param {string} key - Setting key
+     * @param {number|boolean|string} value - New value
+     * @returns {boolean} Whether the value changed
+     * @throws {Error} If the setting is not declared or the value is invalid
+     */
+    set(key, value) {
+        this.validate(key, value);
+
+        const previous = this.values.get(key);
+        if (previous === value) return false;
+
+        this.values.set(key, value);
+        for (const listener of this.listeners) {
+            listener(key, value, previous);
+        }
+        return true;
+    }
+
+    /**
+     * Check a value against the declaration of a setting
+     * @param {string} key - Setting key
+     * @param {*} value - Value to check
+     * @throws {Error} If the setting is not declared or the value is invalid
+     */
+    validate(key, value) {
+        const definition = this.getDefinition(key);
+        switch (definition.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new Error(`${key} must be a number`);
+                }
+                if (definition.integer && !Number.isInteger(value)) {
+                    throw new Error(`${key} must be an integer`);
+                }
+                if (value < definition.min || value > definition.max) {
+                    throw new RangeError(`${key} must be between ${definition.min} and ${definition.max}`);
+                }
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    throw new Error(`${key} must be true or false`);
+                }
+                break;
+            case 'color':
+                if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFF) {
+                    throw new Error(`${key} must be a color`);
+                }
+                break;
+            case 'choice':
+                if (!definition.options.includes(value)) {
+                    throw new Error(`${key} must be one of ${definition.options.join(', ')}`);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Convert text (e.g. from a URL or an input field) to a value of a setting
+     * @param {string} key - Setting key
+     * @param {string} text - Text such as "0.5", "true", "#ff8800" or a choice
+     * @returns {number|boolean|string} Value (not yet validated against the range)
+     * @throws {Error} If the setting is not declared or the text cannot be converted
+     */
+    parse(key, text) {
+        const definition = this.getDefinition(key);
+        const trimmed = String(text).trim();
+        switch (definition.type) {
+            case 'boolean':
+                if (trimmed === 'true' || trimmed === '1') return true;
+                if (trimmed === 'false' || trimmed === '0') return false;
+                throw new Error(`${key} must be true or false`);
+            case 'color':
+                if (!/^(#|0x)?[0-9a-fA-F]{6}$/.test(trimmed)) {
+                    throw new Error(`${key} must be a color like #rrggbb`);
+                }
+                return parseInt(trimmed.slice(-6), 16);
+            case 'choice':
+                return trimmed;
+            default:
+                if (trimmed === '') {
+                    throw new Error(`${key} must be a number`);
+                }
+                return Number(trimmed);
+        }
+    }
+
+    /**
+     * Apply several values, skipping unknown keys and invalid values
+     * @param {Object} values - Values by setting key
+     * @returns {Array<string>} Messages of the skipped entries
+     */
+    applyValues(values) {
+        const errors = [];
+        for (const [key, value] of Object.entries(values)) {
+            try {
+                this.set(key, value);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Apply settings given as URL query parameters (e.g. "?physics.friction=0.8").
+     * Parameters that are not settings are ignored.
+     * @param {string} search - Query string
+     * @returns {Array<string>} Messages of the invalid parameters
+     */
+    applyQueryString(search) {
+        const errors = [];
+        for (const [key, text] of new URLSearchParams(search)) {
+            if (!this.definitions.has(key)) continue;
+
+            try {
+                this.set(key, this.parse(key, text));
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Get all current values
+     * @returns {Object} Values by setting key
+     */
+    toObject() {
+        return Object.fromEntries(this.values);
+    }
+
+    /**
+     * Restore all default values
+     */
+    reset() {
+        for (const definition of this.definitions.values()) {
+            this.set(definition.key, definition.default);
+        }
+    }
+
+    /**
+     * Listen to changes
+     * @param {Function} listener - Called as listener(key, value, previous)
+     * @returns {Function} Function removing the listener
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
@@ -0,0 +1,89 @@
+import { SimulationConstants } from './Constants.js';
+
+/**
+ * Fixed-timestep driver of the point simulation.
+ * Elapsed frame time is collected in an accumulator and spent in steps of
+ * SimulationConstants.TIME_STEP, so motion does not depend on the frame rate.
+ * Between steps, positions can be interpolated for smooth rendering.
+ */
+export class Simulation {
+    /**
+     * Constructor
+     * @param {PointManager} pointManager - Point manager
+     */
+    constructor(pointManager) {
+        this.pointManager = pointManager;
+        this.accumulator = 0; // Elapsed time not yet simulated (milliseconds)
+        this.savedPositions = null; // Simulated positions while interpolated ones are shown
+        
+        // Constants
+        this.EPSILON = 1e-6; // Tolerance (milliseconds) for rounding errors of the summed frame times
+    }
+    
+    /**
+     * Run as many fixed steps as the elapsed time allows
+     * @param {number} elapsed - Time since the last call in milliseconds
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @returns {number} Number of steps run
+     */
+    advance(elapsed, width, height) {
+        // Drop time that would take too many steps to catch up with
+        const maxTime = SimulationConstants.MAX_STEPS_PER_FRAME * SimulationConstants.TIME_STEP;
+        this.accumulator = Math.min(this.accumulator + Math.max(elapsed, 0), maxTime);
+        
+        let steps = 0;
+        while (this.accumulator >= SimulationConstants.TIME_STEP - this.EPSILON) {
+            this.step(width, height);
+            this.accumulator = Math.max(this.accumulator - SimulationConstants.TIME_STEP, 0);
+            steps++;
+        }
+        return steps;
+    }
+    
+    /**
+     * Run a single step
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     */
+    step(width, height) {
+        this.pointManager.updatePoints(width, height);
+    }
+    
+    /**
+     * Get how far the simulation is between the last step and the next one
+     * @returns {number} Fraction in [0, 1)
+     */
+    getAlpha() {
+        return this.accumulator / SimulationConstants.TIME_STEP;
+    }
+    
+    /**
+     * Move the points to positions interpolated between the last two steps.
+     * The simulated positions must be put back with restorePositions().
+     * @param {number} alpha - Fraction between the previous (0) and the current (1) step
+     */
+    interpolatePositions(alpha) {
+        const points = this.pointManager.getPoints();
+        this.savedPositions = new Float64Array(points.length * 2);
+        points.forEach((point, i) => {
+            this.savedPositions[2 * i] = point.x;
+            this.savedPositions[2 * i + 1] = point.y;
+            point.x = point.prevX + (point.x - point.prevX) * alpha;
+            point.y = point.prevY + (point.y - point.prevY) * alpha;
+        });
+    }
+    
+    /**
+     * Put back the simulated positions after interpolatePositions()
+     */
+    restorePositions() {
+        if (!this.savedPositions) return;
+        
+        this.pointManager.getPoints().forEach((point, i) => {
+            point.x = this.savedPositions[2 * i];
+            point.y = this.savedPositions[2 * i + 1];
+        });
+        this.savedPositions = null;
+    }
+}
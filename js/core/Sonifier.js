@@ -0,0 +1,163 @@
+import { SonificationConstants } from './Constants.js';
+import { Triangle } from './Triangle.js';
+
+/**
+ * Musical scales as semitones above the root
+ */
+export const MusicalScales = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10],
+    blues: [0, 3, 5, 6, 7, 10],
+    wholeTone: [0, 2, 4, 6, 8, 10],
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+/**
+ * Class turning changes of the triangulation into notes.
+ * Registered as an overlay, it compares the triangles after every rebuild
+ * with the previous ones: created and destroyed triangles each become a
+ * note whose pitch follows the triangle's area or height on a musical scale
+ * and whose stereo position follows its x coordinate.
+ */
+export class Sonifier {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation} triangulation - Triangulation
+     * @param {Settings} settings - Runtime settings
+     * @param {Function} playNote - Called with each note ({event, frequency, pan, volume, duration, area})
+     * @param {Function} [clock] - Current time in milliseconds
+     */
+    constructor(triangulation, settings, playNote, clock = () => performance.now()) {
+        this.triangulation = triangulation;
+        this.settings = settings;
+        this.playNote = playNote;
+        this.clock = clock;
+        this.triangles = new Map(); // Key -> triangle of the last rebuild
+        this.voiceEndTimes = []; // Times at which the sounding notes fade out
+        this.width = 1; // Size of the view (for pitch and panning)
+        this.height = 1;
+    }
+    
+    /**
+     * Set the size of the view
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    setViewSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+    
+    /**
+     * Get a key identifying a triangle by its points
+     * @param {Triangle} triangle - Triangle
+     * @returns {string} Key
+     */
+    getTriangleKey(triangle) {
+        return Triangle.getKey(triangle.p1, triangle.p2, triangle.p3);
+    }
+    
+    /**
+     * Play the triangles created and destroyed since the last rebuild
+     */
+    rebuild() {
+        const previous = this.triangles;
+        this.triangles = new Map(this.triangulation.triangles.map(triangle => [this.getTriangleKey(triangle), triangle]));
+        
+        if (!this.settings.get('sonification.enabled')) return;
+        if (this.triangulation.moving && !this.settings.get('sonification.movement')) return;
+        
+        // Points inserted in bulk (mesh refinement) would only make noise
+        if (this.triangulation.inserting) return;
+        
+        const created = [...this.triangles].filter(([key]) => !previous.has(key)).map(([, triangle]) => triangle);
+        const destroyed = [...previous].filter(([key]) => !this.triangles.has(key)).map(([, triangle]) => triangle);
+        this.play(created, destroyed);
+    }
+    
+    /**
+     * Moving points without topology changes make no sound
+     */
+    update() {}
+    
+    /**
+     * Play notes for triangles, as many as free voices allow
+     * (the largest triangles first, as the most noticeable changes)
+     * @param {Array<Triangle>} created - Created triangles
+     * @param {Array<Triangle>} destroyed - Destroyed triangles
+     * @returns {number} Number of notes played
+     */
+    play(created, destroyed) {
+        const now = this.clock();
+        this.voiceEndTimes = this.voiceEndTimes.filter(time => time > now);
+        const freeVoices = this.settings.get('sonification.maxVoices') - this.voiceEndTimes.length;
+        if (freeVoices <= 0) return 0;
+        
+        const notes = [
+            ...created.map(triangle => this.createNote(triangle, 'created')),
+            ...destroyed.map(triangle => this.createNote(triangle, 'destroyed'))
+        ].sort((a, b) => b.area - a.area).slice(0, freeVoices);
+        
+        for (const note of notes) {
+            this.playNote(note);
+            this.voiceEndTimes.push(now + note.duration + SonificationConstants.NOTE_RELEASE);
+        }
+        return notes.length;
+    }
+    
+    /**
+     * Create the note of a triangle
+     * @param {Triangle} triangle - Triangle
+     * @param {string} event - 'created' or 'destroyed'
+     * @returns {Object} Note ({event, frequency, pan, volume, duration, area})
+     */
+    createNote(triangle, event) {
+        const { p1, p2, p3 } = triangle;
+        const area = Math.abs((p2.x - p1.x) * (p3.y - p1.y) - (p3.x - p1.x) * (p2.y - p1.y)) / 2;
+        const centerX = (p1.x + p2.x + p3.x) / 3;
+        const centerY = (p1.y + p2.y + p3.y) / 3;
+        
+        // Small triangles sound high; by position, higher triangles sound higher
+        let pitch;
+        if (this.settings.get('sonification.pitch') === 'area') {
+            const smallest = Math.log(SonificationConstants.SMALLEST_AREA_RATIO);
+            const largest = Math.log(SonificationConstants.LARGEST_AREA_RATIO);
+            const ratio = Math.max(area / (this.width * this.height), Number.MIN_VALUE);
+            pitch = (largest - Math.log(ratio)) / (largest - smallest);
+        } else {
+            pitch = centerY / this.height + 0.5;
+        }
+        
+        return {
+            event: event,
+            frequency: this.quantize(pitch),
+            pan: Math.max(-1, Math.min(1, centerX / (this.width / 2))),
+            volume: this.settings.get('sonification.volume'),
+            duration: SonificationConstants.NOTE_DURATION,
+            area: area
+        };
+    }
+    
+    /**
+     * Get the frequency of the scale note nearest to a pitch
+     * @param {number} pitch - Pitch from 0 (root) to 1 (root raised by the octaves), clamped
+     * @returns {number} Frequency in Hz
+     */
+    quantize(pitch) {
+        const scale = MusicalScales[this.settings.get('sonification.scale')];
+        const degrees = scale.length * this.settings.get('sonification.octaves');
+        const degree = Math.round(Math.max(0, Math.min(1, pitch)) * degrees);
+        const semitones = 12 * Math.floor(degree / scale.length) + scale[degree % scale.length];
+        return this.settings.get('sonification.rootFrequency') * Math.pow(2, semitones / 12);
+    }
+    
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.triangles.clear();
+        this.voiceEndTimes = [];
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Damped springs along the edges of a triangulation (soft-body physics).
+ * Every edge becomes one spring whose rest length is the edge length when
+ * the spring was created. Overstretched springs can tear; torn edges stay
+ * without a spring until the network is reset.
+ */
+export class SpringNetwork {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.springs = new Map(); // Edge key -> {a, b, restLength}
+        this.tornEdges = new Set(); // Keys of edges whose spring tore
+        this.triangles = null; // Triangles the springs were last synchronized with
+    }
+    
+    /**
+     * Get the key of the edge between two points (independent of their order)
+     * @param {Point} a - First point
+     * @param {Point} b - Second point
+     * @returns {string} Edge key
+     */
+    getEdgeKey(a, b) {
+        return a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`;
+    }
+    
+    /**
+     * Make the springs follow the edges of the triangles: new edges get a
+     * spring at their current length, vanished edges lose theirs.
+     * Edges shared by two triangles get a single spring.
+     * @param {Array<Triangle>} triangles - Triangles
+     */
+    sync(triangles) {
+        // Triangles are replaced, not changed, when the topology changes
+        if (triangles === this.triangles) return;
+        this.triangles = triangles;
+        
+        const springs = new Map();
+        for (const { p1, p2, p3 } of triangles) {
+            for (const [a, b] of [[p1, p2], [p2, p3], [p3, p1]]) {
+                const key = this.getEdgeKey(a, b);
+                if (springs.has(key) || this.tornEdges.has(key)) continue;
+                
+                const spring = this.springs.get(key) || { a: a, b: b, restLength: Math.hypot(b.x - a.x, b.y - a.y) };
+                springs.set(key, spring);
+            }
+        }
+        this.springs = springs;
+    }
+    
+    /**
+     * Apply the spring forces for one simulation step (all points have unit mass)
+     * @param {Set<Point>} movable - Points the springs may move (others act as anchors)
+     * @param {number} stiffness - Velocity change per step and unit of stretch
+     * @param {number} damping - Fraction of the relative velocity along the spring removed per step
+     * @param {number} [tearStrain=Infinity] - Relative stretch at which a spring tears
+     * @returns {number} Number of springs torn in this step
+     */
+    apply(movable, stiffness, damping, tearStrain = Infinity) {
+        let torn = 0;
+        for (const [key, spring] of this.springs) {
+            const { a, b } = spring;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0) continue;
+            
+            const stretch = length - spring.restLength;
+            if (spring.restLength > 0 && stretch / spring.restLength > tearStrain) {
+                this.springs.delete(key);
+                this.tornEdges.add(key);
+                torn++;
+                continue;
+            }
+            
+            // Hooke's law plus damping of the motion along the spring
+            const ux = dx / length;
+            const uy = dy / length;
+            const relativeVelocity = (b.vx - a.vx) * ux + (b.vy - a.vy) * uy;
+            const force = stiffness * stretch + damping * relativeVelocity;
+            if (movable.has(a)) {
+                a.vx += ux * force;
+                a.vy += uy * force;
+            }
+            if (movable.has(b)) {
+                b.vx -= ux * force;
+                b.vy -= uy * force;
+            }
+        }
+        return torn;
+    }
+    
+    /**
+     * Forget all springs and torn edges (springs are created again on the next sync)
+     */
+    reset() {
+        this.springs.clear();
+        this.tornEdges.clear();
+        this.triangles = null;
+    }
+}
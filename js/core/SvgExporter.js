@@ -0,0 +1,94 @@
+import { DisplayConstants, ConstraintConstants, RefinementConstants } from './Constants.js';
+import { ColorUtils } from './ColorUtils.js';
+
+/**
+ * Serializer writing the triangulation as an SVG document.
+ * Scene coordinates (origin at the center, y up) are mapped to SVG
+ * coordinates (origin at the top left, y down); the view's pan and zoom
+ * only change the viewBox, so the document shows what is on screen.
+ */
+export const SvgExporter = {
+    // Number of decimals kept for coordinates
+    PRECISION: 3,
+    
+    /**
+     * Create an SVG document of the triangles, constraint segments and points
+     * (in the colors of the triangulation's settings)
+     * @param {DelaunayTriangulation} triangulation - Delaunay triangulation
+     * @param {number} width - Width of the screen area to export
+     * @param {number} height - Height of the screen area to export
+     * @param {Object} [options] - Output options
+     * @param {Object} [options.view] - Pan and zoom of the view ({centerX, centerY, zoom}, see ViewController; unzoomed if omitted)
+     * @param {number} [options.outputWidth=width] - Width of the document
+     * @param {number} [options.outputHeight=height] - Height of the document
+     * @param {boolean} [options.background=true] - Whether to fill the background
+     * @param {boolean} [options.showTriangles=true] - Whether to include triangles
+     * @returns {string} SVG document
+     */
+    serialize: function(triangulation, width, height, options = {}) {
+        const outputWidth = options.outputWidth || width;
+        const outputHeight = options.outputHeight || height;
+        const x = value => this.formatNumber(value + width / 2);
+        const y = value => this.formatNumber(height / 2 - value);
+        const settings = triangulation.settings;
+        
+        // Visible scene area in SVG coordinates; lines keep their screen thickness
+        const { centerX, centerY, zoom } = options.view || { centerX: 0, centerY: 0, zoom: 1 };
+        const viewBox = [centerX + (width - width / zoom) / 2, (height - height / zoom) / 2 - centerY, width / zoom, height / zoom]
+            .map(value => this.formatNumber(value));
+        const lineThickness = this.formatNumber(DisplayConstants.LINE_THICKNESS / zoom);
+        
+        const lines = [];
+        lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+        lines.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${this.formatNumber(outputWidth)}" ` +
+                   `height="${this.formatNumber(outputHeight)}" viewBox="${viewBox.join(' ')}">`);
+        
+        if (options.background !== false) {
+            lines.push(`  <rect x="${viewBox[0]}" y="${viewBox[1]}" width="${viewBox[2]}" height="${viewBox[3]}" fill="${ColorUtils.toCssColor(settings.get('render.backgroundColor'))}"/>`);
+        }
+        
+        // One path per triangle in its generated color (or the color of its quality)
+        if (options.showTriangles !== false) {
+            lines.push(`  <g id="triangles" fill="none" stroke-width="${lineThickness}" stroke-linejoin="round">`);
+            const colors = ColorUtils.getTriangleColors(triangulation.triangles, settings.get('render.colorBy'));
+            triangulation.triangles.forEach((triangle, i) => {
+                const color = ColorUtils.toCssColor(colors[i]);
+                const { p1, p2, p3 } = triangle;
+                lines.push(`    <path d="M${x(p1.x)} ${y(p1.y)}L${x(p2.x)} ${y(p2.y)}L${x(p3.x)} ${y(p3.y)}Z" stroke="${color}"/>`);
+            });
+            lines.push('  </g>');
+        }
+        
+        const segments = triangulation.pointManager.getSegments();
+        if (segments.length > 0) {
+            lines.push(`  <g id="segments" stroke="${ColorUtils.toCssColor(ConstraintConstants.SEGMENT_COLOR)}" ` +
+                       `stroke-width="${lineThickness}" stroke-linecap="round">`);
+            for (const { a, b } of segments) {
+                lines.push(`    <line x1="${x(a.x)}" y1="${y(a.y)}" x2="${x(b.x)}" y2="${y(b.y)}"/>`);
+            }
+            lines.push('  </g>');
+        }
+        
+        // Points as circles (fixed points in the constraint color, Steiner points in the refinement color)
+        lines.push(`  <g id="points" fill="${ColorUtils.toCssColor(settings.get('render.pointColor'))}">`);
+        for (const point of triangulation.pointManager.getPoints()) {
+            const color = point.steiner ? RefinementConstants.POINT_COLOR : point.fixed ? ConstraintConstants.POINT_COLOR : null;
+            const fill = color !== null ? ` fill="${ColorUtils.toCssColor(color)}"` : '';
+            lines.push(`    <circle cx="${x(point.x)}" cy="${y(point.y)}" r="${DisplayConstants.POINT_RADIUS}"${fill}/>`);
+        }
+        lines.push('  </g>');
+        
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Format a number compactly
+     * @param {number} value - Value to format
+     * @returns {string} Value rounded to PRECISION decimals without trailing zeros
+     */
+    formatNumber: function(value) {
+        const rounded = Number(value.toFixed(this.PRECISION));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    }
+};
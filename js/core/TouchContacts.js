@@ -0,0 +1,153 @@
+/**
+ * Fingers on a touch screen, tracked by their identifiers.
+ * A finger landing on empty space waits briefly (touch.gestureDelay) before
+ * it adds a point; a second finger landing on empty space within
+ * touch.gestureDistance of a waiting one turns both into a pan/zoom gesture
+ * instead. Either setting at 0 turns gestures off, so every finger adds a
+ * point at once.
+ */
+export class TouchContacts {
+    /**
+     * Constructor
+     * @param {Settings} settings - Runtime settings
+     * @param {Function} onAdd - Called with a waiting finger when it should add its point
+     */
+    constructor(settings, onAdd) {
+        this.settings = settings;
+        this.onAdd = onAdd;
+        this.contacts = new Map(); // Touch identifier -> finger state
+        this.gesture = null; // Two-finger gesture in progress ({contacts, centerX, centerY, distance})
+    }
+    
+    /**
+     * Number of fingers on the screen
+     * @returns {number} Finger count
+     */
+    get size() {
+        return this.contacts.size;
+    }
+    
+    /**
+     * Start tracking a new finger
+     * @param {number} identifier - Touch identifier
+     * @param {number} clientX - Screen x
+     * @param {number} clientY - Screen y
+     * @param {boolean} empty - Whether the finger landed on empty space (not on a point)
+     * @param {Object} [fields] - Further fields of the finger state, kept for the caller
+     * @returns {Object} Finger state
+     */
+    start(identifier, clientX, clientY, empty, fields = {}) {
+        const contact = {
+            ...fields,
+            startX: clientX,
+            startY: clientY,
+            clientX: clientX,
+            clientY: clientY,
+            gesture: false, // Whether the finger belongs to a two-finger gesture
+            addTimer: null // Pending point addition (waiting for a second finger)
+        };
+        this.contacts.set(identifier, contact);
+        if (!empty) return contact;
+        
+        const delay = this.settings.get('touch.gestureDelay');
+        const maxDistance = this.settings.get('touch.gestureDistance');
+        if (delay <= 0 || maxDistance <= 0) {
+            this.add(contact);
+            return contact;
+        }
+        
+        // A second finger landing next to a waiting one starts a gesture instead
+        if (!this.gesture) {
+            for (const other of this.contacts.values()) {
+                if (other === contact || other.addTimer === null) continue;
+                if (Math.hypot(other.clientX - contact.clientX, other.clientY - contact.clientY) > maxDistance) continue;
+                
+                clearTimeout(other.addTimer);
+                other.addTimer = null;
+                other.gesture = true;
+                contact.gesture = true;
+                this.gesture = { contacts: [other, contact], ...this.measureGesture(other, contact) };
+                return contact;
+            }
+        }
+        
+        // Wait briefly for a second finger before adding a point
+        contact.addTimer = setTimeout(() => this.add(contact), delay);
+        return contact;
+    }
+    
+    /**
+     * Update the position of a finger
+     * @param {number} identifier - Touch identifier
+     * @param {number} clientX - Screen x
+     * @param {number} clientY - Screen y
+     * @returns {Object|undefined} Finger state, undefined if the finger is not tracked
+     */
+    move(identifier, clientX, clientY) {
+        const contact = this.contacts.get(identifier);
+        if (contact) {
+            contact.clientX = clientX;
+            contact.clientY = clientY;
+        }
+        return contact;
+    }
+    
+    /**
+     * Stop tracking a finger
+     * @param {number} identifier - Touch identifier
+     * @param {boolean} lifted - true when the finger was lifted (a quick tap adds its point right away), false when the touch was cancelled
+     * @returns {Object|undefined} Finger state, undefined if the finger is not tracked
+     */
+    end(identifier, lifted) {
+        const contact = this.contacts.get(identifier);
+        if (!contact) return undefined;
+        this.contacts.delete(identifier);
+        
+        if (contact.addTimer !== null && lifted) {
+            this.add(contact);
+        }
+        clearTimeout(contact.addTimer);
+        contact.addTimer = null;
+        
+        // Lifting either finger ends the gesture
+        if (this.gesture && this.gesture.contacts.includes(contact)) {
+            this.gesture = null;
+        }
+        return contact;
+    }
+    
+    /**
+     * Let a waiting finger add its point
+     * @param {Object} contact - Finger state
+     */
+    add(contact) {
+        clearTimeout(contact.addTimer);
+        contact.addTimer = null;
+        this.onAdd(contact);
+    }
+    
+    /**
+     * Measure the fingers of a two-finger gesture
+     * @param {Object} a - First finger state
+     * @param {Object} b - Second finger state
+     * @returns {Object} {centerX, centerY, distance} in screen pixels
+     */
+    measureGesture(a, b) {
+        return {
+            centerX: (a.clientX + b.clientX) / 2,
+            centerY: (a.clientY + b.clientY) / 2,
+            distance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY))
+        };
+    }
+    
+    /**
+     * Stop tracking all fingers and cancel their pending additions
+     */
+    clear() {
+        for (const contact of this.contacts.values()) {
+            clearTimeout(contact.addTimer);
+        }
+        this.contacts.clear();
+        this.gesture = null;
+    }
+}
@@ -0,0 +1,119 @@
+import { Predicates } from './Predicates.js';
+
+/**
+ * Class representing a triangle formed by three points
+ */
+export class Triangle {
+    /**
+     * Constructor
+     * @param {Point} p1 - First point
+     * @param {Point} p2 - Second point
+     * @param {Point} p3 - Third point
+     */
+    constructor(p1, p2, p3) {
+        this.p1 = p1;
+        this.p2 = p2;
+        this.p3 = p3;
+    }
+
+    /**
+     * Check if a point is inside the circumcircle of this triangle
+     * @param {Point} p - Point to check
+     * @returns {boolean} true if the point is inside the circumcircle
+     */
+    isPointInCircumcircle(p) {
+        // Three points of the triangle
+        const x1 = this.p1.x;
+        const y1 = this.p1.y;
+        const x2 = this.p2.x;
+        const y2 = this.p2.y;
+        const x3 = this.p3.x;
+        const y3 = this.p3.y;
+        
+        // Degenerate case (collinear points) has no circumcircle
+        const orientation = Predicates.orient2d(x1, y1, x2, y2, x3, y3);
+        if (orientation === 0) return false;
+        
+        // Robust incircle test (its sign assumes counter-clockwise order)
+        const det = Predicates.incircle(x1, y1, x2, y2, x3, y3, p.x, p.y);
+        
+        // Inside circle if the sign matches the orientation
+        return orientation > 0 ? det > 0 : det < 0;
+    }
+
+    /**
+     * Calculate the center of the circumcircle of this triangle
+     * @returns {{x: number, y: number}|null} Circumcenter, or null for collinear points
+     */
+    getCircumcenter() {
+        // Edge vectors from the first point
+        const x1 = this.p1.x;
+        const y1 = this.p1.y;
+        const bx = this.p2.x - x1;
+        const by = this.p2.y - y1;
+        const cx = this.p3.x - x1;
+        const cy = this.p3.y - y1;
+        
+        // Twice the signed area
+        const d = 2 * (bx * cy - by * cx);
+        if (d === 0) return null;
+        
+        const bSq = bx * bx + by * by;
+        const cSq = cx * cx + cy * cy;
+        
+        return {
+            x: x1 + (cy * bSq - by * cSq) / d,
+            y: y1 + (bx * cSq - cx * bSq) / d
+        };
+    }
+
+    /**
+     * Calculate the radius of the circumcircle of this triangle
+     * @returns {number} Circumradius, or Infinity for collinear points
+     */
+    getCircumradius() {
+        const { p1, p2, p3 } = this;
+        const a = Math.hypot(p3.x - p2.x, p3.y - p2.y);
+        const b = Math.hypot(p1.x - p3.x, p1.y - p3.y);
+        const c = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const area = Math.abs((p2.x - p1.x) * (p3.y - p1.y) - (p3.x - p1.x) * (p2.y - p1.y)) / 2;
+        return Triangle.getCircumradiusFromEdges(a, b, c, area);
+    }
+
+    /**
+     * Calculate the circumradius of a triangle from its edge lengths and area
+     * (product of the edges over four times the area)
+     * @param {number} a - First edge length
+     * @param {number} b - Second edge length
+     * @param {number} c - Third edge length
+     * @param {number} area - Area
+     * @returns {number} Circumradius, or Infinity for a degenerate triangle
+     */
+    static getCircumradiusFromEdges(a, b, c, area) {
+        if (area === 0 || Math.min(a, b, c) === 0) return Infinity;
+        return a * b * c / (4 * area);
+    }
+
+    /**
+     * Generate a color seed for this triangle from the identifiers of its points
+     * (stays the same while the points move and whichever vertex comes first)
+     * @returns {number} Color seed
+     */
+    getColorSeed() {
+        const [a, b, c] = [this.p1.id, this.p2.id, this.p3.id].sort((x, y) => x - y);
+        
+        // Combine the identifiers to create a seed
+        return (Math.imul(a, 73856093) ^ Math.imul(b, 19349663) ^ Math.imul(c, 83492791)) >>> 0;
+    }
+
+    /**
+     * Get a key identifying a triangle by its points, whatever their order
+     * @param {Point} p1 - First point
+     * @param {Point} p2 - Second point
+     * @param {Point} p3 - Third point
+     * @returns {string} Key
+     */
+    static getKey(p1, p2, p3) {
+        return [p1.id, p2.id, p3.id].sort((a, b) => a - b).join('-');
+    }
+}
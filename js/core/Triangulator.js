@@ -0,0 +1,1184 @@
+import { Predicates } from './Predicates.js';
+
+/**
+ * Class implementing incremental Delaunay triangulation
+ * (points are inserted one by one into a super triangle and the Delaunay
+ * condition is restored with edge flips).
+ * Constraint segments can be inserted afterwards to build a constrained
+ * Delaunay triangulation.
+ */
+export class Triangulator {
+    /**
+     * Constructor
+     * @param {ArrayLike<number>} coords - Point coordinates as [x0, y0, x1, y1, ...]
+     */
+    constructor(coords) {
+        this.coords = coords;
+        this.vertexCount = Math.floor(coords.length / 2);
+        
+        // Vertex indices of each triangle (3 per triangle, counter-clockwise)
+        this.triangleVertices = [];
+        
+        // Neighbor triangle across the edge opposite each vertex (-1 if none)
+        this.triangleNeighbors = [];
+        
+        // Constraint flag of the edge opposite each vertex
+        this.triangleConstraints = [];
+        
+        // A triangle containing each vertex
+        this.vertexTriangles = [];
+        
+        // Vertex that each point was merged into (duplicates map to an earlier point)
+        this.vertexAliases = [];
+        
+        // Whether boundary segments are present (triangles outside them are removed)
+        this.hasBoundary = false;
+        
+        // Triangle where the next point location walk starts
+        this.lastTriangle = 0;
+        
+        // Counter used to vary the edge order while walking
+        this.walkCounter = 0;
+        
+        // Directions of the super triangle vertices (indices -1, -2, -3).
+        // They are placed symbolically at infinity along these directions,
+        // so the super triangle never affects triangles between real points.
+        this.SUPER_DIRECTIONS = [[0, 1], [-1, -1], [1, -1]];
+        
+        // Edge constraint flags
+        this.UNCONSTRAINED = 0;
+        this.CONSTRAINED = 1; // Fixed edge
+        this.BOUNDARY = 2; // Fixed edge of a closed boundary or hole
+        
+        // Maximum number of times a kinetic update halves the movement
+        this.MAX_SUBSTEP_DEPTH = 8;
+        
+        // Create super triangle
+        this.setTriangle(0, -1, -2, -3, -1, -1, -1);
+    }
+    
+    /**
+     * Insert all points and build the triangulation
+     * @returns {Triangulator} This triangulator
+     */
+    triangulate() {
+        // Insert points in spatially coherent order so that walks stay short
+        for (const index of this.getInsertionOrder()) {
+            this.vertexAliases[index] = this.insert(index);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Get point indices sorted along a Hilbert curve
+     * @returns {Array<number>} Point indices in insertion order
+     */
+    getInsertionOrder() {
+        const order = [];
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        
+        for (let i = 0; i < this.vertexCount; i++) {
+            const x = this.coords[2 * i];
+            const y = this.coords[2 * i + 1];
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+            order.push(i);
+        }
+        
+        // Map coordinates onto a 2^16 x 2^16 grid
+        const size = Math.max(maxX - minX, maxY - minY) || 1;
+        const scale = 65535 / size;
+        const keys = new Float64Array(this.vertexCount);
+        for (let i = 0; i < this.vertexCount; i++) {
+            keys[i] = this.hilbertIndex(
+                Math.floor((this.coords[2 * i] - minX) * scale),
+                Math.floor((this.coords[2 * i + 1] - minY) * scale)
+            );
+        }
+        
+        return order.sort((a, b) => keys[a] - keys[b]);
+    }
+    
+    /**
+     * Calculate the position of a grid cell along a Hilbert curve
+     * @param {number} x - Cell x coordinate (0 to 65535)
+     * @param {number} y - Cell y coordinate (0 to 65535)
+     * @returns {number} Distance along the curve
+     */
+    hilbertIndex(x, y) {
+        let d = 0;
+        for (let s = 32768; s > 0; s >>= 1) {
+            const rx = (x & s) > 0 ? 1 : 0;
+            const ry = (y & s) > 0 ? 1 : 0;
+            d += s * s * ((3 * rx) ^ ry);
+            
+            // Rotate quadrant
+            if (ry === 0) {
+                if (rx === 1) {
+                    x = s - 1 - x;
+                    y = s - 1 - y;
+                }
+                const tmp = x;
+                x = y;
+                y = tmp;
+            }
+        }
+        return d;
+    }
+    
+    /**
+     * Insert a point into the triangulation
+     * @param {number} p - Index of the point
+     * @returns {number} Index of the vertex at the point (differs from p for duplicates)
+     */
+    insert(p) {
+        const t = this.locate(p);
+        
+        // Check whether the point lies on an edge of the triangle
+        let edge = -1;
+        for (let k = 0; k < 3; k++) {
+            const a = this.triangleVertices[3 * t + (k + 1) % 3];
+            const b = this.triangleVertices[3 * t + (k + 2) % 3];
+            if (this.orient(a, b, p) === 0) {
+                // On two edges means it coincides with their shared vertex
+                if (edge >= 0) return this.triangleVertices[3 * t + 3 - edge - k];
+                edge = k;
+            }
+        }
+        
+        if (edge >= 0) {
+            this.splitEdge(t, edge, p);
+        } else {
+            this.splitTriangle(t, p);
+        }
+        return p;
+    }
+    
+    /**
+     * Insert a point into the finished triangulation (e.g. a Steiner point).
+     * A point splitting a constrained edge leaves both halves with its flag.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Array<number>} [edge] - Vertices [a, b] of the edge the point splits
+     * @returns {number} Index of the vertex at the point (an earlier vertex for duplicates)
+     */
+    addPoint(x, y, edge = null) {
+        const p = this.vertexCount;
+        this.setVertexCoords(p, x, y);
+        this.vertexCount++;
+        
+        // Release the edge first, so it is flipped away if the point is not exactly on it
+        let flag = this.UNCONSTRAINED;
+        const found = edge && this.findEdge(edge[0], edge[1]);
+        if (found) {
+            flag = this.triangleConstraints[3 * found.triangle + found.index];
+            if (flag !== this.UNCONSTRAINED) {
+                this.setEdgeConstraint(edge[0], edge[1], this.UNCONSTRAINED);
+            }
+        }
+        
+        const vertex = this.insert(p);
+        this.vertexAliases[p] = vertex;
+        if (flag !== this.UNCONSTRAINED) {
+            if (vertex === p) {
+                this.insertSegment(edge[0], p, flag === this.BOUNDARY);
+                this.insertSegment(p, edge[1], flag === this.BOUNDARY);
+            } else {
+                this.setEdgeConstraint(edge[0], edge[1], flag);
+            }
+        }
+        return vertex;
+    }
+    
+    /**
+     * Find the triangle containing a position without inserting it
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} [start] - Triangle where the walk starts
+     * @returns {number} Index of the containing triangle
+     */
+    locatePosition(x, y, start = this.lastTriangle) {
+        // The slot of the next vertex holds the position while walking
+        this.setVertexCoords(this.vertexCount, x, y);
+        this.lastTriangle = start;
+        return this.locate(this.vertexCount);
+    }
+    
+    /**
+     * Set the coordinates of a vertex, growing the coordinate array when needed
+     * @param {number} v - Vertex index
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    setVertexCoords(v, x, y) {
+        if (2 * v + 2 > this.coords.length) {
+            // Double the capacity so that a series of insertions copies rarely
+            const coords = new Float64Array(Math.max(2 * v + 2, 2 * this.coords.length));
+            coords.set(this.coords);
+            this.coords = coords;
+        }
+        this.coords[2 * v] = x;
+        this.coords[2 * v + 1] = y;
+    }
+    
+    /**
+     * Find the triangle containing a point by walking through neighbors
+     * @param {number} p - Index of the point
+     * @returns {number} Index of the containing triangle
+     */
+    locate(p) {
+        let t = this.lastTriangle;
+        
+        walk: for (;;) {
+            // Start from a different edge each step to avoid cycling
+            const start = this.walkCounter++ % 3;
+            for (let i = 0; i < 3; i++) {
+                const k = (start + i) % 3;
+                const a = this.triangleVertices[3 * t + (k + 1) % 3];
+                const b = this.triangleVertices[3 * t + (k + 2) % 3];
+                
+                // Move to the neighbor if the point is on the other side of this edge
+                if (this.orient(a, b, p) < 0) {
+                    t = this.triangleNeighbors[3 * t + k];
+                    continue walk;
+                }
+            }
+            return t;
+        }
+    }
+    
+    /**
+     * Split a triangle into three triangles around a point inside it
+     * @param {number} t - Index of the triangle
+     * @param {number} p - Index of the point
+     */
+    splitTriangle(t, p) {
+        const a = this.triangleVertices[3 * t];
+        const b = this.triangleVertices[3 * t + 1];
+        const c = this.triangleVertices[3 * t + 2];
+        const na = this.triangleNeighbors[3 * t];
+        const nb = this.triangleNeighbors[3 * t + 1];
+        const nc = this.triangleNeighbors[3 * t + 2];
+        const fa = this.triangleConstraints[3 * t];
+        const fb = this.triangleConstraints[3 * t + 1];
+        const fc = this.triangleConstraints[3 * t + 2];
+        
+        // Reuse the original triangle for (p, b, c) and add two new ones
+        const t1 = this.triangleVertices.length / 3;
+        const t2 = t1 + 1;
+        this.setTriangle(t, p, b, c, na, t1, t2, fa);
+        this.setTriangle(t1, p, c, a, nb, t2, t, fb);
+        this.setTriangle(t2, p, a, b, nc, t, t1, fc);
+        
+        // Outer neighbors now border the new triangles
+        this.replaceNeighbor(nb, t, t1);
+        this.replaceNeighbor(nc, t, t2);
+        
+        this.lastTriangle = t;
+        
+        // Restore the Delaunay condition on the edges opposite the new point
+        this.legalize([t, t1, t2]);
+    }
+    
+    /**
+     * Split the edge opposite a vertex of a triangle at a point on it.
+     * Triangle t = (a, b, c) and its neighbor u = (d, c, b) become four
+     * triangles around the point. Both halves of a constrained edge stay
+     * constrained.
+     * @param {number} t - Index of the triangle
+     * @param {number} k - Position (0 to 2) of the vertex opposite the edge
+     * @param {number} p - Index of the point
+     */
+    splitEdge(t, k, p) {
+        const u = this.triangleNeighbors[3 * t + k];
+        const m = this.getNeighborIndex(u, t);
+        
+        const a = this.triangleVertices[3 * t + k];
+        const b = this.triangleVertices[3 * t + (k + 1) % 3];
+        const c = this.triangleVertices[3 * t + (k + 2) % 3];
+        const d = this.triangleVertices[3 * u + m];
+        
+        // Neighbors around the quadrilateral (a, b, d, c)
+        const tB = this.triangleNeighbors[3 * t + (k + 1) % 3];
+        const tC = this.triangleNeighbors[3 * t + (k + 2) % 3];
+        const uC = this.triangleNeighbors[3 * u + (m + 1) % 3];
+        const uB = this.triangleNeighbors[3 * u + (m + 2) % 3];
+        const ftB = this.triangleConstraints[3 * t + (k + 1) % 3];
+        const ftC = this.triangleConstraints[3 * t + (k + 2) % 3];
+        const fuC = this.triangleConstraints[3 * u + (m + 1) % 3];
+        const fuB = this.triangleConstraints[3 * u + (m + 2) % 3];
+        const f = this.triangleConstraints[3 * t + k];
+        
+        // Reuse both triangles and add two new ones
+        const t1 = this.triangleVertices.length / 3;
+        const u1 = t1 + 1;
+        this.setTriangle(t, p, c, a, tB, t1, u1, ftB, 0, f);
+        this.setTriangle(t1, p, a, b, tC, u, t, ftC, f, 0);
+        this.setTriangle(u, p, b, d, uC, u1, t1, fuC, 0, f);
+        this.setTriangle(u1, p, d, c, uB, t, u, fuB, f, 0);
+        
+        this.replaceNeighbor(tC, t, t1);
+        this.replaceNeighbor(uB, u, u1);
+        
+        this.lastTriangle = t;
+        
+        this.legalize([t, t1, u, u1]);
+    }
+    
+    /**
+     * Set vertices, neighbors and edge constraint flags of a triangle
+     * @param {number} t - Index of the triangle
+     * @param {number} a - First vertex
+     * @param {number} b - Second vertex
+     * @param {number} c - Third vertex
+     * @param {number} na - Neighbor opposite the first vertex
+     * @param {number} nb - Neighbor opposite the second vertex
+     * @param {number} nc - Neighbor opposite the third vertex
+     * @param {number} [fa=0] - Constraint flag of the edge opposite the first vertex
+     * @param {number} [fb=0] - Constraint flag of the edge opposite the second vertex
+     * @param {number} [fc=0] - Constraint flag of the edge opposite the third vertex
+     */
+    setTriangle(t, a, b, c, na, nb, nc, fa = 0, fb = 0, fc = 0) {
+        this.triangleVertices[3 * t] = a;
+        this.triangleVertices[3 * t + 1] = b;
+        this.triangleVertices[3 * t + 2] = c;
+        this.triangleNeighbors[3 * t] = na;
+        this.triangleNeighbors[3 * t + 1] = nb;
+        this.triangleNeighbors[3 * t + 2] = nc;
+        this.triangleConstraints[3 * t] = fa;
+        this.triangleConstraints[3 * t + 1] = fb;
+        this.triangleConstraints[3 * t + 2] = fc;
+        
+        // Remember a triangle for each real vertex
+        for (const v of [a, b, c]) {
+            if (v >= 0) this.vertexTriangles[v] = t;
+        }
+    }
+    
+    /**
+     * Replace a neighbor reference of a triangle
+     * @param {number} t - Index of the triangle to update (-1 is ignored)
+     * @param {number} oldNeighbor - Neighbor to replace
+     * @param {number} newNeighbor - New neighbor
+     */
+    replaceNeighbor(t, oldNeighbor, newNeighbor) {
+        if (t < 0) return;
+        
+        for (let k = 0; k < 3; k++) {
+            if (this.triangleNeighbors[3 * t + k] === oldNeighbor) {
+                this.triangleNeighbors[3 * t + k] = newNeighbor;
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Flip edges until the triangles around a new point are Delaunay
+     * @param {Array<number>} stack - Triangles whose first vertex is the new point
+     */
+    legalize(stack) {
+        while (stack.length > 0) {
+            const t = stack.pop();
+            const u = this.triangleNeighbors[3 * t];
+            if (u < 0 || this.triangleConstraints[3 * t] !== this.UNCONSTRAINED) continue;
+            
+            // Vertex of the neighbor opposite the shared edge
+            const m = this.getNeighborIndex(u, t);
+            const d = this.triangleVertices[3 * u + m];
+            
+            const p = this.triangleVertices[3 * t];
+            const a = this.triangleVertices[3 * t + 1];
+            const b = this.triangleVertices[3 * t + 2];
+            
+            // Flip if the opposite vertex lies inside the circumcircle
+            if (this.incircle(p, a, b, d) > 0) {
+                this.flip(t, 0);
+                stack.push(t, u);
+            }
+        }
+    }
+    
+    /**
+     * Move the points and restore the Delaunay condition with local edge flips
+     * (kinetic update, the topology is kept instead of being rebuilt).
+     * Only the triangles around moved points are checked. Triangles turned
+     * over by the movement are flipped away where possible, otherwise (or if
+     * the mesh ends up folded over itself) the movement is split into smaller steps.
+     * @param {Float64Array} coords - New coordinates of the same points
+     * @param {number} [depth=0] - Number of times the movement was already halved
+     * @returns {Array<Array<number>>|null} Flipped edges as [a, b, p, d] (edge a-b
+     *     replaced by p-d), or null if the triangulation has to be rebuilt
+     */
+    updateCoords(coords, depth = 0) {
+        // Remember where the moved points were
+        const moved = [];
+        for (let v = 0; v < this.vertexCount; v++) {
+            if (this.coords[2 * v] !== coords[2 * v] || this.coords[2 * v + 1] !== coords[2 * v + 1]) {
+                moved.push(v, this.coords[2 * v], this.coords[2 * v + 1]);
+            }
+        }
+        if (moved.length === 0) return [];
+        
+        this.coords.set(coords);
+        const triangles = new Set();
+        for (let i = 0; i < moved.length; i += 3) {
+            this.collectTrianglesAround(moved[i], triangles);
+        }
+        
+        // Only a move that turns a triangle over or folds the mesh needs a snapshot to go back to
+        const flips = [];
+        if (!this.isEveryCounterClockwise(triangles) || !this.isEveryRingSimple(triangles)) {
+            const topology = [this.triangleVertices, this.triangleNeighbors, this.triangleConstraints, this.vertexTriangles]
+                .map(array => array.slice());
+            if (!this.repairInvertedTriangles(flips, triangles) || !this.isEveryRingSimple(triangles)) {
+                // Go back to the previous state, then move halfway first and the rest of the way after
+                [this.triangleVertices, this.triangleNeighbors, this.triangleConstraints, this.vertexTriangles] = topology;
+                for (let i = 0; i < moved.length; i += 3) {
+                    this.coords[2 * moved[i]] = moved[i + 1];
+                    this.coords[2 * moved[i] + 1] = moved[i + 2];
+                }
+                if (depth >= this.MAX_SUBSTEP_DEPTH) return null;
+                const middle = this.coords.map((value, i) => (value + coords[i]) / 2);
+                const first = this.updateCoords(middle, depth + 1);
+                const second = first && this.updateCoords(coords, depth + 1);
+                return second && first.concat(second);
+            }
+        }
+        
+        return flips.concat(this.restoreDelaunay(triangles));
+    }
+    
+    /**
+     * Collect the triangles sharing a vertex
+     * @param {number} v - Vertex (real)
+     * @param {Set<number>} triangles - Receives the triangle indices
+     */
+    collectTrianglesAround(v, triangles) {
+        const start = this.vertexTriangles[v];
+        let t = start;
+        do {
+            triangles.add(t);
+            
+            // Rotate counter-clockwise around v
+            t = this.triangleNeighbors[3 * t + (this.getVertexIndex(t, v) + 1) % 3];
+        } while (t !== start && t >= 0);
+    }
+    
+    /**
+     * Check whether triangles are counter-clockwise
+     * @param {Iterable<number>} triangles - Triangle indices
+     * @returns {boolean} true if none of them is inverted or flat
+     */
+    isEveryCounterClockwise(triangles) {
+        for (const t of triangles) {
+            if (this.orient(this.triangleVertices[3 * t], this.triangleVertices[3 * t + 1], this.triangleVertices[3 * t + 2]) <= 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Check that the triangles around the vertices of counter-clockwise
+     * triangles wind around them exactly once. A point jumping far can leave
+     * every triangle counter-clockwise while its ring wraps around it twice,
+     * folding the mesh over itself.
+     * @param {Iterable<number>} triangles - Counter-clockwise triangle indices
+     * @returns {boolean} true if no ring around their vertices is folded
+     */
+    isEveryRingSimple(triangles) {
+        const vertices = new Set();
+        for (const t of triangles) {
+            for (let k = 0; k < 3; k++) {
+                if (this.triangleVertices[3 * t + k] >= 0) vertices.add(this.triangleVertices[3 * t + k]);
+            }
+        }
+        
+        const triangleCount = this.triangleVertices.length / 3;
+        for (const v of vertices) {
+            // Sum the angles at v (each below pi), a simple ring adds up to 2 pi
+            const start = this.vertexTriangles[v];
+            let t = start;
+            let angle = 0;
+            let steps = 0;
+            do {
+                const k = this.getVertexIndex(t, v);
+                const [ax, ay] = this.getDirection(v, this.triangleVertices[3 * t + (k + 1) % 3]);
+                const [bx, by] = this.getDirection(v, this.triangleVertices[3 * t + (k + 2) % 3]);
+                angle += Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+                t = this.triangleNeighbors[3 * t + (k + 1) % 3];
+                if (++steps > triangleCount) return false;
+            } while (t !== start && t >= 0);
+            if (t === start && Math.abs(angle - 2 * Math.PI) > Math.PI) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Direction from a real vertex towards another vertex
+     * @param {number} v - Vertex (real)
+     * @param {number} w - Vertex (super vertices lie infinitely far away)
+     * @returns {Array<number>} [dx, dy]
+     */
+    getDirection(v, w) {
+        if (w < 0) return this.SUPER_DIRECTIONS[-w - 1];
+        return [this.coords[2 * w] - this.coords[2 * v], this.coords[2 * w + 1] - this.coords[2 * v + 1]];
+    }
+    
+    /**
+     * Flip edges of triangles that are not counter-clockwise
+     * (e.g. a hull vertex that moved outwards past its hull edge)
+     * @param {Array<Array<number>>} flips - Receives the flipped edges as [a, b, p, d]
+     * @param {Set<number>} triangles - Triangles that may be inverted (the
+     *     triangles changed by flips are added)
+     * @returns {boolean} true if no inverted or flat triangle is left
+     */
+    repairInvertedTriangles(flips, triangles) {
+        for (;;) {
+            let inverted = false;
+            let repaired = false;
+            for (const t of triangles) {
+                const p = this.triangleVertices[3 * t];
+                if (this.orient(p, this.triangleVertices[3 * t + 1], this.triangleVertices[3 * t + 2]) > 0) continue;
+                
+                inverted = true;
+                for (let k = 0; k < 3; k++) {
+                    const u = this.triangleNeighbors[3 * t + k];
+                    if (u < 0 || this.triangleConstraints[3 * t + k] !== this.UNCONSTRAINED) continue;
+                    
+                    // A vertex folded in between two triangles cannot be flipped away
+                    if (this.hasRepeatedNeighbor(t) || this.hasRepeatedNeighbor(u)) continue;
+                    
+                    // Flip only if both new triangles are counter-clockwise
+                    const q = this.triangleVertices[3 * t + k];
+                    const a = this.triangleVertices[3 * t + (k + 1) % 3];
+                    const b = this.triangleVertices[3 * t + (k + 2) % 3];
+                    const d = this.triangleVertices[3 * u + this.getNeighborIndex(u, t)];
+                    if (this.orient(q, a, d) > 0 && this.orient(q, d, b) > 0) {
+                        this.flip(t, k);
+                        flips.push([a, b, q, d]);
+                        triangles.add(u);
+                        repaired = true;
+                        break;
+                    }
+                }
+            }
+            
+            if (!inverted) return true;
+            if (!repaired) return false;
+        }
+    }
+    
+    /**
+     * Check whether a triangle shares more than one edge with a neighbor
+     * @param {number} t - Triangle index
+     * @returns {boolean} true if a neighbor appears twice
+     */
+    hasRepeatedNeighbor(t) {
+        const [n0, n1, n2] = this.triangleNeighbors.slice(3 * t, 3 * t + 3);
+        return (n0 >= 0 && (n0 === n1 || n0 === n2)) || (n1 >= 0 && n1 === n2);
+    }
+    
+    /**
+     * Flip edges until every unconstrained edge is locally Delaunay.
+     * Edges away from the given triangles are assumed to be Delaunay already.
+     * @param {Iterable<number>} triangles - Triangles whose edges may have become non-Delaunay
+     * @returns {Array<Array<number>>} Flipped edges as [a, b, p, d]
+     */
+    restoreDelaunay(triangles) {
+        // Check the edges of the given triangles, then the edges around each flip
+        const stack = [];
+        for (const t of triangles) {
+            stack.push(3 * t, 3 * t + 1, 3 * t + 2);
+        }
+        
+        const flips = [];
+        while (stack.length > 0) {
+            const edge = stack.pop();
+            const t = Math.floor(edge / 3);
+            const k = edge % 3;
+            const u = this.triangleNeighbors[edge];
+            if (u < 0 || this.triangleConstraints[edge] !== this.UNCONSTRAINED) continue;
+            
+            const p = this.triangleVertices[3 * t + k];
+            const a = this.triangleVertices[3 * t + (k + 1) % 3];
+            const b = this.triangleVertices[3 * t + (k + 2) % 3];
+            const d = this.triangleVertices[3 * u + this.getNeighborIndex(u, t)];
+            
+            // The quadrilateral can be concave next to the super triangle
+            if (this.incircle(p, a, b, d) > 0 && this.orient(p, a, d) > 0 && this.orient(p, d, b) > 0) {
+                this.flip(t, k);
+                flips.push([a, b, p, d]);
+                stack.push(3 * t, 3 * t + 1, 3 * t + 2, 3 * u, 3 * u + 1, 3 * u + 2);
+            }
+        }
+        
+        return flips;
+    }
+    
+    /**
+     * Get the position of a neighbor in a triangle's neighbor list
+     * @param {number} t - Index of the triangle
+     * @param {number} neighbor - Index of the neighbor triangle
+     * @returns {number} Position (0 to 2) of the neighbor
+     */
+    getNeighborIndex(t, neighbor) {
+        if (this.triangleNeighbors[3 * t] === neighbor) return 0;
+        if (this.triangleNeighbors[3 * t + 1] === neighbor) return 1;
+        return 2;
+    }
+    
+    /**
+     * Flip the edge opposite a vertex of a triangle.
+     * Triangle t = (p, a, b) and its neighbor u = (d, b, a) become
+     * t = (p, a, d) and u = (p, d, b).
+     * @param {number} t - Index of the triangle
+     * @param {number} k - Position (0 to 2) of the vertex opposite the edge
+     */
+    flip(t, k) {
+        const u = this.triangleNeighbors[3 * t + k];
+        const m = this.getNeighborIndex(u, t);
+        
+        const p = this.triangleVertices[3 * t + k];
+        const a = this.triangleVertices[3 * t + (k + 1) % 3];
+        const b = this.triangleVertices[3 * t + (k + 2) % 3];
+        const d = this.triangleVertices[3 * u + m];
+        
+        // Neighbors around the quadrilateral (p, a, d, b)
+        const tA = this.triangleNeighbors[3 * t + (k + 1) % 3];
+        const tB = this.triangleNeighbors[3 * t + (k + 2) % 3];
+        const uB = this.triangleNeighbors[3 * u + (m + 1) % 3];
+        const uA = this.triangleNeighbors[3 * u + (m + 2) % 3];
+        const ftA = this.triangleConstraints[3 * t + (k + 1) % 3];
+        const ftB = this.triangleConstraints[3 * t + (k + 2) % 3];
+        const fuB = this.triangleConstraints[3 * u + (m + 1) % 3];
+        const fuA = this.triangleConstraints[3 * u + (m + 2) % 3];
+        
+        this.setTriangle(t, p, a, d, uB, u, tB, fuB, 0, ftB);
+        this.setTriangle(u, p, d, b, uA, tA, t, fuA, ftA, 0);
+        
+        this.replaceNeighbor(uB, u, t);
+        this.replaceNeighbor(tA, t, u);
+    }
+    
+    /**
+     * Find the triangle containing the directed edge a -> b
+     * @param {number} a - Start vertex (real)
+     * @param {number} b - End vertex
+     * @returns {Object|null} {triangle, index} where index is the position of
+     *     the vertex opposite the edge, or null if there is no such edge
+     */
+    findEdge(a, b) {
+        const start = this.vertexTriangles[a];
+        let t = start;
+        do {
+            const i = this.getVertexIndex(t, a);
+            if (this.triangleVertices[3 * t + (i + 1) % 3] === b) {
+                return { triangle: t, index: (i + 2) % 3 };
+            }
+            
+            // Rotate counter-clockwise around a
+            t = this.triangleNeighbors[3 * t + (i + 1) % 3];
+        } while (t !== start && t >= 0);
+        
+        return null;
+    }
+    
+    /**
+     * Get the position of a vertex in a triangle
+     * @param {number} t - Index of the triangle
+     * @param {number} v - Vertex
+     * @returns {number} Position (0 to 2) of the vertex
+     */
+    getVertexIndex(t, v) {
+        if (this.triangleVertices[3 * t] === v) return 0;
+        if (this.triangleVertices[3 * t + 1] === v) return 1;
+        return 2;
+    }
+    
+    /**
+     * Insert a constraint segment between two points (Sloan's edge flipping).
+     * Points lying on the segment split it into several constrained edges.
+     * @param {number} a - Index of the first point
+     * @param {number} b - Index of the second point
+     * @param {boolean} [boundary=false] - Whether the segment is part of a closed boundary
+     * @returns {boolean} false if the segment crosses an existing constraint
+     */
+    insertSegment(a, b, boundary = false) {
+        a = this.vertexAliases[a];
+        b = this.vertexAliases[b];
+        if (a === b) return true;
+        
+        const flag = boundary ? this.BOUNDARY : this.CONSTRAINED;
+        if (boundary) {
+            this.hasBoundary = true;
+        }
+        
+        // Find the triangle around a that the segment leaves through
+        const start = this.vertexTriangles[a];
+        let t = start;
+        let k = -1;
+        do {
+            const i = this.getVertexIndex(t, a);
+            const v1 = this.triangleVertices[3 * t + (i + 1) % 3];
+            const v2 = this.triangleVertices[3 * t + (i + 2) % 3];
+            
+            // The edge already exists
+            if (v1 === b || v2 === b) {
+                this.setEdgeConstraint(a, b, flag);
+                return true;
+            }
+            
+            // A vertex on the segment splits it
+            if (v1 >= 0 && this.orient(a, v1, b) === 0 && this.isAhead(a, b, v1)) {
+                return this.insertSegment(a, v1, boundary) && this.insertSegment(v1, b, boundary);
+            }
+            
+            if (this.orient(a, v1, b) > 0 && this.orient(a, v2, b) < 0) {
+                k = i;
+                break;
+            }
+            
+            t = this.triangleNeighbors[3 * t + (i + 1) % 3];
+        } while (t !== start);
+        
+        if (k < 0) return false;
+        
+        // Collect edges crossed by the segment as [right, left] vertex pairs
+        const crossed = [];
+        let right = this.triangleVertices[3 * t + (k + 1) % 3];
+        let left = this.triangleVertices[3 * t + (k + 2) % 3];
+        for (;;) {
+            if (this.triangleConstraints[3 * t + k] !== this.UNCONSTRAINED) {
+                return false;
+            }
+            crossed.push([right, left]);
+            
+            const u = this.triangleNeighbors[3 * t + k];
+            const m = this.getNeighborIndex(u, t);
+            const w = this.triangleVertices[3 * u + m];
+            if (w === b) break;
+            
+            const side = this.orient(a, b, w);
+            if (side === 0) {
+                return this.insertSegment(a, w, boundary) && this.insertSegment(w, b, boundary);
+            }
+            
+            // Continue through the edge on the far side of the segment
+            t = u;
+            if (side > 0) {
+                left = w;
+                k = (m + 1) % 3;
+            } else {
+                right = w;
+                k = (m + 2) % 3;
+            }
+        }
+        
+        // Flip crossing edges away while their quadrilaterals are convex
+        const newEdges = [];
+        while (crossed.length > 0) {
+            const [r, l] = crossed.shift();
+            const edge = this.findEdge(r, l);
+            const u = this.triangleNeighbors[3 * edge.triangle + edge.index];
+            const x = this.triangleVertices[3 * edge.triangle + edge.index];
+            const y = this.triangleVertices[3 * u + this.getNeighborIndex(u, edge.triangle)];
+            
+            if (this.orient(x, r, y) > 0 && this.orient(y, l, x) > 0) {
+                this.flip(edge.triangle, edge.index);
+                if (this.segmentsCross(a, b, x, y)) {
+                    crossed.push([x, y]);
+                } else {
+                    newEdges.push([x, y]);
+                }
+            } else {
+                crossed.push([r, l]);
+            }
+        }
+        
+        // Restore the Delaunay condition on the new edges
+        let flipped = true;
+        while (flipped) {
+            flipped = false;
+            for (let i = 0; i < newEdges.length; i++) {
+                const [x, y] = newEdges[i];
+                if ((x === a && y === b) || (x === b && y === a)) continue;
+                
+                const edge = this.findEdge(x, y);
+                const u = this.triangleNeighbors[3 * edge.triangle + edge.index];
+                const z = this.triangleVertices[3 * edge.triangle + edge.index];
+                const d = this.triangleVertices[3 * u + this.getNeighborIndex(u, edge.triangle)];
+                if (this.incircle(z, x, y, d) > 0) {
+                    this.flip(edge.triangle, edge.index);
+                    newEdges[i] = [z, d];
+                    flipped = true;
+                }
+            }
+        }
+        
+        this.setEdgeConstraint(a, b, flag);
+        return true;
+    }
+    
+    /**
+     * Set the constraint flag of an existing edge on both of its sides
+     * @param {number} a - First vertex
+     * @param {number} b - Second vertex
+     * @param {number} flag - Constraint flag
+     */
+    setEdgeConstraint(a, b, flag) {
+        const edge = this.findEdge(a, b);
+        const u = this.triangleNeighbors[3 * edge.triangle + edge.index];
+        this.triangleConstraints[3 * edge.triangle + edge.index] = flag;
+        this.triangleConstraints[3 * u + this.getNeighborIndex(u, edge.triangle)] = flag;
+    }
+    
+    /**
+     * Check whether a vertex collinear with segment a-b lies ahead of a
+     * @param {number} a - Start of the segment
+     * @param {number} b - End of the segment
+     * @param {number} v - Vertex to check
+     * @returns {boolean} true if v is on the same side of a as b
+     */
+    isAhead(a, b, v) {
+        const ax = this.coords[2 * a];
+        const ay = this.coords[2 * a + 1];
+        return (this.coords[2 * v] - ax) * (this.coords[2 * b] - ax) +
+               (this.coords[2 * v + 1] - ay) * (this.coords[2 * b + 1] - ay) > 0;
+    }
+    
+    /**
+     * Check whether two segments cross at a single interior point
+     * @param {number} a - First endpoint of the first segment
+     * @param {number} b - Second endpoint of the first segment
+     * @param {number} c - First endpoint of the second segment
+     * @param {number} d - Second endpoint of the second segment
+     * @returns {boolean} true if the segments properly cross
+     */
+    segmentsCross(a, b, c, d) {
+        return this.orient(a, b, c) * this.orient(a, b, d) < 0 &&
+               this.orient(c, d, a) * this.orient(c, d, b) < 0;
+    }
+    
+    /**
+     * Mark triangles enclosed by boundary segments.
+     * Crossing a boundary edge toggles between outside and inside, so holes
+     * inside a closed outer boundary are outside again.
+     * @returns {Array<boolean>} Whether each triangle is inside
+     */
+    classifyTriangles() {
+        const inside = new Array(this.triangleVertices.length / 3).fill(false);
+        const visited = new Array(inside.length).fill(false);
+        
+        // Start from the super triangle side, which is always outside
+        let start = 0;
+        while (this.triangleVertices[3 * start] >= 0 &&
+               this.triangleVertices[3 * start + 1] >= 0 &&
+               this.triangleVertices[3 * start + 2] >= 0) {
+            start++;
+        }
+        
+        const queue = [start];
+        visited[start] = true;
+        while (queue.length > 0) {
+            const t = queue.shift();
+            for (let k = 0; k < 3; k++) {
+                const u = this.triangleNeighbors[3 * t + k];
+                if (u < 0 || visited[u]) continue;
+                
+                visited[u] = true;
+                inside[u] = this.triangleConstraints[3 * t + k] === this.BOUNDARY ? !inside[t] : inside[t];
+                queue.push(u);
+            }
+        }
+        
+        return inside;
+    }
+    
+    /**
+     * Get the symbolic coordinates of a vertex as x0 + M * x1, y0 + M * y1,
+     * where M is an arbitrarily large number
+     * @param {number} v - Vertex index (negative for super triangle vertices)
+     * @returns {Array<number>} [x0, y0, x1, y1]
+     */
+    getSymbolicCoords(v) {
+        if (v >= 0) {
+            return [this.coords[2 * v], this.coords[2 * v + 1], 0, 0];
+        }
+        const direction = this.SUPER_DIRECTIONS[-v - 1];
+        return [0, 0, direction[0], direction[1]];
+    }
+    
+    /**
+     * Get the difference of two symbolic coordinates as an exact polynomial
+     * @param {Array<number>} p - Symbolic coordinates of the first vertex
+     * @param {Array<number>} q - Symbolic coordinates of the second vertex
+     * @param {number} axis - 0 for x, 1 for y
+     * @returns {Array<Array<number>>} Polynomial with expansion coefficients
+     */
+    getSymbolicDiff(p, q, axis) {
+        return [
+            Predicates.twoDiff(p[axis], q[axis]),
+            Predicates.twoDiff(p[axis + 2], q[axis + 2])
+        ];
+    }
+    
+    /**
+     * Orientation test
+     * @param {number} a - First vertex
+     * @param {number} b - Second vertex
+     * @param {number} c - Third vertex
+     * @returns {number} Positive if counter-clockwise, negative if clockwise, 0 if collinear
+     */
+    orient(a, b, c) {
+        // Fast path for real points
+        if (a >= 0 && b >= 0 && c >= 0) {
+            return Predicates.orient2d(
+                this.coords[2 * a], this.coords[2 * a + 1],
+                this.coords[2 * b], this.coords[2 * b + 1],
+                this.coords[2 * c], this.coords[2 * c + 1]
+            );
+        }
+        
+        // With a single super vertex c = M * d, the result is
+        // M * cross(b - a, d) + cross(a, b)
+        if ((a < 0) + (b < 0) + (c < 0) === 1) {
+            if (a < 0) return this.orient(b, c, a);
+            if (b < 0) return this.orient(c, a, b);
+            
+            const [dx, dy] = this.SUPER_DIRECTIONS[-c - 1];
+            const ax = this.coords[2 * a];
+            const ay = this.coords[2 * a + 1];
+            const bx = this.coords[2 * b];
+            const by = this.coords[2 * b + 1];
+            const sign = Predicates.sign(Predicates.diff(
+                Predicates.scale(Predicates.twoDiff(bx, ax), dy),
+                Predicates.scale(Predicates.twoDiff(by, ay), dx)
+            ));
+            return sign !== 0 ? sign : Math.sign(Predicates.orient2d(0, 0, ax, ay, bx, by));
+        }
+        
+        // Rotate a real vertex (if any) to the front
+        if (a < 0) {
+            if (b >= 0) return this.orient(b, c, a);
+            if (c >= 0) return this.orient(c, a, b);
+        }
+        
+        // Coordinates relative to the first vertex as polynomials in M
+        const pa = this.getSymbolicCoords(a);
+        const pb = this.getSymbolicCoords(b);
+        const pc = this.getSymbolicCoords(c);
+        const ux = this.getSymbolicDiff(pb, pa, 0);
+        const uy = this.getSymbolicDiff(pb, pa, 1);
+        const vx = this.getSymbolicDiff(pc, pa, 0);
+        const vy = this.getSymbolicDiff(pc, pa, 1);
+        
+        return this.polySign(this.polySub(this.polyMul(ux, vy), this.polyMul(uy, vx)));
+    }
+    
+    /**
+     * Incircle test with ties broken by symbolic perturbation, so that
+     * cocircular points are always triangulated the same way
+     * @param {number} a - First vertex of a counter-clockwise triangle
+     * @param {number} b - Second vertex
+     * @param {number} c - Third vertex
+     * @param {number} d - Vertex to test
+     * @returns {number} Positive if d is inside the circumcircle, negative if outside
+     */
+    incircle(a, b, c, d) {
+        const det = this.incircleDeterminant(a, b, c, d);
+        if (det !== 0) return det;
+        
+        // Cocircular: lift each vertex off the paraboloid by an infinitesimal
+        // amount that decreases with its priority. The sign is then decided
+        // by the cofactor of the highest priority vertex.
+        const vertices = [a, b, c, d];
+        const order = [0, 1, 2, 3].sort((i, j) => this.comparePriority(vertices[i], vertices[j]));
+        for (const i of order) {
+            const sign = this.incircleCofactor(vertices, i);
+            if (sign !== 0) return sign;
+        }
+        return 0;
+    }
+    
+    /**
+     * Get the sign of the cofactor of a lifted coordinate in the incircle
+     * determinant (how the result changes when that vertex is lifted)
+     * @param {Array<number>} vertices - The four vertices of the incircle test
+     * @param {number} i - Position (0 to 3) of the lifted vertex
+     * @returns {number} Sign of the cofactor
+     */
+    incircleCofactor(vertices, i) {
+        const others = vertices.filter((v, j) => j !== i);
+        const sign = this.orient(others[0], others[1], others[2]);
+        return i % 2 === 0 ? sign : -sign;
+    }
+    
+    /**
+     * Compare vertices for symbolic perturbation
+     * (real points in lexicographic order first, then super triangle vertices)
+     * @param {number} u - First vertex
+     * @param {number} v - Second vertex
+     * @returns {number} Negative if u has higher priority than v
+     */
+    comparePriority(u, v) {
+        if (u < 0 || v < 0) {
+            return (u < 0) - (v < 0) || v - u;
+        }
+        return (this.coords[2 * u] - this.coords[2 * v]) ||
+               (this.coords[2 * u + 1] - this.coords[2 * v + 1]);
+    }
+    
+    /**
+     * Exact sign of the incircle determinant
+     * @param {number} a - First vertex of a counter-clockwise triangle
+     * @param {number} b - Second vertex
+     * @param {number} c - Third vertex
+     * @param {number} d - Vertex to test
+     * @returns {number} Positive if d is inside the circumcircle, negative if outside, 0 if on it
+     */
+    incircleDeterminant(a, b, c, d) {
+        // Fast path for real points
+        if (a >= 0 && b >= 0 && c >= 0 && d >= 0) {
+            return Predicates.incircle(
+                this.coords[2 * a], this.coords[2 * a + 1],
+                this.coords[2 * b], this.coords[2 * b + 1],
+                this.coords[2 * c], this.coords[2 * c + 1],
+                this.coords[2 * d], this.coords[2 * d + 1]
+            );
+        }
+        
+        // A single super vertex is lifted by M^2 times more than the others,
+        // so its cofactor decides the sign unless it is zero
+        const vertices = [a, b, c, d];
+        const superVertices = vertices.filter(v => v < 0);
+        if (superVertices.length === 1) {
+            const sign = this.incircleCofactor(vertices, vertices.indexOf(superVertices[0]));
+            if (sign !== 0) return sign;
+        }
+        
+        // Rotate a real vertex to the end (each rotation flips the sign)
+        if (d < 0) {
+            return -this.incircleDeterminant(d, a, b, c);
+        }
+        
+        // Rows of the incircle determinant as polynomials in M
+        const pd = this.getSymbolicCoords(d);
+        const rows = [a, b, c].map(v => {
+            const pv = this.getSymbolicCoords(v);
+            const x = this.getSymbolicDiff(pv, pd, 0);
+            const y = this.getSymbolicDiff(pv, pd, 1);
+            return [x, y, this.polyAdd(this.polyMul(x, x), this.polyMul(y, y))];
+        });
+        
+        return this.polySign(this.polyDet3(rows));
+    }
+    
+    /**
+     * Multiply two polynomials
+     * (coefficients in ascending order, each an exact expansion)
+     * @param {Array<Array<number>>} p - First polynomial
+     * @param {Array<Array<number>>} q - Second polynomial
+     * @returns {Array<Array<number>>} Product
+     */
+    polyMul(p, q) {
+        const result = [];
+        for (let i = 0; i < p.length + q.length - 1; i++) {
+            result.push([0]);
+        }
+        for (let i = 0; i < p.length; i++) {
+            for (let j = 0; j < q.length; j++) {
+                result[i + j] = Predicates.sum(result[i + j], Predicates.product(p[i], q[j]));
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Add two polynomials
+     * @param {Array<Array<number>>} p - First polynomial
+     * @param {Array<Array<number>>} q - Second polynomial
+     * @returns {Array<Array<number>>} Sum
+     */
+    polyAdd(p, q) {
+        const result = [];
+        for (let i = 0; i < Math.max(p.length, q.length); i++) {
+            result.push(Predicates.sum(p[i] || [0], q[i] || [0]));
+        }
+        return result;
+    }
+    
+    /**
+     * Subtract two polynomials
+     * @param {Array<Array<number>>} p - First polynomial
+     * @param {Array<Array<number>>} q - Polynomial to subtract
+     * @returns {Array<Array<number>>} Difference
+     */
+    polySub(p, q) {
+        return this.polyAdd(p, q.map(e => e.map(component => -component)));
+    }
+    
+    /**
+     * Calculate the determinant of a 3x3 matrix of polynomials
+     * @param {Array<Array<Array<Array<number>>>>} m - Matrix rows
+     * @returns {Array<Array<number>>} Determinant polynomial
+     */
+    polyDet3(m) {
+        const minor = (r1, r2, c1, c2) =>
+            this.polySub(this.polyMul(m[r1][c1], m[r2][c2]), this.polyMul(m[r1][c2], m[r2][c1]));
+        
+        return this.polyAdd(
+            this.polySub(
+                this.polyMul(m[0][0], minor(1, 2, 1, 2)),
+                this.polyMul(m[0][1], minor(1, 2, 0, 2))
+            ),
+            this.polyMul(m[0][2], minor(1, 2, 0, 1))
+        );
+    }
+    
+    /**
+     * Get the sign of a polynomial in M for arbitrarily large M
+     * @param {Array<Array<number>>} p - Polynomial
+     * @returns {number} Sign of the highest non-zero coefficient (0 if all are zero)
+     */
+    polySign(p) {
+        for (let i = p.length - 1; i >= 0; i--) {
+            const sign = Predicates.sign(p[i]);
+            if (sign !== 0) return sign;
+        }
+        return 0;
+    }
+    
+    /**
+     * Check whether any edge is constrained
+     * @returns {boolean} Whether constraint segments were inserted
+     */
+    isConstrained() {
+        return this.hasBoundary || this.triangleConstraints.some(flag => flag !== this.UNCONSTRAINED);
+    }
+    
+    /**
+     * Get the triangles formed only by real points
+     * (only those enclosed by boundary segments if there are any)
+     * @returns {Array<Array<number>>} Vertex index triples (counter-clockwise)
+     */
+    getTriangles() {
+        const inside = this.hasBoundary ? this.classifyTriangles() : null;
+        const triangles = [];
+        for (let i = 0; i < this.triangleVertices.length; i += 3) {
+            const a = this.triangleVertices[i];
+            const b = this.triangleVertices[i + 1];
+            const c = this.triangleVertices[i + 2];
+            if (a >= 0 && b >= 0 && c >= 0 && (!inside || inside[i / 3])) {
+                triangles.push([a, b, c]);
+            }
+        }
+        return triangles;
+    }
+}
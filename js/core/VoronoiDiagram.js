@@ -0,0 +1,296 @@
+import { Triangle } from './Triangle.js';
+import { Triangulator } from './Triangulator.js';
+
+/**
+ * Class for computing the Voronoi diagram
+ * (the dual of the Delaunay triangulation).
+ * Each cell is traced from the circumcenters of the triangles around its
+ * point, walking the triangle adjacency; points on the hull get two rays
+ * along the bisectors of their hull edges. Cells are clipped to the visible
+ * area.
+ * Constrained triangulations (whose fixed edges or cut-away areas hide
+ * neighbors) are replaced by an unconstrained triangulation of their points,
+ * kept up to date with kinetic updates. Point sets without triangles (fewer
+ * than 3 points, or all on a line) are split into strips between consecutive
+ * points. Duplicate points share the cell of the first one.
+ */
+export class VoronoiDiagram {
+    /**
+     * Constructor
+     * @param {DelaunayTriangulation|null} triangulation - Delaunay triangulation (null if the points are passed to computeCells)
+     */
+    constructor(triangulation) {
+        this.triangulation = triangulation;
+        this.triangulator = null; // Unconstrained triangulation of constrained scenes or given points
+        this.points = []; // Points of that triangulation
+        
+        // Constants
+        this.MAX_RAY_ANGLE = Math.PI / 4; // Largest angle between the far points closing a hull cell
+    }
+    
+    /**
+     * Compute Voronoi cells clipped to the scene area visible on screen
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} [options] - Options
+     * @param {Array<Point>} [options.points] - Points (defaults to the triangulated points)
+     * @param {Object} [options.view] - Pan and zoom of the view ({centerX, centerY, zoom}, see ViewController; unzoomed if omitted)
+     * @returns {Array<Object>} Cells as {point, polygon}, polygons counter-clockwise
+     */
+    computeCells(width, height, options = {}) {
+        const { centerX, centerY, zoom } = options.view || { centerX: 0, centerY: 0, zoom: 1 };
+        const halfWidth = width / (2 * zoom);
+        const halfHeight = height / (2 * zoom);
+        const viewport = [
+            { x: centerX - halfWidth, y: centerY - halfHeight },
+            { x: centerX + halfWidth, y: centerY - halfHeight },
+            { x: centerX + halfWidth, y: centerY + halfHeight },
+            { x: centerX - halfWidth, y: centerY + halfHeight }
+        ];
+        
+        const points = options.points || this.triangulation.triangulatedPoints;
+        const triangulator = this.getTriangulator(points, !options.points);
+        if (!triangulator || !this.hasTriangles(triangulator)) {
+            return this.computeStrips(points, viewport);
+        }
+        
+        const centers = new Map();
+        const cells = [];
+        for (let v = 0; v < points.length; v++) {
+            if (triangulator.vertexAliases[v] !== v) continue;
+            
+            let polygon = this.traceCell(triangulator, points, v, viewport, centers);
+            for (let i = 0; i < viewport.length && polygon.length >= 3; i++) {
+                polygon = this.clipToEdge(polygon, viewport[i], viewport[(i + 1) % viewport.length]);
+            }
+            if (polygon.length >= 3) {
+                cells.push({ point: points[v], polygon: polygon });
+            }
+        }
+        
+        return cells;
+    }
+    
+    /**
+     * Get an unconstrained Delaunay triangulation of the points: that of the
+     * triangulation when it has no constraints, otherwise a separate one
+     * moved along with the points (rebuilt only when points were added or
+     * removed, or local flips are not enough)
+     * @param {Array<Point>} points - Points
+     * @param {boolean} useTriangulation - Whether the points are those of the triangulation
+     * @returns {Triangulator|null} Triangulator (null for fewer than 3 points)
+     */
+    getTriangulator(points, useTriangulation) {
+        const triangulator = useTriangulation ? this.triangulation.triangulator : null;
+        if (triangulator && !triangulator.isConstrained()) {
+            return triangulator;
+        }
+        
+        if (points.length < 3) {
+            this.triangulator = null;
+            this.points = [];
+            return null;
+        }
+        
+        const coords = new Float64Array(points.length * 2);
+        points.forEach((point, i) => {
+            coords[2 * i] = point.x;
+            coords[2 * i + 1] = point.y;
+        });
+        
+        if (this.triangulator && points.length === this.points.length && points.every((point, i) => point === this.points[i])) {
+            // Merged duplicates have no vertex of their own to move apart
+            const moved = coords.some((value, i) => value !== this.triangulator.coords[i]);
+            const merged = this.triangulator.vertexAliases.some((vertex, i) => vertex !== i);
+            if (!moved || (!merged && this.triangulator.updateCoords(coords) !== null)) {
+                return this.triangulator;
+            }
+        }
+        
+        this.points = points.slice();
+        this.triangulator = new Triangulator(coords).triangulate();
+        return this.triangulator;
+    }
+    
+    /**
+     * Check whether a triangulation has any triangle of real points
+     * @param {Triangulator} triangulator - Triangulator
+     * @returns {boolean} Whether there is a triangle (false if all points are on a line)
+     */
+    hasTriangles(triangulator) {
+        const vertices = triangulator.triangleVertices;
+        for (let i = 0; i < vertices.length; i += 3) {
+            if (vertices[i] >= 0 && vertices[i + 1] >= 0 && vertices[i + 2] >= 0) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Trace the cell of a vertex through the circumcenters of the triangles
+     * around it. A hull vertex has triangles with super triangle vertices
+     * around it; its cell is closed by rays along the bisectors of its two
+     * hull edges, ending far outside the viewport.
+     * @param {Triangulator} triangulator - Unconstrained triangulator
+     * @param {Array<Point>} points - Points of the triangulator's vertices
+     * @param {number} v - Vertex
+     * @param {Array<Object>} viewport - Viewport corners
+     * @param {Map<number, Object>} centers - Circumcenters by triangle (filled as they are calculated)
+     * @returns {Array<Object>} Cell polygon (counter-clockwise, unclipped)
+     */
+    traceCell(triangulator, points, v, viewport, centers) {
+        // Triangles around the vertex counter-clockwise
+        const ring = [];
+        const start = triangulator.vertexTriangles[v];
+        let t = start;
+        do {
+            ring.push(t);
+            t = triangulator.triangleNeighbors[3 * t + (triangulator.getVertexIndex(t, v) + 1) % 3];
+        } while (t !== start && t >= 0);
+        
+        const isReal = t => triangulator.triangleVertices[3 * t] >= 0 &&
+            triangulator.triangleVertices[3 * t + 1] >= 0 && triangulator.triangleVertices[3 * t + 2] >= 0;
+        
+        // Start the walk at the first triangle after the outside of the hull
+        const first = ring.findIndex((t, i) => isReal(t) && !isReal(ring[(i + ring.length - 1) % ring.length]));
+        const polygon = [];
+        const ordered = first > 0 ? ring.slice(first).concat(ring.slice(0, first)) : ring;
+        let count = 0;
+        for (const t of ordered) {
+            if (!isReal(t)) break;
+            count++;
+            if (!centers.has(t)) {
+                const [a, b, c] = [0, 1, 2].map(k => points[triangulator.triangleVertices[3 * t + k]]);
+                centers.set(t, new Triangle(a, b, c).getCircumcenter());
+            }
+            const center = centers.get(t);
+            if (center) {
+                polygon.push(center);
+            }
+        }
+        if (first < 0 || polygon.length === 0) return polygon;
+        
+        // Hull edges at both ends of the walk: v-a before the first triangle, v-b after the last
+        const point = points[v];
+        const firstTriangle = ordered[0];
+        const lastTriangle = ordered[count - 1];
+        const a = points[triangulator.triangleVertices[3 * firstTriangle + (triangulator.getVertexIndex(firstTriangle, v) + 1) % 3]];
+        const b = points[triangulator.triangleVertices[3 * lastTriangle + (triangulator.getVertexIndex(lastTriangle, v) + 2) % 3]];
+        
+        // Outward directions of the bisectors (left of v -> b, right of v -> a)
+        const lengthB = Math.hypot(b.x - point.x, b.y - point.y);
+        const lengthA = Math.hypot(a.x - point.x, a.y - point.y);
+        const startDirection = { x: (point.y - b.y) / lengthB, y: (b.x - point.x) / lengthB };
+        const endDirection = { x: (a.y - point.y) / lengthA, y: (point.x - a.x) / lengthA };
+        const startAngle = Math.atan2(startDirection.y, startDirection.x);
+        let sweep = Math.atan2(endDirection.y, endDirection.x) - startAngle;
+        if (sweep < 0) sweep += 2 * Math.PI;
+        if (sweep > Math.PI) sweep = 0; // Straight hull (rounding)
+        
+        // Far enough that the rays and the chords between their ends stay outside the viewport
+        let reach = 0;
+        for (const corner of viewport) {
+            reach = Math.max(reach, Math.hypot(corner.x - point.x, corner.y - point.y));
+        }
+        for (const center of polygon) {
+            reach = Math.max(reach, Math.hypot(center.x - point.x, center.y - point.y));
+        }
+        const radius = 4 * reach;
+        
+        const last = polygon[polygon.length - 1];
+        const firstCenter = polygon[0];
+        polygon.push({ x: last.x + startDirection.x * radius, y: last.y + startDirection.y * radius });
+        const steps = Math.ceil(sweep / this.MAX_RAY_ANGLE);
+        for (let i = 1; i < steps; i++) {
+            const angle = startAngle + sweep * i / steps;
+            polygon.push({ x: point.x + Math.cos(angle) * radius, y: point.y + Math.sin(angle) * radius });
+        }
+        polygon.push({ x: firstCenter.x + endDirection.x * radius, y: firstCenter.y + endDirection.y * radius });
+        
+        return polygon;
+    }
+    
+    /**
+     * Split the viewport into strips between consecutive points along a line
+     * (for point sets without triangles)
+     * @param {Array<Point>} points - Points (fewer than 3, or all on a line)
+     * @param {Array<Object>} viewport - Viewport corners
+     * @returns {Array<Object>} Cells as {point, polygon}
+     */
+    computeStrips(points, viewport) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const distinct = sorted.filter((point, i) => i === 0 || point.x !== sorted[i - 1].x || point.y !== sorted[i - 1].y);
+        
+        const cells = [];
+        distinct.forEach((point, i) => {
+            let polygon = viewport;
+            for (const neighbor of [distinct[i - 1], distinct[i + 1]]) {
+                if (neighbor && polygon.length >= 3) {
+                    polygon = this.clipToBisector(polygon, point, neighbor);
+                }
+            }
+            if (polygon.length >= 3) {
+                cells.push({ point: point, polygon: polygon });
+            }
+        });
+        return cells;
+    }
+    
+    /**
+     * Clip a convex polygon to the half-plane left of a directed edge
+     * @param {Array<Object>} polygon - Polygon vertices
+     * @param {Object} a - Start of the edge ({x, y})
+     * @param {Object} b - End of the edge ({x, y})
+     * @returns {Array<Object>} Clipped polygon
+     */
+    clipToEdge(polygon, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        return this.clipHalfPlane(polygon, p => dx * (p.y - a.y) - dy * (p.x - a.x));
+    }
+    
+    /**
+     * Clip a convex polygon to the half-plane closer to a point than to another
+     * @param {Array<Object>} polygon - Polygon vertices
+     * @param {Object} point - Point keeping its side ({x, y})
+     * @param {Object} other - Point on the other side ({x, y})
+     * @returns {Array<Object>} Clipped polygon
+     */
+    clipToBisector(polygon, point, other) {
+        const dx = point.x - other.x;
+        const dy = point.y - other.y;
+        if (dx === 0 && dy === 0) return polygon;
+        
+        const midX = (point.x + other.x) / 2;
+        const midY = (point.y + other.y) / 2;
+        return this.clipHalfPlane(polygon, p => (p.x - midX) * dx + (p.y - midY) * dy);
+    }
+    
+    /**
+     * Clip a convex polygon to a half-plane (one step of Sutherland-Hodgman)
+     * @param {Array<Object>} polygon - Polygon vertices
+     * @param {Function} distance - Signed distance function of a position (inside when >= 0)
+     * @returns {Array<Object>} Clipped polygon
+     */
+    clipHalfPlane(polygon, distance) {
+        const output = [];
+        for (let i = 0; i < polygon.length; i++) {
+            const current = polygon[i];
+            const previous = polygon[(i + polygon.length - 1) % polygon.length];
+            const dc = distance(current);
+            const dp = distance(previous);
+            
+            // Add the crossing point when the edge crosses the boundary
+            if ((dc >= 0) !== (dp >= 0)) {
+                const t = dp / (dp - dc);
+                output.push({
+                    x: previous.x + (current.x - previous.x) * t,
+                    y: previous.y + (current.y - previous.y) * t
+                });
+            }
+            if (dc >= 0) {
+                output.push(current);
+            }
+        }
+        return output;
+    }
+}
@@ -1,12 +1,39 @@
+import { Settings } from './core/Settings.js';
+import { PointManager } from './core/PointManager.js';
+import { DelaunayTriangulation } from './core/DelaunayTriangulation.js';
+import { VoronoiDiagram } from './core/VoronoiDiagram.js';
+import { OperationHistory } from './core/OperationHistory.js';
+import { Simulation } from './core/Simulation.js';
+import { Sonifier } from './core/Sonifier.js';
+import { MeshRefiner } from './core/MeshRefiner.js';
+import { PointGenerators } from './core/PointGenerators.js';
+import { PointRenderer } from './PointRenderer.js';
+import { TriangulationRenderer } from './TriangulationRenderer.js';
+import { VoronoiRenderer } from './VoronoiRenderer.js';
+import { HullRenderer } from './HullRenderer.js';
+import { SelectionRenderer } from './SelectionRenderer.js';
+import { ViewController } from './ViewController.js';
+import { SettingsPanel } from './SettingsPanel.js';
+import { QualityHud } from './QualityHud.js';
+import { RelaxationReadout } from './RelaxationReadout.js';
+import { SceneStorage } from './SceneStorage.js';
+import { ImageExporter } from './ImageExporter.js';
+import { MeshDownloader } from './MeshDownloader.js';
+import { PointImporter } from './PointImporter.js';
+import { AudioManager } from './AudioManager.js';
+import { InputHandler } from './InputHandler.js';
+
 /**
  * Delaunay Triangulation Application
  */
 class DelaunayApp {
     /**
      * Constructor
+     * @param {Settings} settings - Runtime settings shared by all components
      */
-    constructor() {
+    constructor(settings) {
         // Initialize
+        this.settings = settings;
         this.container = document.getElementById('container');
         this.width = window.innerWidth;
         this.height = window.innerHeight;
@@ -14,6 +41,12 @@ class DelaunayApp {
         // Animation frame ID (for cancellation)
         this.animationFrameId = null;
         
+        // Simulation state (steps still to run while paused)
+        this.paused = false;
+        this.pendingSteps = 0;
+        this.lastFrameTime = null; // Time of the previous animation frame
+        this.refinementEdit = null; // History edit of the running mesh refinement
+        
         // Store bound event handlers for later removal
         this.boundOnWindowResize = this.onWindowResize.bind(this);
         this.boundAnimate = this.animate.bind(this);
@@ -24,8 +57,15 @@ class DelaunayApp {
         // Initialize components
         this.initComponents();
         
-        // Calculate and draw initial triangulation
-        this.triangulation.calculateAndDraw();
+        // Restore the linked or autosaved scene, or start empty
+        if (!this.sceneStorage.init()) {
+            this.triangulation.calculate();
+        }
+        
+        // Settings in the URL query override those of the restored scene
+        for (const message of this.settings.applyQueryString(location.search)) {
+            console.warn('Ignored URL setting:', message);
+        }
         
         // Start animation loop
         this.animate();
@@ -37,7 +77,7 @@ class DelaunayApp {
     initThree() {
         // Create scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(RenderConstants.BACKGROUND_COLOR);
+        this.scene.background = new THREE.Color(this.settings.get('render.backgroundColor'));
         
         // Create camera
         this.camera = new THREE.OrthographicCamera(
@@ -47,6 +87,9 @@ class DelaunayApp {
         );
         this.camera.position.z = 10;
         
+        // Create view controller (pan and zoom)
+        this.viewController = new ViewController(this.camera);
+        
         // Create renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.setSize(this.width, this.height);
@@ -61,24 +104,216 @@ class DelaunayApp {
      */
     initComponents() {
         // Create point manager
-        this.pointManager = new PointManager(this.scene);
+        this.pointManager = new PointManager(this.settings);
         
         // Create Delaunay triangulation
-        this.triangulation = new DelaunayTriangulation(this.pointManager, this.scene);
+        this.triangulation = new DelaunayTriangulation(this.pointManager, this.settings);
         
         // Set triangulation reference in point manager
         this.pointManager.setTriangulation(this.triangulation);
         
-        // Create audio manager
-        this.audioManager = new AudioManager();
+        // Create fixed-timestep simulation driver
+        this.simulation = new Simulation(this.pointManager);
         
-        // Create input handler
-        this.inputHandler = new InputHandler(
+        // Create undo/redo history of point edits
+        this.operationHistory = new OperationHistory(this.pointManager);
+        
+        // Create mesh refiner inserting Steiner points
+        this.meshRefiner = new MeshRefiner(this.pointManager, this.triangulation);
+        
+        // Create Voronoi diagram
+        this.voronoiDiagram = new VoronoiDiagram(this.triangulation);
+        
+        // Create renderers, redrawn whenever the triangulation changes
+        this.pointRenderer = new PointRenderer(this.pointManager, this.scene);
+        this.triangulationRenderer = new TriangulationRenderer(this.triangulation, this.scene);
+        this.voronoiRenderer = new VoronoiRenderer(this.voronoiDiagram, this.scene, this.viewController);
+        this.triangulation.addOverlay(this.pointRenderer);
+        this.triangulation.addOverlay(this.triangulationRenderer);
+        this.triangulation.addOverlay(this.voronoiRenderer);
+        
+        // Create hull renderer (convex hull and alpha shape)
+        this.hullRenderer = new HullRenderer(this.triangulation, this.scene);
+        this.triangulation.addOverlay(this.hullRenderer);
+        
+        // Create selection renderer (box-select rectangle)
+        this.selectionRenderer = new SelectionRenderer(this.scene);
+        
+        // Create scene storage (save/load)
+        this.sceneStorage = new SceneStorage(
             this.pointManager,
             this.triangulation,
-            this.renderer.domElement,
-            this.audioManager
+            this.triangulationRenderer,
+            this.voronoiRenderer,
+            this.operationHistory
         );
+        
+        // Create image exporter (SVG/PNG)
+        this.imageExporter = new ImageExporter(this.triangulation, this.triangulationRenderer, this.viewController);
+        
+        // Create mesh downloader (OBJ/PLY/.node/.ele)
+        this.meshDownloader = new MeshDownloader(this.triangulation);
+        
+        // Create point importer (CSV/GeoJSON/JSON via file picker or drag and drop)
+        this.pointImporter = new PointImporter(this.pointManager, this.operationHistory);
+        
+        // Create audio manager
+        this.audioManager = new AudioManager(this.settings);
+        
+        // Create sonifier playing created and destroyed triangles
+        this.sonifier = new Sonifier(this.triangulation, this.settings, note => {
+            this.audioManager.play(note.event === 'created' ? 'triangleCreated' : 'triangleDestroyed', {
+                frequency: note.frequency,
+                pan: note.pan,
+                volume: note.volume,
+                duration: note.duration
+            });
+        });
+        this.sonifier.setViewSize(this.width, this.height);
+        this.triangulation.addOverlay(this.sonifier);
+        
+        // Create input handler
+        this.inputHandler = new InputHandler({
+            pointManager: this.pointManager,
+            triangulation: this.triangulation,
+            container: this.renderer.domElement,
+            operationHistory: this.operationHistory,
+            audioManager: this.audioManager,
+            triangulationRenderer: this.triangulationRenderer,
+            voronoiRenderer: this.voronoiRenderer,
+            sceneStorage: this.sceneStorage,
+            imageExporter: this.imageExporter,
+            meshDownloader: this.meshDownloader,
+            pointRenderer: this.pointRenderer,
+            selectionRenderer: this.selectionRenderer,
+            viewController: this.viewController
+        });
+        
+        // Simulation commands
+        this.inputHandler.registerCommand('togglePause', 'Pause or resume the simulation', () => {
+            this.paused = !this.paused;
+            if (this.paused) {
+                // Show the simulated positions instead of interpolated ones
+                this.triangulation.updateOverlays();
+            }
+        });
+        this.inputHandler.registerCommand('stepFrame', 'Pause and advance the simulation by one step', () => {
+            this.paused = true;
+            this.pendingSteps++;
+        });
+        
+        // Point import command
+        this.inputHandler.registerCommand('importPoints', 'Import points from a CSV, GeoJSON or JSON file', () => this.pointImporter.open());
+        
+        // Point generator commands: one for the distribution chosen in the settings and one per distribution
+        this.inputHandler.registerCommand('generatePoints', 'Replace the points with the distribution chosen in the settings', () => {
+            this.generatePoints(this.settings.get('generator.type'));
+        });
+        for (const [name, generator] of Object.entries(PointGenerators)) {
+            const command = 'generate' + name.charAt(0).toUpperCase() + name.slice(1);
+            this.inputHandler.registerCommand(command, `Replace the points with a ${generator.label.toLowerCase()} set`, () => {
+                this.settings.set('generator.type', name);
+                this.generatePoints(name);
+            });
+        }
+        
+        // Mesh quality commands
+        this.inputHandler.registerCommand('toggleQualityHud', 'Show or hide the mesh quality panel', () => {
+            this.settings.set('analysis.showHud', !this.settings.get('analysis.showHud'));
+        });
+        this.inputHandler.registerCommand('cycleQualityColors', 'Color triangles by the next quality metric', () => {
+            const options = this.settings.getDefinition('render.colorBy').options;
+            const index = options.indexOf(this.settings.get('render.colorBy'));
+            this.settings.set('render.colorBy', options[(index + 1) % options.length]);
+        });
+        
+        // Hull commands (alpha is set with the "Hull" settings slider)
+        this.inputHandler.registerCommand('toggleConvexHull', 'Show or hide the convex hull', () => {
+            this.settings.set('hull.showConvex', !this.settings.get('hull.showConvex'));
+        });
+        this.inputHandler.registerCommand('toggleAlphaShape', 'Show or hide the alpha shape (concave hull)', () => {
+            this.settings.set('hull.showAlpha', !this.settings.get('hull.showAlpha'));
+        });
+        
+        // Lloyd relaxation command
+        this.inputHandler.registerCommand('toggleLloyd', 'Start or stop moving the points toward the centroids of their Voronoi cells', () => {
+            this.settings.set('forces.lloyd', !this.settings.get('forces.lloyd'));
+        });
+        
+        // Mesh refinement commands (a refinement is undone as one edit)
+        this.inputHandler.registerCommand('refineMesh', 'Start or stop inserting Steiner points until the triangles meet the refinement targets', () => {
+            if (this.meshRefiner.running) {
+                this.meshRefiner.stop();
+                this.finishRefinement();
+            } else {
+                // Other edits and undo/redo stop the refinement and record it first
+                this.refinementEdit = this.operationHistory.beginEdit('refine', () => {
+                    this.meshRefiner.stop();
+                    this.refinementEdit = null;
+                });
+                this.meshRefiner.start();
+            }
+        });
+        this.inputHandler.registerCommand('removeSteinerPoints', 'Remove the points inserted by mesh refinement', () => {
+            this.meshRefiner.stop();
+            this.finishRefinement();
+            this.operationHistory.record('remove', () => this.pointManager.removeSteinerPoints());
+        });
+        
+        // Create settings panel (with the key remapping) and apply settings that need more than a new value
+        this.settingsPanel = new SettingsPanel(this.settings, document.body, this.inputHandler);
+        
+        // Create mesh quality panel, refreshed with the triangulation
+        this.qualityHud = new QualityHud(this.triangulation, this.settings, document.body);
+        this.triangulation.addOverlay(this.qualityHud);
+        
+        // Create Lloyd relaxation readout, refreshed with every step
+        this.relaxationReadout = new RelaxationReadout(this.pointManager.forces, this.settings, document.body);
+        this.triangulation.addOverlay(this.relaxationReadout);
+        this.unsubscribeSettings = this.settings.subscribe(this.onSettingChange.bind(this));
+    }
+    
+    /**
+     * Apply a changed setting
+     * @param {string} key - Setting key
+     * @param {number|boolean|string} value - New value
+     */
+    onSettingChange(key, value) {
+        switch (key) {
+            case 'render.backgroundColor':
+                this.scene.background.setHex(value);
+                break;
+            case 'points.maxPoints':
+                if (this.pointManager.trimPoints(value)) {
+                    this.triangulation.calculate();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Replace the points with a generated set filling the view
+     * (count and seed are taken from the settings)
+     * @param {string} name - Generator name (see PointGenerators)
+     */
+    generatePoints(name) {
+        this.operationHistory.record('generate', () => this.pointManager.generatePoints(
+            name,
+            this.settings.get('generator.count'),
+            this.settings.get('generator.seed'),
+            this.width,
+            this.height
+        ));
+    }
+    
+    /**
+     * Record the finished or stopped mesh refinement in the history
+     */
+    finishRefinement() {
+        if (this.refinementEdit) {
+            this.operationHistory.endEdit(this.refinementEdit);
+            this.refinementEdit = null;
+        }
     }
     
     /**
@@ -98,9 +333,10 @@ class DelaunayApp {
         
         // Update renderer
         this.renderer.setSize(this.width, this.height);
+        this.sonifier.setViewSize(this.width, this.height);
         
         // Recalculate triangulation on window resize
-        this.triangulation.calculateAndDraw();
+        this.triangulation.calculate();
     }
     
     /**
@@ -110,11 +346,42 @@ class DelaunayApp {
         // Request next frame (store ID)
         this.animationFrameId = requestAnimationFrame(this.boundAnimate);
         
-        // Update point positions
-        this.pointManager.updatePoints(this.width, this.height);
+        const time = performance.now();
+        const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        
+        // Insert a few Steiner points per frame so the refinement can be watched;
+        // the simulation waits meanwhile, so the points stand still around them
+        if (this.meshRefiner.running) {
+            this.meshRefiner.advance(this.settings.get('refinement.stepsPerFrame'));
+            if (!this.meshRefiner.running) {
+                this.finishRefinement();
+            }
+        } else if (this.paused) {
+            // Advance the simulation by single steps while paused, otherwise by the elapsed time
+            for (; this.pendingSteps > 0; this.pendingSteps--) {
+                this.simulation.step(this.width, this.height);
+            }
+        } else {
+            this.simulation.advance(elapsed, this.width, this.height);
+        }
+        
+        // Draw positions between the last two steps for smooth motion at any frame rate
+        const interpolate = !this.paused;
+        if (interpolate) {
+            this.simulation.interpolatePositions(this.simulation.getAlpha());
+            this.triangulation.updateOverlays();
+        }
+        
+        // Advance flip animations
+        this.triangulationRenderer.updateFlipAnimations(time);
         
         // Render scene
         this.renderer.render(this.scene, this.camera);
+        
+        if (interpolate) {
+            this.simulation.restorePositions();
+        }
     }
     
     /**
@@ -131,14 +398,62 @@ class DelaunayApp {
         window.removeEventListener('resize', this.boundOnWindowResize);
         
         // Dispose component resources
+        if (this.unsubscribeSettings) {
+            this.unsubscribeSettings();
+        }
+        
+        if (this.settingsPanel) {
+            this.settingsPanel.dispose();
+        }
+        
+        if (this.qualityHud) {
+            this.qualityHud.dispose();
+        }
+        
+        if (this.relaxationReadout) {
+            this.relaxationReadout.dispose();
+        }
+        
         if (this.inputHandler) {
             this.inputHandler.dispose();
         }
         
+        if (this.sonifier) {
+            this.sonifier.dispose();
+        }
+        
         if (this.audioManager) {
             this.audioManager.dispose();
         }
         
+        if (this.sceneStorage) {
+            this.sceneStorage.dispose();
+        }
+        
+        if (this.pointImporter) {
+            this.pointImporter.dispose();
+        }
+        
+        if (this.selectionRenderer) {
+            this.selectionRenderer.dispose();
+        }
+        
+        if (this.voronoiRenderer) {
+            this.voronoiRenderer.dispose();
+        }
+        
+        if (this.hullRenderer) {
+            this.hullRenderer.dispose();
+        }
+        
+        if (this.triangulationRenderer) {
+            this.triangulationRenderer.dispose();
+        }
+        
+        if (this.pointRenderer) {
+            this.pointRenderer.dispose();
+        }
+        
         if (this.triangulation) {
             this.triangulation.dispose();
         }
@@ -168,7 +483,7 @@ let app = null;
 
 // Start application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    app = new DelaunayApp();
+    app = new DelaunayApp(new Settings());
     
     // Release resources when page is unloaded
     window.addEventListener('beforeunload', () => {
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioEffects } from '../js/core/AudioEffects.js';
+import { AudioConstants } from '../js/core/Constants.js';
+
+test('valid definitions of every type are accepted', () => {
+    const envelope = { attack: 10, decay: 20, sustain: 0.5, release: 100 };
+    AudioEffects.validate({ type: 'oscillator', options: { type: 'square', frequency: 440, volume: 0.5, duration: 100, envelope } });
+    AudioEffects.validate({ type: 'chord', options: { frequency: 220, intervals: [0, 3, 7] } });
+    AudioEffects.validate({ type: 'sweep', options: { frequency: 880, endFrequency: 110, curve: 'linear' } });
+    AudioEffects.validate({ type: 'noise', options: { filter: 'lowpass', frequency: 2000, q: 0 } });
+    AudioEffects.validate({ type: 'sample', options: { buffer: { duration: 1.5 }, playbackRate: 0.5 } });
+    AudioEffects.validate({ type: 'oscillator' });
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => AudioEffects.validate(null), /must be an object/);
+    assert.throws(() => AudioEffects.validate({ type: 'theremin' }), /Unknown effect type/);
+    assert.throws(() => AudioEffects.validate({ type: 'oscillator', options: { volume: 2 } }), RangeError);
+    assert.throws(() => AudioEffects.validate({ type: 'oscillator', options: { frequency: 0 } }), RangeError);
+    assert.throws(() => AudioEffects.validate({ type: 'oscillator', options: { type: 'noise' } }), /type must be one of/);
+    assert.throws(() => AudioEffects.validate({ type: 'oscillator', options: { envelope: { sustain: 1.5 } } }), RangeError);
+    assert.throws(() => AudioEffects.validate({ type: 'oscillator', options: { duration: '100' } }), /must be a number/);
+    assert.throws(() => AudioEffects.validate({ type: 'chord', options: { intervals: [] } }), /intervals/);
+    assert.throws(() => AudioEffects.validate({ type: 'sweep', options: { frequency: 440 } }), /endFrequency is required/);
+    assert.throws(() => AudioEffects.validate({ type: 'noise', options: { filter: 'comb' } }), /filter must be one of/);
+    assert.throws(() => AudioEffects.validate({ type: 'sample', options: {} }), /buffer/);
+});
+
+test('overrides replace options and merge into the envelope', () => {
+    const options = { frequency: 440, volume: 0.5, envelope: { attack: 10, release: 100 } };
+    const merged = AudioEffects.mergeOptions(options, { frequency: 880, envelope: { release: 300 } });
+    
+    assert.deepEqual(merged, { frequency: 880, volume: 0.5, envelope: { attack: 10, release: 300 } });
+    assert.equal(options.frequency, 440);
+    assert.equal(options.envelope.release, 100);
+    assert.deepEqual(AudioEffects.mergeOptions({ volume: 0.2 }), { volume: 0.2 });
+});
+
+test('chords stack semitones on the root', () => {
+    const frequencies = AudioEffects.getChordFrequencies(220, [0, 12, 7]);
+    
+    assert.equal(frequencies[0], 220);
+    assert.equal(frequencies[1], 440);
+    assert.ok(Math.abs(frequencies[2] - 329.63) < 0.01);
+});
+
+test('envelopes rise, decay to the sustain level and release to silence', () => {
+    const envelope = { attack: 10, decay: 20, sustain: 0.5, release: 100 };
+    
+    assert.deepEqual(AudioEffects.getEnvelope(envelope, 0.8, 200), [
+        { time: 0, value: 0 },
+        { time: 10, value: 0.8 },
+        { time: 30, value: 0.4 },
+        { time: 200, value: 0.4 },
+        { time: 300, value: 0 }
+    ]);
+});
+
+test('early releases start from the level reached', () => {
+    const envelope = { attack: 10, decay: 20, sustain: 0.5, release: 100 };
+    
+    // During the attack
+    assert.deepEqual(AudioEffects.getEnvelope(envelope, 1, 5), [
+        { time: 0, value: 0 },
+        { time: 5, value: 0.5 },
+        { time: 105, value: 0 }
+    ]);
+    
+    // During the decay
+    assert.deepEqual(AudioEffects.getEnvelope(envelope, 1, 20), [
+        { time: 0, value: 0 },
+        { time: 10, value: 1 },
+        { time: 20, value: 0.75 },
+        { time: 120, value: 0 }
+    ]);
+});
+
+test('missing envelope values use the defaults', () => {
+    const points = AudioEffects.getEnvelope({ sustain: 1 }, 1, 500);
+    
+    assert.equal(points[1].time, AudioConstants.ENVELOPE_ATTACK);
+    assert.equal(points[points.length - 1].time, 500 + AudioConstants.ENVELOPE_RELEASE);
+    assert.ok(points.every(point => point.value >= 0 && point.value <= 1));
+    
+    // Every level ends in silence, also without attack and release
+    const instant = AudioEffects.getEnvelope({ attack: 0, decay: 0, sustain: 1, release: 0 }, 1, 0);
+    assert.equal(instant[instant.length - 1].value, 0);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BarnesHutTree } from '../js/core/BarnesHut.js';
+import { createRandom } from './helpers.js';
+
+/**
+ * Sum the softened gravity of all other points exactly
+ * @param {Array<Object>} points - Points
+ * @param {Object} target - Attracted point
+ * @param {number} softening - Softening length
+ * @returns {Object} Acceleration ({x, y})
+ */
+function directGravity(points, target, softening) {
+    const acceleration = { x: 0, y: 0 };
+    for (const point of points) {
+        if (point === target) continue;
+        
+        const dx = point.x - target.x;
+        const dy = point.y - target.y;
+        const distSq = dx * dx + dy * dy + softening * softening;
+        acceleration.x += dx / (distSq * Math.sqrt(distSq));
+        acceleration.y += dy / (distSq * Math.sqrt(distSq));
+    }
+    return acceleration;
+}
+
+/**
+ * Create random points in a square
+ * @param {number} count - Number of points
+ * @param {number} seed - Random seed
+ * @returns {Array<Object>} Points
+ */
+function randomPoints(count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => ({ x: random() * 1000 - 500, y: random() * 1000 - 500 }));
+}
+
+test('an opening angle of zero gives the exact sum', () => {
+    const points = randomPoints(200, 1);
+    const tree = new BarnesHutTree(points);
+    
+    for (const target of points.slice(0, 20)) {
+        const approximate = tree.accumulate(target, 0, 5, { x: 0, y: 0 });
+        const exact = directGravity(points, target, 5);
+        assert.ok(Math.abs(approximate.x - exact.x) < 1e-12);
+        assert.ok(Math.abs(approximate.y - exact.y) < 1e-12);
+    }
+});
+
+test('the approximation stays close to the exact sum', () => {
+    const points = randomPoints(2000, 2);
+    const tree = new BarnesHutTree(points);
+    
+    let errorSum = 0;
+    let magnitudeSum = 0;
+    for (const target of points.slice(0, 100)) {
+        const approximate = tree.accumulate(target, 0.5, 5, { x: 0, y: 0 });
+        const exact = directGravity(points, target, 5);
+        errorSum += Math.hypot(approximate.x - exact.x, approximate.y - exact.y);
+        magnitudeSum += Math.hypot(exact.x, exact.y);
+    }
+    assert.ok(errorSum / magnitudeSum < 0.02);
+});
+
+test('coincident points and empty input are handled', () => {
+    const points = Array.from({ length: 50 }, () => ({ x: 3, y: 4 }));
+    points.push({ x: 13, y: 4 });
+    const acceleration = new BarnesHutTree(points).accumulate(points[50], 0.5, 0, { x: 0, y: 0 });
+    
+    assert.ok(Math.abs(acceleration.x + 0.5) < 1e-12);
+    assert.equal(acceleration.y, 0);
+    assert.deepEqual(new BarnesHutTree([]).accumulate({ x: 0, y: 0 }, 0.5, 1, { x: 1, y: 1 }), { x: 0, y: 0 });
+});
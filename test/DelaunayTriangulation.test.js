@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ColorUtils } from '../js/core/ColorUtils.js';
+import { createRandom, createTriangulation } from './helpers.js';
+
+/**
+ * Sum the areas of triangles of points
+ * @param {Array<Triangle>} triangles - Triangles
+ * @returns {number} Total signed area
+ */
+function area(triangles) {
+    let total = 0;
+    for (const { p1, p2, p3 } of triangles) {
+        total += ((p2.x - p1.x) * (p3.y - p1.y) - (p2.y - p1.y) * (p3.x - p1.x)) / 2;
+    }
+    return total;
+}
+
+test('triangles connect the stored points without empty-circle violations', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    const random = createRandom(5);
+    for (let i = 0; i < 100; i++) {
+        pointManager.addPoint(random() * 400 - 200, random() * 400 - 200);
+    }
+    const triangles = triangulation.calculate();
+    
+    assert.ok(triangles.length > 0);
+    for (const triangle of triangles) {
+        for (const point of pointManager.getPoints()) {
+            if (point === triangle.p1 || point === triangle.p2 || point === triangle.p3) continue;
+            assert.equal(triangle.isPointInCircumcircle(point), false);
+        }
+    }
+});
+
+test('fewer than three points give no triangles', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    pointManager.addPoint(0, 0);
+    pointManager.addPoint(10, 0);
+    assert.deepEqual(triangulation.calculate(), []);
+});
+
+test('overlays are rebuilt and updated', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    const calls = [];
+    triangulation.addOverlay({ rebuild: () => calls.push('rebuild'), update: () => calls.push('update') });
+    
+    pointManager.applyRepulsion(pointManager.addPoint(0, 0));
+    pointManager.updatePoints(800, 600);
+    assert.deepEqual(calls, ['rebuild', 'update']);
+});
+
+test('moving points flips edges without recalculating', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    const random = createRandom(7);
+    for (let i = 0; i < 100; i++) {
+        pointManager.addPoint(random() * 400 - 200, random() * 400 - 200);
+    }
+    triangulation.calculate();
+    const triangulator = triangulation.triangulator;
+    
+    for (let step = 0; step < 20; step++) {
+        for (const point of pointManager.getPoints()) {
+            point.x += (random() - 0.5) * 10;
+            point.y += (random() - 0.5) * 10;
+        }
+        triangulation.updatePositions();
+    }
+    
+    assert.equal(triangulation.triangulator, triangulator);
+    for (const flip of triangulation.flips) {
+        assert.equal(flip.from.length, 2);
+        assert.equal(flip.to.length, 2);
+    }
+    for (const triangle of triangulation.triangles) {
+        for (const point of pointManager.getPoints()) {
+            if (point === triangle.p1 || point === triangle.p2 || point === triangle.p3) continue;
+            assert.equal(triangle.isPointInCircumcircle(point), false);
+        }
+    }
+});
+
+test('flips replace only the triangles they touched and keep the colors of the others', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    const random = createRandom(8);
+    for (let i = 0; i < 100; i++) {
+        pointManager.addPoint(random() * 400 - 200, random() * 400 - 200);
+    }
+    triangulation.calculate();
+    
+    let flipped = 0;
+    for (let step = 0; step < 20; step++) {
+        const before = triangulation.triangles.slice();
+        const colors = ColorUtils.getTriangleColors(before, 'pastel');
+        for (const point of pointManager.getPoints()) {
+            point.x += (random() - 0.5) * 10;
+            point.y += (random() - 0.5) * 10;
+        }
+        triangulation.updatePositions();
+        if (triangulation.flips.length === 0) continue;
+        flipped++;
+        
+        const changed = new Set(triangulation.changedTriangles);
+        assert.ok(changed.size > 0 && changed.size < triangulation.triangles.length / 2);
+        const after = ColorUtils.getTriangleColors(triangulation.triangles, 'pastel');
+        triangulation.triangles.forEach((triangle, i) => {
+            if (changed.has(i)) return;
+            assert.equal(triangle, before[i]);
+            assert.equal(after[i], colors[i]);
+        });
+        
+        // Same triangles as a full calculation
+        const keys = triangles => triangles.map(({ p1, p2, p3 }) => [p1.id, p2.id, p3.id].sort((a, b) => a - b).join()).sort();
+        assert.deepEqual(keys(triangulation.triangles), keys(triangulation.createTriangles()));
+    }
+    assert.ok(flipped > 0);
+});
+
+test('closed polygons keep only the triangles between boundary and holes', () => {
+    const { pointManager, triangulation } = createTriangulation();
+    const random = createRandom(6);
+    for (let i = 0; i < 100; i++) {
+        pointManager.addPoint(random() * 200 - 100, random() * 200 - 100);
+    }
+    const square = (size) => {
+        const corners = [[-size, -size], [size, -size], [size, size], [-size, size]];
+        for (let i = 0; i < 4; i++) {
+            const [x1, y1] = corners[i];
+            const [x2, y2] = corners[(i + 1) % 4];
+            assert.ok(pointManager.addSegment(x1, y1, x2, y2));
+        }
+    };
+    square(80);
+    square(20);
+    
+    // An open segment does not remove triangles
+    assert.ok(pointManager.addSegment(30, 30, 70, 30));
+    
+    assert.equal(triangulation.findBoundarySegments().size, 8);
+    assert.ok(Math.abs(area(triangulation.calculate()) - (160 * 160 - 40 * 40)) < 1e-9);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForceRegistry } from '../js/core/ForceRegistry.js';
+import { Settings } from '../js/core/Settings.js';
+import { PointManager } from '../js/core/PointManager.js';
+import { ForceConstants } from '../js/core/Constants.js';
+import { createPoint } from './helpers.js';
+
+/**
+ * Create a registry with only the given built-in forces switched on
+ * @param {Array<string>} names - Names of the forces to switch on
+ * @returns {ForceRegistry} Registry
+ */
+function createRegistry(names) {
+    const registry = new ForceRegistry(new Settings());
+    for (const name of registry.modules.keys()) {
+        registry.settings.set(`forces.${name}`, names.includes(name));
+    }
+    return registry;
+}
+
+test('the existing behaviors are switched on by default', () => {
+    const registry = new ForceRegistry(new Settings());
+    
+    assert.deepEqual([...registry.modules.keys()].filter(name => registry.isEnabled(name)), ['brownian', 'anchor', 'repulsion']);
+});
+
+test('switched-off forces do nothing', () => {
+    const registry = createRegistry(['wind']);
+    const point = createPoint(0, 0);
+    registry.apply([point], [point], Math.random);
+    
+    assert.equal(point.vx, registry.settings.get('wind.strength'));
+    assert.equal(point.vy, 0);
+});
+
+test('gravity pulls points together, also with the Barnes-Hut tree', () => {
+    const registry = createRegistry(['gravity']);
+    registry.settings.set('gravity.theta', 0);
+    const strength = registry.settings.get('gravity.strength');
+    const softening = registry.settings.get('gravity.softening');
+    
+    const pair = [createPoint(-10, 0), createPoint(10, 0)];
+    registry.apply(pair, pair, Math.random);
+    assert.ok(pair[0].vx > 0 && pair[1].vx < 0);
+    assert.equal(pair[0].vx, -pair[1].vx);
+    
+    // Beyond the exact-sum limit the tree is used (exact with theta = 0)
+    const grid = Array.from({ length: 400 }, (_, i) => createPoint((i % 20) * 30, Math.floor(i / 20) * 30));
+    assert.ok(grid.length > ForceConstants.DIRECT_GRAVITY_LIMIT);
+    const [target] = grid;
+    registry.apply(grid, [target], Math.random);
+    
+    let expected = 0;
+    for (const point of grid.slice(1)) {
+        const distSq = point.x * point.x + point.y * point.y + softening * softening;
+        expected += strength * point.x / (distSq * Math.sqrt(distSq));
+    }
+    assert.ok(Math.abs(target.vx - expected) < 1e-12);
+    assert.ok(Math.abs(target.vx - target.vy) < 1e-12);
+});
+
+test('the cursor attractor acts only while the cursor is over the canvas', () => {
+    const registry = createRegistry(['attractor']);
+    const point = createPoint(50, 0);
+    
+    registry.apply([point], [point], Math.random);
+    assert.equal(point.vx, 0);
+    
+    registry.setCursor({ x: 0, y: 0 });
+    registry.apply([point], [point], Math.random);
+    assert.ok(point.vx < 0);
+});
+
+test('custom modules declare their settings when registered', () => {
+    const registry = createRegistry([]);
+    registry.register('lift', {
+        label: 'Lift',
+        settings: [{ key: 'lift.strength', group: 'Lift', label: 'Strength', type: 'number', min: 0, max: 1, step: 0.1, default: 0.5 }],
+        apply: function(points, settings) {
+            for (const point of points) {
+                point.vy += settings.get('lift.strength');
+            }
+        }
+    });
+    const point = createPoint(0, 0);
+    registry.apply([point], [point], Math.random);
+    
+    assert.equal(point.vy, 0.5);
+    registry.settings.set('forces.lift', false);
+    registry.apply([point], [point], Math.random);
+    assert.equal(point.vy, 0.5);
+});
+
+test('new points only push free points away', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(-10, 0, 10, 0);
+    const free = pointManager.addPoint(0, 10);
+    pointManager.applyRepulsion(pointManager.addPoint(0, 5));
+    
+    assert.ok(free.vy > 0);
+    for (const segment of pointManager.getSegments()) {
+        assert.deepEqual([segment.a.vx, segment.a.vy, segment.b.vx, segment.b.vy], [0, 0, 0, 0]);
+    }
+});
+
+test('soft-body springs keep their state while switched on', () => {
+    const registry = createRegistry(['springs']);
+    const a = { ...createPoint(0, 0), id: 0 };
+    const b = { ...createPoint(10, 0), id: 1 };
+    const c = { ...createPoint(0, 10), id: 2 };
+    const triangles = [{ p1: a, p2: b, p3: c }];
+    registry.apply([a, b, c], [a, b, c], Math.random, triangles);
+    const network = registry.states.get('springs');
+    assert.equal(network.springs.size, 3);
+    
+    // Rest lengths were captured when the springs were created
+    b.x = 20;
+    registry.apply([a, b, c], [a, b, c], Math.random, triangles.slice());
+    assert.equal(registry.states.get('springs'), network);
+    assert.ok(a.vx > 0 && b.vx < 0);
+    
+    // Switching off forgets the springs
+    registry.settings.set('forces.springs', false);
+    registry.apply([a, b, c], [a, b, c], Math.random, triangles);
+    assert.ok(!registry.states.has('springs'));
+});
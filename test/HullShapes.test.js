@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HullShapes } from '../js/core/HullShapes.js';
+import { Triangle } from '../js/core/Triangle.js';
+import { createRandom, createTriangulation } from './helpers.js';
+
+/**
+ * Get the coordinates of polygon vertices
+ * @param {Array<Object>} polygon - Polygon
+ * @returns {Array<Array<number>>} Coordinates as [x, y]
+ */
+function toCoords(polygon) {
+    return polygon.map(p => [p.x, p.y]);
+}
+
+test('the convex hull is counter-clockwise without inner or collinear points', () => {
+    const hull = HullShapes.convexHull([
+        { x: 0, y: 0 }, { x: 2, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 },
+        { x: 1, y: 1 }, { x: 0, y: 4 }, { x: 2, y: 3 }
+    ]);
+    
+    assert.deepEqual(toCoords(hull), [[0, 0], [4, 0], [4, 4], [0, 4]]);
+    assert.equal(HullShapes.getArea(hull), 16);
+});
+
+test('the convex hull of a triangulation encloses every point', () => {
+    const random = createRandom(5);
+    const coords = [];
+    for (let i = 0; i < 100; i++) {
+        coords.push([random() * 400 - 200, random() * 400 - 200]);
+    }
+    const { triangulation } = createTriangulation(coords);
+    
+    const hull = triangulation.getConvexHull();
+    
+    // Every triangle lies inside, so the hull area equals the triangulation's
+    const area = triangulation.triangles.reduce((sum, { p1, p2, p3 }) => sum + Math.abs(HullShapes.getArea([p1, p2, p3])), 0);
+    assert.ok(Math.abs(HullShapes.getArea(hull) - area) < 1e-6);
+    for (const point of triangulation.pointManager.getPoints()) {
+        assert.ok(hull.every((a, i) => {
+            const b = hull[(i + 1) % hull.length];
+            return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x) >= 0;
+        }));
+    }
+});
+
+test('the circumradius is infinite for collinear points', () => {
+    const point = (x, y) => ({ x: x, y: y });
+    
+    assert.equal(new Triangle(point(0, 0), point(6, 0), point(0, 8)).getCircumradius(), 5);
+    assert.equal(new Triangle(point(0, 0), point(1, 1), point(2, 2)).getCircumradius(), Infinity);
+});
+
+test('a large alpha gives the convex hull, a small one carves out the empty area', () => {
+    // An L shape: a filled grid with its upper right quarter missing
+    const coords = [];
+    for (let x = 0; x <= 100; x += 10) {
+        for (let y = 0; y <= 100; y += 10) {
+            if (x <= 50 || y <= 50) {
+                coords.push([x, y]);
+            }
+        }
+    }
+    const { triangulation } = createTriangulation(coords);
+    
+    const whole = triangulation.getAlphaShape(Infinity);
+    assert.equal(whole.triangles.length, triangulation.triangles.length);
+    assert.equal(whole.polygons.length, 1);
+    assert.ok(Math.abs(HullShapes.getArea(whole.polygons[0]) - HullShapes.getArea(triangulation.getConvexHull())) < 1e-6);
+    
+    // The L (7500) plus the half grid cell cut across its inner corner
+    const carved = triangulation.getAlphaShape(10);
+    assert.equal(carved.polygons.length, 1);
+    assert.ok(Math.abs(HullShapes.getArea(carved.polygons[0]) - 7550) < 1e-6);
+    assert.deepEqual(toCoords(triangulation.getConcaveHull(10)), toCoords(carved.polygons[0]));
+    
+    // Below half the grid spacing no triangle is kept
+    assert.deepEqual(triangulation.getAlphaShape(5), { triangles: [], polygons: [] });
+    assert.deepEqual(triangulation.getConcaveHull(5), []);
+});
+
+test('holes are clockwise loops and separate pieces get their own loops', () => {
+    // A ring of points around an empty middle, and a triangle far away
+    const coords = [];
+    for (let x = 0; x <= 60; x += 10) {
+        for (let y = 0; y <= 60; y += 10) {
+            if (x < 20 || x > 40 || y < 20 || y > 40) {
+                coords.push([x, y]);
+            }
+        }
+    }
+    coords.push([200, 0], [210, 0], [205, 8]);
+    const { triangulation } = createTriangulation(coords);
+    
+    const { polygons } = triangulation.getAlphaShape(10);
+    const areas = polygons.map(polygon => HullShapes.getArea(polygon)).sort((a, b) => a - b);
+    
+    assert.equal(polygons.length, 3);
+    // The hole is the empty 40 x 40 square without the half cells cut across its corners
+    assert.ok(Math.abs(areas[0] + 1400) < 1e-6);
+    assert.ok(Math.abs(areas[1] - 40) < 1e-6);
+    assert.ok(Math.abs(areas[2] - 3600) < 1e-6);
+    assert.equal(HullShapes.getArea(triangulation.getConcaveHull(10)), 3600);
+});
+
+test('pieces touching at a point are traced as separate simple loops', () => {
+    const a = { x: 0, y: 0 };
+    const triangles = [
+        new Triangle(a, { x: 10, y: 0 }, { x: 10, y: 10 }),
+        new Triangle(a, { x: -10, y: 0 }, { x: -10, y: -10 })
+    ];
+    
+    const loops = HullShapes.traceBoundary(triangles);
+    
+    assert.equal(loops.length, 2);
+    for (const loop of loops) {
+        assert.equal(loop.length, 3);
+        assert.equal(HullShapes.getArea(loop), 50);
+    }
+});
+
+test('boundaries keep the triangle order while moved points turn triangles over', () => {
+    const [a, b, c, d] = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const triangles = [new Triangle(a, b, c), new Triangle(a, c, d)];
+    
+    // d moves past the diagonal: the second triangle is now clockwise
+    d.x = 20;
+    d.y = 5;
+    const loops = HullShapes.traceBoundary(triangles);
+    
+    assert.equal(loops.length, 1);
+    assert.deepEqual(new Set(loops[0]), new Set([a, b, c, d]));
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LloydRelaxation } from '../js/core/LloydRelaxation.js';
+import { createRandom, createTriangulation } from './helpers.js';
+
+/**
+ * Create random points with Lloyd relaxation as the only force
+ * @param {number} count - Number of points
+ * @param {number} rate - Relaxation rate
+ * @returns {PointManager} Point manager
+ */
+function createRelaxingScene(count, rate) {
+    const random = createRandom(3);
+    const coords = Array.from({ length: count }, () => [random() * 400 - 200, random() * 300 - 150]);
+    const { pointManager } = createTriangulation(coords);
+    for (const name of pointManager.forces.modules.keys()) {
+        pointManager.settings.set(`forces.${name}`, name === 'lloyd');
+    }
+    pointManager.settings.set('lloyd.rate', rate);
+    return pointManager;
+}
+
+/**
+ * Get the smallest distance between two points
+ * @param {Array<Object>} points - Points
+ * @returns {number} Distance
+ */
+function getMinSpacing(points) {
+    let min = Infinity;
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            min = Math.min(min, Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y));
+        }
+    }
+    return min;
+}
+
+test('the centroid of a polygon is its center of mass', () => {
+    const relaxation = new LloydRelaxation();
+    
+    assert.deepEqual(relaxation.getCentroid([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 2 }, { x: 0, y: 2 }]), { x: 2, y: 1, area: 8 });
+    assert.deepEqual(relaxation.getCentroid([{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 0, y: 3 }]), { x: 1, y: 1, area: 4.5 });
+    assert.equal(relaxation.getCentroid([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }]), null);
+});
+
+test('relaxation spreads random points evenly and converges', () => {
+    const pointManager = createRelaxingScene(40, 0.5);
+    const before = getMinSpacing(pointManager.getPoints());
+    
+    pointManager.updatePoints(400, 300);
+    const relaxation = pointManager.forces.getState('lloyd');
+    const initialDistance = relaxation.distance;
+    for (let i = 0; i < 300; i++) {
+        pointManager.updatePoints(400, 300);
+    }
+    
+    assert.equal(relaxation.iterations, 301);
+    assert.ok(relaxation.distance < initialDistance / 10);
+    assert.ok(relaxation.isConverged());
+    assert.ok(getMinSpacing(pointManager.getPoints()) > 2 * before);
+    
+    // Anchors follow the points and every point stays inside the area
+    for (const point of pointManager.getPoints()) {
+        assert.deepEqual([point.origX, point.origY], [point.x, point.y]);
+        assert.ok(Math.abs(point.x) <= 200 && Math.abs(point.y) <= 150);
+    }
+});
+
+test('a lower rate moves the points part of the way', () => {
+    const pointManager = createRelaxingScene(20, 0.25);
+    const point = pointManager.getPoints()[0];
+    const relaxation = new LloydRelaxation();
+    const cell = relaxation.voronoi.computeCells(400, 300, { points: pointManager.getPoints() }).find(cell => cell.point === point);
+    const centroid = relaxation.getCentroid(cell.polygon);
+    const [x, y] = [point.x, point.y];
+    
+    pointManager.updatePoints(400, 300);
+    
+    assert.ok(Math.abs(point.x - (x + (centroid.x - x) * 0.25)) < 1e-9);
+    assert.ok(Math.abs(point.y - (y + (centroid.y - y) * 0.25)) < 1e-9);
+});
+
+test('fixed points shape the cells but stay in place', () => {
+    const pointManager = createRelaxingScene(20, 0.5);
+    const fixed = pointManager.addFixedPoint(10, 10);
+    pointManager.triangulation.calculate();
+    
+    pointManager.updatePoints(400, 300);
+    
+    assert.deepEqual([fixed.x, fixed.y], [10, 10]);
+    assert.ok(pointManager.getPoints().some(point => point.x !== point.prevX));
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Triangle } from '../js/core/Triangle.js';
+import { MeshExporter } from '../js/core/MeshExporter.js';
+
+// Unit square split into two triangles, the second one clockwise
+const a = { x: 0, y: 0 };
+const b = { x: 1, y: 0 };
+const c = { x: 1, y: 1 };
+const d = { x: 0, y: 1 };
+const triangles = [new Triangle(a, b, c), new Triangle(a, d, { x: 1, y: 1 })];
+
+test('shared vertices are deduplicated and faces are counter-clockwise', () => {
+    const mesh = MeshExporter.buildMesh(triangles);
+    
+    assert.deepEqual(mesh.vertices, [a, b, c, d].map(p => ({ x: p.x, y: p.y })));
+    assert.deepEqual(mesh.faces, [[0, 1, 2], [2, 3, 0]]);
+});
+
+test('degenerate faces are skipped', () => {
+    const mesh = MeshExporter.buildMesh([new Triangle(a, b, { x: 0, y: 0 }), new Triangle(a, b, { x: 2, y: 0 })]);
+    assert.deepEqual(mesh.faces, []);
+});
+
+test('OBJ uses 1-based indices', () => {
+    const obj = MeshExporter.toObj(MeshExporter.buildMesh(triangles));
+    const lines = obj.trim().split('\n').filter(line => !line.startsWith('#'));
+    
+    assert.deepEqual(lines, ['v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0', 'f 1 2 3', 'f 3 4 1']);
+});
+
+test('PLY header matches the element counts', () => {
+    const ply = MeshExporter.toPly(MeshExporter.buildMesh(triangles));
+    const lines = ply.trim().split('\n');
+    const end = lines.indexOf('end_header');
+    
+    assert.equal(lines[0], 'ply');
+    assert.ok(lines.includes('element vertex 4'));
+    assert.ok(lines.includes('element face 2'));
+    assert.deepEqual(lines.slice(end + 1), ['0 0 0', '1 0 0', '1 1 0', '0 1 0', '3 0 1 2', '3 2 3 0']);
+});
+
+test('.node and .ele files follow the Triangle layout', () => {
+    const mesh = MeshExporter.buildMesh(triangles);
+    const node = MeshExporter.toNode(mesh).split('\n');
+    const ele = MeshExporter.toEle(mesh).split('\n');
+    
+    assert.equal(node[0], '4 2 0 0');
+    assert.equal(node[3], '3 1 1');
+    assert.equal(ele[0], '2 3 0');
+    assert.equal(ele[2], '2 3 4 1');
+});
+
+test('coordinates keep full precision', () => {
+    const p = { x: 0.1 + 0.2, y: -1e-17 };
+    const obj = MeshExporter.toObj(MeshExporter.buildMesh([new Triangle(p, b, c)]));
+    assert.ok(obj.includes('v 0.30000000000000004 -1e-17 0'));
+});
+
+test('imported points are written in their units with their z values', () => {
+    const p = { x: 10, y: 20, z: 5 };
+    const mesh = MeshExporter.buildMesh([new Triangle(p, { x: 30, y: 20 }, { x: 30, y: 40 })], { scale: 10, offsetX: -10, offsetY: 0 });
+    
+    assert.deepEqual(mesh.vertices, [{ x: 2, y: 2, z: 5 }, { x: 4, y: 2 }, { x: 4, y: 4 }]);
+    assert.ok(MeshExporter.toObj(mesh).includes('v 2 2 5\nv 4 2 0\n'));
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshQuality } from '../js/core/MeshQuality.js';
+import { ColorUtils } from '../js/core/ColorUtils.js';
+import { Triangle } from '../js/core/Triangle.js';
+import { QualityConstants } from '../js/core/Constants.js';
+import { createRandom } from './helpers.js';
+
+/**
+ * Create a triangle from coordinates
+ * @param {...number} coords - x1, y1, x2, y2, x3, y3
+ * @returns {Triangle} Triangle
+ */
+function createTriangle(...coords) {
+    const points = [0, 2, 4].map((i, id) => ({ id: id, x: coords[i], y: coords[i + 1] }));
+    return new Triangle(...points);
+}
+
+/**
+ * Check that two numbers are nearly equal
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('equilateral triangles have the best quality', () => {
+    const metrics = MeshQuality.measure(createTriangle(0, 0, 2, 0, 1, Math.sqrt(3)));
+    
+    assertClose(metrics.minAngle, 60);
+    assertClose(metrics.area, Math.sqrt(3));
+    assertClose(metrics.radiusEdgeRatio, 1 / Math.sqrt(3));
+    assertClose(metrics.aspectRatio, 1);
+});
+
+test('a right isosceles triangle has a 45 degree minimum angle', () => {
+    const metrics = MeshQuality.measure(createTriangle(0, 0, 1, 0, 0, 1));
+    
+    assertClose(metrics.minAngle, 45);
+    assertClose(metrics.area, 0.5);
+    assertClose(metrics.radiusEdgeRatio, Math.SQRT2 / 2);
+    assertClose(metrics.aspectRatio, (Math.SQRT2 / 2) / (2 * (1 - Math.SQRT2 / 2)));
+});
+
+test('degenerate triangles get the worst values', () => {
+    assert.deepEqual(MeshQuality.measure(createTriangle(0, 0, 1, 1, 2, 2)), {
+        minAngle: 0, area: 0, radiusEdgeRatio: Infinity, aspectRatio: Infinity
+    });
+});
+
+test('analysis counts every triangle once per histogram', () => {
+    const random = createRandom(3);
+    const triangles = Array.from({ length: 50 }, () => createTriangle(...Array.from({ length: 6 }, () => random() * 100)));
+    triangles.push(createTriangle(0, 0, 1, 1, 2, 2));
+    const analysis = MeshQuality.analyze(triangles);
+    
+    assert.equal(analysis.count, 51);
+    assert.equal(analysis.skinny, triangles.filter(t => MeshQuality.measure(t).minAngle < QualityConstants.SKINNY_ANGLE).length);
+    for (const metric of Object.keys(MeshQuality.METRICS)) {
+        const { histogram, min, max, mean } = analysis.metrics[metric];
+        assert.equal(histogram.length, QualityConstants.HISTOGRAM_BINS);
+        assert.equal(histogram.reduce((sum, count) => sum + count, 0), 51);
+        assert.ok(min <= mean && mean <= max);
+    }
+    assert.equal(analysis.metrics.minAngle.min, 0);
+    assert.equal(analysis.metrics.aspectRatio.max, Infinity);
+    
+    const empty = MeshQuality.analyze([]);
+    assert.equal(empty.count, 0);
+    assert.deepEqual(empty.metrics.area.histogram, new Array(QualityConstants.HISTOGRAM_BINS).fill(0));
+});
+
+test('quality is 1 at the better end of the range', () => {
+    assert.equal(MeshQuality.normalize('minAngle', 60, [0, 60]), 1);
+    assert.equal(MeshQuality.normalize('minAngle', 0, [0, 60]), 0);
+    assert.equal(MeshQuality.normalize('aspectRatio', 1, [1, 5]), 1);
+    assert.equal(MeshQuality.normalize('aspectRatio', Infinity, [1, 5]), 0);
+    assert.deepEqual(MeshQuality.getRange('area', [4, 1, Infinity, 9]), [1, 9]);
+});
+
+test('triangles are colored by seed or by quality', () => {
+    const good = createTriangle(0, 0, 2, 0, 1, Math.sqrt(3));
+    const bad = createTriangle(0, 0, 10, 0, 5, 0.1);
+    
+    assert.deepEqual(ColorUtils.getTriangleColors([good], 'pastel'), [ColorUtils.generatePastelColor(good.getColorSeed())]);
+    assert.deepEqual(ColorUtils.getTriangleColors([good, bad], 'minAngle'), [
+        ColorUtils.generateQualityColor(1),
+        ColorUtils.generateQualityColor(MeshQuality.measure(bad).minAngle / 60)
+    ]);
+    assert.equal(ColorUtils.generateQualityColor(0), 0xE83030);
+    assert.equal(ColorUtils.generateQualityColor(1), 0x30E830);
+});
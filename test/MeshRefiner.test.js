@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshRefiner } from '../js/core/MeshRefiner.js';
+import { MeshQuality } from '../js/core/MeshQuality.js';
+import { OperationHistory } from '../js/core/OperationHistory.js';
+import { RefinementConstants } from '../js/core/Constants.js';
+import { createRandom, createTriangulation } from './helpers.js';
+
+/**
+ * Create a triangulated point set with a refiner
+ * @param {Array<Array<number>>} coords - Point coordinates as [x, y]
+ * @returns {Object} {pointManager, triangulation, refiner}
+ */
+function createScene(coords) {
+    const { pointManager, triangulation } = createTriangulation(coords);
+    return { pointManager, triangulation, refiner: new MeshRefiner(pointManager, triangulation) };
+}
+
+/**
+ * Get the smallest angle of the triangulation
+ * @param {DelaunayTriangulation} triangulation - Triangulation
+ * @returns {number} Angle in degrees
+ */
+function getMinAngle(triangulation) {
+    return Math.min(...triangulation.triangles.map(triangle => MeshQuality.measure(triangle).minAngle));
+}
+
+test('refinement lifts the smallest angle to the target', () => {
+    const random = createRandom(7);
+    const coords = [];
+    for (let i = 0; i < 30; i++) {
+        coords.push([random() * 400 - 200, random() * 400 - 200]);
+    }
+    const { pointManager, triangulation, refiner } = createScene(coords);
+    const target = RefinementConstants.MAX_MIN_ANGLE;
+    pointManager.settings.set('refinement.minAngle', target);
+    assert.ok(getMinAngle(triangulation) < target);
+    
+    // Targets above the guaranteed limit could refine until the point limit
+    assert.throws(() => pointManager.settings.set('refinement.minAngle', 25), RangeError);
+    
+    const inserted = refiner.run();
+    
+    assert.ok(inserted > 0);
+    assert.ok(getMinAngle(triangulation) >= target);
+    assert.equal(pointManager.getSteinerPoints().length, inserted);
+    assert.ok(pointManager.getSteinerPoints().every(point => pointManager.isPinned(point)));
+    assert.equal(refiner.running, false);
+});
+
+test('refinement splits triangles larger than the maximum area', () => {
+    const { pointManager, triangulation, refiner } = createScene([[0, 0], [200, 0], [200, 200], [0, 200]]);
+    pointManager.settings.set('refinement.maxArea', 500);
+    
+    refiner.run();
+    
+    assert.ok(triangulation.triangles.every(triangle => MeshQuality.measure(triangle).area <= 500));
+    assert.ok(getMinAngle(triangulation) >= pointManager.settings.get('refinement.minAngle'));
+});
+
+test('constraint segments are split by fixed Steiner points', () => {
+    const { pointManager, triangulation, refiner } = createScene([[0, 30], [0, -30]]);
+    pointManager.addSegment(-200, 0, 200, 0);
+    triangulation.calculate();
+    
+    refiner.run();
+    
+    // The segment is now a chain of pieces between fixed points
+    const segments = pointManager.getSegments();
+    assert.ok(segments.length > 1);
+    for (const { a, b } of segments) {
+        assert.ok(a.fixed && b.fixed);
+        assert.equal(a.y, 0);
+        assert.equal(b.y, 0);
+    }
+    assert.ok(pointManager.getSteinerPoints().some(point => point.fixed));
+});
+
+test('Steiner points are removed in one action, joining split segments', () => {
+    const { pointManager, triangulation, refiner } = createScene([[0, 30], [0, -30], [60, 40]]);
+    const segment = pointManager.addSegment(-200, 0, 200, 0);
+    triangulation.calculate();
+    refiner.run();
+    const count = pointManager.getSteinerPoints().length;
+    assert.ok(count > 0);
+    
+    assert.equal(pointManager.removeSteinerPoints(), count);
+    
+    assert.equal(pointManager.getPoints().length, 5);
+    assert.equal(pointManager.getSteinerPoints().length, 0);
+    const segments = pointManager.getSegments();
+    assert.equal(segments.length, 1);
+    assert.deepEqual([segments[0].a, segments[0].b], [segment.a, segment.b]);
+    assert.equal(triangulation.triangles.length, 4);
+});
+
+test('a Steiner point merged into an existing vertex is taken back', () => {
+    const { pointManager, refiner } = createScene([[0, 0], [100, 0], [0, 100], [100, 100]]);
+    const history = new OperationHistory(pointManager);
+    refiner.start();
+    refiner.prepare();
+    
+    const edit = history.beginEdit('refine');
+    assert.equal(refiner.insert(100, 0), true);
+    history.endEdit(edit);
+    
+    assert.equal(pointManager.getPoints().length, 4);
+    assert.equal(pointManager.getSteinerPoints().length, 0);
+    assert.equal(history.canUndo(), false);
+});
+
+test('refinement stops at the point limit and advances step by step', () => {
+    const { pointManager, refiner } = createScene([[0, 0], [300, 0], [0, 10], [300, 10]]);
+    pointManager.settings.set('points.maxPoints', 10);
+    
+    refiner.start();
+    assert.equal(refiner.advance(2), 2);
+    assert.equal(pointManager.getPoints().length, 6);
+    assert.ok(refiner.running);
+    
+    assert.equal(refiner.advance(100), 4);
+    assert.equal(pointManager.getPoints().length, 10);
+    assert.equal(refiner.running, false);
+});
+
+test('a mesh meeting the targets is left unchanged', () => {
+    const { pointManager, refiner } = createScene([[0, 0], [100, 0], [50, 86.6]]);
+    assert.equal(refiner.run(), 0);
+    assert.equal(pointManager.getPoints().length, 3);
+});
+
+test('points are inserted into the triangulation, which is published once per advance', () => {
+    const random = createRandom(9);
+    const coords = [];
+    for (let i = 0; i < 30; i++) {
+        coords.push([random() * 400 - 200, random() * 400 - 200]);
+    }
+    const { pointManager, triangulation, refiner } = createScene(coords);
+    pointManager.settings.set('refinement.maxArea', 1000);
+    const triangulator = triangulation.triangulator;
+    let rebuilds = 0;
+    triangulation.addOverlay({ rebuild: () => rebuilds++, update: () => {} });
+    
+    refiner.start();
+    assert.equal(refiner.advance(20), 20);
+    assert.equal(rebuilds, 1);
+    assert.equal(refiner.advance(Infinity) > 0, true);
+    assert.equal(rebuilds, 2);
+    assert.equal(triangulation.triangulator, triangulator);
+    assert.deepEqual(triangulation.triangulatedPoints, pointManager.getPoints());
+    
+    // The same mesh as calculated from scratch
+    const getKeys = () => triangulation.triangles.map(({ p1, p2, p3 }) => [p1.id, p2.id, p3.id].sort((a, b) => a - b).join(':')).sort();
+    const refined = getKeys();
+    triangulation.calculate();
+    assert.deepEqual(getKeys(), refined);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointManager } from '../js/core/PointManager.js';
+import { OperationHistory } from '../js/core/OperationHistory.js';
+import { PointConstants, HistoryConstants } from '../js/core/Constants.js';
+
+test('adding, removing and clearing can be undone and redone', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    const a = history.record('add', () => pointManager.addPoint(0, 0));
+    const b = history.record('add', () => pointManager.addPoint(10, 0));
+    history.record('add', () => pointManager.addSegment(-50, 20, 50, 20));
+    history.record('remove', () => pointManager.removePoints([a]));
+    history.record('clear', () => pointManager.clear());
+    assert.equal(pointManager.getPoints().length, 0);
+    
+    assert.ok(history.undo());
+    assert.equal(pointManager.getPoints().length, 3);
+    assert.equal(pointManager.getSegments().length, 1);
+    assert.ok(history.undo());
+    assert.deepEqual(pointManager.getPoints().slice(0, 2), [a, b]);
+    
+    assert.ok(history.redo());
+    assert.equal(pointManager.getPoints().includes(a), false);
+    assert.ok(history.canRedo());
+    
+    // A new edit drops the undone entries
+    history.record('add', () => pointManager.addPoint(5, 5));
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), false);
+});
+
+test('the eviction of the oldest point is undone with the addition', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    for (let i = 0; i < PointConstants.MAX_POINTS; i++) {
+        pointManager.addPoint(i, 0);
+    }
+    const oldest = pointManager.getPoints()[0];
+    
+    history.record('add', () => pointManager.addPoint(-1, -1));
+    assert.equal(pointManager.getPoints().includes(oldest), false);
+    history.undo();
+    assert.equal(pointManager.getPoints()[0], oldest);
+    assert.equal(pointManager.getPoints().length, PointConstants.MAX_POINTS);
+});
+
+test('moves are recorded as one entry per drag', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    const point = pointManager.addPoint(0, 0);
+    
+    const move = history.beginMove([point]);
+    pointManager.movePoints([point], 5, 0);
+    pointManager.movePoints([point], 5, 5);
+    history.endMove(move);
+    assert.equal(history.undoStack.length, 1);
+    
+    history.undo();
+    assert.deepEqual([point.x, point.y, point.origX, point.origY], [0, 0, 0, 0]);
+    history.redo();
+    assert.deepEqual([point.x, point.y, point.origX, point.origY], [10, 5, 10, 5]);
+    
+    // Edits that change nothing are not recorded
+    history.endMove(history.beginMove([point]));
+    history.record('remove', () => pointManager.removePoints([]));
+    assert.equal(history.undoStack.length, 1);
+});
+
+test('the number of entries is limited', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    for (let i = 0; i < HistoryConstants.MAX_ENTRIES + 10; i++) {
+        history.record('add', () => pointManager.addPoint(i, i));
+    }
+    assert.equal(history.undoStack.length, HistoryConstants.MAX_ENTRIES);
+});
+
+test('edits spanning several steps are undone as one', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    pointManager.addPoint(0, 0);
+    
+    const edit = history.beginEdit('refine');
+    pointManager.addSteinerPoint(10, 0);
+    pointManager.addSteinerPoint(20, 0);
+    history.endEdit(edit);
+    history.endEdit(history.beginEdit('refine'));
+    
+    assert.ok(history.undo());
+    assert.equal(pointManager.getPoints().length, 1);
+    assert.equal(history.canUndo(), false);
+    assert.ok(history.redo());
+    assert.equal(pointManager.getSteinerPoints().length, 2);
+});
+
+test('other edits and undo stop an open edit and record it first', () => {
+    const pointManager = new PointManager();
+    const history = new OperationHistory(pointManager);
+    history.record('add', () => pointManager.addPoint(0, 0));
+    
+    let interrupted = 0;
+    const refine = () => history.beginEdit('refine', () => interrupted++);
+    
+    // An edit made while the refinement runs becomes its own entry after it
+    const edit = refine();
+    pointManager.addSteinerPoint(10, 0);
+    history.record('add', () => pointManager.addPoint(20, 0));
+    assert.equal(interrupted, 1);
+    assert.deepEqual(history.undoStack.map(entry => entry.type), ['add', 'refine', 'add']);
+    
+    // Ending the interrupted edit later records nothing more
+    pointManager.addSteinerPoint(30, 0);
+    history.endEdit(edit);
+    assert.equal(history.undoStack.length, 3);
+    pointManager.removeSteinerPoints();
+    
+    // Undo while the refinement runs undoes the refinement
+    refine();
+    pointManager.addSteinerPoint(40, 0);
+    assert.ok(history.undo());
+    assert.equal(interrupted, 2);
+    assert.equal(pointManager.getPoints().length, 2);
+    assert.ok(history.redo());
+    assert.equal(pointManager.getSteinerPoints().length, 1);
+    
+    // So does a move
+    refine();
+    pointManager.addSteinerPoint(50, 0);
+    history.beginMove(pointManager.getPoints().slice(0, 1));
+    assert.equal(interrupted, 3);
+    assert.equal(history.undoStack.at(-1).type, 'refine');
+});
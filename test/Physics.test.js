@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Physics } from '../js/core/Physics.js';
+import { createPoint } from './helpers.js';
+
+test('repulsion pushes points apart and fades with distance', () => {
+    const other = createPoint(0, 0);
+    const near = createPoint(10, 0);
+    const far = createPoint(50, 0);
+    Physics.applyRepulsionForce(near, other, 5, 100);
+    Physics.applyRepulsionForce(far, other, 5, 100);
+    
+    assert.equal(near.vx, 5 * 0.9);
+    assert.equal(near.vy, 0);
+    assert.ok(far.vx > 0 && far.vx < near.vx);
+});
+
+test('repulsion ignores points outside the radius and coincident points', () => {
+    const other = createPoint(0, 0);
+    const outside = createPoint(100, 0);
+    const same = createPoint(0, 0);
+    Physics.applyRepulsionForce(outside, other, 5, 100);
+    Physics.applyRepulsionForce(same, other, 5, 100);
+    
+    assert.deepEqual([outside.vx, outside.vy, same.vx, same.vy], [0, 0, 0, 0]);
+});
+
+test('Brownian force stays within the strength', () => {
+    const point = createPoint(0, 0);
+    Physics.applyBrownianForce(point, 0.2, () => 1);
+    assert.ok(Math.abs(point.vx - 0.1) < 1e-12);
+    
+    Physics.applyBrownianForce(point, 0.2, () => 0.5);
+    assert.ok(Math.abs(point.vx - 0.1) < 1e-12);
+});
+
+test('position constraint pulls back only beyond the maximum distance', () => {
+    const inside = createPoint(0, 0);
+    inside.x = 3;
+    Physics.constrainToOriginalPosition(inside, 5, 0.1);
+    assert.equal(inside.vx, 0);
+    
+    const outside = createPoint(0, 0);
+    outside.y = 15;
+    Physics.constrainToOriginalPosition(outside, 5, 0.1);
+    assert.equal(outside.vx, 0);
+    assert.equal(outside.vy, -1);
+});
+
+test('friction scales the velocity', () => {
+    const point = createPoint(0, 0);
+    point.vx = 2;
+    point.vy = -4;
+    Physics.applyFriction(point, 0.5);
+    assert.deepEqual([point.vx, point.vy], [1, -2]);
+});
+
+test('screen bounds clamp the position and reflect the velocity', () => {
+    const point = createPoint(0, 0);
+    point.x = 120;
+    point.y = -70;
+    point.vx = 4;
+    point.vy = -2;
+    Physics.constrainToScreen(point, 100, 50, 0.5);
+    
+    assert.deepEqual([point.x, point.y, point.vx, point.vy], [100, -50, -2, 1]);
+});
+
+test('attraction pulls toward the attractor and negative strength pushes away', () => {
+    const pulled = createPoint(10, 0);
+    const pushed = createPoint(10, 0);
+    Physics.applyAttraction(pulled, 0, 0, 2, 20);
+    Physics.applyAttraction(pushed, 0, 0, -2, 20);
+    
+    assert.deepEqual([pulled.vx, pulled.vy], [-1, 0]);
+    assert.deepEqual([pushed.vx, pushed.vy], [1, 0]);
+});
+
+test('vortex turns counter-clockwise around its center', () => {
+    const point = createPoint(0, -10);
+    Physics.applyVortex(point, 0, 0, 2, 20);
+    
+    assert.deepEqual([point.vx, point.vy], [1, 0]);
+});
+
+test('drag slows fast points more than slow ones', () => {
+    const fast = createPoint(0, 0);
+    const slow = createPoint(0, 0);
+    fast.vx = 10;
+    slow.vx = 1;
+    Physics.applyDrag(fast, 0.05);
+    Physics.applyDrag(slow, 0.05);
+    
+    assert.equal(fast.vx, 5);
+    assert.equal(slow.vx, 0.95);
+});
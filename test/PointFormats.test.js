@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointFormats } from '../js/core/PointFormats.js';
+
+test('CSV lines give x, y and the optional z and weight', () => {
+    const { records, errors } = PointFormats.parseCsv('1,2\n# comment\n\n3.5,-4,10\n5,6,7,0.5\r\n');
+    
+    assert.deepEqual(records, [{ x: 1, y: 2 }, { x: 3.5, y: -4, z: 10 }, { x: 5, y: 6, z: 7, weight: 0.5 }]);
+    assert.deepEqual(errors, []);
+});
+
+test('CSV headers name the columns in any order', () => {
+    const { records } = PointFormats.parseCsv('name;lat;lon;elevation\n"a";35.5;139.7;40\nb;34.7;135.5;');
+    assert.deepEqual(records, [{ x: 139.7, y: 35.5, z: 40 }, { x: 135.5, y: 34.7 }]);
+    
+    assert.deepEqual(PointFormats.parseCsv('1 2\n3  4').records, [{ x: 1, y: 2 }, { x: 3, y: 4 }]);
+});
+
+test('malformed CSV lines are reported by line number and skipped', () => {
+    const { records, errors } = PointFormats.parseCsv('x,y,weight\n1,2\n3\n4,abc\n5,6,heavy\n7,8');
+    
+    assert.deepEqual(records, [{ x: 1, y: 2 }, { x: 7, y: 8 }]);
+    assert.deepEqual(errors, [
+        'Line 3: missing y value',
+        'Line 4: y value "abc" is not a number',
+        'Line 5: weight value "heavy" is not a number'
+    ]);
+    
+    assert.deepEqual(PointFormats.parseCsv('name,value\n1,2').errors, ['Line 1: the header needs x and y columns (got "name, value")']);
+});
+
+test('GeoJSON points and multi-points are read from features', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [139.7, 35.6, 12] }, properties: { weight: 2 } },
+            { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] }, properties: null },
+            { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+            { type: 'Feature', geometry: null },
+            { type: 'Feature', geometry: { type: 'Point', coordinates: ['a', 1] } }
+        ]
+    };
+    const { records, errors } = PointFormats.parse(JSON.stringify(geojson), 'places.geojson');
+    
+    assert.deepEqual(records, [{ x: 139.7, y: 35.6, z: 12, weight: 2 }, { x: 1, y: 2 }, { x: 3, y: 4 }]);
+    assert.deepEqual(errors, [
+        'Feature 3: unsupported geometry type "LineString" (only Point and MultiPoint)',
+        'Feature 4: no geometry',
+        'Feature 5: x value "a" is not a number'
+    ]);
+    
+    assert.deepEqual(PointFormats.parseJson('{"type": "Point", "coordinates": [5, 6]}').records, [{ x: 5, y: 6 }]);
+});
+
+test('JSON arrays hold coordinate arrays or objects', () => {
+    const { records, errors } = PointFormats.parse('[[1, 2], {"x": 3, "y": 4, "weight": 5}, [6], "7,8"]');
+    
+    assert.deepEqual(records, [{ x: 1, y: 2 }, { x: 3, y: 4, weight: 5 }]);
+    assert.deepEqual(errors, ['Item 3: missing y value', 'Item 4: expected [x, y] or {x, y}']);
+});
+
+test('JSON syntax errors name the line', () => {
+    const { records, errors } = PointFormats.parse('[\n  [1, 2],\n  [3, 4\n]', 'points.json');
+    
+    assert.deepEqual(records, []);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Line [34]: invalid JSON/);
+    assert.deepEqual(PointFormats.parseJson('{"points": []}').errors, ['Expected a GeoJSON object or an array of points']);
+});
+
+test('the fit transform centers the points in the view and can be inverted', () => {
+    const records = [{ x: 1000, y: 50 }, { x: 3000, y: 150 }];
+    const transform = PointFormats.fitTransform(records, 800, 600, 0.05);
+    
+    assert.equal(transform.scale, 800 * 0.9 / 2000);
+    const [a, b] = records.map(record => PointFormats.toScene(record, transform));
+    assert.deepEqual([a.x, b.x], [-360, 360]);
+    assert.ok(Math.abs(a.y + b.y) < 1e-9);
+    
+    const back = PointFormats.toData(b, transform);
+    assert.ok(Math.abs(back.x - 3000) < 1e-9 && Math.abs(back.y - 150) < 1e-9);
+    assert.deepEqual(PointFormats.toData({ x: 1, y: 2 }, null), { x: 1, y: 2 });
+    
+    // A single point is centered at its own scale
+    assert.deepEqual(PointFormats.fitTransform([{ x: 5, y: 5 }], 800, 600), { scale: 1, offsetX: -5, offsetY: -5 });
+});
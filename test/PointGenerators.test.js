@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointGenerators } from '../js/core/PointGenerators.js';
+import { PointManager } from '../js/core/PointManager.js';
+import { Random } from '../js/core/Random.js';
+
+/**
+ * Generate a point set
+ * @param {string} name - Generator name
+ * @param {number} count - Number of points
+ * @param {number} [seed=1] - Seed
+ * @returns {Array<Object>} Positions in a 400 x 300 rectangle
+ */
+function generate(name, count, seed = 1) {
+    const random = new Random(seed);
+    return PointGenerators[name].generate(count, () => random.next(), 400, 300);
+}
+
+/**
+ * Get the smallest distance between two positions
+ * @param {Array<Object>} positions - Positions
+ * @returns {number} Distance
+ */
+function getMinDistance(positions) {
+    let min = Infinity;
+    for (let i = 0; i < positions.length; i++) {
+        for (let j = i + 1; j < positions.length; j++) {
+            min = Math.min(min, Math.hypot(positions[i].x - positions[j].x, positions[i].y - positions[j].y));
+        }
+    }
+    return min;
+}
+
+test('every generator fills the rectangle with the count and repeats for a seed', () => {
+    for (const name of Object.keys(PointGenerators)) {
+        const positions = generate(name, 150);
+        
+        assert.equal(positions.length, 150, name);
+        assert.ok(positions.every(({ x, y }) => Math.abs(x) <= 200 && Math.abs(y) <= 150), name);
+        assert.deepEqual(generate(name, 150), positions, name);
+        assert.notDeepEqual(generate(name, 150, 2), positions, name);
+        assert.deepEqual(generate(name, 0), [], name);
+    }
+});
+
+test('Poisson-disk points keep their distance, unlike uniform ones', () => {
+    const radius = Math.sqrt(400 * 300 * 0.6 / 200);
+    assert.ok(getMinDistance(generate('poissonDisk', 200)) >= radius);
+    assert.ok(getMinDistance(generate('uniform', 200)) < radius / 2);
+});
+
+test('jittered grid points lie one per cell', () => {
+    // 200 points in a 4:3 rectangle give 16 columns and 13 rows of 25 x 300/13
+    const cells = new Set(generate('jitteredGrid', 200).map(({ x, y }) => `${Math.floor((x + 200) / 25)}:${Math.floor((y + 150) / (300 / 13))}`));
+    assert.equal(cells.size, 200);
+});
+
+test('hexagonal lattice points have six equidistant neighbors', () => {
+    const positions = generate('hexagonal', 100);
+    const spacing = getMinDistance(positions);
+    const center = positions[0];
+    const neighbors = positions.filter(p => Math.abs(Math.hypot(p.x - center.x, p.y - center.y) - spacing) < 1e-9);
+    assert.equal(neighbors.length, 6);
+});
+
+test('low-discrepancy points stratify the rectangle', () => {
+    // The first 64 points of a (0, 2)-sequence put one point in each cell of an 8 x 8 grid
+    const cells = new Set(generate('sobol', 64).map(({ x, y }) => `${Math.floor((x + 200) / 50)}:${Math.floor((y + 150) / 37.5)}`));
+    assert.equal(cells.size, 64);
+    
+    // Shifted Halton points in bases 2 and 3 fill a 2 x 3 grid almost evenly
+    const counts = new Map();
+    for (const { x, y } of generate('halton', 60)) {
+        const key = `${Math.floor((x + 200) / 200)}:${Math.floor((y + 150) / 100)}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 6);
+    assert.ok([...counts.values()].every(count => Math.abs(count - 10) <= 1));
+});
+
+test('generated points replace the current ones within the point limit', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(0, 0, 100, 0);
+    pointManager.settings.set('points.maxPoints', 50);
+    
+    const points = pointManager.generatePoints('spiral', 80, 3, 800, 600);
+    
+    assert.equal(points.length, 50);
+    assert.deepEqual(pointManager.getPoints(), points);
+    assert.deepEqual(pointManager.getSegments(), []);
+    assert.ok(points.every(({ x, y }) => Math.hypot(x, y) <= 270 + 1e-9));
+    assert.throws(() => pointManager.generatePoints('lattice', 10, 1, 800, 600), RangeError);
+});
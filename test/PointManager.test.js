@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointManager } from '../js/core/PointManager.js';
+import { PointConstants } from '../js/core/Constants.js';
+
+test('points are plain data with physics state', () => {
+    const pointManager = new PointManager();
+    const point = pointManager.addPoint(10, 20);
+    
+    assert.deepEqual(point, { id: 0, x: 10, y: 20, vx: 0, vy: 0, origX: 10, origY: 20, prevX: 10, prevY: 20, fixed: false, steiner: false });
+    assert.equal(pointManager.getLastAddedPoint(), point);
+    assert.equal(pointManager.addPoint(0, 0).id, 1);
+});
+
+test('the oldest free point is evicted at the maximum', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(0, 0, 100, 0);
+    const first = pointManager.addPoint(5, 5);
+    while (pointManager.getPoints().length < PointConstants.MAX_POINTS) {
+        pointManager.addPoint(1, 1);
+    }
+    pointManager.addPoint(2, 2);
+    
+    const points = pointManager.getPoints();
+    assert.equal(points.length, PointConstants.MAX_POINTS);
+    assert.ok(!points.includes(first));
+    assert.equal(points.filter(point => point.fixed).length, 2);
+});
+
+test('points are refused when fixed points fill the maximum', () => {
+    const pointManager = new PointManager();
+    pointManager.settings.set('points.maxPoints', 3);
+    pointManager.addSegment(0, 0, 100, 0);
+    pointManager.addPoint(5, 5);
+    
+    // The free point makes room for one more fixed point, but not for a new segment
+    assert.equal(pointManager.addSegment(0, 50, 100, 50), null);
+    assert.ok(pointManager.addSegment(100, 0, 50, 80));
+    assert.equal(pointManager.getPoints().length, 3);
+    
+    assert.equal(pointManager.addPoint(1, 1), null);
+    assert.equal(pointManager.addSteinerPoint(2, 2), null);
+    assert.equal(pointManager.getPoints().length, 3);
+    assert.ok(pointManager.getPoints().every(point => point.fixed));
+});
+
+test('segments snap to fixed points and reject crossings', () => {
+    const pointManager = new PointManager();
+    const segment = pointManager.addSegment(0, 0, 100, 0);
+    assert.ok(segment);
+    
+    // Snaps to the existing end point
+    const next = pointManager.addSegment(102, 1, 100, 100);
+    assert.equal(next.a, segment.b);
+    
+    assert.equal(pointManager.addSegment(50, -50, 50, 50), null);
+    assert.equal(pointManager.addSegment(100, 0, 0, 0), null);
+    assert.equal(pointManager.addSegment(10, 10, 12, 10), null);
+    assert.equal(pointManager.getSegments().length, 2);
+});
+
+test('physics moves free points but not fixed points', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(0, 0, 100, 0);
+    const free = pointManager.addPoint(10, 10);
+    free.vx = 3;
+    
+    assert.equal(pointManager.updatePoints(800, 600), true);
+    assert.notEqual(free.x, 10);
+    for (const point of pointManager.getPoints().filter(point => point.fixed)) {
+        assert.equal(point.y, 0);
+        assert.equal(point.vx, 0);
+    }
+});
+
+test('repulsion from a new point skips fixed points', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(0, 0, 100, 0);
+    const free = pointManager.addPoint(10, 10);
+    const newPoint = pointManager.addPoint(5, 5);
+    pointManager.applyRepulsion(newPoint);
+    
+    assert.ok(free.vx > 0 && free.vy > 0);
+    for (const point of pointManager.getPoints().filter(point => point.fixed)) {
+        assert.deepEqual([point.vx, point.vy], [0, 0]);
+    }
+});
+
+test('points are picked by distance and by rectangle', () => {
+    const pointManager = new PointManager();
+    const a = pointManager.addPoint(0, 0);
+    const b = pointManager.addPoint(20, 0);
+    const c = pointManager.addPoint(50, 50);
+    
+    assert.equal(pointManager.findNearestPoint(12, 0, 10), b);
+    assert.equal(pointManager.findNearestPoint(35, 25, 10), null);
+    assert.deepEqual(pointManager.findPointsInRect(30, -10, -5, 10), [a, b]);
+    assert.deepEqual(pointManager.findPointsInRect(40, 40, 60, 60), [c]);
+});
+
+test('moved points keep their new anchor and held points skip the physics', () => {
+    const pointManager = new PointManager();
+    const point = pointManager.addPoint(0, 0);
+    point.vx = 5;
+    pointManager.movePoints([point], 30, -20);
+    assert.deepEqual([point.x, point.y, point.origX, point.origY, point.vx, point.vy], [30, -20, 30, -20, 0, 0]);
+    
+    pointManager.holdPoints([point]);
+    point.vx = 5;
+    pointManager.updatePoints(800, 600);
+    assert.deepEqual([point.x, point.y], [30, -20]);
+    
+    pointManager.releasePoints([point]);
+    pointManager.updatePoints(800, 600);
+    assert.notEqual(point.x, 30);
+});
+
+test('removing points also removes their segments', () => {
+    const pointManager = new PointManager();
+    pointManager.addSegment(0, 0, 100, 0);
+    const free = pointManager.addPoint(10, 10);
+    const [start] = pointManager.getPoints();
+    
+    pointManager.removePoints([start, free]);
+    assert.equal(pointManager.getPoints().length, 1);
+    assert.equal(pointManager.getSegments().length, 0);
+});
+
+test('imported points replace the current ones and keep their units', () => {
+    const pointManager = new PointManager();
+    pointManager.addPoint(1, 1);
+    pointManager.settings.set('points.maxPoints', 3);
+    const transform = { scale: 2, offsetX: -10, offsetY: 5 };
+    
+    const points = pointManager.importPoints([{ x: 1, y: 2, z: 7 }, { x: 3, y: 4, weight: 0.5 }, { x: 5, y: 6 }, { x: 7, y: 8 }], transform);
+    
+    assert.equal(points.length, 3);
+    assert.deepEqual(pointManager.getPoints(), points);
+    assert.deepEqual([points[0].x, points[0].y, points[0].z], [-8, 9, 7]);
+    assert.equal(points[1].weight, 0.5);
+    assert.deepEqual(pointManager.toDataCoordinates(points[2]), { x: 5, y: 6 });
+    
+    pointManager.clear();
+    assert.equal(pointManager.transform, null);
+});
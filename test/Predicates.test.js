@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Predicates } from '../js/core/Predicates.js';
+
+test('orient2d gives the sign of the turn', () => {
+    assert.ok(Predicates.orient2d(0, 0, 1, 0, 0, 1) > 0);
+    assert.ok(Predicates.orient2d(0, 0, 0, 1, 1, 0) < 0);
+    assert.equal(Predicates.orient2d(0, 0, 1, 1, 2, 2), 0);
+});
+
+test('orient2d is exact for nearly collinear points', () => {
+    // Points on the line y = x, perturbed by the smallest representable step
+    const x = 0.5;
+    const y = 0.5 + Number.EPSILON / 2;
+    assert.equal(Predicates.orient2d(12, 12, 24, 24, 0.5, 0.5), 0);
+    assert.ok(Predicates.orient2d(12, 12, 24, 24, x, y) > 0);
+    assert.ok(Predicates.orient2d(12, 12, 24, 24, y, x) < 0);
+});
+
+test('incircle detects points inside, outside and on the circle', () => {
+    assert.ok(Predicates.incircle(1, 0, 0, 1, -1, 0, 0, 0) > 0);
+    assert.ok(Predicates.incircle(1, 0, 0, 1, -1, 0, 2, 2) < 0);
+    assert.equal(Predicates.incircle(1, 0, 0, 1, -1, 0, 0, -1), 0);
+});
+
+test('incircle is exact for nearly cocircular points', () => {
+    const d = 1 - Number.EPSILON;
+    assert.ok(Predicates.incircle(1, 0, 0, 1, -1, 0, 0, -d) > 0);
+    assert.equal(Predicates.incircle(1e-3, 0, 0, 1e-3, -1e-3, 0, 0, -1e-3), 0);
+});
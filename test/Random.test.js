@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../js/core/Random.js';
+
+/**
+ * Take numbers from a generator
+ * @param {Random} random - Generator
+ * @param {number} count - Number of values
+ * @returns {Array<number>} Values
+ */
+function take(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(take(new Random(42), 100), take(new Random(42), 100));
+    assert.notDeepEqual(take(new Random(42), 100), take(new Random(43), 100));
+});
+
+test('setting the seed restarts the sequence', () => {
+    const random = new Random(7);
+    const first = take(random, 10);
+    random.setSeed(7);
+    
+    assert.deepEqual(take(random, 10), first);
+});
+
+test('values lie in [0, 1) and are spread evenly', () => {
+    const values = take(new Random(1), 10000);
+    
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.01);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointManager } from '../js/core/PointManager.js';
+import { SceneFormat } from '../js/core/SceneFormat.js';
+
+/**
+ * Create a point manager with free points, a fixed segment and a Steiner point
+ * @returns {PointManager} Point manager
+ */
+function createPointManager() {
+    const pointManager = new PointManager();
+    const point = pointManager.addPoint(1.25, -3.5);
+    point.x = 1.0000000000000002;
+    point.vx = 0.1;
+    point.vy = -0.3;
+    pointManager.addSegment(-50, 0, 50, 0);
+    pointManager.addPoint(7, 8);
+    pointManager.addSteinerPoint(0, 20);
+    return pointManager;
+}
+
+const display = { showDelaunay: true, showVoronoi: true, fillVoronoi: false };
+
+test('serialized scenes hold points, anchors, velocities and segments', () => {
+    const scene = SceneFormat.serialize(createPointManager(), display);
+    
+    assert.equal(scene.format, SceneFormat.FORMAT);
+    assert.equal(scene.version, SceneFormat.VERSION);
+    assert.deepEqual(scene.points[0], { x: 1.0000000000000002, y: -3.5, origX: 1.25, origY: -3.5, vx: 0.1, vy: -0.3, fixed: false, steiner: false });
+    assert.deepEqual(scene.segments, [[1, 2]]);
+    assert.equal(scene.settings['physics.friction'], 0.9);
+    assert.deepEqual(scene.display, display);
+});
+
+test('JSON and URL encodings round-trip exactly', () => {
+    const scene = SceneFormat.serialize(createPointManager(), display);
+    
+    assert.deepEqual(SceneFormat.parse(SceneFormat.stringify(scene)), scene);
+    
+    const encoded = SceneFormat.encode(scene);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(SceneFormat.decode(encoded), scene);
+});
+
+test('restoring a scene replaces points, segments and settings', () => {
+    const scene = SceneFormat.serialize(createPointManager(), display);
+    scene.settings['physics.friction'] = 0.5;
+    scene.settings['physics.bounceFactor'] = 7;
+    
+    const pointManager = new PointManager();
+    pointManager.addPoint(100, 100);
+    const errors = SceneFormat.restore(SceneFormat.validate(scene), pointManager);
+    
+    assert.equal(pointManager.settings.get('physics.friction'), 0.5);
+    assert.equal(pointManager.settings.get('physics.bounceFactor'), 0.5);
+    assert.equal(errors.length, 1);
+    assert.deepEqual(SceneFormat.serialize(pointManager, display).points, scene.points);
+    const [segment] = pointManager.getSegments();
+    assert.ok(segment.a.fixed && segment.b.fixed);
+});
+
+test('imported values and the import transform are saved', () => {
+    const pointManager = new PointManager();
+    pointManager.importPoints([{ x: 100, y: 200, z: 3.5, weight: 2 }, { x: 300, y: 400 }], { scale: 0.5, offsetX: -100, offsetY: -150 });
+    const scene = SceneFormat.serialize(pointManager, display);
+    
+    assert.deepEqual(scene.transform, { scale: 0.5, offsetX: -100, offsetY: -150 });
+    assert.equal(scene.points[0].z, 3.5);
+    assert.equal(scene.points[1].z, undefined);
+    assert.deepEqual(SceneFormat.decode(SceneFormat.encode(scene)), scene);
+    
+    const restored = new PointManager();
+    SceneFormat.restore(SceneFormat.parse(SceneFormat.stringify(scene)), restored);
+    assert.deepEqual(restored.transform, scene.transform);
+    assert.deepEqual(restored.getPoints().map(point => [point.z, point.weight]), [[3.5, 2], [undefined, undefined]]);
+    
+    scene.transform = { scale: 0 };
+    assert.throws(() => SceneFormat.validate(scene), /transform/);
+});
+
+test('version 1 constants are converted to settings', () => {
+    const scene = SceneFormat.validate({
+        format: SceneFormat.FORMAT,
+        version: 1,
+        points: [{ x: 0, y: 0 }],
+        constants: { PhysicsConstants: { FRICTION: 0.7 }, RepulsionConstants: { RADIUS: 40, STRENGTH: 2 }, OtherConstants: { X: 1 } }
+    });
+    
+    assert.equal(scene.version, SceneFormat.VERSION);
+    assert.deepEqual(scene.settings, { 'physics.friction': 0.7, 'repulsion.radius': 40, 'repulsion.strength': 2 });
+});
+
+test('invalid scenes are rejected', () => {
+    assert.throws(() => SceneFormat.validate({ points: [] }), /Not a scene/);
+    assert.throws(() => SceneFormat.validate({ format: SceneFormat.FORMAT, version: 99, points: [] }), /version/);
+    assert.throws(() => SceneFormat.validate({ format: SceneFormat.FORMAT, version: 1, points: [{ x: 'a', y: 0 }] }), /coordinates/);
+    assert.throws(() => SceneFormat.validate({
+        format: SceneFormat.FORMAT, version: 1, points: [{ x: 0, y: 0 }], segments: [[0, 1]]
+    }), /segment/);
+});
+
+test('optional fields get defaults', () => {
+    const scene = SceneFormat.validate({ format: SceneFormat.FORMAT, version: 1, points: [{ x: 2, y: 3 }] });
+    assert.deepEqual(scene.points[0], { x: 2, y: 3, origX: 2, origY: 3, vx: 0, vy: 0, fixed: false, steiner: false });
+    assert.deepEqual(scene.segments, []);
+});
+
+test('URL encodings leave out default settings, resting velocities and anchors at the points', () => {
+    // Two hundred clicked points at rest, one changed setting
+    const pointManager = new PointManager();
+    for (let i = 0; i < 200; i++) {
+        pointManager.addPoint((i * 37) % 800 - 400, (i * 53) % 600 - 300);
+    }
+    pointManager.settings.set('physics.friction', 0.5);
+    const scene = SceneFormat.serialize(pointManager, display);
+    
+    const encoded = SceneFormat.encode(scene);
+    assert.ok(encoded.length < 3000, `${encoded.length} characters`);
+    const compact = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    assert.deepEqual(compact.c, { 'physics.friction': 0.5 });
+    assert.deepEqual([compact.o, compact.w], [[], []]);
+    assert.deepEqual(SceneFormat.decode(encoded), scene);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings } from '../js/core/Settings.js';
+import { PointManager } from '../js/core/PointManager.js';
+import { PhysicsConstants, PointConstants } from '../js/core/Constants.js';
+
+test('settings start at the defaults from Constants.js', () => {
+    const settings = new Settings();
+    
+    assert.equal(settings.get('physics.friction'), PhysicsConstants.FRICTION);
+    assert.equal(settings.get('points.maxPoints'), PointConstants.MAX_POINTS);
+    assert.throws(() => settings.get('physics.gravity'), /Unknown setting/);
+});
+
+test('values are validated against their declarations', () => {
+    const settings = new Settings();
+    
+    assert.throws(() => settings.set('physics.friction', 1.5), RangeError);
+    assert.throws(() => settings.set('physics.friction', '0.5'), /number/);
+    assert.throws(() => settings.set('points.maxPoints', 10.5), /integer/);
+    assert.throws(() => settings.set('triangulation.kinetic', 1), /true or false/);
+    assert.throws(() => settings.set('render.pointColor', 0x1000000), /color/);
+    assert.equal(settings.get('physics.friction'), PhysicsConstants.FRICTION);
+});
+
+test('choices accept only their options', () => {
+    const settings = new Settings();
+    settings.set('sonification.scale', settings.parse('sonification.scale', ' minor '));
+    
+    assert.equal(settings.get('sonification.scale'), 'minor');
+    assert.throws(() => settings.set('sonification.scale', 'dorian'), /must be one of/);
+    assert.deepEqual(settings.applyQueryString('?sonification.pitch=position&sonification.scale=x'), ['sonification.scale must be one of ' + settings.getDefinition('sonification.scale').options.join(', ')]);
+    assert.equal(settings.get('sonification.pitch'), 'position');
+});
+
+test('listeners are notified of changes until they unsubscribe', () => {
+    const settings = new Settings();
+    const changes = [];
+    const unsubscribe = settings.subscribe((key, value, previous) => changes.push([key, value, previous]));
+    
+    assert.equal(settings.set('physics.friction', 0.5), true);
+    assert.equal(settings.set('physics.friction', 0.5), false);
+    unsubscribe();
+    settings.set('physics.friction', 0.6);
+    
+    assert.deepEqual(changes, [['physics.friction', 0.5, PhysicsConstants.FRICTION]]);
+});
+
+test('query parameters are parsed and invalid ones reported', () => {
+    const settings = new Settings();
+    const errors = settings.applyQueryString('?physics.friction=0.75&triangulation.kinetic=false' +
+        '&render.backgroundColor=%23102030&repulsion.radius=-1&brownian.strength=abc&other=1');
+    
+    assert.equal(settings.get('physics.friction'), 0.75);
+    assert.equal(settings.get('triangulation.kinetic'), false);
+    assert.equal(settings.get('render.backgroundColor'), 0x102030);
+    assert.equal(settings.get('repulsion.radius'), 100);
+    assert.equal(errors.length, 2);
+});
+
+test('reset restores the defaults', () => {
+    const settings = new Settings();
+    settings.applyValues({ 'physics.friction': 0.1, 'audio.volume': 0 });
+    settings.reset();
+    
+    assert.deepEqual(settings.toObject(), new Settings().toObject());
+});
+
+test('lowering the point limit applies to the next added point', () => {
+    const settings = new Settings();
+    const pointManager = new PointManager(settings);
+    for (let i = 0; i < 10; i++) {
+        pointManager.addPoint(i, i);
+    }
+    
+    settings.set('points.maxPoints', 5);
+    const point = pointManager.addPoint(20, 20);
+    
+    assert.equal(pointManager.getPoints().length, 5);
+    assert.equal(pointManager.getPoints()[4], point);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointManager } from '../js/core/PointManager.js';
+import { Simulation } from '../js/core/Simulation.js';
+import { Settings } from '../js/core/Settings.js';
+import { SimulationConstants } from '../js/core/Constants.js';
+import { createRandom } from './helpers.js';
+
+/**
+ * Create a simulation of a few points
+ * @param {number} seed - Random seed
+ * @returns {Simulation} Simulation
+ */
+function createSimulation(seed) {
+    const settings = new Settings();
+    settings.set('simulation.seed', seed);
+    const pointManager = new PointManager(settings);
+    for (let i = 0; i < 20; i++) {
+        pointManager.applyRepulsion(pointManager.addPoint(i * 7 - 70, (i % 5) * 11 - 20));
+    }
+    return new Simulation(pointManager);
+}
+
+/**
+ * Get the positions of the points
+ * @param {Simulation} simulation - Simulation
+ * @returns {Array<Array<number>>} Positions
+ */
+function positions(simulation) {
+    return simulation.pointManager.getPoints().map(point => [point.x, point.y]);
+}
+
+test('trajectories do not depend on the frame rate', () => {
+    const at60Hz = createSimulation(5);
+    const at144Hz = createSimulation(5);
+    const irregular = createSimulation(5);
+    
+    // One second of frames
+    let steps = 0;
+    for (let i = 0; i < 60; i++) {
+        steps += at60Hz.advance(1000 / 60, 800, 600);
+    }
+    for (let i = 0; i < 144; i++) {
+        at144Hz.advance(1000 / 144, 800, 600);
+    }
+    const random = createRandom(3);
+    let time = 0;
+    while (time < 1000) {
+        const elapsed = Math.min(random() * 50, 1000 - time);
+        irregular.advance(elapsed, 800, 600);
+        time += elapsed;
+    }
+    
+    assert.equal(steps, 60);
+    assert.deepEqual(positions(at144Hz), positions(at60Hz));
+    assert.deepEqual(positions(irregular), positions(at60Hz));
+});
+
+test('different seeds give different trajectories', () => {
+    const a = createSimulation(1);
+    const b = createSimulation(2);
+    a.advance(100, 800, 600);
+    b.advance(100, 800, 600);
+    
+    assert.notDeepEqual(positions(a), positions(b));
+});
+
+test('long pauses are not caught up with', () => {
+    const simulation = createSimulation(1);
+    
+    assert.equal(simulation.advance(10000, 800, 600), SimulationConstants.MAX_STEPS_PER_FRAME);
+    assert.equal(simulation.advance(0, 800, 600), 0);
+});
+
+test('interpolated positions lie between the last two steps and are restored', () => {
+    const simulation = createSimulation(1);
+    simulation.advance(SimulationConstants.TIME_STEP * 1.5, 800, 600);
+    const simulated = positions(simulation);
+    const [point] = simulation.pointManager.getPoints();
+    const { prevX, prevY } = point;
+    
+    assert.ok(Math.abs(simulation.getAlpha() - 0.5) < 1e-9);
+    simulation.interpolatePositions(0.5);
+    assert.equal(point.x, (prevX + simulated[0][0]) / 2);
+    assert.equal(point.y, (prevY + simulated[0][1]) / 2);
+    
+    simulation.restorePositions();
+    assert.deepEqual(positions(simulation), simulated);
+});
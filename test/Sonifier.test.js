@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sonifier, MusicalScales } from '../js/core/Sonifier.js';
+import { SonificationConstants } from '../js/core/Constants.js';
+import { createTriangulation } from './helpers.js';
+
+/**
+ * Create a triangulated square with a sonifier recording its notes
+ * @returns {Object} {pointManager, triangulation, sonifier, notes, clock}
+ */
+function createScene() {
+    const { pointManager, triangulation } = createTriangulation();
+    
+    const notes = [];
+    const clock = { time: 0 };
+    const sonifier = new Sonifier(triangulation, pointManager.settings, note => notes.push(note), () => clock.time);
+    sonifier.setViewSize(800, 600);
+    triangulation.addOverlay(sonifier);
+    
+    for (const [x, y] of [[-100, -100], [100, -100], [100, 100], [-100, 100]]) {
+        pointManager.addPoint(x, y);
+    }
+    triangulation.calculate();
+    return { pointManager, triangulation, sonifier, notes, clock };
+}
+
+test('created and destroyed triangles play notes', () => {
+    const { pointManager, triangulation, notes, clock } = createScene();
+    assert.deepEqual(notes.map(note => note.event), ['created', 'created']);
+    
+    // Splitting the square replaces its two triangles with four
+    clock.time += 1000;
+    notes.length = 0;
+    pointManager.addPoint(0, 1);
+    triangulation.calculate();
+    assert.equal(notes.filter(note => note.event === 'created').length, 4);
+    assert.equal(notes.filter(note => note.event === 'destroyed').length, 2);
+    
+    // Recalculating the same triangles is silent
+    clock.time += 1000;
+    notes.length = 0;
+    triangulation.calculate();
+    assert.deepEqual(notes, []);
+});
+
+test('flips caused by moving points are silent unless enabled', () => {
+    const { pointManager, triangulation, notes, clock } = createScene();
+    const [corner] = pointManager.getPoints();
+    const moveCorner = (x, y) => {
+        corner.x = x;
+        corner.y = y;
+        triangulation.updatePositions();
+    };
+    
+    // Outside the circle through the other corners the diagonal avoids it, inside it ends there
+    clock.time += 1000;
+    notes.length = 0;
+    moveCorner(-150, -150);
+    moveCorner(-50, -50);
+    assert.deepEqual(notes, []);
+    
+    pointManager.settings.set('sonification.movement', true);
+    moveCorner(-150, -150);
+    assert.deepEqual(notes.map(note => note.event).sort(), ['created', 'created', 'destroyed', 'destroyed']);
+});
+
+test('points inserted into the triangulation (mesh refinement) are silent', () => {
+    const { pointManager, triangulation, notes, clock } = createScene();
+    
+    clock.time += 1000;
+    notes.length = 0;
+    triangulation.insertPoint(pointManager.addSteinerPoint(0, 1));
+    triangulation.publishInsertions();
+    assert.equal(triangulation.triangles.length, 4);
+    assert.deepEqual(notes, []);
+    
+    // Later changes are compared with the inserted triangles
+    pointManager.addPoint(50, 1);
+    triangulation.calculate();
+    assert.equal(notes.filter(note => note.event === 'destroyed').length, 1);
+});
+
+test('the number of sounding notes is limited', () => {
+    const { pointManager, sonifier, notes, clock } = createScene();
+    pointManager.settings.set('sonification.maxVoices', 3);
+    const triangles = pointManager.triangulation.triangles;
+    
+    clock.time += 1000;
+    notes.length = 0;
+    assert.equal(sonifier.play(triangles, triangles), 3);
+    assert.equal(sonifier.play(triangles, []), 0);
+    
+    // Voices are free again after the notes faded out
+    clock.time += SonificationConstants.NOTE_DURATION + SonificationConstants.NOTE_RELEASE;
+    assert.equal(sonifier.play(triangles, []), 2);
+    assert.equal(notes.length, 5);
+});
+
+test('pitches lie on the selected scale', () => {
+    const { pointManager, sonifier } = createScene();
+    const settings = pointManager.settings;
+    settings.set('sonification.scale', 'major');
+    settings.set('sonification.octaves', 2);
+    const root = settings.get('sonification.rootFrequency');
+    
+    assert.equal(sonifier.quantize(0), root);
+    assert.equal(sonifier.quantize(1), root * 4);
+    assert.equal(sonifier.quantize(-1), root);
+    for (let pitch = 0; pitch <= 1; pitch += 0.05) {
+        const semitones = Math.round(12 * Math.log2(sonifier.quantize(pitch) / root));
+        assert.ok(MusicalScales.major.includes(semitones % 12));
+    }
+});
+
+test('small and high triangles sound higher and x sets the stereo position', () => {
+    const { pointManager, sonifier } = createScene();
+    const point = (x, y) => ({ x: x, y: y });
+    const small = { p1: point(-300, -200), p2: point(-290, -200), p3: point(-300, -190) };
+    const large = { p1: point(100, -200), p2: point(390, -200), p3: point(390, 290) };
+    
+    const smallNote = sonifier.createNote(small, 'created');
+    const largeNote = sonifier.createNote(large, 'created');
+    assert.ok(smallNote.frequency > largeNote.frequency);
+    assert.ok(smallNote.pan < -0.5 && largeNote.pan > 0.5);
+    
+    pointManager.settings.set('sonification.pitch', 'position');
+    assert.ok(sonifier.createNote(large, 'created').frequency > sonifier.createNote(small, 'created').frequency);
+});
+
+test('nothing plays while switched off', () => {
+    const { pointManager, triangulation, notes, clock } = createScene();
+    pointManager.settings.set('sonification.enabled', false);
+    clock.time += 1000;
+    notes.length = 0;
+    pointManager.addPoint(0, 1);
+    triangulation.calculate();
+    
+    assert.deepEqual(notes, []);
+});
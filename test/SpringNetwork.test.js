@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpringNetwork } from '../js/core/SpringNetwork.js';
+import { createPoint } from './helpers.js';
+
+/**
+ * Create two triangles splitting a square along its diagonal
+ * @param {number} size - Side length
+ * @returns {Object} Points and triangles
+ */
+function createSquare(size) {
+    const points = [createPoint(0, 0, 0), createPoint(size, 0, 1), createPoint(size, size, 2), createPoint(0, size, 3)];
+    const [a, b, c, d] = points;
+    const triangles = [{ p1: a, p2: b, p3: c }, { p1: a, p2: c, p3: d }];
+    return { points, triangles };
+}
+
+test('shared edges get a single spring at their length', () => {
+    const { triangles } = createSquare(10);
+    const network = new SpringNetwork();
+    network.sync(triangles);
+    
+    assert.equal(network.springs.size, 5);
+    assert.equal(network.springs.get('0-2').restLength, Math.hypot(10, 10));
+    assert.equal(network.springs.get('0-1').restLength, 10);
+});
+
+test('springs keep their rest length and follow the edges', () => {
+    const { points, triangles } = createSquare(10);
+    const network = new SpringNetwork();
+    network.sync(triangles);
+    
+    // Moving a point does not change the rest lengths
+    points[1].x = 20;
+    network.sync(triangles.slice());
+    assert.equal(network.springs.get('0-1').restLength, 10);
+    
+    // Only the springs of remaining edges survive
+    network.sync(triangles.slice(0, 1));
+    assert.deepEqual([...network.springs.keys()].sort(), ['0-1', '0-2', '1-2']);
+});
+
+test('stretched springs pull and compressed springs push', () => {
+    const { points, triangles } = createSquare(10);
+    const network = new SpringNetwork();
+    network.sync(triangles);
+    const [a, b] = points;
+    const movable = new Set(points);
+    
+    b.x = 12;
+    network.apply(movable, 0.1, 0);
+    assert.ok(a.vx > 0 && b.vx < 0);
+    
+    for (const point of points) point.vx = point.vy = 0;
+    b.x = 8;
+    network.apply(movable, 0.1, 0);
+    assert.ok(a.vx < 0 && b.vx > 0);
+});
+
+test('damping slows motion along the springs', () => {
+    const a = createPoint(0, 0, 0);
+    const b = createPoint(10, 0, 1);
+    const network = new SpringNetwork();
+    network.sync([{ p1: a, p2: b, p3: b }]);
+    b.vx = 2;
+    b.vy = 1;
+    network.apply(new Set([a, b]), 0, 0.25);
+    
+    assert.equal(b.vx, 1.5);
+    assert.equal(a.vx, 0.5);
+    // Motion across the spring is not damped
+    assert.equal(b.vy, 1);
+});
+
+test('springs do not move anchored points', () => {
+    const { points, triangles } = createSquare(10);
+    const network = new SpringNetwork();
+    network.sync(triangles);
+    points[1].x = 15;
+    network.apply(new Set(points.slice(1)), 0.1, 0.1);
+    
+    assert.equal(points[0].vx, 0);
+    assert.equal(points[0].vy, 0);
+    assert.ok(points[1].vx < 0);
+});
+
+test('overstretched springs tear for good', () => {
+    const { points, triangles } = createSquare(10);
+    const network = new SpringNetwork();
+    network.sync(triangles);
+    points[1].x = 25;
+    
+    assert.equal(network.apply(new Set(points), 0.1, 0, 1), 1);
+    assert.ok(!network.springs.has('0-1'));
+    
+    // The edge stays without a spring, also after it is shortened again
+    points[1].x = 10;
+    network.sync(triangles.slice());
+    assert.ok(!network.springs.has('0-1'));
+    assert.equal(network.springs.size, 4);
+    
+    network.reset();
+    network.sync(triangles);
+    assert.equal(network.springs.size, 5);
+});
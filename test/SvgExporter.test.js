@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SvgExporter } from '../js/core/SvgExporter.js';
+import { ColorUtils } from '../js/core/ColorUtils.js';
+import { DisplayConstants } from '../js/core/Constants.js';
+import { createTriangulation } from './helpers.js';
+
+// A few points, one with more decimals than the export keeps
+const COORDS = [[-100, -50], [100, -50], [0, 80.123456], [10, 0]];
+
+test('each triangle is a path in its generated color', () => {
+    const { triangulation } = createTriangulation(COORDS);
+    const svg = SvgExporter.serialize(triangulation, 400, 200);
+    
+    const paths = svg.match(/<path [^>]*\/>/g);
+    assert.equal(paths.length, triangulation.triangles.length);
+    triangulation.triangles.forEach((triangle, i) => {
+        const color = ColorUtils.toCssColor(ColorUtils.generatePastelColor(triangle.getColorSeed()));
+        assert.ok(paths[i].includes(`stroke="${color}"`));
+    });
+});
+
+test('points are circles in SVG coordinates', () => {
+    const svg = SvgExporter.serialize(createTriangulation(COORDS).triangulation, 400, 200);
+    
+    const circles = svg.match(/<circle [^>]*\/>/g);
+    assert.equal(circles.length, 4);
+    assert.ok(circles[0].includes('cx="100" cy="150"'));
+    assert.ok(circles[2].includes('cx="200" cy="19.877"'));
+});
+
+test('output size is independent of the scene size', () => {
+    const svg = SvgExporter.serialize(createTriangulation(COORDS).triangulation, 400, 200, { outputWidth: 4000, outputHeight: 2000, background: false });
+    
+    assert.ok(svg.includes('width="4000" height="2000" viewBox="0 0 400 200"'));
+    assert.ok(!svg.includes('<rect'));
+    assert.ok(svg.trimEnd().endsWith('</svg>'));
+});
+
+test('the exported area follows the pan and zoom of the view', () => {
+    const svg = SvgExporter.serialize(createTriangulation(COORDS).triangulation, 400, 200, { view: { centerX: 50, centerY: 20, zoom: 2 } });
+    
+    // The view center (50, 20) is at the center of the half-size viewBox
+    assert.ok(svg.includes('width="400" height="200" viewBox="150 30 200 100"'));
+    assert.ok(svg.includes('<rect x="150" y="30" width="200" height="100"'));
+    assert.ok(svg.includes(`stroke-width="${DisplayConstants.LINE_THICKNESS / 2}"`));
+});
+
+test('constraint segments are exported as lines', () => {
+    const { triangulation } = createTriangulation(COORDS);
+    triangulation.pointManager.addSegment(-150, 90, 150, 90);
+    triangulation.calculate();
+    const svg = SvgExporter.serialize(triangulation, 400, 200, { showTriangles: false });
+    
+    assert.ok(svg.includes('<line x1="50" y1="10" x2="350" y2="10"/>'));
+    assert.equal(svg.match(/<path /g), null);
+});
+
+test('numbers are rounded without trailing zeros', () => {
+    assert.equal(SvgExporter.formatNumber(1.23456), '1.235');
+    assert.equal(SvgExporter.formatNumber(2.5), '2.5');
+    assert.equal(SvgExporter.formatNumber(-0.0001), '0');
+});
+
+test('colors follow the settings', () => {
+    const { triangulation } = createTriangulation(COORDS);
+    triangulation.settings.set('render.backgroundColor', 0x102030);
+    triangulation.settings.set('render.pointColor', 0xFF8800);
+    const svg = SvgExporter.serialize(triangulation, 400, 200);
+    
+    assert.ok(svg.includes('<rect x="0" y="0" width="400" height="200" fill="#102030"/>'));
+    assert.ok(svg.includes('<g id="points" fill="#ff8800">'));
+    
+    // Triangles colored by quality
+    triangulation.settings.set('render.colorBy', 'aspectRatio');
+    const colors = ColorUtils.getTriangleColors(triangulation.triangles, 'aspectRatio');
+    const paths = SvgExporter.serialize(triangulation, 400, 200).split('\n').filter(line => line.includes('<path'));
+    paths.forEach((path, i) => assert.ok(path.includes(`stroke="${ColorUtils.toCssColor(colors[i])}"`)));
+});
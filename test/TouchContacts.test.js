@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings } from '../js/core/Settings.js';
+import { TouchContacts } from '../js/core/TouchContacts.js';
+import { ViewConstants } from '../js/core/Constants.js';
+
+/**
+ * Create tracked contacts recording the fingers that add points
+ * @param {Settings} settings - Runtime settings
+ * @returns {Object} {contacts, added}
+ */
+function createContacts(settings) {
+    const added = [];
+    const contacts = new TouchContacts(settings, contact => added.push(contact));
+    return { contacts, added };
+}
+
+test('a finger on empty space adds its point after the gesture wait or when lifted', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { contacts, added } = createContacts(new Settings());
+    
+    const held = contacts.start(1, 100, 100, true);
+    assert.equal(added.length, 0);
+    t.mock.timers.tick(ViewConstants.GESTURE_DELAY);
+    assert.deepEqual(added, [held]);
+    contacts.end(1, true);
+    assert.equal(added.length, 1);
+    
+    // A quick tap adds right away, a cancelled touch adds nothing
+    const tapped = contacts.start(2, 100, 100, true);
+    contacts.end(2, true);
+    contacts.start(3, 100, 100, true);
+    contacts.end(3, false);
+    t.mock.timers.tick(ViewConstants.GESTURE_DELAY);
+    assert.deepEqual(added, [held, tapped]);
+    
+    // Fingers on points are left to the caller
+    contacts.start(4, 100, 100, false);
+    t.mock.timers.tick(ViewConstants.GESTURE_DELAY);
+    contacts.end(4, true);
+    assert.equal(added.length, 2);
+    assert.equal(contacts.size, 0);
+});
+
+test('only two fingers landing close together start a gesture', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { contacts, added } = createContacts(new Settings());
+    
+    // Two people tapping at the same moment far apart both add points
+    contacts.start(1, 100, 100, true);
+    contacts.start(2, 100 + ViewConstants.GESTURE_DISTANCE + 50, 100, true);
+    assert.equal(contacts.gesture, null);
+    contacts.end(1, true);
+    contacts.end(2, true);
+    assert.equal(added.length, 2);
+    
+    // A pinch pans and zooms without adding points
+    const a = contacts.start(3, 100, 100, true);
+    const b = contacts.start(4, 160, 180, true);
+    assert.deepEqual(contacts.gesture, { contacts: [a, b], centerX: 130, centerY: 140, distance: 100 });
+    contacts.move(4, 220, 260);
+    assert.equal(contacts.measureGesture(a, b).distance, 200);
+    t.mock.timers.tick(ViewConstants.GESTURE_DELAY);
+    
+    // A third finger during the gesture adds a point, lifting a gesture finger ends it
+    contacts.start(5, 120, 120, true);
+    contacts.end(3, true);
+    assert.equal(contacts.gesture, null);
+    contacts.end(4, true);
+    contacts.end(5, true);
+    assert.equal(added.length, 3);
+});
+
+test('a gesture wait of 0 turns gestures off so every finger adds a point at once', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const settings = new Settings();
+    settings.set('touch.gestureDelay', 0);
+    const { contacts, added } = createContacts(settings);
+    
+    // Two people tapping close together at the same moment
+    contacts.start(1, 100, 100, true, { label: 'first' });
+    contacts.start(2, 101, 100, true);
+    assert.equal(contacts.gesture, null);
+    assert.equal(added.length, 2);
+    assert.equal(added[0].label, 'first');
+    
+    contacts.clear();
+    assert.equal(contacts.size, 0);
+});
+
+test('gestures can be turned off by the finger spread too', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const settings = new Settings();
+    settings.set('touch.gestureDistance', 0);
+    const { contacts, added } = createContacts(settings);
+    
+    contacts.start(1, 100, 100, true);
+    contacts.start(2, 101, 100, true);
+    assert.equal(contacts.gesture, null);
+    assert.equal(added.length, 2);
+});
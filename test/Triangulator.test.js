@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Triangulator } from '../js/core/Triangulator.js';
+import { createRandom, randomCoords, totalArea, countDelaunayViolations } from './helpers.js';
+
+/**
+ * Check the adjacency and orientation invariants of a triangulator
+ * @param {Triangulator} triangulator - Triangulator to check
+ */
+function assertConsistent(triangulator) {
+    const vertices = triangulator.triangleVertices;
+    const neighbors = triangulator.triangleNeighbors;
+    for (let t = 0; t < vertices.length / 3; t++) {
+        assert.ok(triangulator.orient(vertices[3 * t], vertices[3 * t + 1], vertices[3 * t + 2]) > 0);
+        for (let k = 0; k < 3; k++) {
+            const u = neighbors[3 * t + k];
+            if (u < 0) continue;
+            assert.equal(neighbors[3 * u + triangulator.getNeighborIndex(u, t)], t);
+        }
+    }
+}
+
+test('random points give an empty-circumcircle triangulation', () => {
+    const random = createRandom(1);
+    for (let trial = 0; trial < 20; trial++) {
+        const coords = randomCoords(200, 100, random);
+        const triangulator = new Triangulator(coords).triangulate();
+        const triangles = triangulator.getTriangles();
+        
+        assertConsistent(triangulator);
+        assert.equal(countDelaunayViolations(triangles, coords), 0);
+        for (const triangle of triangles) {
+            assert.equal(new Set(triangle).size, 3);
+        }
+    }
+});
+
+test('grid points are triangulated without gaps', () => {
+    const coords = [];
+    for (let i = 0; i < 10; i++) {
+        for (let j = 0; j < 10; j++) {
+            coords.push(i, j);
+        }
+    }
+    const triangulator = new Triangulator(new Float64Array(coords)).triangulate();
+    const triangles = triangulator.getTriangles();
+    
+    assertConsistent(triangulator);
+    assert.equal(triangles.length, 2 * 9 * 9);
+    assert.equal(totalArea(triangles, coords), 81);
+});
+
+test('duplicate points are merged', () => {
+    const coords = new Float64Array([0, 0, 1, 0, 1, 1, 0, 1, 1, 0, 0.5, 0.5]);
+    const triangulator = new Triangulator(coords).triangulate();
+    
+    assert.equal(triangulator.getTriangles().length, 4);
+    assert.equal(triangulator.vertexAliases[4], 1);
+});
+
+test('collinear points produce no triangles', () => {
+    const coords = new Float64Array([0, 0, 1, 2, 2, 4, 3, 6]);
+    assert.deepEqual(new Triangulator(coords).triangulate().getTriangles(), []);
+});
+
+test('result does not depend on the input order', () => {
+    const random = createRandom(2);
+    const coords = randomCoords(100, 10, random);
+    const reversed = new Float64Array(coords.length);
+    for (let i = 0; i < coords.length / 2; i++) {
+        const j = coords.length / 2 - 1 - i;
+        reversed[2 * j] = coords[2 * i];
+        reversed[2 * j + 1] = coords[2 * i + 1];
+    }
+    
+    const key = (triangles, map) => triangles
+        .map(triangle => triangle.map(map).sort((a, b) => a - b).join())
+        .sort()
+        .join('|');
+    const n = coords.length / 2;
+    assert.equal(
+        key(new Triangulator(coords).triangulate().getTriangles(), v => v),
+        key(new Triangulator(reversed).triangulate().getTriangles(), v => n - 1 - v)
+    );
+});
+
+test('constraint segments become edges', () => {
+    const random = createRandom(3);
+    const coords = randomCoords(300, 100, random);
+    const triangulator = new Triangulator(coords).triangulate();
+    
+    assert.ok(triangulator.insertSegment(0, 1));
+    assertConsistent(triangulator);
+    assert.ok(triangulator.findEdge(0, 1) || triangulator.findEdge(1, 0));
+});
+
+test('segments crossing a constraint are rejected', () => {
+    const coords = new Float64Array([0, 0, 10, 10, 0, 10, 10, 0, 5, 1]);
+    const triangulator = new Triangulator(coords).triangulate();
+    
+    assert.ok(triangulator.insertSegment(0, 1));
+    assert.equal(triangulator.insertSegment(2, 3), false);
+});
+
+test('closed boundaries remove the outside and holes', () => {
+    const random = createRandom(4);
+    const coords = Array.from(randomCoords(100, 100, random));
+    const base = coords.length / 2;
+    coords.push(10, 10, 90, 10, 90, 90, 10, 90);
+    coords.push(40, 40, 60, 40, 60, 60, 40, 60);
+    const triangulator = new Triangulator(new Float64Array(coords)).triangulate();
+    for (let i = 0; i < 4; i++) {
+        assert.ok(triangulator.insertSegment(base + i, base + (i + 1) % 4, true));
+        assert.ok(triangulator.insertSegment(base + 4 + i, base + 4 + (i + 1) % 4, true));
+    }
+    
+    assertConsistent(triangulator);
+    assert.ok(Math.abs(totalArea(triangulator.getTriangles(), coords) - (80 * 80 - 20 * 20)) < 1e-9);
+});
+
+test('points added to a finished triangulation keep it Delaunay', () => {
+    const random = createRandom(11);
+    const triangulator = new Triangulator(randomCoords(100, 100, random)).triangulate();
+    for (let i = 0; i < 100; i++) {
+        assert.equal(triangulator.addPoint(random() * 100, random() * 100), 100 + i);
+    }
+    
+    assertConsistent(triangulator);
+    assert.equal(triangulator.vertexCount, 200);
+    const coords = triangulator.coords.subarray(0, 2 * triangulator.vertexCount);
+    assert.equal(countDelaunayViolations(triangulator.getTriangles(), coords), 0);
+    const rebuilt = new Triangulator(coords.slice()).triangulate();
+    assert.ok(Math.abs(totalArea(triangulator.getTriangles(), coords) - totalArea(rebuilt.getTriangles(), coords)) < 1e-9);
+});
+
+test('a point added on a constrained edge splits it into constrained halves', () => {
+    const coords = new Float64Array([0, 0, 10, 0, 10, 10, 0, 10, 3, 1, 7, 9]);
+    const triangulator = new Triangulator(coords).triangulate();
+    assert.ok(triangulator.insertSegment(0, 2));
+    
+    const p = triangulator.addPoint(5, 5, [0, 2]);
+    
+    assertConsistent(triangulator);
+    assert.equal(triangulator.findEdge(0, 2) || triangulator.findEdge(2, 0), null);
+    for (const [a, b] of [[0, p], [p, 2]]) {
+        const edge = triangulator.findEdge(a, b);
+        assert.equal(triangulator.triangleConstraints[3 * edge.triangle + edge.index], triangulator.CONSTRAINED);
+    }
+});
+
+test('moving points keeps the triangulation Delaunay with edge flips', () => {
+    const random = createRandom(9);
+    const coords = randomCoords(200, 100, random);
+    const triangulator = new Triangulator(Float64Array.from(coords)).triangulate();
+    
+    let flipCount = 0;
+    for (let step = 0; step < 50; step++) {
+        for (let i = 0; i < coords.length; i++) {
+            coords[i] += (random() - 0.5) * 2;
+        }
+        const flips = triangulator.updateCoords(coords);
+        assert.notEqual(flips, null);
+        flipCount += flips.length;
+        
+        const triangles = triangulator.getTriangles();
+        assertConsistent(triangulator);
+        assert.equal(countDelaunayViolations(triangles, coords), 0);
+        assert.ok(Math.abs(totalArea(triangles, coords) - totalArea(new Triangulator(coords).triangulate().getTriangles(), coords)) < 1e-6);
+    }
+    assert.ok(flipCount > 0);
+});
+
+test('single points jumping far across the mesh do not fold it', () => {
+    for (const seed of [2, 3, 4, 6]) {
+        const random = createRandom(seed);
+        const coords = randomCoords(50, 500, random);
+        let triangulator = new Triangulator(Float64Array.from(coords)).triangulate();
+        
+        for (let step = 0; step < 100; step++) {
+            const i = Math.floor(random() * 50);
+            coords[2 * i] = random() * 500;
+            coords[2 * i + 1] = random() * 500;
+            if (triangulator.updateCoords(coords) === null) {
+                triangulator = new Triangulator(Float64Array.from(coords)).triangulate();
+            }
+            
+            assertConsistent(triangulator);
+            assert.equal(countDelaunayViolations(triangulator.getTriangles(), coords), 0);
+        }
+    }
+});
+
+test('kinetic updates only check the triangles around moved points', () => {
+    const random = createRandom(4);
+    const coords = randomCoords(500, 100, random);
+    const triangulator = new Triangulator(Float64Array.from(coords)).triangulate();
+    let incircleTests = 0;
+    const incircle = triangulator.incircle.bind(triangulator);
+    triangulator.incircle = (...vertices) => {
+        incircleTests++;
+        return incircle(...vertices);
+    };
+    
+    assert.deepEqual(triangulator.updateCoords(coords), []);
+    assert.equal(incircleTests, 0);
+    
+    // A few points move a little: only their neighborhoods are tested
+    for (const i of [3, 77, 250]) {
+        coords[2 * i] += (random() - 0.5) * 4;
+        coords[2 * i + 1] += (random() - 0.5) * 4;
+    }
+    assert.notEqual(triangulator.updateCoords(coords), null);
+    assert.ok(incircleTests < triangulator.triangleNeighbors.length / 10);
+    assertConsistent(triangulator);
+    assert.equal(countDelaunayViolations(triangulator.getTriangles(), coords), 0);
+    
+    // A point moving far out past the hull turns triangles over
+    coords[2 * 400] = 300;
+    assert.notEqual(triangulator.updateCoords(coords), null);
+    assertConsistent(triangulator);
+    assert.equal(countDelaunayViolations(triangulator.getTriangles(), coords), 0);
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoronoiDiagram } from '../js/core/VoronoiDiagram.js';
+import { createRandom, createTriangulation } from './helpers.js';
+
+/**
+ * Calculate the area of a polygon
+ * @param {Array<Object>} polygon - Polygon vertices
+ * @returns {number} Signed area
+ */
+function polygonArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i];
+        const q = polygon[(i + 1) % polygon.length];
+        area += (p.x * q.y - q.x * p.y) / 2;
+    }
+    return area;
+}
+
+/**
+ * Check that cells tile the viewport and that each belongs to the nearest point
+ * @param {Array<Object>} cells - Cells ({point, polygon})
+ * @param {Array<Object>} points - All points
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ */
+function assertVoronoiCells(cells, points, width, height) {
+    const total = cells.reduce((sum, cell) => sum + polygonArea(cell.polygon), 0);
+    assert.ok(Math.abs(total - width * height) < 1e-6);
+    
+    // The centroid of each cell is closer to its own point than to any other
+    const distSq = (p, q) => (p.x - q.x) ** 2 + (p.y - q.y) ** 2;
+    for (const cell of cells) {
+        assert.ok(polygonArea(cell.polygon) > 0);
+        const centroid = {
+            x: cell.polygon.reduce((sum, p) => sum + p.x, 0) / cell.polygon.length,
+            y: cell.polygon.reduce((sum, p) => sum + p.y, 0) / cell.polygon.length
+        };
+        for (const point of points) {
+            assert.ok(distSq(centroid, cell.point) <= distSq(centroid, point) + 1e-9);
+        }
+    }
+}
+
+test('cells tile the viewport and belong to the nearest point', () => {
+    const random = createRandom(7);
+    const coords = [];
+    for (let i = 0; i < 50; i++) {
+        coords.push([random() * 800 - 400, random() * 600 - 300]);
+    }
+    const { pointManager, triangulation } = createTriangulation(coords);
+    const cells = new VoronoiDiagram(triangulation).computeCells(800, 600);
+    
+    assert.equal(cells.length, 50);
+    assertVoronoiCells(cells, pointManager.getPoints(), 800, 600);
+});
+
+test('points that are all on the hull get bounded cells', () => {
+    const { pointManager, triangulation } = createTriangulation([[-100, -100], [100, -100], [100, 100], [-100, 100]]);
+    const cells = new VoronoiDiagram(triangulation).computeCells(800, 600);
+    
+    // One quadrant each
+    assert.equal(cells.length, 4);
+    for (const cell of cells) {
+        assert.equal(polygonArea(cell.polygon), 400 * 300);
+    }
+    assertVoronoiCells(cells, pointManager.getPoints(), 800, 600);
+});
+
+test('collinear and fewer than three points are split into strips', () => {
+    const diagram = new VoronoiDiagram(createTriangulation([]).triangulation);
+    assert.deepEqual(diagram.computeCells(800, 600), []);
+    
+    const single = createTriangulation([[10, 20]]);
+    const [cell] = new VoronoiDiagram(single.triangulation).computeCells(800, 600);
+    assert.equal(polygonArea(cell.polygon), 800 * 600);
+    
+    // Three points on a diagonal line, one of them twice
+    const line = createTriangulation([[-100, -100], [0, 0], [100, 100], [0, 0]]);
+    assert.equal(line.triangulation.triangles.length, 0);
+    const cells = new VoronoiDiagram(line.triangulation).computeCells(800, 600);
+    assert.equal(cells.length, 3);
+    assertVoronoiCells(cells, line.pointManager.getPoints(), 800, 600);
+});
+
+test('constrained triangulations with holes give the cells of the points', () => {
+    const random = createRandom(11);
+    const coords = [];
+    for (let i = 0; i < 60; i++) {
+        const x = random() * 600 - 300;
+        const y = random() * 400 - 200;
+        if (Math.abs(x) > 60 || Math.abs(y) > 60) {
+            coords.push([x, y]);
+        }
+    }
+    const { pointManager, triangulation } = createTriangulation(coords);
+    
+    // An outer boundary and a square hole; the triangles no longer reach across the hole
+    const corners = [[-250, -150], [250, -150], [250, 150], [-250, 150]];
+    const holeCorners = [[-50, -50], [50, -50], [50, 50], [-50, 50]];
+    for (const loop of [corners, holeCorners]) {
+        loop.forEach(([x, y], i) => {
+            const [nx, ny] = loop[(i + 1) % loop.length];
+            pointManager.addSegment(x, y, nx, ny);
+        });
+    }
+    triangulation.calculate();
+    assert.ok(triangulation.triangles.length > 0);
+    
+    const points = pointManager.getPoints();
+    const cells = new VoronoiDiagram(triangulation).computeCells(800, 600);
+    assert.equal(cells.length, points.length);
+    assertVoronoiCells(cells, points, 800, 600);
+});
+
+test('cell corners inside the viewport are circumcenters of the triangles', () => {
+    const random = createRandom(4);
+    const coords = [];
+    for (let i = 0; i < 40; i++) {
+        coords.push([random() * 200 - 100, random() * 200 - 100]);
+    }
+    const { triangulation } = createTriangulation(coords);
+    const centers = triangulation.triangles.map(triangle => triangle.getCircumcenter());
+    const cells = new VoronoiDiagram(triangulation).computeCells(2000, 2000);
+    
+    for (const { polygon } of cells) {
+        for (const corner of polygon) {
+            if (Math.abs(corner.x) > 1000 - 1e-6 || Math.abs(corner.y) > 1000 - 1e-6) continue;
+            assert.ok(centers.some(center => Math.hypot(center.x - corner.x, center.y - corner.y) < 1e-6));
+        }
+    }
+});
+
+test('constrained scenes keep one unconstrained triangulation while points move', () => {
+    const random = createRandom(9);
+    const coords = [];
+    for (let i = 0; i < 40; i++) {
+        coords.push([random() * 600 - 300, random() * 400 - 200]);
+    }
+    const { pointManager, triangulation } = createTriangulation(coords);
+    const diagram = new VoronoiDiagram(triangulation);
+    
+    // Without constraints the cells come from the triangulation itself
+    diagram.computeCells(800, 600);
+    assert.equal(diagram.triangulator, null);
+    
+    pointManager.addSegment(-250, 0, 250, 0);
+    triangulation.calculate();
+    diagram.computeCells(800, 600);
+    const triangulator = diagram.triangulator;
+    assert.ok(triangulator);
+    
+    for (let step = 0; step < 10; step++) {
+        for (const point of pointManager.getPoints()) {
+            if (point.fixed) continue;
+            point.x += (random() - 0.5) * 10;
+            point.y += (random() - 0.5) * 10;
+        }
+        triangulation.updatePositions();
+        const points = pointManager.getPoints();
+        assertVoronoiCells(diagram.computeCells(800, 600), points, 800, 600);
+    }
+    assert.equal(diagram.triangulator, triangulator);
+});
+
+test('cells are clipped to the panned and zoomed view', () => {
+    const random = createRandom(12);
+    const coords = [];
+    for (let i = 0; i < 30; i++) {
+        coords.push([random() * 800 - 400, random() * 600 - 300]);
+    }
+    const { pointManager, triangulation } = createTriangulation(coords);
+    const view = { centerX: 300, centerY: -200, zoom: 2 };
+    const cells = new VoronoiDiagram(triangulation).computeCells(800, 600, { view: view });
+    
+    // The cells tile the visible 400 x 300 area around the view center
+    const shifted = cells.map(({ point, polygon }) => ({ point: { x: point.x - 300, y: point.y + 200 }, polygon: polygon.map(p => ({ x: p.x - 300, y: p.y + 200 })) }));
+    const points = pointManager.getPoints().map(p => ({ x: p.x - 300, y: p.y + 200 }));
+    assertVoronoiCells(shifted, points, 400, 300);
+    for (const { polygon } of cells) {
+        for (const p of polygon) {
+            assert.ok(p.x >= 100 - 1e-9 && p.x <= 500 + 1e-9 && p.y >= -350 - 1e-9 && p.y <= -50 + 1e-9);
+        }
+    }
+});
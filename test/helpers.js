@@ -0,0 +1,98 @@
+import { Predicates } from '../js/core/Predicates.js';
+import { Random } from '../js/core/Random.js';
+import { PointManager } from '../js/core/PointManager.js';
+import { DelaunayTriangulation } from '../js/core/DelaunayTriangulation.js';
+
+/**
+ * Create a deterministic random number generator (the shipped mulberry32 generator)
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    const random = new Random(seed);
+    return () => random.next();
+}
+
+/**
+ * Create a resting point
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} [id=0] - Point ID
+ * @returns {Object} Point
+ */
+export function createPoint(x, y, id = 0) {
+    return { id: id, x: x, y: y, vx: 0, vy: 0, origX: x, origY: y };
+}
+
+/**
+ * Create a point manager with a triangulation of the given points
+ * @param {Array<Array<number>>} [coords=[]] - Point coordinates as [x, y]
+ * @returns {Object} {pointManager, triangulation}
+ */
+export function createTriangulation(coords = []) {
+    const pointManager = new PointManager();
+    const triangulation = new DelaunayTriangulation(pointManager);
+    pointManager.setTriangulation(triangulation);
+    for (const [x, y] of coords) {
+        pointManager.addPoint(x, y);
+    }
+    triangulation.calculate();
+    return { pointManager, triangulation };
+}
+
+/**
+ * Create random coordinates in a square
+ * @param {number} count - Number of points
+ * @param {number} size - Side length of the square
+ * @param {Function} random - Random number generator
+ * @returns {Float64Array} Interleaved x, y coordinates
+ */
+export function randomCoords(count, size, random) {
+    const coords = new Float64Array(count * 2);
+    for (let i = 0; i < coords.length; i++) {
+        coords[i] = random() * size;
+    }
+    return coords;
+}
+
+/**
+ * Sum the signed areas of triangles given as vertex index triples
+ * @param {Array<Array<number>>} triangles - Vertex index triples
+ * @param {Float64Array} coords - Interleaved x, y coordinates
+ * @returns {number} Total signed area
+ */
+export function totalArea(triangles, coords) {
+    let area = 0;
+    for (const [a, b, c] of triangles) {
+        area += ((coords[2 * b] - coords[2 * a]) * (coords[2 * c + 1] - coords[2 * a + 1]) -
+                 (coords[2 * b + 1] - coords[2 * a + 1]) * (coords[2 * c] - coords[2 * a])) / 2;
+    }
+    return area;
+}
+
+/**
+ * Count triangles whose circumcircle strictly contains another point
+ * @param {Array<Array<number>>} triangles - Vertex index triples (counter-clockwise)
+ * @param {Float64Array} coords - Interleaved x, y coordinates
+ * @returns {number} Number of violating triangles
+ */
+export function countDelaunayViolations(triangles, coords) {
+    let violations = 0;
+    for (const [a, b, c] of triangles) {
+        for (let p = 0; p < coords.length / 2; p++) {
+            if (p === a || p === b || p === c) continue;
+            
+            const det = Predicates.incircle(
+                coords[2 * a], coords[2 * a + 1],
+                coords[2 * b], coords[2 * b + 1],
+                coords[2 * c], coords[2 * c + 1],
+                coords[2 * p], coords[2 * p + 1]
+            );
+            if (det > 0) {
+                violations++;
+                break;
+            }
+        }
+    }
+    return violations;
+}